@@ -12,6 +12,14 @@ const compression = require("compression");
 // const { defaultLimiter } = require("./middlewares/rateLimit");
 const errorHandler = require("./middlewares/error");
 const authRouter = require("./routes/auth.routes.js");
+const adminRouter = require("./routes/admin.routes.js");
+const hackathonRouter = require("./routes/hackathon.routes.js");
+const teamRouter = require("./routes/team.routes.js");
+const uploadRouter = require("./routes/upload.routes.js");
+const notificationRouter = require("./routes/notification.routes.js");
+const whatsappRouter = require("./routes/whatsapp.routes.js");
+const devRouter = require("./routes/dev.routes.js");
+const { sandboxEnabled } = require("./utils/messaging");
 // Route imports
 // const authRoute = require("");
 
@@ -19,7 +27,10 @@ const app = express();
 
 const server = http.createServer(app);
 
-connectDB();
+// Tests connect to their own in-memory database
+if (process.env.NODE_ENV !== "test") {
+  connectDB();
+}
 
 // Body parser
 app.use(express.json({ limit: "50mb" }));
@@ -43,8 +54,17 @@ app.get("/", (req, res) => {
 });
 
 app.use("/api/user", authRouter);
-
-// app.use("/api/team");
+app.use("/api/admin", adminRouter);
+app.use("/api/hackathons", hackathonRouter);
+app.use("/api/teams", teamRouter);
+app.use("/api/notifications", notificationRouter);
+app.use("/api/whatsapp", whatsappRouter);
+app.use("/uploads", uploadRouter);
+
+// Sandbox inbox, only outside production and while messages are sandboxed
+if (process.env.NODE_ENV !== "production" && sandboxEnabled()) {
+  app.use("/api/dev", devRouter);
+}
 
 app.get("*", (req, res) => {
   res.send("Website route not found");
@@ -52,15 +72,22 @@ app.get("*", (req, res) => {
 
 app.use(errorHandler);
 
-// Start server
-const PORT = config.PORT;
-server.listen(PORT, () => {
-  logger.info(`Server running in ${config.NODE_ENV} mode on port ${PORT}`);
-});
-
-// Initialize WebSocket service (if you still need this)
-const webSocketService = require("./services/websocket.service");
-webSocketService.initialize(server);
+// Start server (tests drive the app through supertest instead)
+if (process.env.NODE_ENV !== "test") {
+  const PORT = config.PORT;
+  server.listen(PORT, () => {
+    logger.info(`Server running in ${config.NODE_ENV} mode on port ${PORT}`);
+  });
+
+  // Realtime gateway; services register their channels and message types
+  const webSocketService = require("./services/websocket.service");
+  webSocketService.initialize(server);
+  require("./services/announcement.service").registerRealtimeHandlers();
+  require("./services/chat.service").registerRealtimeHandlers();
+  require("./services/presence.service").registerRealtimeHandlers();
+
+  require("./utils/scheduler").startScheduler();
+}
 
 // Handle unhandled promise rejections
 process.on("unhandledRejection", (err) => {
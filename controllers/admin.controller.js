@@ -0,0 +1,431 @@
+const User = require("../models/user.model");
+const Hackathon = require("../models/hackthon.model");
+const Team = require("../models/team.model");
+const Registration = require("../models/registration.model");
+const Feedback = require("../models/feedback.model");
+const teamFormationService = require("../services/teamFormation.service");
+const scoringService = require("../services/scoring.service");
+const leaderboardService = require("../services/leaderboard.service");
+const judgeAssignmentService = require("../services/judgeAssignment.service");
+const notificationService = require("../services/notification.service");
+const messageLogService = require("../services/messageLog.service");
+const sendError = require("../utils/sendError");
+
+// Helper to shape a team proposal for the response
+const formatProposal = ({ team, members, score, explanation }) => ({
+  teamId: team ? team._id : undefined,
+  name: team ? team.name : undefined,
+  members: members.map(({ userId, name, experience, skills }) => ({
+    userId,
+    name,
+    experience,
+    skills,
+  })),
+  score,
+  explanation,
+});
+
+// @desc    Page through the WhatsApp message log, newest first
+// @route   GET /api/admin/messages?direction=&status=&kind=&userId=&campaignId=&phone=&before=&limit=
+// @access  Private (superadmin)
+exports.getMessageLogs = async (req, res) => {
+  try {
+    const page = await messageLogService.listMessages(req.query);
+
+    res.status(200).json({
+      success: true,
+      count: page.messages.length,
+      data: page.messages,
+      nextCursor: page.nextCursor,
+    });
+  } catch (error) {
+    sendError(res, error, "Error fetching message log");
+  }
+};
+
+// @desc    Change a user's platform role
+// @route   PUT /api/admin/users/:id/role
+// @access  Private (superadmin)
+exports.updateUserRole = async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { role: req.body.role },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "User role updated successfully",
+      user,
+    });
+  } catch (error) {
+    console.error("Update role error:", error);
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation Error",
+        errors: messages,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error during role update",
+    });
+  }
+};
+
+// Helper to build add/remove handlers for hackathon staff lists
+const assignStaff = (field, allowedRoles) => async (req, res) => {
+  try {
+    const hackathon = req.hackathon;
+    const user = await User.findById(req.body.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (!allowedRoles.includes(user.role)) {
+      return res.status(400).json({
+        success: false,
+        message: `User role ${user.role} cannot be assigned to ${field}`,
+      });
+    }
+
+    await Hackathon.updateOne(
+      { _id: hackathon._id },
+      { $addToSet: { [field]: user._id } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `User added to ${field}`,
+    });
+  } catch (error) {
+    console.error(`Assign ${field} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+};
+
+const unassignStaff = (field) => async (req, res) => {
+  try {
+    const hackathon = req.hackathon;
+
+    if (
+      field === "organizers" &&
+      hackathon.organizers.length === 1 &&
+      hackathon.isOrganizer(req.params.userId)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "A hackathon must keep at least one organizer",
+      });
+    }
+
+    await Hackathon.updateOne(
+      { _id: hackathon._id },
+      { $pull: { [field]: req.params.userId } }
+    );
+    // A removed judge can no longer score the reviews they were given
+    if (field === "judges") {
+      await judgeAssignmentService.cancelOpenAssignments(
+        hackathon,
+        req.params.userId
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `User removed from ${field}`,
+    });
+  } catch (error) {
+    console.error(`Unassign ${field} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+};
+
+// @desc    Assign an organizer to a hackathon
+// @route   POST /api/admin/hackathons/:id/organizers
+// @access  Private (hackathon organizer)
+exports.addOrganizer = assignStaff("organizers", ["organizer", "superadmin"]);
+
+// @desc    Remove an organizer from a hackathon
+// @route   DELETE /api/admin/hackathons/:id/organizers/:userId
+// @access  Private (hackathon organizer)
+exports.removeOrganizer = unassignStaff("organizers");
+
+// @desc    Assign a judge to a hackathon
+// @route   POST /api/admin/hackathons/:id/judges
+// @access  Private (hackathon organizer)
+exports.addJudge = assignStaff("judges", ["judge", "organizer", "superadmin"]);
+
+// @desc    Remove a judge from a hackathon
+// @route   DELETE /api/admin/hackathons/:id/judges/:userId
+// @access  Private (hackathon organizer)
+exports.removeJudge = unassignStaff("judges");
+
+// @desc    Form teams from unassigned registrants
+// @route   POST /api/admin/hackathons/:id/form-teams
+// @access  Private (hackathon organizer)
+exports.formTeams = async (req, res) => {
+  try {
+    const { strategy = "balanced" } = req.body;
+
+    if (!teamFormationService.hasStrategy(strategy)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown team formation strategy: ${strategy}`,
+      });
+    }
+
+    const teams = await teamFormationService.formTeams(req.hackathon._id, {
+      strategy,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Successfully formed ${teams.length} teams`,
+      data: teams.map(formatProposal),
+    });
+  } catch (error) {
+    console.error("Team formation error:", error);
+    sendError(res, error, "Team formation failed");
+  }
+};
+
+// @desc    Preview proposed teams without saving them
+// @route   POST /api/admin/hackathons/:id/form-teams/preview
+// @access  Private (hackathon organizer)
+exports.previewTeams = async (req, res) => {
+  try {
+    const { strategy, locks, teams, swaps } = req.body;
+
+    const preview = await teamFormationService.previewTeams(req.hackathon, {
+      strategy,
+      locks,
+      teams,
+      swaps,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        teams: preview.teams.map(formatProposal),
+        unassigned: preview.unassigned.map(({ userId, name }) => ({
+          userId,
+          name,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Team preview error:", error);
+    sendError(res, error, "Team preview failed");
+  }
+};
+
+// @desc    Save a reviewed team arrangement and notify its members
+// @route   POST /api/admin/hackathons/:id/form-teams/commit
+// @access  Private (hackathon organizer)
+exports.commitTeams = async (req, res) => {
+  try {
+    const { teams, locks } = req.body;
+
+    const committed = await teamFormationService.commitArrangement(
+      req.hackathon,
+      teams,
+      { locks }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Successfully formed ${committed.length} teams`,
+      data: committed.map(formatProposal),
+    });
+  } catch (error) {
+    console.error("Team commit error:", error);
+    sendError(res, error, "Team formation failed");
+  }
+};
+
+// @desc    Assign final submissions to judges
+// @route   POST /api/admin/hackathons/:id/judge-assignments
+// @access  Private (hackathon organizer)
+exports.assignJudges = async (req, res) => {
+  try {
+    const result = await judgeAssignmentService.assignJudges(req.hackathon, {
+      reviewsPerSubmission: req.body.reviewsPerSubmission,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Created ${result.created} judge assignments`,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Judge assignment error:", error);
+    sendError(res, error, "Judge assignment failed");
+  }
+};
+
+// @desc    Get assigned and completed reviews per judge
+// @route   GET /api/admin/hackathons/:id/judge-assignments
+// @access  Private (hackathon organizer)
+exports.getJudgeWorkload = async (req, res) => {
+  try {
+    const workload = await judgeAssignmentService.workloadSummary(
+      req.hackathon
+    );
+
+    res.status(200).json({
+      success: true,
+      data: workload,
+    });
+  } catch (error) {
+    console.error("Judge workload error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch judge workload",
+    });
+  }
+};
+
+// @desc    Get hackathon statistics
+// @route   GET /api/admin/hackathons/:id/stats
+// @access  Private (hackathon organizer)
+exports.getHackathonStats = async (req, res) => {
+  try {
+    const hackathonId = req.hackathon._id;
+
+    const totalRegistrations = await Registration.countDocuments({
+      hackathonId,
+    });
+    const totalTeams = await Team.countDocuments({ hackathonId });
+    const averageTeamSize =
+      totalTeams > 0 ? totalRegistrations / totalTeams : 0;
+
+    const teamsWithSubmissions = await Team.countDocuments({
+      hackathonId,
+      "submissions.0": { $exists: true },
+    });
+
+    const feedbackCount = await Feedback.countDocuments({ hackathonId });
+    const averageRating = await Feedback.aggregate([
+      { $match: { hackathonId } },
+      { $group: { _id: null, avgRating: { $avg: "$rating" } } },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        totalRegistrations,
+        totalTeams,
+        averageTeamSize: Math.round(averageTeamSize * 100) / 100,
+        teamsWithSubmissions,
+        submissionRate:
+          totalTeams > 0 ? (teamsWithSubmissions / totalTeams) * 100 : 0,
+        feedbackCount,
+        averageRating: averageRating[0]?.avgRating || 0,
+      },
+    });
+  } catch (error) {
+    console.error("Stats fetch error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch stats",
+    });
+  }
+};
+
+// @desc    Declare hackathon winners
+// @route   POST /api/hackathons/:id/declare-winners
+// @access  Private (hackathon organizer)
+exports.declareWinners = async (req, res) => {
+  try {
+    const hackathon = req.hackathon;
+    const { winners = [] } = req.body; // Array of { position, teamId }
+
+    // Scores come from the rubric leaderboard, never from the request
+    const leaderboard = await scoringService.computeLeaderboard(hackathon);
+    const scoreByTeam = new Map(
+      leaderboard.map((row) => [row.teamId.toString(), row.totalScore])
+    );
+
+    if (winners.some((w) => !scoreByTeam.has(String(w.teamId)))) {
+      return res.status(400).json({
+        success: false,
+        message: "All winners must be teams of this hackathon",
+      });
+    }
+
+    hackathon.winners = winners.map((winner) => ({
+      position: winner.position,
+      team: winner.teamId,
+      score: scoreByTeam.get(String(winner.teamId)),
+    }));
+    hackathon.status = "completed";
+    await hackathon.save();
+
+    // Results are out, so the frozen board opens up again
+    await leaderboardService.pushLeaderboard(hackathon);
+
+    // Notify all participants
+    const registrations = await Registration.find({
+      hackathonId: hackathon._id,
+    }).populate("teamId", "name");
+
+    for (const reg of registrations) {
+      const winner = winners.find(
+        (w) => reg.teamId && w.teamId === reg.teamId._id.toString()
+      );
+      const isWinner = Boolean(winner);
+
+      await notificationService.notify(reg.userId, {
+        type: "hackathon_results",
+        title: isWinner
+          ? `🎉 Congratulations! You won position ${winner.position}`
+          : "Hackathon Results Announced",
+        message: isWinner
+          ? `Your team ${reg.teamId.name} has won position ${winner.position} in ${hackathon.title}! We'll be reaching out soon for photos and LinkedIn shoutouts.`
+          : `The results for ${hackathon.title} have been announced. Thank you for your participation!`,
+        data: {
+          hackathonId: hackathon._id,
+          hackathonTitle: hackathon.title,
+          teamName: reg.teamId ? reg.teamId.name : null,
+          isWinner,
+          position: isWinner ? winner.position : null,
+        },
+        important: true,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Winners declared successfully",
+    });
+  } catch (error) {
+    console.error("Winner declaration error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to declare winners",
+    });
+  }
+};
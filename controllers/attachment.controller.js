@@ -0,0 +1,43 @@
+const attachmentService = require("../services/attachment.service");
+const sendError = require("../utils/sendError");
+
+// @desc    Upload a file or image to share in the team chat
+// @route   POST /api/teams/:id/attachments
+// @access  Private (team member)
+exports.uploadAttachment = async (req, res) => {
+  try {
+    const attachment = await attachmentService.createAttachment(
+      req.team,
+      req.user,
+      req.file
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "File uploaded",
+      data: attachment,
+    });
+  } catch (error) {
+    console.error("Attachment upload error:", error);
+    sendError(res, error, "File upload failed");
+  }
+};
+
+// @desc    Download a team file or image thumbnail
+// @route   GET /uploads/teams/:teamId/:filename
+// @access  Private (team member)
+exports.downloadTeamFile = async (req, res) => {
+  try {
+    const { attachment, filePath, isThumbnail } =
+      await attachmentService.findTeamFile(req.team, req.params.filename);
+
+    // Images are shown inline; other files download under their own name
+    if (attachment.kind === "image" || isThumbnail) {
+      return res.sendFile(filePath);
+    }
+    res.download(filePath, attachment.originalName);
+  } catch (error) {
+    console.error("File download error:", error);
+    sendError(res, error, "File download failed");
+  }
+};
@@ -1,6 +1,16 @@
 const User = require("../models/user.model");
-const jwt = require("jsonwebtoken");
 const crypto = require("crypto");
+const { OAuth2Client } = require("google-auth-library");
+const emailService = require("../services/email.service");
+const whatsappService = require("../services/whatsapp.service");
+const sessionService = require("../services/session.service");
+const sendError = require("../utils/sendError");
+
+const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
+// Least time between two verification emails to the same user
+const VERIFICATION_RESEND_INTERVAL = 60 * 1000; // 1 minute
+// Wrong phone verification codes before the code stops working
+const MAX_PHONE_CODE_ATTEMPTS = 5;
 
 // @desc    Register user
 // @route   POST /api/auth/register
@@ -44,7 +54,13 @@ exports.register = async (req, res) => {
     // Send verification email (optional)
     await sendVerificationEmail(user);
 
-    sendTokenResponse(user, 201, res, "User registered successfully");
+    await sendTokenResponse(
+      req,
+      user,
+      201,
+      res,
+      "User registered successfully"
+    );
   } catch (error) {
     console.error("Registration error:", error);
 
@@ -111,7 +127,7 @@ exports.login = async (req, res) => {
     user.lastLogin = new Date();
     await user.save({ validateBeforeSave: false });
 
-    sendTokenResponse(user, 200, res, "Login successful");
+    await sendTokenResponse(req, user, 200, res, "Login successful");
   } catch (error) {
     console.error("Login error:", error);
     res.status(500).json({
@@ -172,7 +188,13 @@ exports.googleAuth = async (req, res) => {
       });
     }
 
-    sendTokenResponse(user, 200, res, "Google authentication successful");
+    await sendTokenResponse(
+      req,
+      user,
+      200,
+      res,
+      "Google authentication successful"
+    );
   } catch (error) {
     console.error("Google auth error:", error);
     res.status(500).json({
@@ -215,6 +237,7 @@ exports.updateProfile = async (req, res) => {
       "github",
       "linkedin",
       "phone",
+      "organization",
       "profilePicture",
     ];
     const updates = {};
@@ -226,6 +249,11 @@ exports.updateProfile = async (req, res) => {
       }
     });
 
+    // A new phone number has to be verified again
+    if (updates.phone !== undefined && updates.phone !== req.user.phone) {
+      updates.$unset = { phoneVerifiedAt: 1 };
+    }
+
     const user = await User.findByIdAndUpdate(req.user.id, updates, {
       new: true,
       runValidators: true,
@@ -281,9 +309,13 @@ exports.changePassword = async (req, res) => {
       });
     }
 
-    // Update password
+    // Update password and sign out every other device
     user.password = newPassword;
     await user.save();
+    await sessionService.revokeAllSessions(user._id, {
+      except: req.sessionId,
+      reason: "password_change",
+    });
 
     res.status(200).json({
       success: true,
@@ -340,20 +372,12 @@ exports.forgotPassword = async (req, res) => {
       "host"
     )}/api/auth/reset-password/${resetToken}`;
 
-    const message = `
-      <h2>Password Reset Request</h2>
-      <p>You requested a password reset. Click the link below to reset your password:</p>
-      <a href="${resetURL}" style="display: inline-block; padding: 10px 20px; background-color: #007bff; color: white; text-decoration: none; border-radius: 5px;">Reset Password</a>
-      <p>This link will expire in 10 minutes.</p>
-      <p>If you didn't request this, please ignore this email.</p>
-    `;
-
     try {
-      await transporter.sendMail({
-        from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      await emailService.queueEmail({
         to: user.email,
         subject: "Password Reset Request",
-        html: message,
+        template: "forgot_mail",
+        data: { user, resetURL },
       });
 
       res.status(200).json({
@@ -417,8 +441,11 @@ exports.resetPassword = async (req, res) => {
     user.resetPasswordToken = undefined;
     user.resetPasswordExpires = undefined;
     await user.save();
+    await sessionService.revokeAllSessions(user._id, {
+      reason: "password_change",
+    });
 
-    sendTokenResponse(user, 200, res, "Password reset successful");
+    await sendTokenResponse(req, user, 200, res, "Password reset successful");
   } catch (error) {
     console.error("Reset password error:", error);
 
@@ -443,15 +470,43 @@ exports.resetPassword = async (req, res) => {
 // @access  Private
 exports.sendEmailVerification = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
-
-    if (user.isEmailVerified) {
+    if (req.user.isEmailVerified) {
       return res.status(400).json({
         success: false,
         message: "Email is already verified",
       });
     }
 
+    // Claim the send, so requests at the same time send one email
+    const now = new Date();
+    const user = await User.findOneAndUpdate(
+      {
+        _id: req.user._id,
+        isEmailVerified: false,
+        $or: [
+          { emailVerificationSentAt: null },
+          {
+            emailVerificationSentAt: {
+              $lte: new Date(now.getTime() - VERIFICATION_RESEND_INTERVAL),
+            },
+          },
+        ],
+      },
+      { emailVerificationSentAt: now },
+      { new: true }
+    );
+
+    if (!user) {
+      const sentAt = req.user.emailVerificationSentAt || now;
+      const remaining = sentAt.getTime() + VERIFICATION_RESEND_INTERVAL - now;
+      const wait = Math.max(Math.ceil(remaining / 1000), 1);
+      res.set("Retry-After", String(wait));
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${wait} seconds before requesting another verification email`,
+      });
+    }
+
     await sendVerificationEmail(user);
 
     res.status(200).json({
@@ -474,32 +529,225 @@ exports.verifyEmail = async (req, res) => {
   try {
     const { token } = req.params;
 
-    // In a real app, you'd want to use a proper email verification token
-    // For simplicity, using JWT here
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    const user = await User.findById(decoded.userId);
+    // Tokens are single use: the one that verifies the email is cleared
+    const user = await User.findOneAndUpdate(
+      {
+        emailVerificationToken: User.hashToken(token),
+        emailVerificationExpires: { $gt: Date.now() },
+      },
+      {
+        isEmailVerified: true,
+        $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 },
+      }
+    );
 
     if (!user) {
       return res.status(400).json({
         success: false,
-        message: "Invalid verification token",
+        message: "Invalid or expired verification token",
       });
     }
 
-    user.isEmailVerified = true;
-    await user.save({ validateBeforeSave: false });
-
     res.status(200).json({
       success: true,
       message: "Email verified successfully",
     });
   } catch (error) {
     console.error("Email verification error:", error);
-    res.status(400).json({
+    res.status(500).json({
       success: false,
-      message: "Invalid or expired verification token",
+      message: "Server error during email verification",
+    });
+  }
+};
+
+// @desc    Send a verification code to the profile phone over WhatsApp
+// @route   POST /api/auth/send-phone-verification
+// @access  Private
+exports.sendPhoneVerification = async (req, res) => {
+  try {
+    if (!req.user.phone) {
+      return res.status(400).json({
+        success: false,
+        message: "Add a phone number to your profile first",
+      });
+    }
+    if (req.user.phoneVerifiedAt) {
+      return res.status(400).json({
+        success: false,
+        message: "Phone number is already verified",
+      });
+    }
+
+    // Claim the send, so requests at the same time send one code
+    const now = new Date();
+    const user = await User.findOneAndUpdate(
+      {
+        _id: req.user._id,
+        $or: [
+          { phoneVerificationSentAt: null },
+          {
+            phoneVerificationSentAt: {
+              $lte: new Date(now.getTime() - VERIFICATION_RESEND_INTERVAL),
+            },
+          },
+        ],
+      },
+      { phoneVerificationSentAt: now },
+      { new: true }
+    );
+
+    if (!user) {
+      const sentAt = req.user.phoneVerificationSentAt || now;
+      const remaining = sentAt.getTime() + VERIFICATION_RESEND_INTERVAL - now;
+      const wait = Math.max(Math.ceil(remaining / 1000), 1);
+      res.set("Retry-After", String(wait));
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${wait} seconds before requesting another code`,
+      });
+    }
+
+    const code = user.createPhoneVerificationCode();
+    await user.save({ validateBeforeSave: false });
+
+    await whatsappService.sendWhatsAppMessage(
+      user.phone,
+      `Your verification code is ${code}. It expires in 10 minutes.`,
+      { userId: user._id, kind: "verification" }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Verification code sent",
     });
+  } catch (error) {
+    console.error("Send phone verification error:", error);
+    sendError(res, error, "Server error");
+  }
+};
+
+// @desc    Verify the profile phone with the code sent to it
+// @route   POST /api/auth/verify-phone
+// @access  Private
+exports.verifyPhone = async (req, res) => {
+  try {
+    // Codes are single use, and stop working after too many wrong guesses
+    const active = {
+      _id: req.user._id,
+      phoneVerificationExpires: { $gt: Date.now() },
+      phoneVerificationAttempts: { $lt: MAX_PHONE_CODE_ATTEMPTS },
+    };
+    const user = await User.findOneAndUpdate(
+      { ...active, phoneVerificationCode: User.hashToken(req.body.code) },
+      {
+        phoneVerifiedAt: new Date(),
+        $unset: { phoneVerificationCode: 1, phoneVerificationExpires: 1 },
+      }
+    );
+
+    if (!user) {
+      await User.updateOne(active, { $inc: { phoneVerificationAttempts: 1 } });
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired verification code",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Phone number verified successfully",
+    });
+  } catch (error) {
+    console.error("Phone verification error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error during phone verification",
+    });
+  }
+};
+
+// @desc    Exchange a refresh token for new tokens
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refreshToken = async (req, res) => {
+  try {
+    const { session, accessToken, refreshToken } =
+      await sessionService.refreshSession(req.body.refreshToken, {
+        userAgent: req.get("user-agent"),
+        ip: req.ip,
+      });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        token: accessToken,
+        refreshToken,
+        expiresIn: sessionService.ACCESS_TOKEN_TTL,
+        sessionId: session._id,
+      },
+    });
+  } catch (error) {
+    console.error("Refresh token error:", error);
+    sendError(res, error, "Server error during token refresh");
+  }
+};
+
+// @desc    List the current user's signed-in devices
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map((session) => ({
+        ...session.toObject(),
+        current: session._id.equals(req.sessionId),
+      })),
+    });
+  } catch (error) {
+    console.error("Fetch sessions error:", error);
+    sendError(res, error, "Error fetching sessions");
+  }
+};
+
+// @desc    Sign one of the current user's devices out
+// @route   DELETE /api/auth/sessions/:sessionId
+// @access  Private
+exports.revokeSession = async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.user._id, req.params.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: "Session revoked",
+    });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    sendError(res, error, "Error revoking session");
+  }
+};
+
+// @desc    Sign the current user out of every other device
+// @route   DELETE /api/auth/sessions
+// @access  Private
+exports.revokeAllSessions = async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAllSessions(req.user._id, {
+      except: req.sessionId,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${revoked} session(s) revoked`,
+      data: { revoked },
+    });
+  } catch (error) {
+    console.error("Revoke sessions error:", error);
+    sendError(res, error, "Error revoking sessions");
   }
 };
 
@@ -508,6 +756,10 @@ exports.verifyEmail = async (req, res) => {
 // @access  Private
 exports.logout = async (req, res) => {
   try {
+    if (req.sessionId) {
+      await sessionService.revokeSession(req.user._id, req.sessionId, "logout");
+    }
+
     res.cookie("token", "none", {
       expires: new Date(Date.now() + 10 * 1000),
       httpOnly: true,
@@ -535,6 +787,9 @@ exports.deactivateAccount = async (req, res) => {
 
     user.isActive = false;
     await user.save({ validateBeforeSave: false });
+    await sessionService.revokeAllSessions(user._id, {
+      reason: "deactivated",
+    });
 
     res.cookie("token", "none", {
       expires: new Date(Date.now() + 10 * 1000),
@@ -554,22 +809,38 @@ exports.deactivateAccount = async (req, res) => {
   }
 };
 
+// Helper to sign the user in on the requesting device and answer with a
+// short-lived access token and the session's refresh token
+const sendTokenResponse = async (req, user, statusCode, res, message) => {
+  const { session, accessToken, refreshToken } =
+    await sessionService.createSession(user, {
+      userAgent: req.get("user-agent"),
+      ip: req.ip,
+    });
+
+  res.status(statusCode).json({
+    success: true,
+    message,
+    data: {
+      token: accessToken,
+      refreshToken,
+      expiresIn: sessionService.ACCESS_TOKEN_TTL,
+      sessionId: session._id,
+      user,
+    },
+  });
+};
+
 // Helper function to send verification email
 const sendVerificationEmail = async (user) => {
-  const verificationToken = generateToken(user._id);
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
   const verificationURL = `${process.env.CLIENT_URL}/verify-email/${verificationToken}`;
 
-  const message = `
-    <h2>Email Verification</h2>
-    <p>Please click the link below to verify your email address:</p>
-    <a href="${verificationURL}" style="display: inline-block; padding: 10px 20px; background-color: #28a745; color: white; text-decoration: none; border-radius: 5px;">Verify Email</a>
-    <p>If you didn't create this account, please ignore this email.</p>
-  `;
-
-  await transporter.sendMail({
-    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+  await emailService.queueEmail({
     to: user.email,
     subject: "Verify Your Email Address",
-    html: message,
+    template: "activation_mail",
+    data: { user, verificationURL },
   });
 };
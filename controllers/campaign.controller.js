@@ -0,0 +1,122 @@
+const campaignService = require("../services/campaign.service");
+const sendError = require("../utils/sendError");
+
+// Fields of a campaign an organizer sets
+const CAMPAIGN_FIELDS = [
+  "name",
+  "message",
+  "segment",
+  "milestone",
+  "offsetMinutes",
+  "task",
+  "sendAt",
+];
+
+const pickCampaignFields = (body) =>
+  Object.fromEntries(
+    CAMPAIGN_FIELDS.filter((field) => body[field] !== undefined).map(
+      (field) => [field, body[field]]
+    )
+  );
+
+// @desc    Schedule a WhatsApp campaign for the hackathon's registrants
+// @route   POST /api/hackathons/:id/campaigns
+// @access  Private (organizers of the hackathon)
+exports.createCampaign = async (req, res) => {
+  try {
+    const campaign = await campaignService.createCampaign(
+      req.hackathon,
+      req.user,
+      pickCampaignFields(req.body)
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Campaign scheduled",
+      data: campaign,
+    });
+  } catch (error) {
+    sendError(res, error, "Error scheduling campaign", { includeError: true });
+  }
+};
+
+// @desc    List the hackathon's campaigns, latest send time first
+// @route   GET /api/hackathons/:id/campaigns
+// @access  Private (organizers of the hackathon)
+exports.getCampaigns = async (req, res) => {
+  try {
+    const campaigns = await campaignService.listCampaigns(req.hackathon);
+
+    res.status(200).json({
+      success: true,
+      count: campaigns.length,
+      data: campaigns,
+    });
+  } catch (error) {
+    sendError(res, error, "Error fetching campaigns", { includeError: true });
+  }
+};
+
+// @desc    Change a campaign that has not been sent yet
+// @route   PATCH /api/hackathons/:id/campaigns/:campaignId
+// @access  Private (organizers of the hackathon)
+exports.updateCampaign = async (req, res) => {
+  try {
+    const campaign = await campaignService.updateCampaign(
+      req.hackathon,
+      req.params.campaignId,
+      pickCampaignFields(req.body)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Campaign updated",
+      data: campaign,
+    });
+  } catch (error) {
+    sendError(res, error, "Error updating campaign", { includeError: true });
+  }
+};
+
+// @desc    Cancel a campaign that has not been sent yet
+// @route   POST /api/hackathons/:id/campaigns/:campaignId/cancel
+// @access  Private (organizers of the hackathon)
+exports.cancelCampaign = async (req, res) => {
+  try {
+    const campaign = await campaignService.cancelCampaign(
+      req.hackathon,
+      req.params.campaignId
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Campaign cancelled",
+      data: campaign,
+    });
+  } catch (error) {
+    sendError(res, error, "Error cancelling campaign", { includeError: true });
+  }
+};
+
+// @desc    Delivery status of a campaign per recipient
+// @route   GET /api/hackathons/:id/campaigns/:campaignId/recipients?status=
+// @access  Private (organizers of the hackathon)
+exports.getCampaignRecipients = async (req, res) => {
+  try {
+    const recipients = await campaignService.listRecipients(
+      req.hackathon,
+      req.params.campaignId,
+      { status: req.query.status }
+    );
+
+    res.status(200).json({
+      success: true,
+      count: recipients.length,
+      data: recipients,
+    });
+  } catch (error) {
+    sendError(res, error, "Error fetching campaign recipients", {
+      includeError: true,
+    });
+  }
+};
@@ -0,0 +1,169 @@
+const chatService = require("../services/chat.service");
+const sendError = require("../utils/sendError");
+
+// @desc    Page through the team chat, newest first
+// @route   GET /api/teams/:id/messages?before=&limit=
+// @access  Private (team member)
+exports.getMessages = async (req, res) => {
+  try {
+    const { before, limit } = req.query;
+
+    const page = await chatService.listMessages(req.team, { before, limit });
+
+    res.status(200).json({
+      success: true,
+      data: page.messages,
+      nextCursor: page.nextCursor,
+    });
+  } catch (error) {
+    console.error("Fetch messages error:", error);
+    sendError(res, error, "Failed to fetch messages");
+  }
+};
+
+// @desc    Page through the replies of a message, newest first
+// @route   GET /api/teams/:id/messages/:messageId/replies?before=&limit=
+// @access  Private (team member)
+exports.getReplies = async (req, res) => {
+  try {
+    const { before, limit } = req.query;
+
+    const page = await chatService.listMessages(req.team, {
+      before,
+      limit,
+      replyTo: req.params.messageId,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: page.messages,
+      nextCursor: page.nextCursor,
+    });
+  } catch (error) {
+    console.error("Fetch replies error:", error);
+    sendError(res, error, "Failed to fetch replies");
+  }
+};
+
+// @desc    Post a message, optionally with an attachment or as a reply
+// @route   POST /api/teams/:id/messages
+// @access  Private (team member)
+exports.sendMessage = async (req, res) => {
+  try {
+    const { content, attachmentId, replyTo } = req.body;
+
+    const message = await chatService.sendMessage(req.team, req.user, {
+      content,
+      attachmentId,
+      replyTo,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: message,
+    });
+  } catch (error) {
+    console.error("Send message error:", error);
+    sendError(res, error, "Failed to send message");
+  }
+};
+
+// @desc    Edit a message
+// @route   PATCH /api/teams/:id/messages/:messageId
+// @access  Private (message sender)
+exports.editMessage = async (req, res) => {
+  try {
+    const message = await chatService.editMessage(
+      req.team,
+      req.user,
+      req.params.messageId,
+      req.body.content
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Message updated",
+      data: message,
+    });
+  } catch (error) {
+    console.error("Edit message error:", error);
+    sendError(res, error, "Failed to edit message");
+  }
+};
+
+// @desc    Delete a message
+// @route   DELETE /api/teams/:id/messages/:messageId
+// @access  Private (message sender)
+exports.deleteMessage = async (req, res) => {
+  try {
+    await chatService.deleteMessage(req.team, req.user, req.params.messageId);
+
+    res.status(200).json({
+      success: true,
+      message: "Message deleted",
+    });
+  } catch (error) {
+    console.error("Delete message error:", error);
+    sendError(res, error, "Failed to delete message");
+  }
+};
+
+// @desc    Add or remove an emoji reaction
+// @route   POST /api/teams/:id/messages/:messageId/reactions
+// @access  Private (team member)
+exports.toggleReaction = async (req, res) => {
+  try {
+    const message = await chatService.toggleReaction(
+      req.team,
+      req.user,
+      req.params.messageId,
+      req.body.emoji
+    );
+
+    res.status(200).json({
+      success: true,
+      data: message.reactions,
+    });
+  } catch (error) {
+    console.error("Reaction error:", error);
+    sendError(res, error, "Failed to update reaction");
+  }
+};
+
+// @desc    Mark the team chat as read up to a message
+// @route   POST /api/teams/:id/chat/read
+// @access  Private (team member)
+exports.markRead = async (req, res) => {
+  try {
+    const result = await chatService.markRead(
+      req.team,
+      req.user,
+      req.body.messageId
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Mark read error:", error);
+    sendError(res, error, "Failed to mark messages as read");
+  }
+};
+
+// @desc    Presence and read receipts of the team, with the unread count
+// @route   GET /api/teams/:id/chat/status
+// @access  Private (team member)
+exports.getChatStatus = async (req, res) => {
+  try {
+    const status = await chatService.chatStatus(req.team, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: status,
+    });
+  } catch (error) {
+    console.error("Chat status error:", error);
+    sendError(res, error, "Failed to fetch chat status");
+  }
+};
@@ -0,0 +1,41 @@
+const { getSandbox } = require("../utils/messaging");
+
+// @desc    List the messages the sandbox provider kept, newest first
+// @route   GET /api/dev/inbox?channel=&to=
+// @access  Private (superadmin; development only)
+exports.getInbox = async (req, res) => {
+  try {
+    const { channel, to } = req.query;
+    const messages = getSandbox().list({ channel, to });
+
+    res.status(200).json({
+      success: true,
+      count: messages.length,
+      data: messages,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching sandbox inbox",
+    });
+  }
+};
+
+// @desc    Empty the sandbox inbox
+// @route   DELETE /api/dev/inbox
+// @access  Private (superadmin; development only)
+exports.clearInbox = async (req, res) => {
+  try {
+    await getSandbox().clear();
+
+    res.status(200).json({
+      success: true,
+      message: "Sandbox inbox cleared",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error clearing sandbox inbox",
+    });
+  }
+};
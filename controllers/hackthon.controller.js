@@ -1,8 +1,32 @@
-import Hackathon from "../models/Hackathon.js";
-import { validationResult } from "express-validator";
+const Hackathon = require("../models/hackthon.model");
+const Score = require("../models/score.model");
+const Registration = require("../models/registration.model");
+const scoringService = require("../services/scoring.service");
+const leaderboardService = require("../services/leaderboard.service");
+const judgeAssignmentService = require("../services/judgeAssignment.service");
+const announcementService = require("../services/announcement.service");
+const campaignService = require("../services/campaign.service");
+const sendError = require("../utils/sendError");
+const { validationResult } = require("express-validator");
+
+// Fields managed through the admin staff routes, never through the body
+const PROTECTED_FIELDS = [
+  "createdBy",
+  "organizers",
+  "judges",
+  "winners",
+  "judgeConflicts",
+];
+
+// Helper to drop protected fields from a request body
+const pickEditableFields = (body) => {
+  const updates = { ...body };
+  PROTECTED_FIELDS.forEach((field) => delete updates[field]);
+  return updates;
+};
 
 // Create a new hackathon
-export const createHackathon = async (req, res) => {
+exports.createHackathon = async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -13,7 +37,12 @@ export const createHackathon = async (req, res) => {
       });
     }
 
-    const hackathon = new Hackathon(req.body);
+    // The creator becomes the first organizer of the hackathon
+    const hackathon = new Hackathon({
+      ...pickEditableFields(req.body),
+      createdBy: req.user._id,
+      organizers: [req.user._id],
+    });
     const savedHackathon = await hackathon.save();
 
     res.status(201).json({
@@ -22,6 +51,15 @@ export const createHackathon = async (req, res) => {
       data: savedHackathon,
     });
   } catch (error) {
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: messages,
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: "Error creating hackathon",
@@ -31,7 +69,7 @@ export const createHackathon = async (req, res) => {
 };
 
 // Get all hackathons with filtering, sorting, and pagination
-export const getAllHackathons = async (req, res) => {
+exports.getAllHackathons = async (req, res) => {
   try {
     const {
       page = 1,
@@ -88,7 +126,7 @@ export const getAllHackathons = async (req, res) => {
 };
 
 // Get hackathon by ID
-export const getHackathonById = async (req, res) => {
+exports.getHackathonById = async (req, res) => {
   try {
     const { id } = req.params;
     const hackathon = await Hackathon.findById(id);
@@ -113,8 +151,56 @@ export const getHackathonById = async (req, res) => {
   }
 };
 
+// Register the current user for a hackathon
+exports.registerForHackathon = async (req, res) => {
+  try {
+    const hackathon = await Hackathon.findById(req.params.id);
+
+    if (!hackathon) {
+      return res.status(404).json({
+        success: false,
+        message: "Hackathon not found",
+      });
+    }
+
+    if (!hackathon.isActive || new Date() > hackathon.registrationDeadline) {
+      return res.status(400).json({
+        success: false,
+        message: "Registration is not open",
+      });
+    }
+
+    const { skills, experience, preferredTeammates } =
+      req.body.preferences || {};
+    const registration = await Registration.create({
+      userId: req.user._id,
+      hackathonId: hackathon._id,
+      preferences: { skills, experience, preferredTeammates },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Registration successful",
+      data: registration,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "Already registered for this hackathon",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error registering for hackathon",
+      error: error.message,
+    });
+  }
+};
+
 // Update hackathon by ID
-export const updateHackathon = async (req, res) => {
+exports.updateHackathon = async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -125,25 +211,39 @@ export const updateHackathon = async (req, res) => {
       });
     }
 
-    const { id } = req.params;
-    const updatedHackathon = await Hackathon.findByIdAndUpdate(id, req.body, {
-      new: true,
-      runValidators: true,
-    });
-
-    if (!updatedHackathon) {
-      return res.status(404).json({
+    // Existing scores were computed against the current rubric
+    if (
+      req.body.rubric &&
+      (await Score.exists({ hackathonId: req.hackathon._id }))
+    ) {
+      return res.status(400).json({
         success: false,
-        message: "Hackathon not found",
+        message: "The rubric cannot change once scoring has started",
       });
     }
 
+    // Save through the document so date ordering is checked against the
+    // stored values for fields the request leaves out
+    const hackathon = req.hackathon;
+    hackathon.set(pickEditableFields(req.body));
+    const updatedHackathon = await hackathon.save();
+    await campaignService.rescheduleCampaigns(updatedHackathon);
+
     res.status(200).json({
       success: true,
       message: "Hackathon updated successfully",
       data: updatedHackathon,
     });
   } catch (error) {
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: messages,
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: "Error updating hackathon",
@@ -153,7 +253,7 @@ export const updateHackathon = async (req, res) => {
 };
 
 // Delete hackathon by ID
-export const deleteHackathon = async (req, res) => {
+exports.deleteHackathon = async (req, res) => {
   try {
     const { id } = req.params;
     const deletedHackathon = await Hackathon.findByIdAndDelete(id);
@@ -179,7 +279,7 @@ export const deleteHackathon = async (req, res) => {
 };
 
 // Get active hackathons
-export const getActiveHackathons = async (req, res) => {
+exports.getActiveHackathons = async (req, res) => {
   try {
     const hackathons = await Hackathon.find({
       isActive: true,
@@ -200,7 +300,7 @@ export const getActiveHackathons = async (req, res) => {
 };
 
 // Get upcoming hackathons
-export const getUpcomingHackathons = async (req, res) => {
+exports.getUpcomingHackathons = async (req, res) => {
   try {
     const currentDate = new Date();
     const hackathons = await Hackathon.find({
@@ -223,7 +323,7 @@ export const getUpcomingHackathons = async (req, res) => {
 };
 
 // Get ongoing hackathons
-export const getOngoingHackathons = async (req, res) => {
+exports.getOngoingHackathons = async (req, res) => {
   try {
     const currentDate = new Date();
     const hackathons = await Hackathon.find({
@@ -247,7 +347,7 @@ export const getOngoingHackathons = async (req, res) => {
 };
 
 // Get hackathons by tags
-export const getHackathonsByTags = async (req, res) => {
+exports.getHackathonsByTags = async (req, res) => {
   try {
     const { tags } = req.query;
 
@@ -278,7 +378,7 @@ export const getHackathonsByTags = async (req, res) => {
 };
 
 // Update hackathon status
-export const updateHackathonStatus = async (req, res) => {
+exports.updateHackathonStatus = async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
@@ -327,7 +427,7 @@ export const updateHackathonStatus = async (req, res) => {
 };
 
 // Search hackathons
-export const searchHackathons = async (req, res) => {
+exports.searchHackathons = async (req, res) => {
   try {
     const { query, page = 1, limit = 10 } = req.query;
 
@@ -377,7 +477,7 @@ export const searchHackathons = async (req, res) => {
 };
 
 // Get hackathon statistics
-export const getHackathonStats = async (req, res) => {
+exports.getHackathonStats = async (req, res) => {
   try {
     const stats = await Hackathon.aggregate([
       {
@@ -424,3 +524,162 @@ export const getHackathonStats = async (req, res) => {
     });
   }
 };
+
+// Get the leaderboard, overall and per task type. While the board is
+// frozen only organizers and judges see live standings
+exports.getLeaderboard = async (req, res) => {
+  try {
+    const hackathon = await Hackathon.findById(req.params.id);
+    if (!hackathon) {
+      return res.status(404).json({
+        success: false,
+        message: "Hackathon not found",
+      });
+    }
+
+    const leaderboard = await leaderboardService.getLeaderboard(
+      hackathon,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      data: leaderboard,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error computing leaderboard",
+      error: error.message,
+    });
+  }
+};
+
+// Declare a judge conflict of interest with a team. Judges declare their
+// own conflicts; organizers may declare one for any judge
+exports.declareJudgeConflict = async (req, res) => {
+  try {
+    const { teamId, judgeId, reason } = req.body;
+    const hackathon = req.hackathon;
+    const isOrganizer =
+      req.user.role === "superadmin" || hackathon.isOrganizer(req.user._id);
+
+    if (judgeId && judgeId !== req.user._id.toString() && !isOrganizer) {
+      return res.status(403).json({
+        success: false,
+        message: "Judges can only declare their own conflicts",
+      });
+    }
+
+    const conflicts = await leaderboardService.withLeaderboardUpdate(
+      hackathon,
+      () =>
+        scoringService.declareConflict(hackathon, req.user, {
+          judgeId: judgeId || req.user._id,
+          teamId,
+          reason,
+        })
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Conflict of interest recorded",
+      data: conflicts,
+    });
+  } catch (error) {
+    sendError(res, error, "Error recording conflict", { includeError: true });
+  }
+};
+
+// Get the current judge's review queue with progress
+exports.getMyJudgeQueue = async (req, res) => {
+  try {
+    const queue = await judgeAssignmentService.judgeQueue(
+      req.hackathon,
+      req.user._id
+    );
+
+    res.status(200).json({
+      success: true,
+      data: queue,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching review queue",
+      error: error.message,
+    });
+  }
+};
+
+// Post an announcement to everyone taking part in the hackathon
+exports.createAnnouncement = async (req, res) => {
+  try {
+    const { title, message, pinned } = req.body;
+
+    const announcement = await announcementService.createAnnouncement(
+      req.hackathon,
+      req.user,
+      { title, message, pinned }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Announcement published",
+      data: announcement,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error publishing announcement",
+      error: error.message,
+    });
+  }
+};
+
+// Get the announcement history of the hackathon, newest first
+exports.getAnnouncements = async (req, res) => {
+  try {
+    const { before, limit } = req.query;
+
+    const announcements = await announcementService.listAnnouncements(
+      req.hackathon,
+      { before, limit }
+    );
+
+    res.status(200).json({
+      success: true,
+      count: announcements.length,
+      data: announcements,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching announcements",
+      error: error.message,
+    });
+  }
+};
+
+// Pin or unpin an announcement
+exports.pinAnnouncement = async (req, res) => {
+  try {
+    const announcement = await announcementService.setPinned(
+      req.hackathon,
+      req.params.announcementId,
+      req.body.pinned
+    );
+
+    res.status(200).json({
+      success: true,
+      message: announcement.pinned
+        ? "Announcement pinned"
+        : "Announcement unpinned",
+      data: announcement,
+    });
+  } catch (error) {
+    sendError(res, error, "Error updating announcement", {
+      includeError: true,
+    });
+  }
+};
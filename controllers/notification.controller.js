@@ -0,0 +1,103 @@
+const notificationService = require("../services/notification.service");
+const sendError = require("../utils/sendError");
+
+const CHANNELS = ["inApp", "email", "whatsapp"];
+
+// @desc    Page through the current user's notifications, newest first
+// @route   GET /api/notifications?before=&limit=&unread=
+// @access  Private
+exports.getNotifications = async (req, res) => {
+  try {
+    const { before, limit, unread } = req.query;
+
+    const page = await notificationService.listNotifications(req.user, {
+      before,
+      limit,
+      unread,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: page.notifications,
+      nextCursor: page.nextCursor,
+      unreadCount: page.unreadCount,
+    });
+  } catch (error) {
+    console.error("Fetch notifications error:", error);
+    sendError(res, error, "Failed to fetch notifications");
+  }
+};
+
+// @desc    Mark a notification as read
+// @route   PATCH /api/notifications/:notificationId/read
+// @access  Private
+exports.markNotificationRead = async (req, res) => {
+  try {
+    const { notification, unreadCount } = await notificationService.markRead(
+      req.user,
+      req.params.notificationId
+    );
+
+    res.status(200).json({
+      success: true,
+      data: notification,
+      unreadCount,
+    });
+  } catch (error) {
+    console.error("Mark notification error:", error);
+    sendError(res, error, "Failed to update notification");
+  }
+};
+
+// @desc    Mark all notifications as read
+// @route   POST /api/notifications/read-all
+// @access  Private
+exports.markAllNotificationsRead = async (req, res) => {
+  try {
+    const updated = await notificationService.markAllRead(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: `${updated} notifications marked as read`,
+      unreadCount: 0,
+    });
+  } catch (error) {
+    console.error("Mark all notifications error:", error);
+    sendError(res, error, "Failed to update notifications");
+  }
+};
+
+// @desc    Get the channels notifications reach the current user on
+// @route   GET /api/notifications/preferences
+// @access  Private
+exports.getPreferences = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: req.user.notificationPreferences,
+  });
+};
+
+// @desc    Turn notification channels on or off
+// @route   PATCH /api/notifications/preferences
+// @access  Private
+exports.updatePreferences = async (req, res) => {
+  try {
+    const changes = {};
+    CHANNELS.forEach((channel) => {
+      if (req.body[channel] !== undefined) changes[channel] = req.body[channel];
+    });
+
+    const preferences = await notificationService.updatePreferences(
+      req.user,
+      changes
+    );
+
+    res.status(200).json({
+      success: true,
+      data: preferences,
+    });
+  } catch (error) {
+    console.error("Update notification preferences error:", error);
+    sendError(res, error, "Failed to update preferences");
+  }
+};
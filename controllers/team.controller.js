@@ -0,0 +1,433 @@
+const teamService = require("../services/team.service");
+const recruitmentService = require("../services/recruitment.service");
+const submissionService = require("../services/submission.service");
+const scoringService = require("../services/scoring.service");
+const leaderboardService = require("../services/leaderboard.service");
+const sendError = require("../utils/sendError");
+
+// @desc    Create a team led by the current user
+// @route   POST /api/teams/create
+// @access  Private (hackathon registrant)
+exports.createTeam = async (req, res) => {
+  try {
+    const { name, description, hackathonId } = req.body;
+
+    const team = await teamService.createTeam(req.user, {
+      name,
+      description,
+      hackathonId,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Team created successfully",
+      data: team,
+      inviteCode: team.inviteCode,
+    });
+  } catch (error) {
+    console.error("Team creation error:", error);
+    sendError(res, error, "Team creation failed");
+  }
+};
+
+// @desc    Join a team with its invite code
+// @route   POST /api/teams/join
+// @access  Private (hackathon registrant)
+exports.joinTeam = async (req, res) => {
+  try {
+    const team = await teamService.joinWithCode(req.user, req.body.inviteCode);
+
+    res.status(200).json({
+      success: true,
+      message: "Successfully joined team",
+      data: team,
+    });
+  } catch (error) {
+    console.error("Team join error:", error);
+    sendError(res, error, "Failed to join team");
+  }
+};
+
+// @desc    Invite a registrant to the team by user id or email
+// @route   POST /api/teams/:id/invitations
+// @access  Private (team leader)
+exports.inviteMember = async (req, res) => {
+  try {
+    const { userId, email, role } = req.body;
+
+    const invitation = await teamService.inviteUser(req.team, req.user, {
+      userId,
+      email,
+      role,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Invitation sent",
+      data: invitation,
+    });
+  } catch (error) {
+    console.error("Team invitation error:", error);
+    sendError(res, error, "Failed to send invitation");
+  }
+};
+
+// @desc    List pending invitations of the current user
+// @route   GET /api/teams/invitations
+// @access  Private
+exports.getMyInvitations = async (req, res) => {
+  try {
+    const invitations = await teamService.listInvitations(req.user);
+
+    res.status(200).json({
+      success: true,
+      data: invitations,
+    });
+  } catch (error) {
+    console.error("Fetch invitations error:", error);
+    sendError(res, error, "Failed to fetch invitations");
+  }
+};
+
+// Accept and decline only differ in the answer they give
+const respondToInvitation = (accept) => async (req, res) => {
+  try {
+    const invitation = await teamService.respondToInvitation(
+      req.user,
+      req.params.invitationId,
+      accept
+    );
+
+    res.status(200).json({
+      success: true,
+      message: accept ? "Invitation accepted" : "Invitation declined",
+      data: invitation,
+    });
+  } catch (error) {
+    console.error("Invitation response error:", error);
+    sendError(res, error, "Failed to answer invitation");
+  }
+};
+
+// @desc    Accept a pending invitation
+// @route   POST /api/teams/invitations/:invitationId/accept
+// @access  Private (invitee)
+exports.acceptInvitation = respondToInvitation(true);
+
+// @desc    Decline a pending invitation
+// @route   POST /api/teams/invitations/:invitationId/decline
+// @access  Private (invitee)
+exports.declineInvitation = respondToInvitation(false);
+
+// @desc    Leave the team
+// @route   POST /api/teams/:id/leave
+// @access  Private (team member)
+exports.leaveTeam = async (req, res) => {
+  try {
+    const { disbanded } = await teamService.leaveTeam(req.team, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: disbanded
+        ? "You were the last member, so the team has been disbanded"
+        : "You have left the team",
+    });
+  } catch (error) {
+    console.error("Leave team error:", error);
+    sendError(res, error, "Failed to leave team");
+  }
+};
+
+// @desc    Remove a member from the team
+// @route   DELETE /api/teams/:id/members/:userId
+// @access  Private (team leader)
+exports.removeMember = async (req, res) => {
+  try {
+    await teamService.removeMember(req.team, req.user, req.params.userId);
+
+    res.status(200).json({
+      success: true,
+      message: "Member removed from the team",
+    });
+  } catch (error) {
+    console.error("Remove member error:", error);
+    sendError(res, error, "Failed to remove member");
+  }
+};
+
+// @desc    Hand team leadership to another member
+// @route   POST /api/teams/:id/transfer-leadership
+// @access  Private (team leader)
+exports.transferLeadership = async (req, res) => {
+  try {
+    const team = await teamService.transferLeadership(
+      req.team,
+      req.body.userId
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Leadership transferred",
+      data: team,
+    });
+  } catch (error) {
+    console.error("Transfer leadership error:", error);
+    sendError(res, error, "Failed to transfer leadership");
+  }
+};
+
+// @desc    Disband the team
+// @route   DELETE /api/teams/:id
+// @access  Private (team leader)
+exports.disbandTeam = async (req, res) => {
+  try {
+    await teamService.disbandTeam(req.team);
+
+    res.status(200).json({
+      success: true,
+      message: "Team disbanded",
+    });
+  } catch (error) {
+    console.error("Disband team error:", error);
+    sendError(res, error, "Failed to disband team");
+  }
+};
+
+// @desc    Browse recruiting teams of a hackathon
+// @route   GET /api/teams/recruiting?hackathonId=
+// @access  Private
+exports.getRecruitingTeams = async (req, res) => {
+  try {
+    const teams = await recruitmentService.listRecruitingTeams(
+      req.query.hackathonId,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      data: teams,
+    });
+  } catch (error) {
+    console.error("Fetch recruiting teams error:", error);
+    sendError(res, error, "Failed to fetch recruiting teams");
+  }
+};
+
+// @desc    Update the team's recruitment listing
+// @route   PATCH /api/teams/:id/recruitment
+// @access  Private (team leader)
+exports.updateRecruitment = async (req, res) => {
+  try {
+    const { isRecruiting, requiredSkills } = req.body;
+
+    const team = await recruitmentService.updateListing(req.team, {
+      isRecruiting,
+      requiredSkills,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Recruitment listing updated",
+      data: team,
+    });
+  } catch (error) {
+    console.error("Update recruitment error:", error);
+    sendError(res, error, "Failed to update recruitment listing");
+  }
+};
+
+// @desc    Apply to join a recruiting team
+// @route   POST /api/teams/:id/applications
+// @access  Private (hackathon registrant without a team)
+exports.applyToTeam = async (req, res) => {
+  try {
+    const application = await recruitmentService.applyToTeam(
+      req.team,
+      req.user,
+      req.body.message
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Application sent",
+      data: application,
+    });
+  } catch (error) {
+    console.error("Team application error:", error);
+    sendError(res, error, "Failed to apply to team");
+  }
+};
+
+// @desc    List pending applications to the team
+// @route   GET /api/teams/:id/applications
+// @access  Private (team leader)
+exports.getApplications = async (req, res) => {
+  try {
+    const applications = await recruitmentService.listApplications(req.team);
+
+    res.status(200).json({
+      success: true,
+      data: applications,
+    });
+  } catch (error) {
+    console.error("Fetch applications error:", error);
+    sendError(res, error, "Failed to fetch applications");
+  }
+};
+
+// @desc    List applications sent by the current user
+// @route   GET /api/teams/applications
+// @access  Private
+exports.getMyApplications = async (req, res) => {
+  try {
+    const applications = await recruitmentService.listMyApplications(req.user);
+
+    res.status(200).json({
+      success: true,
+      data: applications,
+    });
+  } catch (error) {
+    console.error("Fetch applications error:", error);
+    sendError(res, error, "Failed to fetch applications");
+  }
+};
+
+// Accept and reject only differ in the decision they make
+const reviewApplication = (accept) => async (req, res) => {
+  try {
+    const application = await recruitmentService.reviewApplication(
+      req.team,
+      req.user,
+      req.params.applicationId,
+      accept
+    );
+
+    res.status(200).json({
+      success: true,
+      message: accept ? "Application accepted" : "Application rejected",
+      data: application,
+    });
+  } catch (error) {
+    console.error("Application review error:", error);
+    sendError(res, error, "Failed to review application");
+  }
+};
+
+// @desc    Accept an application to the team
+// @route   POST /api/teams/:id/applications/:applicationId/accept
+// @access  Private (team leader)
+exports.acceptApplication = reviewApplication(true);
+
+// @desc    Reject an application to the team
+// @route   POST /api/teams/:id/applications/:applicationId/reject
+// @access  Private (team leader)
+exports.rejectApplication = reviewApplication(false);
+
+// Drafts and final versions share one handler; `isFinal` tells from the
+// request which one to save
+const saveSubmission = (isFinal) => async (req, res) => {
+  try {
+    const { task, githubUrl, description } = req.body;
+
+    const submission = await submissionService.saveSubmission(
+      req.team,
+      req.user,
+      { task, githubUrl, description, final: isFinal(req) }
+    );
+
+    res.status(201).json({
+      success: true,
+      message:
+        submission.status === "draft"
+          ? "Draft saved"
+          : submission.status === "late_submission"
+          ? "Submission received after the deadline and marked late"
+          : "Submission successful",
+      data: submission,
+    });
+  } catch (error) {
+    console.error("Submission error:", error);
+    sendError(res, error, "Submission failed");
+  }
+};
+
+// @desc    Save a draft or final version of a task submission
+// @route   POST /api/teams/:id/submissions
+// @access  Private (team member; final versions by the leader)
+exports.createSubmission = saveSubmission((req) => req.body.final === true);
+
+// @desc    Submit a task the way existing clients expect: a final version
+//          from the leader, a draft from other members
+// @route   POST /api/teams/:id/submit
+// @access  Private (team member)
+exports.submitProject = saveSubmission((req) =>
+  req.team.leaderId.equals(req.user._id)
+);
+
+// @desc    List task submissions with version history and deadlines
+// @route   GET /api/teams/:id/submissions
+// @access  Private (team member)
+exports.getSubmissions = async (req, res) => {
+  try {
+    const submissions = await submissionService.listSubmissions(req.team);
+
+    res.status(200).json({
+      success: true,
+      data: submissions,
+    });
+  } catch (error) {
+    console.error("Fetch submissions error:", error);
+    sendError(res, error, "Failed to fetch submissions");
+  }
+};
+
+// @desc    Score a submission against the hackathon rubric
+// @route   PUT /api/teams/:id/submissions/:submissionId/score
+// @access  Private (hackathon judge)
+exports.scoreSubmission = async (req, res) => {
+  try {
+    const { criteria, comment } = req.body;
+
+    const score = await leaderboardService.withLeaderboardUpdate(
+      req.hackathon,
+      () =>
+        scoringService.scoreSubmission(
+          req.hackathon,
+          req.team,
+          req.user,
+          req.params.submissionId,
+          { criteria, comment }
+        )
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Score saved",
+      data: score,
+    });
+  } catch (error) {
+    console.error("Scoring error:", error);
+    sendError(res, error, "Scoring failed");
+  }
+};
+
+// @desc    List scores given to a submission
+// @route   GET /api/teams/:id/submissions/:submissionId/scores
+// @access  Private (hackathon organizer, or judge for their own scores)
+exports.getSubmissionScores = async (req, res) => {
+  try {
+    const scores = await scoringService.listScores(
+      req.hackathon,
+      req.params.submissionId,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      data: scores,
+    });
+  } catch (error) {
+    console.error("Fetch scores error:", error);
+    sendError(res, error, "Failed to fetch scores");
+  }
+};
@@ -1,4 +1,12 @@
+const twilio = require("twilio");
 const whatsappService = require("../services/whatsapp.service");
+const whatsappBotService = require("../services/whatsappBot.service");
+const messageLogService = require("../services/messageLog.service");
+const AppError = require("../utils/appError");
+
+// Twilio reports the delivery of bot replies here, with the log entry the
+// reply was recorded under
+const STATUS_PATH = "/api/whatsapp/status";
 
 const sendMessage = async (req, res) => {
   try {
@@ -11,25 +19,67 @@ const sendMessage = async (req, res) => {
     const result = await whatsappService.sendWhatsAppMessage(to, message);
     res.status(200).json(result);
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error("Error sending WhatsApp message:", error);
     res.status(500).json({ error: "Failed to send message" });
   }
 };
 
-const receiveMessage = (req, res) => {
-  // This is for handling incoming messages (webhook)
-  const incomingMsg = req.body.Body;
-  const sender = req.body.From;
+// @desc    Answer a participant's WhatsApp message with the bot's reply
+// @route   POST /api/whatsapp/webhook
+// @access  Twilio (signed webhook)
+const receiveMessage = async (req, res) => {
+  const twiml = new twilio.twiml.MessagingResponse();
+
+  try {
+    // A retry of a message already logged was handled the first time
+    const inbound = await messageLogService.recordInbound(req.body);
+    if (!inbound) {
+      return res.type("text/xml").status(200).send(twiml.toString());
+    }
+
+    const { reply, user } = await whatsappBotService.handleMessage(
+      req.body.From,
+      req.body.Body
+    );
+    await messageLogService.linkInboundUser(inbound, user);
+    const log = await messageLogService.recordOutbound({
+      from: req.body.To,
+      to: req.body.From,
+      body: reply,
+      userId: user ? user._id : undefined,
+      kind: "bot",
+    });
+    twiml.message({ action: `${STATUS_PATH}?logId=${log._id}` }, reply);
+  } catch (error) {
+    console.error("WhatsApp bot error:", error);
+    twiml.message("Sorry, something went wrong. Please try again later.");
+  }
 
-  console.log(`Received message from ${sender}: ${incomingMsg}`);
+  res.type("text/xml").status(200).send(twiml.toString());
+};
 
-  // Here you can add logic to process incoming messages
-  // and potentially send automated replies
+// @desc    Record a delivery status Twilio reports for a message we sent
+// @route   POST /api/whatsapp/status?logId=
+// @access  Twilio (signed webhook)
+const receiveStatus = async (req, res) => {
+  try {
+    await messageLogService.recordStatus({
+      ...req.body,
+      logId: req.query.logId,
+    });
 
-  res.status(200).send();
+    res.status(204).send();
+  } catch (error) {
+    console.error("WhatsApp status callback error:", error);
+    res.status(500).json({ error: "Failed to record status" });
+  }
 };
 
 module.exports = {
   sendMessage,
   receiveMessage,
+  receiveStatus,
 };
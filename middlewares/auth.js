@@ -1,5 +1,21 @@
-﻿const jwt = require("jsonwebtoken");
-const User = require("../models/user.model");
+﻿const User = require("../models/user.model");
+const Hackathon = require("../models/hackthon.model");
+const sessionService = require("../services/session.service");
+
+// Active user a JWT was issued to, or null for an invalid token or a
+// signed-out session. Used by optionalAuth and the realtime gateway, which
+// accept the same tokens as protect
+exports.userFromToken = async (token) => {
+  try {
+    const decoded = await sessionService.verifyAccessToken(token);
+    if (!decoded) return null;
+    const user = await User.findById(decoded.userId);
+
+    return user && user.isActive ? user : null;
+  } catch (error) {
+    return null;
+  }
+};
 
 // Protect routes - verify JWT token
 exports.protect = async (req, res, next) => {
@@ -14,7 +30,7 @@ exports.protect = async (req, res, next) => {
       token = req.headers.authorization.split(" ")[1];
     }
     // Check for token in cookies
-    else if (req.cookies.token) {
+    else if (req.cookies && req.cookies.token) {
       token = req.cookies.token;
     }
 
@@ -27,8 +43,14 @@ exports.protect = async (req, res, next) => {
     }
 
     try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      // Verify token and that its session is still signed in
+      const decoded = await sessionService.verifyAccessToken(token);
+      if (!decoded) {
+        return res.status(401).json({
+          success: false,
+          message: "Not authorized to access this route",
+        });
+      }
 
       // Get user from token
       const user = await User.findById(decoded.userId);
@@ -49,6 +71,7 @@ exports.protect = async (req, res, next) => {
       }
 
       req.user = user;
+      req.sessionId = decoded.sessionId;
       next();
     } catch (error) {
       return res.status(401).json({
@@ -78,6 +101,50 @@ exports.authorize = (...roles) => {
   };
 };
 
+// Grant access to users assigned to the hackathon in the route
+// (roles are "organizer", "judge" and/or "participant" for registrants;
+// superadmins always pass)
+exports.authorizeHackathon = (...roles) => {
+  return async (req, res, next) => {
+    try {
+      const hackathonId =
+        req.hackathonId || req.params.hackathonId || req.params.id;
+      const hackathon = await Hackathon.findById(hackathonId);
+
+      if (!hackathon) {
+        return res.status(404).json({
+          success: false,
+          message: "Hackathon not found",
+        });
+      }
+
+      const isAssigned =
+        (roles.includes("organizer") && hackathon.isOrganizer(req.user._id)) ||
+        (roles.includes("judge") && hackathon.isJudge(req.user._id)) ||
+        (roles.includes("participant") &&
+          (await hackathon.isParticipant(req.user._id)));
+
+      if (req.user.role !== "superadmin" && !isAssigned) {
+        return res.status(403).json({
+          success: false,
+          message: `Only ${roles.join(
+            " or "
+          )} of this hackathon can access this route`,
+        });
+      }
+
+      req.hackathon = hackathon;
+      next();
+    } catch (error) {
+      console.error("Hackathon authorization error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Server error in authorization",
+      });
+    }
+  };
+};
+
 // Check if user is email verified
 exports.requireEmailVerification = (req, res, next) => {
   if (!req.user.isEmailVerified) {
@@ -102,24 +169,15 @@ exports.optionalAuth = async (req, res, next) => {
       token = req.headers.authorization.split(" ")[1];
     }
     // Check for token in cookies
-    else if (req.cookies.token) {
+    else if (req.cookies && req.cookies.token) {
       token = req.cookies.token;
     }
 
     if (token) {
-      try {
-        // Verify token
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-        // Get user from token
-        const user = await User.findById(decoded.userId);
-
-        if (user && user.isActive) {
-          req.user = user;
-        }
-      } catch (error) {
-        // Token is invalid, but we don't fail - just continue without user
-        console.log("Invalid token in optional auth");
+      // An invalid token doesn't fail - just continue without user
+      const user = await exports.userFromToken(token);
+      if (user) {
+        req.user = user;
       }
     }
 
@@ -0,0 +1,68 @@
+const Team = require("../models/team.model");
+const TeamMember = require("../models/teamMember.model");
+const { ACTIVE_MEMBER } = require("../services/team.service");
+
+// Load the team in the route and expose its hackathon to later middleware
+exports.loadTeam = async (req, res, next) => {
+  try {
+    const team = await Team.findById(req.params.teamId || req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: "Team not found",
+      });
+    }
+
+    req.team = team;
+    req.hackathonId = team.hackathonId;
+    next();
+  } catch (error) {
+    console.error("Load team error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+};
+
+// Only the leader of the loaded team may continue
+exports.requireTeamLeader = (req, res, next) => {
+  if (
+    req.user.role !== "superadmin" &&
+    req.team.leaderId.toString() !== req.user._id.toString()
+  ) {
+    return res.status(403).json({
+      success: false,
+      message: "Only the team leader can perform this action",
+    });
+  }
+
+  next();
+};
+
+// Only active members of the loaded team may continue
+exports.requireTeamMember = async (req, res, next) => {
+  try {
+    const isMember = await TeamMember.exists({
+      teamId: req.team._id,
+      userId: req.user._id,
+      ...ACTIVE_MEMBER,
+    });
+
+    if (!isMember && req.user.role !== "superadmin") {
+      return res.status(403).json({
+        success: false,
+        message: "Only team members can perform this action",
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error("Team membership check error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+};
@@ -0,0 +1,29 @@
+const twilio = require("twilio");
+
+// Only accept webhooks signed by Twilio with our auth token. Twilio signs
+// the public URL it calls, which differs from the local one behind a proxy,
+// so SERVER_URL can give the public origin
+exports.validateTwilioSignature = (req, res, next) => {
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const signature = req.headers["x-twilio-signature"];
+  const origin =
+    process.env.SERVER_URL || `${req.protocol}://${req.get("host")}`;
+
+  if (
+    !authToken ||
+    !signature ||
+    !twilio.validateRequest(
+      authToken,
+      signature,
+      `${origin}${req.originalUrl}`,
+      req.body || {}
+    )
+  ) {
+    return res.status(403).json({
+      success: false,
+      message: "Invalid Twilio signature",
+    });
+  }
+
+  next();
+};
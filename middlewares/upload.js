@@ -0,0 +1,71 @@
+// middlewares/upload.js
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const multer = require("multer");
+const { teamUploadDir } = require("../services/attachment.service");
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+
+// Accepted extensions and the mime types they may arrive with
+const ALLOWED_TYPES = {
+  ".jpg": ["image/jpeg"],
+  ".jpeg": ["image/jpeg"],
+  ".png": ["image/png"],
+  ".gif": ["image/gif"],
+  ".pdf": ["application/pdf"],
+  ".doc": ["application/msword"],
+  ".docx": [
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ],
+};
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const dir = teamUploadDir(req.team._id);
+    fs.mkdir(dir, { recursive: true }, (err) => cb(err, dir));
+  },
+  // Stored names are generated so clients never choose a path on disk
+  filename: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    cb(null, `${crypto.randomBytes(16).toString("hex")}${ext}`);
+  },
+});
+
+const upload = multer({
+  storage,
+  limits: { fileSize: MAX_FILE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    const mimeTypes = ALLOWED_TYPES[ext];
+
+    if (mimeTypes && mimeTypes.includes(file.mimetype)) {
+      return cb(null, true);
+    }
+    cb(new Error("Only images, PDF and Word documents can be uploaded"));
+  },
+});
+
+// Accept a single file in the "file" field of a team upload
+exports.uploadTeamFile = (req, res, next) => {
+  upload.single("file")(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message:
+          err.code === "LIMIT_FILE_SIZE"
+            ? "Files cannot be larger than 10MB"
+            : err.message,
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "No file uploaded",
+      });
+    }
+
+    next();
+  });
+};
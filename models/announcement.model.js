@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// Announcement Schema: a message from the organizers to everyone taking
+// part in a hackathon
+const announcementSchema = new Schema(
+  {
+    hackathonId: {
+      type: Schema.Types.ObjectId,
+      ref: "Hackathon",
+      required: true,
+    },
+    authorId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    title: {
+      type: String,
+      trim: true,
+      maxLength: 200,
+    },
+    message: {
+      type: String,
+      required: true,
+      trim: true,
+      maxLength: 5000,
+    },
+    // Pinned announcements are sent to everyone joining the hackathon channel
+    pinned: {
+      type: Boolean,
+      default: false,
+    },
+    pinnedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "announcements",
+  }
+);
+
+// Indexes
+announcementSchema.index({ hackathonId: 1, createdAt: -1 });
+announcementSchema.index({ hackathonId: 1, pinned: 1 });
+
+const Announcement = mongoose.model("Announcement", announcementSchema);
+
+module.exports = Announcement;
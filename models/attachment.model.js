@@ -0,0 +1,82 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// Attachment Schema: a file uploaded to a team and shared in its chat
+const attachmentSchema = new Schema(
+  {
+    teamId: {
+      type: Schema.Types.ObjectId,
+      ref: "Team",
+      required: true,
+    },
+    hackathonId: {
+      type: Schema.Types.ObjectId,
+      ref: "Hackathon",
+      required: true,
+    },
+    uploadedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Set once the attachment has been sent in a message
+    messageId: {
+      type: Schema.Types.ObjectId,
+      ref: "Message",
+    },
+    kind: {
+      type: String,
+      enum: ["file", "image"],
+      required: true,
+    },
+    originalName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    // Generated names of the stored file and, for images, its thumbnail
+    filename: {
+      type: String,
+      required: true,
+    },
+    thumbnailFilename: {
+      type: String,
+    },
+    deletedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "attachments",
+    toJSON: { virtuals: true },
+  }
+);
+
+// Indexes
+attachmentSchema.index({ teamId: 1, filename: 1 });
+attachmentSchema.index({ teamId: 1, thumbnailFilename: 1 });
+attachmentSchema.index({ messageId: 1, createdAt: 1 });
+
+// Download links; both are only served to members of the team
+attachmentSchema.virtual("url").get(function () {
+  return `/uploads/teams/${this.teamId}/${this.filename}`;
+});
+
+attachmentSchema.virtual("thumbnailUrl").get(function () {
+  return this.thumbnailFilename
+    ? `/uploads/teams/${this.teamId}/${this.thumbnailFilename}`
+    : null;
+});
+
+const Attachment = mongoose.model("Attachment", attachmentSchema);
+
+module.exports = Attachment;
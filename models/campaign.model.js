@@ -0,0 +1,94 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// Campaign Schema: a WhatsApp message the organizers schedule for the
+// registrants of a hackathon, or a segment of them
+const campaignSchema = new Schema(
+  {
+    hackathonId: {
+      type: Schema.Types.ObjectId,
+      ref: "Hackathon",
+      required: true,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxLength: 100,
+    },
+    // Message with {{placeholder}}s filled in per recipient
+    message: {
+      type: String,
+      required: true,
+      trim: true,
+      maxLength: 1600,
+    },
+    // Registrants the campaign goes to; empty criteria match everyone
+    segment: {
+      registrationStatuses: [
+        {
+          type: String,
+          enum: ["registered", "team_assigned", "participating", "completed"],
+        },
+      ],
+      hasTeam: Boolean,
+    },
+    // Sent relative to a hackathon milestone, e.g. 60 minutes before the
+    // start, or at a fixed time when no milestone is given
+    milestone: {
+      type: String,
+      enum: ["registration_deadline", "start", "submission_close", "end"],
+    },
+    offsetMinutes: {
+      type: Number,
+      default: 0,
+    },
+    // Task whose submission close the campaign is scheduled against
+    task: {
+      type: String,
+      trim: true,
+    },
+    sendAt: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["scheduled", "sending", "sent", "cancelled"],
+      default: "scheduled",
+    },
+    lockedAt: {
+      type: Date,
+    },
+    startedAt: {
+      type: Date,
+    },
+    completedAt: {
+      type: Date,
+    },
+    // Recipients per delivery status once sent
+    stats: {
+      recipients: { type: Number, default: 0 },
+      sent: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+      skipped: { type: Number, default: 0 },
+    },
+  },
+  {
+    timestamps: true,
+    collection: "campaigns",
+  }
+);
+
+// Indexes
+campaignSchema.index({ hackathonId: 1, sendAt: 1 });
+campaignSchema.index({ status: 1, sendAt: 1 });
+
+const Campaign = mongoose.model("Campaign", campaignSchema);
+
+module.exports = Campaign;
@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// Campaign Recipient Schema: delivery of a campaign to one registrant
+const campaignRecipientSchema = new Schema(
+  {
+    campaignId: {
+      type: Schema.Types.ObjectId,
+      ref: "Campaign",
+      required: true,
+    },
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    phone: {
+      type: String,
+      trim: true,
+    },
+    // Campaign message with the recipient's placeholders filled in
+    message: {
+      type: String,
+    },
+    // Skipped recipients have no phone or turned WhatsApp messages off
+    status: {
+      type: String,
+      enum: ["pending", "sent", "failed", "skipped"],
+      default: "pending",
+    },
+    // Message id the provider returned
+    messageSid: {
+      type: String,
+    },
+    error: {
+      type: String,
+    },
+    sentAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "campaign_recipients",
+  }
+);
+
+// Indexes
+campaignRecipientSchema.index({ campaignId: 1, userId: 1 }, { unique: true });
+campaignRecipientSchema.index({ campaignId: 1, status: 1 });
+
+const CampaignRecipient = mongoose.model(
+  "CampaignRecipient",
+  campaignRecipientSchema
+);
+
+module.exports = CampaignRecipient;
@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// Email Outbox Schema: a rendered email waiting to be sent, retried with
+// backoff until it goes out or runs out of attempts
+const emailOutboxSchema = new Schema(
+  {
+    to: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    subject: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    html: {
+      type: String,
+      required: true,
+    },
+    template: {
+      type: String,
+    },
+    // Emails queued with the same key are only sent once, e.g. a reminder
+    // queued again by a second server instance
+    key: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "sending", "sent", "failed"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // When the current delivery attempt was claimed
+    lockedAt: {
+      type: Date,
+    },
+    lastError: {
+      type: String,
+    },
+    sentAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "email_outbox",
+  }
+);
+
+// Indexes
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+emailOutboxSchema.index({ key: 1 }, { unique: true, sparse: true });
+
+const EmailOutbox = mongoose.model("EmailOutbox", emailOutboxSchema);
+
+module.exports = EmailOutbox;
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// Feedback Schema
+const feedbackSchema = new Schema(
+  {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    hackathonId: {
+      type: Schema.Types.ObjectId,
+      ref: "Hackathon",
+      required: true,
+    },
+    rating: {
+      type: Number,
+      min: 1,
+      max: 5,
+      required: true,
+    },
+    feedback: {
+      type: String,
+      trim: true,
+    },
+    improvements: {
+      type: String,
+      trim: true,
+    },
+    wouldRecommend: Boolean,
+  },
+  {
+    timestamps: true,
+    collection: "feedback",
+  }
+);
+
+// Indexes
+feedbackSchema.index({ userId: 1, hackathonId: 1 }, { unique: true });
+feedbackSchema.index({ hackathonId: 1 });
+
+const Feedback = mongoose.model("Feedback", feedbackSchema);
+
+module.exports = Feedback;
@@ -38,12 +38,76 @@ const hackathonSchema = new Schema(
         trim: true,
       },
     ],
+    tasks: [
+      {
+        type: {
+          type: String,
+          enum: ["team", "DSA", "confidence", "debate"],
+          default: "team",
+        },
+        title: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        description: String,
+        timeLimit: Number, // in minutes from the start date
+        maxScore: { type: Number, default: 100 },
+      },
+    ],
+    // Scoring criteria shared by every judge; each criterion is scored out
+    // of maxPoints and counts towards the total by its weight
+    rubric: [
+      {
+        name: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        description: String,
+        weight: { type: Number, default: 1, min: 0 },
+        maxPoints: { type: Number, default: 10, min: 1 },
+      },
+    ],
+    // Judges who must not score a team, e.g. because they mentored it
+    judgeConflicts: [
+      {
+        judge: { type: Schema.Types.ObjectId, ref: "User", required: true },
+        team: { type: Schema.Types.ObjectId, ref: "Team", required: true },
+        reason: String,
+        declaredBy: { type: Schema.Types.ObjectId, ref: "User" },
+        declaredAt: { type: Date, default: Date.now },
+      },
+    ],
+    // Final submissions are accepted this many minutes past the end date,
+    // flagged as late
+    lateSubmissionWindow: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Submissions are locked from this moment on
+    judgingStartsAt: {
+      type: Date,
+    },
+    // The public leaderboard freezes this many minutes before the end date
+    // and stays frozen until the results are announced
+    leaderboardFreezeMinutes: {
+      type: Number,
+      min: 0,
+    },
     maxTeamSize: {
       type: Number,
       default: 3,
       min: 1,
       max: 10,
     },
+    // Form teams on their own once registration closes, without the
+    // organizer previewing them first
+    autoFormTeams: {
+      type: Boolean,
+      default: false,
+    },
     venue: {
       type: String,
       trim: true,
@@ -97,6 +161,31 @@ const hackathonSchema = new Schema(
       type: String, // URL to banner image
       trim: true,
     },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Per-hackathon staff: an organizer or judge of one event has no rights
+    // on any other event
+    organizers: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    judges: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    winners: [
+      {
+        position: Number,
+        team: { type: Schema.Types.ObjectId, ref: "Team" },
+        score: Number,
+      },
+    ],
     status: {
       type: String,
       enum: [
@@ -122,6 +211,46 @@ hackathonSchema.index({ registrationDeadline: 1 });
 hackathonSchema.index({ isActive: 1 });
 hackathonSchema.index({ status: 1 });
 hackathonSchema.index({ tags: 1 });
+hackathonSchema.index({ organizers: 1 });
+hackathonSchema.index({ judges: 1 });
+
+// Keep the event timeline in order
+hackathonSchema.pre("validate", function (next) {
+  if (this.registrationDeadline > this.startDate) {
+    this.invalidate(
+      "registrationDeadline",
+      "Registration deadline must be on or before the start date"
+    );
+  }
+  if (this.startDate >= this.endDate) {
+    this.invalidate("endDate", "End date must be after the start date");
+  }
+  if (this.judgingStartsAt && this.judgingStartsAt < this.endDate) {
+    this.invalidate(
+      "judgingStartsAt",
+      "Judging cannot start before the end date"
+    );
+  }
+  next();
+});
+
+// Instance method to check if a user organizes this hackathon
+hackathonSchema.methods.isOrganizer = function (userId) {
+  return this.organizers.some((id) => id.toString() === userId.toString());
+};
+
+// Instance method to check if a user judges this hackathon
+hackathonSchema.methods.isJudge = function (userId) {
+  return this.judges.some((id) => id.toString() === userId.toString());
+};
+
+// Instance method to check if a user is registered for this hackathon
+hackathonSchema.methods.isParticipant = async function (userId) {
+  const registration = await mongoose
+    .model("Registration")
+    .exists({ userId, hackathonId: this._id });
+  return Boolean(registration);
+};
 
 const Hackathon = mongoose.model("Hackathon", hackathonSchema);
-export default Hackathon;
+module.exports = Hackathon;
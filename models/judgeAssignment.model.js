@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// Judge Assignment Schema: a submission a judge is expected to review
+const judgeAssignmentSchema = new Schema(
+  {
+    hackathonId: {
+      type: Schema.Types.ObjectId,
+      ref: "Hackathon",
+      required: true,
+    },
+    teamId: {
+      type: Schema.Types.ObjectId,
+      ref: "Team",
+      required: true,
+    },
+    submissionId: {
+      type: Schema.Types.ObjectId,
+      required: true,
+    },
+    judgeId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "completed"],
+      default: "pending",
+    },
+    completedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "judge_assignments",
+  }
+);
+
+// Indexes
+judgeAssignmentSchema.index({ submissionId: 1, judgeId: 1 }, { unique: true });
+judgeAssignmentSchema.index({ hackathonId: 1, judgeId: 1, status: 1 });
+
+const JudgeAssignment = mongoose.model(
+  "JudgeAssignment",
+  judgeAssignmentSchema
+);
+
+module.exports = JudgeAssignment;
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// Leaderboard Snapshot Schema: the standings of a hackathon at the moment
+// its public leaderboard froze
+const leaderboardSnapshotSchema = new Schema(
+  {
+    hackathonId: {
+      type: Schema.Types.ObjectId,
+      ref: "Hackathon",
+      required: true,
+      unique: true,
+    },
+    frozenAt: {
+      type: Date,
+      required: true,
+    },
+    overall: {
+      type: Array,
+      default: [],
+    },
+    byTaskType: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: true,
+    collection: "leaderboard_snapshots",
+  }
+);
+
+const LeaderboardSnapshot = mongoose.model(
+  "LeaderboardSnapshot",
+  leaderboardSnapshotSchema
+);
+
+module.exports = LeaderboardSnapshot;
@@ -0,0 +1,94 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// Message Schema: one team chat message. Messages live in their own
+// collection so long chats never grow a single document
+const messageSchema = new Schema(
+  {
+    teamId: {
+      type: Schema.Types.ObjectId,
+      ref: "Team",
+      required: true,
+    },
+    hackathonId: {
+      type: Schema.Types.ObjectId,
+      ref: "Hackathon",
+      required: true,
+    },
+    senderId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Files and images may come without a caption
+    content: {
+      type: String,
+      trim: true,
+      maxLength: 5000,
+      required: function () {
+        return this.type === "text";
+      },
+    },
+    type: {
+      type: String,
+      enum: ["text", "file", "image"],
+      default: "text",
+    },
+    // Files and images come from an upload to the team
+    attachmentId: {
+      type: Schema.Types.ObjectId,
+      ref: "Attachment",
+    },
+    fileUrl: {
+      type: String,
+      trim: true,
+    },
+    // Replies belong to the thread of the message they answer
+    replyTo: {
+      type: Schema.Types.ObjectId,
+      ref: "Message",
+    },
+    replyCount: {
+      type: Number,
+      default: 0,
+    },
+    lastReplyAt: {
+      type: Date,
+    },
+    reactions: [
+      {
+        emoji: { type: String, required: true },
+        userId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+      },
+    ],
+    editedAt: {
+      type: Date,
+    },
+    // Deleted messages keep their place in the history without content
+    deletedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "messages",
+    toJSON: {
+      transform: (doc, ret) => {
+        if (ret.deletedAt) {
+          ret.content = null;
+          ret.fileUrl = null;
+          ret.attachmentId = null;
+          ret.reactions = [];
+        }
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes
+messageSchema.index({ teamId: 1, replyTo: 1, _id: -1 });
+
+const Message = mongoose.model("Message", messageSchema);
+
+module.exports = Message;
@@ -0,0 +1,86 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// Message Log Schema: every WhatsApp message we send or receive, with the
+// delivery status Twilio reports for outbound ones
+const messageLogSchema = new Schema(
+  {
+    direction: {
+      type: String,
+      enum: ["outbound", "inbound"],
+      required: true,
+    },
+    // Twilio message id; bot replies get theirs with the first status report
+    messageSid: {
+      type: String,
+    },
+    // Numbers as Twilio reports them, e.g. "whatsapp:+15550100"
+    from: {
+      type: String,
+      trim: true,
+    },
+    to: {
+      type: String,
+      trim: true,
+    },
+    body: {
+      type: String,
+    },
+    // User the message was sent to or came from, when known
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // What sent the message, e.g. "campaign", "notification" or "bot"
+    kind: {
+      type: String,
+      default: "direct",
+    },
+    campaignId: {
+      type: Schema.Types.ObjectId,
+      ref: "Campaign",
+    },
+    status: {
+      type: String,
+      enum: [
+        "queued",
+        "sending",
+        "sent",
+        "delivered",
+        "read",
+        "failed",
+        "undelivered",
+        "received",
+      ],
+      required: true,
+    },
+    errorCode: {
+      type: String,
+    },
+    errorMessage: {
+      type: String,
+    },
+    // When each status was reported
+    statusHistory: [
+      {
+        _id: false,
+        status: String,
+        at: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+    collection: "message_logs",
+  }
+);
+
+// Indexes
+messageLogSchema.index({ messageSid: 1 }, { unique: true, sparse: true });
+messageLogSchema.index({ userId: 1, _id: -1 });
+messageLogSchema.index({ campaignId: 1, status: 1 });
+messageLogSchema.index({ status: 1, _id: -1 });
+
+const MessageLog = mongoose.model("MessageLog", messageLogSchema);
+
+module.exports = MessageLog;
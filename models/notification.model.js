@@ -0,0 +1,69 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+const CHANNELS = ["in_app", "email", "whatsapp"];
+
+// Notification Schema: an entry in a user's inbox, kept until they read it
+// whether or not they were connected when it was sent
+const notificationSchema = new Schema(
+  {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Kind of event, e.g. "team_assignment" or "hackathon_results"
+    type: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200,
+    },
+    message: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 2000,
+    },
+    // Ids the client needs to link the notification, e.g. teamId
+    data: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+    // Important notifications fall back to email or WhatsApp when they are
+    // not read in the app
+    important: {
+      type: Boolean,
+      default: false,
+    },
+    readAt: {
+      type: Date,
+    },
+    // Channels the notification went out on besides the inbox
+    deliveredVia: {
+      type: [{ type: String, enum: CHANNELS }],
+      default: [],
+    },
+    fallbackAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "notifications",
+  }
+);
+
+// Indexes
+notificationSchema.index({ userId: 1, _id: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+notificationSchema.index({ important: 1, readAt: 1, fallbackAt: 1 });
+
+const Notification = mongoose.model("Notification", notificationSchema);
+
+module.exports = Notification;
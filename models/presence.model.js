@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// Presence Schema: one open WebSocket connection of a user, on any server
+// instance. A user without connections is offline
+const presenceSchema = new Schema(
+  {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    connectionId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // What the client reports, e.g. "away" while its tab is hidden
+    status: {
+      type: String,
+      enum: ["online", "away"],
+      default: "online",
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Pushed back on every heartbeat, so connections of an instance that
+    // went away without closing them expire on their own
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    collection: "presences",
+  }
+);
+
+// Indexes
+presenceSchema.index({ userId: 1, expiresAt: 1 });
+presenceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Presence = mongoose.model("Presence", presenceSchema);
+
+module.exports = Presence;
@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// Registration Schema
+const registrationSchema = new Schema(
+  {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    hackathonId: {
+      type: Schema.Types.ObjectId,
+      ref: "Hackathon",
+      required: true,
+    },
+    teamId: {
+      type: Schema.Types.ObjectId,
+      ref: "Team",
+    },
+    status: {
+      type: String,
+      enum: ["registered", "team_assigned", "participating", "completed"],
+      default: "registered",
+    },
+    preferences: {
+      preferredTeammates: [{ type: Schema.Types.ObjectId, ref: "User" }],
+      skills: [
+        {
+          type: String,
+          trim: true,
+        },
+      ],
+      experience: {
+        type: String,
+        enum: ["beginner", "intermediate", "advanced"],
+      },
+    },
+  },
+  {
+    timestamps: true,
+    collection: "registrations",
+  }
+);
+
+// Indexes
+registrationSchema.index({ userId: 1, hackathonId: 1 }, { unique: true });
+registrationSchema.index({ hackathonId: 1, status: 1 });
+registrationSchema.index({ teamId: 1 });
+
+const Registration = mongoose.model("Registration", registrationSchema);
+
+module.exports = Registration;
@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// Score Schema: one judge's rubric score for one team submission
+const scoreSchema = new Schema(
+  {
+    hackathonId: {
+      type: Schema.Types.ObjectId,
+      ref: "Hackathon",
+      required: true,
+    },
+    teamId: {
+      type: Schema.Types.ObjectId,
+      ref: "Team",
+      required: true,
+    },
+    submissionId: {
+      type: Schema.Types.ObjectId,
+      required: true,
+    },
+    judgeId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    criteria: [
+      {
+        criterionId: {
+          type: Schema.Types.ObjectId,
+          required: true,
+        },
+        points: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+      },
+    ],
+    // Weighted rubric total on a 0-100 scale
+    total: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100,
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxLength: 2000,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "scores",
+  }
+);
+
+// Indexes
+scoreSchema.index({ submissionId: 1, judgeId: 1 }, { unique: true });
+scoreSchema.index({ hackathonId: 1, judgeId: 1 });
+scoreSchema.index({ teamId: 1 });
+
+const Score = mongoose.model("Score", scoreSchema);
+
+module.exports = Score;
@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// Session Schema: a signed-in device. Its refresh token changes on every
+// refresh; access tokens name the session and stop working once it is
+// revoked
+const sessionSchema = new Schema(
+  {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // SHA-256 of the current refresh token; the token itself is never stored
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    // Refresh tokens already exchanged. One coming back means it was copied,
+    // so the session is revoked
+    previousTokenHashes: {
+      type: [String],
+      select: false,
+    },
+    userAgent: {
+      type: String,
+    },
+    ip: {
+      type: String,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+      enum: ["logout", "revoked", "reuse", "password_change", "deactivated"],
+    },
+    // Sessions are removed once their refresh token can no longer be used
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "sessions",
+  }
+);
+
+// Indexes
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", sessionSchema);
+
+module.exports = Session;
@@ -11,7 +11,6 @@ const teamSchema = new Schema(
     },
     problemStatement: {
       type: String,
-      required: true,
       trim: true,
     },
     // Additional fields
@@ -31,10 +30,25 @@ const teamSchema = new Schema(
       ref: "User",
       required: true,
     },
+    inviteCode: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    isRandomlyFormed: {
+      type: Boolean,
+      default: false,
+    },
     isRecruiting: {
       type: Boolean,
       default: true,
     },
+    // Bumped whenever a member joins, so concurrent joins of one team
+    // conflict and the retried one counts the member who got in first
+    rosterVersion: {
+      type: Number,
+      default: 0,
+    },
     requiredSkills: [
       {
         type: String,
@@ -74,6 +88,39 @@ const teamSchema = new Schema(
       type: String,
       trim: true,
     },
+    // One entry per task; the top-level fields mirror the latest version
+    submissions: [
+      {
+        taskId: Schema.Types.ObjectId,
+        task: String,
+        status: {
+          type: String,
+          enum: ["draft", "submitted", "late_submission"],
+          default: "submitted",
+        },
+        submittedAt: Date,
+        githubUrl: String,
+        description: String,
+        version: { type: Number, default: 1 },
+        versions: [
+          {
+            version: Number,
+            githubUrl: String,
+            description: String,
+            isFinal: Boolean,
+            isLate: Boolean,
+            submittedBy: { type: Schema.Types.ObjectId, ref: "User" },
+            submittedAt: Date,
+          },
+        ],
+        score: Number,
+        feedback: String,
+      },
+    ],
+    totalScore: {
+      type: Number,
+      default: 0,
+    },
   },
   {
     timestamps: true,
@@ -86,6 +133,11 @@ teamSchema.index({ leaderId: 1 });
 teamSchema.index({ isRecruiting: 1 });
 teamSchema.index({ submissionStatus: 1 });
 
+// Static method to generate a short invite code
+teamSchema.statics.generateInviteCode = function () {
+  return Math.random().toString(36).substring(2, 8).toUpperCase();
+};
+
 const Team = mongoose.model("Team", teamSchema);
 
-export default Team;
+module.exports = Team;
@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// Team Application Schema
+const teamApplicationSchema = new Schema(
+  {
+    teamId: {
+      type: Schema.Types.ObjectId,
+      ref: "Team",
+      required: true,
+    },
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    hackathonId: {
+      type: Schema.Types.ObjectId,
+      ref: "Hackathon",
+      required: true,
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxLength: 500,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "rejected", "withdrawn"],
+      default: "pending",
+    },
+    reviewedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "team_applications",
+  }
+);
+
+// Indexes
+// One open application per team and user; answered ones stay as history
+teamApplicationSchema.index(
+  { teamId: 1, userId: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" } }
+);
+teamApplicationSchema.index({ teamId: 1, status: 1 });
+teamApplicationSchema.index({ userId: 1, hackathonId: 1, status: 1 });
+
+const TeamApplication = mongoose.model(
+  "TeamApplication",
+  teamApplicationSchema
+);
+
+module.exports = TeamApplication;
@@ -42,9 +42,23 @@ const teamMemberSchema = new Schema(
     },
     invitationStatus: {
       type: String,
-      enum: ["pending", "accepted", "declined"],
+      enum: ["pending", "accepted", "declined", "expired"],
       default: "accepted",
     },
+    invitationExpiresAt: {
+      type: Date,
+    },
+    respondedAt: {
+      type: Date,
+    },
+    // Newest team chat message the member has read
+    lastReadMessageId: {
+      type: Schema.Types.ObjectId,
+      ref: "Message",
+    },
+    lastReadAt: {
+      type: Date,
+    },
   },
   {
     timestamps: true,
@@ -57,7 +71,8 @@ teamMemberSchema.index({ teamId: 1, userId: 1 }, { unique: true });
 teamMemberSchema.index({ teamId: 1 });
 teamMemberSchema.index({ userId: 1 });
 teamMemberSchema.index({ status: 1 });
+teamMemberSchema.index({ invitationStatus: 1, invitationExpiresAt: 1 });
 
 const TeamMember = mongoose.model("TeamMember", teamMemberSchema);
 
-export default TeamMember;
+module.exports = TeamMember;
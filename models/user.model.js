@@ -1,6 +1,12 @@
+const crypto = require("crypto");
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 
+// Verification links stay valid this long
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+// Phone verification codes stay valid this long
+const PHONE_VERIFICATION_TTL = 10 * 60 * 1000; // 10 minutes
+
 const userSchema = new mongoose.Schema(
   {
     email: {
@@ -120,6 +126,14 @@ const userSchema = new mongoose.Schema(
       },
     },
 
+    // Company, university or club; judges are kept away from participants
+    // of their own organization
+    organization: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Organization cannot exceed 100 characters"],
+    },
+
     profilePicture: {
       type: String,
       default: "default-avatar.png",
@@ -137,6 +151,16 @@ const userSchema = new mongoose.Schema(
       },
     },
 
+    role: {
+      type: String,
+      enum: {
+        values: ["participant", "organizer", "judge", "mentor", "superadmin"],
+        message:
+          "Role must be participant, organizer, judge, mentor, or superadmin",
+      },
+      default: "participant",
+    },
+
     // Additional useful fields
     isEmailVerified: {
       type: Boolean,
@@ -152,16 +176,62 @@ const userSchema = new mongoose.Schema(
       type: Date,
     },
 
+    // When the user's last realtime connection closed
+    lastSeenAt: {
+      type: Date,
+    },
+
+    // Where notifications reach the user besides the inbox. Email and
+    // WhatsApp only carry important notifications left unread in the app
+    notificationPreferences: {
+      inApp: { type: Boolean, default: true },
+      email: { type: Boolean, default: true },
+      whatsapp: { type: Boolean, default: false },
+    },
+
     resetPasswordToken: String,
     resetPasswordExpires: Date,
+
+    // SHA-256 of the token in the last verification link sent; cleared once
+    // used
+    emailVerificationToken: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpires: Date,
+    emailVerificationSentAt: Date,
+
+    // Set once the user entered a code sent to their phone; changing the
+    // phone clears it. Only verified phones are matched to WhatsApp senders
+    phoneVerifiedAt: Date,
+    // SHA-256 of the last code sent, cleared once used
+    phoneVerificationCode: {
+      type: String,
+      select: false,
+    },
+    phoneVerificationExpires: Date,
+    phoneVerificationSentAt: Date,
+    // Wrong codes entered for the current code
+    phoneVerificationAttempts: {
+      type: Number,
+      default: 0,
+    },
   },
   {
     timestamps: true, // Automatically adds createdAt and updatedAt
     toJSON: {
+      virtuals: true,
       transform: function (doc, ret) {
         delete ret.password;
         delete ret.resetPasswordToken;
         delete ret.resetPasswordExpires;
+        delete ret.emailVerificationToken;
+        delete ret.emailVerificationExpires;
+        delete ret.emailVerificationSentAt;
+        delete ret.phoneVerificationCode;
+        delete ret.phoneVerificationExpires;
+        delete ret.phoneVerificationSentAt;
+        delete ret.phoneVerificationAttempts;
         return ret;
       },
     },
@@ -173,6 +243,7 @@ userSchema.index({ email: 1 });
 userSchema.index({ createdAt: -1 });
 userSchema.index({ skills: 1 });
 userSchema.index({ experience: 1 });
+userSchema.index({ role: 1 });
 
 // Pre-save middleware to hash password
 userSchema.pre("save", async function (next) {
@@ -194,19 +265,45 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
-// // Instance method to generate password reset token
-// userSchema.methods.createPasswordResetToken = function () {
-//   const resetToken = require("crypto").randomBytes(32).toString("hex");
+// Hash of a token or code sent to the user; only the hash is stored
+userSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Instance method to generate password reset token
+userSchema.methods.createPasswordResetToken = function () {
+  const resetToken = crypto.randomBytes(32).toString("hex");
 
-//   this.resetPasswordToken = require("crypto")
-//     .createHash("sha256")
-//     .update(resetToken)
-//     .digest("hex");
+  this.resetPasswordToken = this.constructor.hashToken(resetToken);
+  this.resetPasswordExpires = Date.now() + 10 * 60 * 1000; // 10 minutes
 
-//   this.resetPasswordExpires = Date.now() + 10 * 60 * 1000; // 10 minutes
+  return resetToken;
+};
 
-//   return resetToken;
-// };
+// Instance method to generate email verification token. A new token
+// replaces the previous one, so only the latest link works
+userSchema.methods.createEmailVerificationToken = function () {
+  const verificationToken = crypto.randomBytes(32).toString("hex");
+
+  this.emailVerificationToken = this.constructor.hashToken(verificationToken);
+  this.emailVerificationExpires = Date.now() + EMAIL_VERIFICATION_TTL;
+  this.emailVerificationSentAt = new Date();
+
+  return verificationToken;
+};
+
+// Instance method to generate a six-digit phone verification code. A new
+// code replaces the previous one and gets a fresh set of attempts
+userSchema.methods.createPhoneVerificationCode = function () {
+  const code = String(crypto.randomInt(100000, 1000000));
+
+  this.phoneVerificationCode = this.constructor.hashToken(code);
+  this.phoneVerificationExpires = Date.now() + PHONE_VERIFICATION_TTL;
+  this.phoneVerificationSentAt = new Date();
+  this.phoneVerificationAttempts = 0;
+
+  return code;
+};
 
 // Static method to find users by skill
 userSchema.statics.findBySkill = function (skill) {
@@ -241,7 +338,4 @@ userSchema.virtual("profileCompletion").get(function () {
   return Math.round((filledFields.length / fields.length) * 100);
 });
 
-// Ensure virtual fields are serialized
-userSchema.set("toJSON", { virtuals: true });
-
 module.exports = mongoose.model("User", userSchema);
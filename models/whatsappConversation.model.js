@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// WhatsApp Conversation Schema: what the bot remembers about a sender
+// between messages
+const whatsappConversationSchema = new Schema(
+  {
+    // Sender as Twilio reports it, e.g. "whatsapp:+15550100"
+    phone: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Hackathon the sender's commands are about when they registered for
+    // several
+    hackathonId: {
+      type: Schema.Types.ObjectId,
+      ref: "Hackathon",
+    },
+    // Question the bot asked and is waiting for an answer to
+    pending: {
+      action: {
+        type: String,
+        enum: ["choose_hackathon", "confirm_submission"],
+      },
+      // Hackathons offered to choose from, by their number in the list
+      options: [{ type: Schema.Types.ObjectId, ref: "Hackathon" }],
+      // Command to run once a hackathon is chosen
+      command: String,
+      githubUrl: String,
+      task: String,
+      expiresAt: Date,
+    },
+    // The sender replied STOP; nothing is sent to them until they reply
+    // START
+    optedOutAt: {
+      type: Date,
+    },
+    lastMessageAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Conversations are forgotten after a while without messages, except
+    // for opt-outs, which have no expiry
+    expiresAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "whatsapp_conversations",
+  }
+);
+
+// Indexes
+whatsappConversationSchema.index({ phone: 1 }, { unique: true });
+whatsappConversationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const WhatsAppConversation = mongoose.model(
+  "WhatsAppConversation",
+  whatsappConversationSchema
+);
+
+module.exports = WhatsAppConversation;
@@ -0,0 +1,133 @@
+const express = require("express");
+const {
+  updateUserRole,
+  addOrganizer,
+  removeOrganizer,
+  addJudge,
+  removeJudge,
+  formTeams,
+  previewTeams,
+  commitTeams,
+  assignJudges,
+  getJudgeWorkload,
+  getHackathonStats,
+  getMessageLogs,
+} = require("../controllers/admin.controller");
+const { createHackathon } = require("../controllers/hackthon.controller");
+const {
+  protect,
+  authorize,
+  authorizeHackathon,
+} = require("../middlewares/auth");
+const {
+  validateHackathon,
+  validateTeamPreview,
+  validateTeamCommit,
+  validateJudgeAssignment,
+  validateMessageLogQuery,
+  validateObjectId,
+  validateStaffAssignment,
+} = require("../utils/validators");
+
+const router = express.Router();
+
+// All admin routes require authentication
+router.use(protect);
+
+// Platform-wide routes
+router.post(
+  "/hackathons",
+  authorize("organizer", "superadmin"),
+  validateHackathon,
+  createHackathon
+);
+router.put(
+  "/users/:id/role",
+  validateObjectId("id"),
+  authorize("superadmin"),
+  updateUserRole
+);
+router.get(
+  "/messages",
+  authorize("superadmin"),
+  validateMessageLogQuery,
+  getMessageLogs
+);
+
+// Hackathon-scoped routes (organizers of this hackathon only)
+router.post(
+  "/hackathons/:id/organizers",
+  validateObjectId("id"),
+  authorizeHackathon("organizer"),
+  validateStaffAssignment,
+  addOrganizer
+);
+router.delete(
+  "/hackathons/:id/organizers/:userId",
+  validateObjectId("id"),
+  validateObjectId("userId"),
+  authorizeHackathon("organizer"),
+  removeOrganizer
+);
+router.post(
+  "/hackathons/:id/judges",
+  validateObjectId("id"),
+  authorizeHackathon("organizer"),
+  validateStaffAssignment,
+  addJudge
+);
+router.delete(
+  "/hackathons/:id/judges/:userId",
+  validateObjectId("id"),
+  validateObjectId("userId"),
+  authorizeHackathon("organizer"),
+  removeJudge
+);
+router.post(
+  "/hackathons/:id/form-teams",
+  validateObjectId("id"),
+  authorizeHackathon("organizer"),
+  formTeams
+);
+router.post(
+  "/hackathons/:id/form-teams/preview",
+  validateObjectId("id"),
+  authorizeHackathon("organizer"),
+  validateTeamPreview,
+  previewTeams
+);
+router.post(
+  "/hackathons/:id/form-teams/commit",
+  validateObjectId("id"),
+  authorizeHackathon("organizer"),
+  validateTeamCommit,
+  commitTeams
+);
+// Kept for existing clients; forms teams with the default strategy
+router.post(
+  "/hackathons/:id/form-random-teams",
+  validateObjectId("id"),
+  authorizeHackathon("organizer"),
+  formTeams
+);
+router.post(
+  "/hackathons/:id/judge-assignments",
+  validateObjectId("id"),
+  authorizeHackathon("organizer"),
+  validateJudgeAssignment,
+  assignJudges
+);
+router.get(
+  "/hackathons/:id/judge-assignments",
+  validateObjectId("id"),
+  authorizeHackathon("organizer"),
+  getJudgeWorkload
+);
+router.get(
+  "/hackathons/:id/stats",
+  validateObjectId("id"),
+  authorizeHackathon("organizer"),
+  getHackathonStats
+);
+
+module.exports = router;
@@ -10,11 +10,23 @@ const {
   resetPassword,
   sendEmailVerification,
   verifyEmail,
+  sendPhoneVerification,
+  verifyPhone,
   logout,
   deactivateAccount,
+  refreshToken,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
 } = require("../controllers/auth.controller");
 const { protect } = require("../middlewares/auth");
-const { validateRegistration, validateLogin } = require("../utils/validators");
+const {
+  validateRegistration,
+  validateLogin,
+  validateRefreshToken,
+  validateObjectId,
+  validatePhoneCode,
+} = require("../utils/validators");
 
 const router = express.Router();
 
@@ -25,6 +37,7 @@ router.post("/google", googleAuth);
 router.post("/forgot-password", forgotPassword);
 router.put("/reset-password/:token", resetPassword);
 router.get("/verify-email/:token", verifyEmail);
+router.post("/refresh", validateRefreshToken, refreshToken);
 
 // Protected routes (require authentication)
 router.use(protect); // All routes after this middleware require authentication
@@ -33,7 +46,18 @@ router.get("/me", getMe);
 router.put("/profile", updateProfile);
 router.put("/change-password", changePassword);
 router.post("/send-verification", sendEmailVerification);
+router.post("/send-phone-verification", sendPhoneVerification);
+router.post("/verify-phone", validatePhoneCode, verifyPhone);
 router.post("/logout", logout);
 router.put("/deactivate", deactivateAccount);
 
+// Signed-in devices
+router.get("/sessions", getSessions);
+router.delete("/sessions", revokeAllSessions);
+router.delete(
+  "/sessions/:sessionId",
+  validateObjectId("sessionId"),
+  revokeSession
+);
+
 module.exports = router;
@@ -0,0 +1,16 @@
+const express = require("express");
+const { getInbox, clearInbox } = require("../controllers/dev.controller");
+const { protect, authorize } = require("../middlewares/auth");
+
+const router = express.Router();
+
+// The sandbox holds every message, including sign-in links and codes,
+// so only superadmins may read it. Promote a local account with
+// `npm run make-superadmin -- <email>` to use it while developing.
+router.use(protect, authorize("superadmin"));
+
+// Messages the sandbox provider kept instead of sending
+router.get("/inbox", getInbox);
+router.delete("/inbox", clearInbox);
+
+module.exports = router;
@@ -0,0 +1,179 @@
+const express = require("express");
+const {
+  createHackathon,
+  getAllHackathons,
+  getHackathonById,
+  registerForHackathon,
+  updateHackathon,
+  deleteHackathon,
+  getActiveHackathons,
+  getUpcomingHackathons,
+  getOngoingHackathons,
+  getHackathonsByTags,
+  updateHackathonStatus,
+  searchHackathons,
+  getHackathonStats,
+  getLeaderboard,
+  declareJudgeConflict,
+  getMyJudgeQueue,
+  createAnnouncement,
+  getAnnouncements,
+  pinAnnouncement,
+} = require("../controllers/hackthon.controller");
+const { declareWinners } = require("../controllers/admin.controller");
+const {
+  createCampaign,
+  getCampaigns,
+  updateCampaign,
+  cancelCampaign,
+  getCampaignRecipients,
+} = require("../controllers/campaign.controller");
+const {
+  protect,
+  authorize,
+  authorizeHackathon,
+  requireEmailVerification,
+} = require("../middlewares/auth");
+const {
+  validateHackathon,
+  validateHackathonUpdate,
+  validateHackathonRegistration,
+  validateJudgeConflict,
+  validateAnnouncement,
+  validateAnnouncementPin,
+  validateAnnouncementQuery,
+  validateObjectId,
+  validateCampaign,
+  validateCampaignUpdate,
+  validateCampaignRecipientQuery,
+  validateWinners,
+} = require("../utils/validators");
+
+const router = express.Router();
+
+// Public routes
+router.get("/", getAllHackathons);
+router.get("/active", getActiveHackathons);
+router.get("/upcoming", getUpcomingHackathons);
+router.get("/ongoing", getOngoingHackathons);
+router.get("/by-tags", getHackathonsByTags);
+router.get("/search", searchHackathons);
+router.get("/stats", getHackathonStats);
+router.get("/:id", validateObjectId("id"), getHackathonById);
+
+// Protected routes (require authentication)
+router.use(protect);
+
+router.post(
+  "/",
+  authorize("organizer", "superadmin"),
+  validateHackathon,
+  createHackathon
+);
+router.post(
+  "/:id/register",
+  requireEmailVerification,
+  validateHackathonRegistration,
+  registerForHackathon
+);
+router.put(
+  "/:id",
+  validateObjectId("id"),
+  authorizeHackathon("organizer"),
+  validateHackathonUpdate,
+  updateHackathon
+);
+router.patch(
+  "/:id/status",
+  validateObjectId("id"),
+  authorizeHackathon("organizer"),
+  updateHackathonStatus
+);
+router.delete(
+  "/:id",
+  validateObjectId("id"),
+  authorizeHackathon("organizer"),
+  deleteHackathon
+);
+router.get("/:id/leaderboard", validateObjectId("id"), getLeaderboard);
+router.get(
+  "/:id/my-queue",
+  validateObjectId("id"),
+  authorizeHackathon("judge"),
+  getMyJudgeQueue
+);
+router.post(
+  "/:id/conflicts",
+  validateObjectId("id"),
+  authorizeHackathon("judge", "organizer"),
+  validateJudgeConflict,
+  declareJudgeConflict
+);
+router.post(
+  "/:id/declare-winners",
+  validateObjectId("id"),
+  authorizeHackathon("organizer"),
+  validateWinners,
+  declareWinners
+);
+router.get(
+  "/:id/announcements",
+  validateObjectId("id"),
+  authorizeHackathon("organizer", "judge", "participant"),
+  validateAnnouncementQuery,
+  getAnnouncements
+);
+router.post(
+  "/:id/announcements",
+  validateObjectId("id"),
+  authorizeHackathon("organizer"),
+  validateAnnouncement,
+  createAnnouncement
+);
+router.patch(
+  "/:id/announcements/:announcementId",
+  validateObjectId("id"),
+  authorizeHackathon("organizer"),
+  validateAnnouncementPin,
+  pinAnnouncement
+);
+
+// WhatsApp campaigns to the hackathon's registrants
+router.get(
+  "/:id/campaigns",
+  validateObjectId("id"),
+  authorizeHackathon("organizer"),
+  getCampaigns
+);
+router.post(
+  "/:id/campaigns",
+  validateObjectId("id"),
+  authorizeHackathon("organizer"),
+  validateCampaign,
+  createCampaign
+);
+router.patch(
+  "/:id/campaigns/:campaignId",
+  validateObjectId("id"),
+  authorizeHackathon("organizer"),
+  validateObjectId("campaignId"),
+  validateCampaignUpdate,
+  updateCampaign
+);
+router.post(
+  "/:id/campaigns/:campaignId/cancel",
+  validateObjectId("id"),
+  authorizeHackathon("organizer"),
+  validateObjectId("campaignId"),
+  cancelCampaign
+);
+router.get(
+  "/:id/campaigns/:campaignId/recipients",
+  validateObjectId("id"),
+  authorizeHackathon("organizer"),
+  validateObjectId("campaignId"),
+  validateCampaignRecipientQuery,
+  getCampaignRecipients
+);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require("express");
+const {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getPreferences,
+  updatePreferences,
+} = require("../controllers/notification.controller");
+const { protect } = require("../middlewares/auth");
+const {
+  validateObjectId,
+  validateNotificationQuery,
+  validateNotificationPreferences,
+} = require("../utils/validators");
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get("/", validateNotificationQuery, getNotifications);
+router.post("/read-all", markAllNotificationsRead);
+
+// Channels besides the inbox
+router.get("/preferences", getPreferences);
+router.patch(
+  "/preferences",
+  validateNotificationPreferences,
+  updatePreferences
+);
+
+router.patch(
+  "/:notificationId/read",
+  validateObjectId("notificationId"),
+  markNotificationRead
+);
+
+module.exports = router;
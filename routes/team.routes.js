@@ -0,0 +1,289 @@
+const express = require("express");
+const {
+  createTeam,
+  joinTeam,
+  inviteMember,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+  leaveTeam,
+  removeMember,
+  transferLeadership,
+  disbandTeam,
+  getRecruitingTeams,
+  updateRecruitment,
+  applyToTeam,
+  getApplications,
+  getMyApplications,
+  acceptApplication,
+  rejectApplication,
+  createSubmission,
+  submitProject,
+  getSubmissions,
+  scoreSubmission,
+  getSubmissionScores,
+} = require("../controllers/team.controller");
+const {
+  getMessages,
+  getReplies,
+  sendMessage,
+  editMessage,
+  deleteMessage,
+  toggleReaction,
+  markRead,
+  getChatStatus,
+} = require("../controllers/chat.controller");
+const { uploadAttachment } = require("../controllers/attachment.controller");
+const {
+  protect,
+  authorizeHackathon,
+  requireEmailVerification,
+} = require("../middlewares/auth");
+const {
+  loadTeam,
+  requireTeamLeader,
+  requireTeamMember,
+} = require("../middlewares/team");
+const { uploadTeamFile } = require("../middlewares/upload");
+const {
+  validateTeamCreate,
+  validateTeamJoin,
+  validateTeamInvitation,
+  validateObjectId,
+  validateLeadershipTransfer,
+  validateRecruitingQuery,
+  validateRecruitmentUpdate,
+  validateTeamApplication,
+  validateSubmission,
+  validateScore,
+  validateMessageQuery,
+  validateMessage,
+  validateMessageEdit,
+  validateReaction,
+  validateReadReceipt,
+} = require("../utils/validators");
+
+const router = express.Router();
+
+router.use(protect);
+
+router.post("/create", validateTeamCreate, createTeam);
+router.post("/join", validateTeamJoin, joinTeam);
+
+// Invitations of the current user
+router.get("/invitations", getMyInvitations);
+router.post(
+  "/invitations/:invitationId/accept",
+  validateObjectId("invitationId"),
+  acceptInvitation
+);
+router.post(
+  "/invitations/:invitationId/decline",
+  validateObjectId("invitationId"),
+  declineInvitation
+);
+
+// Recruitment board and applications of the current user
+router.get("/recruiting", validateRecruitingQuery, getRecruitingTeams);
+router.get("/applications", getMyApplications);
+
+router.post(
+  "/:id/invitations",
+  validateObjectId("id"),
+  loadTeam,
+  requireTeamLeader,
+  validateTeamInvitation,
+  inviteMember
+);
+
+// Roster changes
+router.post("/:id/leave", validateObjectId("id"), loadTeam, leaveTeam);
+router.delete(
+  "/:id/members/:userId",
+  validateObjectId("id"),
+  validateObjectId("userId"),
+  loadTeam,
+  requireTeamLeader,
+  removeMember
+);
+router.post(
+  "/:id/transfer-leadership",
+  validateObjectId("id"),
+  loadTeam,
+  requireTeamLeader,
+  validateLeadershipTransfer,
+  transferLeadership
+);
+router.delete(
+  "/:id",
+  validateObjectId("id"),
+  loadTeam,
+  requireTeamLeader,
+  disbandTeam
+);
+
+// Recruitment
+router.patch(
+  "/:id/recruitment",
+  validateObjectId("id"),
+  loadTeam,
+  requireTeamLeader,
+  validateRecruitmentUpdate,
+  updateRecruitment
+);
+router.post(
+  "/:id/applications",
+  validateObjectId("id"),
+  loadTeam,
+  validateTeamApplication,
+  applyToTeam
+);
+router.get(
+  "/:id/applications",
+  validateObjectId("id"),
+  loadTeam,
+  requireTeamLeader,
+  getApplications
+);
+router.post(
+  "/:id/applications/:applicationId/accept",
+  validateObjectId("id"),
+  validateObjectId("applicationId"),
+  loadTeam,
+  requireTeamLeader,
+  acceptApplication
+);
+router.post(
+  "/:id/applications/:applicationId/reject",
+  validateObjectId("id"),
+  validateObjectId("applicationId"),
+  loadTeam,
+  requireTeamLeader,
+  rejectApplication
+);
+
+// Submissions
+router.get(
+  "/:id/submissions",
+  validateObjectId("id"),
+  loadTeam,
+  requireTeamMember,
+  getSubmissions
+);
+router.post(
+  "/:id/submissions",
+  validateObjectId("id"),
+  requireEmailVerification,
+  loadTeam,
+  requireTeamMember,
+  validateSubmission,
+  createSubmission
+);
+// Kept for existing clients; leaders submit a final version as before and
+// other members save a draft
+router.post(
+  "/:id/submit",
+  validateObjectId("id"),
+  requireEmailVerification,
+  loadTeam,
+  requireTeamMember,
+  validateSubmission,
+  submitProject
+);
+
+// Rubric scoring
+router.put(
+  "/:id/submissions/:submissionId/score",
+  validateObjectId("id"),
+  validateObjectId("submissionId"),
+  loadTeam,
+  authorizeHackathon("judge"),
+  validateScore,
+  scoreSubmission
+);
+router.get(
+  "/:id/submissions/:submissionId/scores",
+  validateObjectId("id"),
+  validateObjectId("submissionId"),
+  loadTeam,
+  authorizeHackathon("judge", "organizer"),
+  getSubmissionScores
+);
+
+// Team chat
+router.get(
+  "/:id/messages",
+  validateObjectId("id"),
+  loadTeam,
+  requireTeamMember,
+  validateMessageQuery,
+  getMessages
+);
+router.post(
+  "/:id/messages",
+  validateObjectId("id"),
+  loadTeam,
+  requireTeamMember,
+  validateMessage,
+  sendMessage
+);
+router.get(
+  "/:id/messages/:messageId/replies",
+  validateObjectId("id"),
+  validateObjectId("messageId"),
+  loadTeam,
+  requireTeamMember,
+  validateMessageQuery,
+  getReplies
+);
+router.patch(
+  "/:id/messages/:messageId",
+  validateObjectId("id"),
+  validateObjectId("messageId"),
+  loadTeam,
+  requireTeamMember,
+  validateMessageEdit,
+  editMessage
+);
+router.delete(
+  "/:id/messages/:messageId",
+  validateObjectId("id"),
+  validateObjectId("messageId"),
+  loadTeam,
+  requireTeamMember,
+  deleteMessage
+);
+router.post(
+  "/:id/messages/:messageId/reactions",
+  validateObjectId("id"),
+  validateObjectId("messageId"),
+  loadTeam,
+  requireTeamMember,
+  validateReaction,
+  toggleReaction
+);
+router.post(
+  "/:id/attachments",
+  validateObjectId("id"),
+  loadTeam,
+  requireTeamMember,
+  uploadTeamFile,
+  uploadAttachment
+);
+router.get(
+  "/:id/chat/status",
+  validateObjectId("id"),
+  loadTeam,
+  requireTeamMember,
+  getChatStatus
+);
+router.post(
+  "/:id/chat/read",
+  validateObjectId("id"),
+  loadTeam,
+  requireTeamMember,
+  validateReadReceipt,
+  markRead
+);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require("express");
+const { downloadTeamFile } = require("../controllers/attachment.controller");
+const { protect } = require("../middlewares/auth");
+const { loadTeam, requireTeamMember } = require("../middlewares/team");
+const { validateObjectId } = require("../utils/validators");
+
+const router = express.Router();
+
+// Team files are only served to members of the team
+router.get(
+  "/teams/:teamId/:filename",
+  protect,
+  validateObjectId("teamId"),
+  loadTeam,
+  requireTeamMember,
+  downloadTeamFile
+);
+
+module.exports = router;
@@ -1,11 +1,30 @@
 const express = require("express");
 const router = express.Router();
 const whatsappController = require("../controllers/whatsapp.controller");
+const { protect, authorize } = require("../middlewares/auth");
+const { validateTwilioSignature } = require("../middlewares/twilio");
 
-// Send message
-router.post("/send", whatsappController.sendMessage);
+// Send a single message; organizers reach their registrants through
+// hackathon campaigns
+router.post(
+  "/send",
+  protect,
+  authorize("superadmin"),
+  whatsappController.sendMessage
+);
 
-// Receive message webhook (for replies)
-router.post("/webhook", whatsappController.receiveMessage);
+// Incoming messages from Twilio, answered by the bot
+router.post(
+  "/webhook",
+  validateTwilioSignature,
+  whatsappController.receiveMessage
+);
+
+// Delivery status reports from Twilio
+router.post(
+  "/status",
+  validateTwilioSignature,
+  whatsappController.receiveStatus
+);
 
 module.exports = router;
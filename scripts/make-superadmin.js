@@ -0,0 +1,32 @@
+// scripts/make-superadmin.js
+// Promotes an existing account to superadmin, e.g. to read the sandbox
+// inbox at /api/dev/inbox while developing:
+//
+//   MONGO_URI=mongodb://localhost/hackathon npm run make-superadmin -- ada@example.com
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const User = require("../models/user.model");
+
+const run = async () => {
+  const email = process.argv[2];
+  if (!email) {
+    console.error("Usage: npm run make-superadmin -- <email>");
+    process.exit(1);
+  }
+
+  await connectDB();
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase() },
+    { role: "superadmin" },
+    { new: true }
+  );
+  await mongoose.disconnect();
+
+  if (!user) {
+    console.error(`No account found for ${email}; register it first`);
+    process.exit(1);
+  }
+  console.log(`${user.email} is now a superadmin`);
+};
+
+run();
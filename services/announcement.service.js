@@ -0,0 +1,110 @@
+// services/announcement.service.js
+const mongoose = require("mongoose");
+const Announcement = require("../models/announcement.model");
+const Hackathon = require("../models/hackthon.model");
+const User = require("../models/user.model");
+const AppError = require("../utils/appError");
+const webSocketService = require("./websocket.service");
+
+const DEFAULT_PAGE_SIZE = 20;
+
+// Publish an announcement and broadcast it to the hackathon channel
+const createAnnouncement = async (
+  hackathon,
+  author,
+  { title, message, pinned = false }
+) => {
+  const announcement = await Announcement.create({
+    hackathonId: hackathon._id,
+    authorId: author._id,
+    title,
+    message,
+    pinned,
+    pinnedAt: pinned ? new Date() : undefined,
+  });
+
+  webSocketService.broadcastToChannel("hackathon", hackathon._id, {
+    type: "hackathon_announcement",
+    hackathonId: hackathon._id,
+    announcement,
+  });
+
+  return announcement;
+};
+
+// Announcement history, newest first. Pages continue from the `before`
+// date of the oldest announcement already seen
+const listAnnouncements = (
+  hackathon,
+  { before, limit = DEFAULT_PAGE_SIZE } = {}
+) => {
+  const filter = { hackathonId: hackathon._id };
+  if (before) filter.createdAt = { $lt: new Date(before) };
+
+  return Announcement.find(filter)
+    .populate("authorId", "name")
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit);
+};
+
+// Pin or unpin an announcement
+const setPinned = async (hackathon, announcementId, pinned) => {
+  const announcement = await Announcement.findOne({
+    _id: announcementId,
+    hackathonId: hackathon._id,
+  });
+  if (!announcement) {
+    throw new AppError("Announcement not found", 404);
+  }
+
+  announcement.set({ pinned, pinnedAt: pinned ? new Date() : undefined });
+  await announcement.save();
+
+  webSocketService.broadcastToChannel("hackathon", hackathon._id, {
+    type: "hackathon_announcement_pinned",
+    hackathonId: hackathon._id,
+    announcementId: announcement._id,
+    pinned,
+  });
+
+  return announcement;
+};
+
+const pinnedAnnouncements = (hackathonId) =>
+  Announcement.find({ hackathonId, pinned: true })
+    .populate("authorId", "name")
+    .sort({ pinnedAt: -1 });
+
+// Hackathon channels are open to its staff and registered participants.
+// Joining sends the pinned announcements so late joiners catch up
+const registerRealtimeHandlers = () => {
+  webSocketService.registerChannel("hackathon", async (userId, hackathonId) => {
+    const [user, hackathon] = await Promise.all([
+      User.findById(userId, "role"),
+      mongoose.isValidObjectId(hackathonId)
+        ? Hackathon.findById(hackathonId)
+        : null,
+    ]);
+    if (!hackathon) {
+      throw new AppError("Hackathon not found", 404);
+    }
+
+    const allowed =
+      user.role === "superadmin" ||
+      hackathon.isOrganizer(userId) ||
+      hackathon.isJudge(userId) ||
+      (await hackathon.isParticipant(userId));
+    if (!allowed) {
+      throw new AppError("Not registered for this hackathon", 403);
+    }
+
+    return { pinned: await pinnedAnnouncements(hackathon._id) };
+  });
+};
+
+module.exports = {
+  createAnnouncement,
+  listAnnouncements,
+  setPinned,
+  registerRealtimeHandlers,
+};
@@ -0,0 +1,153 @@
+// services/attachment.service.js
+const fs = require("fs/promises");
+const path = require("path");
+const mongoose = require("mongoose");
+const sharp = require("sharp");
+const Attachment = require("../models/attachment.model");
+const AppError = require("../utils/appError");
+
+const UPLOAD_ROOT = path.join(__dirname, "..", "uploads");
+const THUMBNAIL_SIZE = 320; // px, longest side
+// Uploads never sent in a message are removed after this long
+const UNSENT_TTL = 24 * 60 * 60 * 1000; // 1 day
+
+// Files of a team are kept together under uploads/teams/<teamId>
+const teamUploadDir = (teamId) =>
+  path.join(UPLOAD_ROOT, "teams", teamId.toString());
+
+const removeFiles = (teamId, filenames) =>
+  Promise.all(
+    filenames
+      .filter(Boolean)
+      .map((filename) =>
+        fs.rm(path.join(teamUploadDir(teamId), filename), { force: true })
+      )
+  );
+
+// Write a JPEG thumbnail next to an uploaded image
+const createThumbnail = async (file) => {
+  const thumbnailFilename = `${path.parse(file.filename).name}-thumb.jpg`;
+
+  await sharp(file.path)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, {
+      fit: "inside",
+      withoutEnlargement: true,
+    })
+    .jpeg({ quality: 80 })
+    .toFile(path.join(path.dirname(file.path), thumbnailFilename));
+
+  return thumbnailFilename;
+};
+
+// Record a file a member uploaded to the team. Images get a thumbnail;
+// files that do not decode as images are refused
+const createAttachment = async (team, user, file) => {
+  const kind = file.mimetype.startsWith("image/") ? "image" : "file";
+
+  let thumbnailFilename;
+  if (kind === "image") {
+    try {
+      thumbnailFilename = await createThumbnail(file);
+    } catch (err) {
+      await removeFiles(team._id, [file.filename]);
+      throw new AppError("The uploaded image could not be read", 400);
+    }
+  }
+
+  return Attachment.create({
+    teamId: team._id,
+    hackathonId: team.hackathonId,
+    uploadedBy: user._id,
+    kind,
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size,
+    filename: file.filename,
+    thumbnailFilename,
+  });
+};
+
+// Link one of the sender's unsent uploads to the message being sent
+const claimAttachment = async (team, sender, attachmentId, messageId) => {
+  const attachment = mongoose.isValidObjectId(attachmentId)
+    ? await Attachment.findOneAndUpdate(
+        {
+          _id: attachmentId,
+          teamId: team._id,
+          uploadedBy: sender._id,
+          messageId: null,
+        },
+        { messageId },
+        { new: true }
+      )
+    : null;
+  if (!attachment) {
+    throw new AppError("Attachment not found or already sent", 404);
+  }
+
+  return attachment;
+};
+
+// Make a claimed upload available again when its message was not sent
+const releaseAttachment = (attachment) =>
+  Attachment.updateOne({ _id: attachment._id }, { $unset: { messageId: 1 } });
+
+// Files of a deleted message are no longer served
+const hideAttachment = (message) =>
+  Attachment.updateOne(
+    { messageId: message._id },
+    { deletedAt: message.deletedAt }
+  );
+
+// Stored file behind a team download link, as long as its message was not
+// deleted
+const findTeamFile = async (team, filename) => {
+  const attachment = await Attachment.findOne({
+    teamId: team._id,
+    deletedAt: null,
+    $or: [{ filename }, { thumbnailFilename: filename }],
+  });
+  if (!attachment) {
+    throw new AppError("File not found", 404);
+  }
+
+  return {
+    attachment,
+    filePath: path.join(teamUploadDir(team._id), filename),
+    isThumbnail: attachment.thumbnailFilename === filename,
+  };
+};
+
+// Remove every file uploaded to a team
+const removeTeamFiles = (teamId) =>
+  fs.rm(teamUploadDir(teamId), { recursive: true, force: true });
+
+// Remove uploads that were never sent, with their files
+const removeUnsentAttachments = async (now = new Date()) => {
+  const unsent = await Attachment.find({
+    messageId: null,
+    createdAt: { $lte: new Date(now.getTime() - UNSENT_TTL) },
+  });
+
+  for (const attachment of unsent) {
+    await removeFiles(attachment.teamId, [
+      attachment.filename,
+      attachment.thumbnailFilename,
+    ]);
+    await attachment.deleteOne();
+  }
+
+  return unsent.length;
+};
+
+module.exports = {
+  teamUploadDir,
+  createAttachment,
+  claimAttachment,
+  releaseAttachment,
+  hideAttachment,
+  findTeamFile,
+  removeTeamFiles,
+  removeUnsentAttachments,
+};
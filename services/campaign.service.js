@@ -0,0 +1,412 @@
+// services/campaign.service.js
+const Campaign = require("../models/campaign.model");
+const CampaignRecipient = require("../models/campaignRecipient.model");
+const Registration = require("../models/registration.model");
+const AppError = require("../utils/appError");
+const logger = require("../utils/logger");
+const submissionService = require("./submission.service");
+const whatsappService = require("./whatsapp.service");
+
+const MINUTE = 60 * 1000;
+// A campaign whose sender died mid-run is picked up again after this
+const STALE_LOCK = 10 * MINUTE;
+// Rate limited sends are retried this many times, waiting longer each time
+const RATE_LIMIT_RETRIES = 3;
+const RATE_LIMIT_BACKOFF = 5000; // ms
+const PLACEHOLDERS = [
+  "name",
+  "hackathon",
+  "team",
+  "startDate",
+  "endDate",
+  "link",
+];
+const PLACEHOLDER_PATTERN = /{{\s*(\w+)\s*}}/g;
+const SCHEDULE_FIELDS = ["milestone", "offsetMinutes", "task", "sendAt"];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Messages per second the provider accepts from our WhatsApp sender
+const messagesPerSecond = () =>
+  Number(process.env.WHATSAPP_MESSAGES_PER_SECOND) || 10;
+
+// Placeholders a message uses that campaigns cannot fill
+const unknownPlaceholders = (message) => [
+  ...new Set(
+    [...message.matchAll(PLACEHOLDER_PATTERN)]
+      .map(([, name]) => name)
+      .filter((name) => !PLACEHOLDERS.includes(name))
+  ),
+];
+
+// Fill in {{placeholder}}s; the ones without a value are left empty
+const renderMessage = (message, values) =>
+  message.replace(PLACEHOLDER_PATTERN, (match, name) => values[name] ?? "");
+
+const checkMessage = (message) => {
+  const unknown = unknownPlaceholders(message);
+  if (unknown.length) {
+    throw new AppError(
+      `Unknown placeholders: ${unknown.join(", ")}. Use ${PLACEHOLDERS.join(
+        ", "
+      )}`,
+      400
+    );
+  }
+};
+
+// When a hackathon milestone happens. Submissions close at the soft
+// deadline of the given task, or of the whole project
+const milestoneTime = (hackathon, milestone, taskTitle) => {
+  if (milestone === "registration_deadline") {
+    return hackathon.registrationDeadline;
+  }
+  if (milestone === "start") return hackathon.startDate;
+  if (milestone === "end") return hackathon.endDate;
+
+  const task = taskTitle
+    ? hackathon.tasks.find((t) => t.title === taskTitle)
+    : null;
+  if (taskTitle && !task) {
+    throw new AppError("Unknown task for this hackathon", 400);
+  }
+  return submissionService.submissionWindow(hackathon, task).softDeadline;
+};
+
+// Send time of a campaign: its offset from a milestone, or a fixed time
+const resolveSendAt = (
+  hackathon,
+  { milestone, offsetMinutes = 0, task, sendAt }
+) => {
+  if (milestone) {
+    return new Date(
+      new Date(milestoneTime(hackathon, milestone, task)).getTime() +
+        offsetMinutes * MINUTE
+    );
+  }
+  if (!sendAt) {
+    throw new AppError("Give a milestone or a send time", 400);
+  }
+
+  return new Date(sendAt);
+};
+
+const checkSendAt = (sendAt) => {
+  if (sendAt <= new Date()) {
+    throw new AppError("The campaign would be sent in the past", 400);
+  }
+};
+
+// Schedule a campaign for the registrants of a hackathon
+const createCampaign = async (hackathon, organizer, data) => {
+  checkMessage(data.message);
+  const sendAt = resolveSendAt(hackathon, data);
+  checkSendAt(sendAt);
+
+  return Campaign.create({
+    hackathonId: hackathon._id,
+    createdBy: organizer._id,
+    name: data.name,
+    message: data.message,
+    segment: data.segment,
+    milestone: data.milestone || undefined,
+    offsetMinutes: data.milestone ? data.offsetMinutes : undefined,
+    task: data.milestone ? data.task : undefined,
+    sendAt,
+  });
+};
+
+const findCampaign = async (hackathon, campaignId) => {
+  const campaign = await Campaign.findOne({
+    _id: campaignId,
+    hackathonId: hackathon._id,
+  });
+  if (!campaign) {
+    throw new AppError("Campaign not found", 404);
+  }
+
+  return campaign;
+};
+
+// Campaigns go out as they are once sending started, so only scheduled
+// ones change. The update only applies while the campaign is still
+// scheduled, in case it started in the meantime
+const applyWhileScheduled = async (campaign, update) => {
+  if (campaign.status !== "scheduled") {
+    throw new AppError(`The campaign is already ${campaign.status}`, 400);
+  }
+
+  const updated = await Campaign.findOneAndUpdate(
+    { _id: campaign._id, status: "scheduled" },
+    update,
+    { new: true }
+  );
+  if (!updated) {
+    throw new AppError("The campaign has already started", 400);
+  }
+
+  return updated;
+};
+
+// Change a scheduled campaign. A new send time replaces the milestone it
+// was scheduled against, and the other way round
+const updateCampaign = async (hackathon, campaignId, changes) => {
+  const campaign = await findCampaign(hackathon, campaignId);
+
+  const update = {};
+  ["name", "message", "segment"].forEach((field) => {
+    if (changes[field] !== undefined) update[field] = changes[field];
+  });
+  if (update.message) checkMessage(update.message);
+
+  if (SCHEDULE_FIELDS.some((field) => changes[field] !== undefined)) {
+    const schedule =
+      changes.sendAt !== undefined && !changes.milestone
+        ? { sendAt: changes.sendAt }
+        : {
+            milestone: changes.milestone ?? campaign.milestone,
+            offsetMinutes: changes.offsetMinutes ?? campaign.offsetMinutes,
+            task: changes.task ?? campaign.task,
+          };
+
+    update.sendAt = resolveSendAt(hackathon, schedule);
+    checkSendAt(update.sendAt);
+    if (schedule.milestone) {
+      Object.assign(update, {
+        milestone: schedule.milestone,
+        offsetMinutes: schedule.offsetMinutes,
+      });
+      if (schedule.task) update.task = schedule.task;
+      else update.$unset = { task: 1 };
+    } else {
+      update.offsetMinutes = 0;
+      update.$unset = { milestone: 1, task: 1 };
+    }
+  }
+
+  return applyWhileScheduled(campaign, update);
+};
+
+const cancelCampaign = async (hackathon, campaignId) =>
+  applyWhileScheduled(await findCampaign(hackathon, campaignId), {
+    status: "cancelled",
+  });
+
+const listCampaigns = (hackathon) =>
+  Campaign.find({ hackathonId: hackathon._id }).sort({ sendAt: -1 });
+
+// Delivery of a campaign to each of its recipients
+const listRecipients = async (hackathon, campaignId, { status } = {}) => {
+  const campaign = await findCampaign(hackathon, campaignId);
+
+  const filter = { campaignId: campaign._id };
+  if (status) filter.status = status;
+
+  return CampaignRecipient.find(filter)
+    .populate("userId", "name email")
+    .sort({ _id: 1 });
+};
+
+// Move scheduled campaigns along with the milestones of a hackathon whose
+// dates changed
+const rescheduleCampaigns = async (hackathon) => {
+  const campaigns = await Campaign.find({
+    hackathonId: hackathon._id,
+    status: "scheduled",
+    milestone: { $ne: null },
+  });
+
+  for (const campaign of campaigns) {
+    try {
+      await Campaign.updateOne(
+        { _id: campaign._id, status: "scheduled" },
+        { sendAt: resolveSendAt(hackathon, campaign) }
+      );
+    } catch (error) {
+      // The task it was scheduled against is gone; keep the old time
+      if (!(error instanceof AppError)) throw error;
+    }
+  }
+};
+
+// Registrations a campaign goes to
+const segmentFilter = (campaign) => {
+  const { registrationStatuses = [], hasTeam } = campaign.segment || {};
+  const filter = { hackathonId: campaign.hackathonId };
+
+  if (registrationStatuses.length) {
+    filter.status = { $in: registrationStatuses };
+  }
+  if (hasTeam === true) filter.teamId = { $ne: null };
+  if (hasTeam === false) filter.teamId = null;
+
+  return filter;
+};
+
+// Record every recipient with their message. Registrants without a phone
+// number or who turned WhatsApp messages off are skipped. Recipients added
+// by an earlier, interrupted run are kept as they are
+const addRecipients = async (campaign, hackathon) => {
+  const registrations = await Registration.find(segmentFilter(campaign))
+    .populate("userId", "name phone notificationPreferences")
+    .populate("teamId", "name");
+  const link = `${process.env.CLIENT_URL || ""}/hackathons/${hackathon._id}`;
+
+  const recipients = registrations
+    .filter(({ userId: user }) => user)
+    .map(({ userId: user, teamId: team }) => {
+      const phone = user.phone && `+${user.phone.replace(/\D/g, "")}`;
+      const optedIn = user.notificationPreferences?.whatsapp;
+
+      return {
+        campaignId: campaign._id,
+        userId: user._id,
+        phone,
+        message: renderMessage(campaign.message, {
+          name: user.name,
+          hackathon: hackathon.title,
+          team: team ? team.name : "",
+          startDate: hackathon.startDate.toUTCString(),
+          endDate: hackathon.endDate.toUTCString(),
+          link,
+        }),
+        ...(!phone && { status: "skipped", error: "No phone number" }),
+        ...(phone &&
+          !optedIn && {
+            status: "skipped",
+            error: "WhatsApp messages turned off",
+          }),
+      };
+    });
+
+  try {
+    await CampaignRecipient.insertMany(recipients, { ordered: false });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+};
+
+// Send to one recipient, backing off while the provider rate limits us
+const sendToRecipient = async (recipient) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await whatsappService.sendWhatsAppMessage(
+        recipient.phone,
+        recipient.message,
+        {
+          userId: recipient.userId,
+          kind: "campaign",
+          campaignId: recipient.campaignId,
+        }
+      );
+      recipient.set({
+        status: "sent",
+        messageSid: result.messageId,
+        sentAt: new Date(),
+      });
+      break;
+    } catch (error) {
+      if (error.status === 429 && attempt < RATE_LIMIT_RETRIES) {
+        await sleep(RATE_LIMIT_BACKOFF * attempt);
+        continue;
+      }
+      recipient.set({ status: "failed", error: error.message });
+      break;
+    }
+  }
+
+  await recipient.save();
+};
+
+// Send a claimed campaign to its pending recipients, no faster than the
+// provider allows, then record how delivery went
+const deliverCampaign = async (campaign, hackathon) => {
+  await addRecipients(campaign, hackathon);
+  const interval = 1000 / messagesPerSecond();
+
+  for (;;) {
+    const recipient = await CampaignRecipient.findOne({
+      campaignId: campaign._id,
+      status: "pending",
+    }).sort({ _id: 1 });
+    if (!recipient) break;
+
+    await sendToRecipient(recipient);
+    // Keep the claim while the campaign is being sent
+    await Campaign.updateOne({ _id: campaign._id }, { lockedAt: new Date() });
+    await sleep(interval);
+  }
+
+  const counts = await CampaignRecipient.aggregate([
+    { $match: { campaignId: campaign._id } },
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+  const stats = { recipients: 0, sent: 0, failed: 0, skipped: 0 };
+  counts.forEach(({ _id: status, count }) => {
+    stats[status] = count;
+    stats.recipients += count;
+  });
+
+  campaign.set({
+    status: "sent",
+    stats,
+    completedAt: new Date(),
+    lockedAt: undefined,
+  });
+  await campaign.save();
+
+  logger.info(
+    `Campaign ${campaign._id} sent: ${stats.sent} sent, ${stats.failed} failed, ${stats.skipped} skipped`
+  );
+};
+
+// Send every campaign that is due. Campaigns are claimed one at a time so
+// several instances never send the same campaign
+const sendDueCampaigns = async (now = new Date()) => {
+  let sent = 0;
+
+  for (;;) {
+    const campaign = await Campaign.findOneAndUpdate(
+      {
+        $or: [
+          { status: "scheduled", sendAt: { $lte: now } },
+          {
+            status: "sending",
+            lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK) },
+          },
+        ],
+      },
+      { status: "sending", lockedAt: now },
+      { new: true, sort: { sendAt: 1 } }
+    ).populate("hackathonId");
+    if (!campaign) break;
+
+    const hackathon = campaign.hackathonId;
+    if (!hackathon) {
+      // The hackathon was deleted
+      await Campaign.updateOne({ _id: campaign._id }, { status: "cancelled" });
+      continue;
+    }
+    campaign.depopulate("hackathonId");
+    if (!campaign.startedAt) campaign.startedAt = now;
+
+    await deliverCampaign(campaign, hackathon);
+    sent++;
+  }
+
+  return sent;
+};
+
+module.exports = {
+  PLACEHOLDERS,
+  unknownPlaceholders,
+  renderMessage,
+  resolveSendAt,
+  createCampaign,
+  updateCampaign,
+  cancelCampaign,
+  listCampaigns,
+  listRecipients,
+  rescheduleCampaigns,
+  sendDueCampaigns,
+};
@@ -0,0 +1,387 @@
+// services/chat.service.js
+const mongoose = require("mongoose");
+const Team = require("../models/team.model");
+const TeamMember = require("../models/teamMember.model");
+const Message = require("../models/message.model");
+const AppError = require("../utils/appError");
+const { validateMessage, validatePayload } = require("../utils/validators");
+const webSocketService = require("./websocket.service");
+const teamService = require("./team.service");
+const presenceService = require("./presence.service");
+const attachmentService = require("./attachment.service");
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const SENDER_FIELDS = "name email";
+
+// A page of messages, newest first. `before` is the id of the oldest
+// message already loaded and the returned cursor continues after this
+// page. Top-level messages are listed unless `replyTo` names a thread
+const listMessages = async (
+  team,
+  { before, limit = DEFAULT_PAGE_SIZE, replyTo } = {}
+) => {
+  if (before && !mongoose.isValidObjectId(before)) {
+    throw new AppError("Invalid cursor", 400);
+  }
+  if (replyTo && !mongoose.isValidObjectId(replyTo)) {
+    throw new AppError("Invalid thread", 400);
+  }
+
+  const pageSize = Math.min(
+    Math.max(Number(limit) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  );
+  const filter = { teamId: team._id, replyTo: replyTo || null };
+  if (before) filter._id = { $lt: before };
+
+  const messages = await Message.find(filter)
+    .populate("senderId", SENDER_FIELDS)
+    .populate("attachmentId")
+    .sort({ _id: -1 })
+    .limit(pageSize + 1);
+  const page = messages.slice(0, pageSize);
+
+  return {
+    messages: page,
+    nextCursor: messages.length > pageSize ? page[page.length - 1]._id : null,
+  };
+};
+
+// Post a message to the team chat, optionally sharing one of the sender's
+// uploads. A reply to a reply joins the thread of the message that started
+// it, so threads stay one level deep
+const sendMessage = async (
+  team,
+  sender,
+  { content, attachmentId, replyTo }
+) => {
+  let thread = null;
+  if (replyTo) {
+    const parent = mongoose.isValidObjectId(replyTo)
+      ? await Message.findOne({ _id: replyTo, teamId: team._id })
+      : null;
+    if (!parent) {
+      throw new AppError("The message you reply to was not found", 404);
+    }
+    thread = parent.replyTo || parent._id;
+  }
+
+  // The upload is claimed for the new message up front, so it can only
+  // ever be sent once
+  const messageId = new mongoose.Types.ObjectId();
+  const attachment = attachmentId
+    ? await attachmentService.claimAttachment(
+        team,
+        sender,
+        attachmentId,
+        messageId
+      )
+    : null;
+
+  let message;
+  try {
+    message = await Message.create({
+      _id: messageId,
+      teamId: team._id,
+      hackathonId: team.hackathonId,
+      senderId: sender._id,
+      content,
+      type: attachment ? attachment.kind : "text",
+      attachmentId: attachment ? attachment._id : undefined,
+      fileUrl: attachment ? attachment.url : undefined,
+      replyTo: thread,
+    });
+  } catch (error) {
+    if (attachment) await attachmentService.releaseAttachment(attachment);
+    throw error;
+  }
+
+  if (thread) {
+    await Message.updateOne(
+      { _id: thread },
+      { $inc: { replyCount: 1 }, lastReplyAt: message.createdAt }
+    );
+  }
+
+  // Senders have read everything up to their own message
+  await TeamMember.updateOne(
+    { teamId: team._id, userId: sender._id },
+    { lastReadMessageId: message._id, lastReadAt: message.createdAt }
+  );
+
+  await message.populate([
+    { path: "senderId", select: SENDER_FIELDS },
+    { path: "attachmentId" },
+  ]);
+
+  await teamService.notifyTeam(team._id, {
+    type: "new_message",
+    teamId: team._id,
+    message,
+  });
+
+  return message;
+};
+
+// A message of the team that the user sent and has not deleted
+const findOwnMessage = async (team, user, messageId) => {
+  const message = await Message.findOne({ _id: messageId, teamId: team._id });
+  if (!message) {
+    throw new AppError("Message not found", 404);
+  }
+  if (!message.senderId.equals(user._id)) {
+    throw new AppError("You can only change your own messages", 403);
+  }
+  if (message.deletedAt) {
+    throw new AppError("This message has been deleted", 400);
+  }
+
+  return message;
+};
+
+// Change the text of a message
+const editMessage = async (team, user, messageId, content) => {
+  const message = await findOwnMessage(team, user, messageId);
+
+  message.set({ content, editedAt: new Date() });
+  await message.save();
+
+  await teamService.notifyTeam(team._id, {
+    type: "message_updated",
+    teamId: team._id,
+    messageId: message._id,
+    content: message.content,
+    editedAt: message.editedAt,
+  });
+
+  return message;
+};
+
+// Soft-delete a message; it stays in the history without its content
+const deleteMessage = async (team, user, messageId) => {
+  const message = await findOwnMessage(team, user, messageId);
+
+  message.deletedAt = new Date();
+  await message.save();
+  await attachmentService.hideAttachment(message);
+
+  await teamService.notifyTeam(team._id, {
+    type: "message_deleted",
+    teamId: team._id,
+    messageId: message._id,
+  });
+
+  return message;
+};
+
+// Add the user's emoji reaction to a message, or take it back if they
+// already reacted with it
+const toggleReaction = async (team, user, messageId, emoji) => {
+  const filter = { _id: messageId, teamId: team._id, deletedAt: null };
+  const reaction = { emoji, userId: user._id };
+
+  const added = await Message.updateOne(
+    { ...filter, reactions: { $not: { $elemMatch: reaction } } },
+    { $push: { reactions: reaction } }
+  );
+  if (added.modifiedCount === 0) {
+    await Message.updateOne(filter, { $pull: { reactions: reaction } });
+  }
+
+  const message = await Message.findOne(filter);
+  if (!message) {
+    throw new AppError("Message not found", 404);
+  }
+
+  await teamService.notifyTeam(team._id, {
+    type: "message_reaction",
+    teamId: team._id,
+    messageId: message._id,
+    reactions: message.reactions,
+  });
+
+  return message;
+};
+
+// Messages from teammates the user has not read yet
+const unreadCount = async (team, userId) => {
+  const member = await TeamMember.findOne({
+    teamId: team._id,
+    userId,
+    ...teamService.ACTIVE_MEMBER,
+  });
+
+  const filter = {
+    teamId: team._id,
+    senderId: { $ne: userId },
+    deletedAt: null,
+  };
+  if (member && member.lastReadMessageId) {
+    filter._id = { $gt: member.lastReadMessageId };
+  }
+
+  return Message.countDocuments(filter);
+};
+
+// Move the user's read marker up to a message and tell the team. The
+// marker never moves back to an older message
+const markRead = async (team, user, messageId) => {
+  const message = mongoose.isValidObjectId(messageId)
+    ? await Message.findOne({ _id: messageId, teamId: team._id })
+    : null;
+  if (!message) {
+    throw new AppError("Message not found", 404);
+  }
+
+  const readAt = new Date();
+  const moved = await TeamMember.updateOne(
+    {
+      teamId: team._id,
+      userId: user._id,
+      ...teamService.ACTIVE_MEMBER,
+      $or: [
+        { lastReadMessageId: null },
+        { lastReadMessageId: { $lt: message._id } },
+      ],
+    },
+    { lastReadMessageId: message._id, lastReadAt: readAt }
+  );
+
+  if (moved.modifiedCount > 0) {
+    await teamService.notifyTeam(team._id, {
+      type: "read_receipt",
+      teamId: team._id,
+      userId: user._id,
+      messageId: message._id,
+      readAt,
+    });
+  }
+
+  return { unreadCount: await unreadCount(team, user._id) };
+};
+
+// Who is online and how far each member has read, with the user's own
+// unread count
+const chatStatus = async (team, user) => {
+  const members = await teamService
+    .activeMembers(team._id)
+    .populate("userId", "name");
+  const presence = await presenceService.statusesOf(
+    members.map((member) => member.userId._id)
+  );
+
+  return {
+    members: members.map((member) => ({
+      userId: member.userId._id,
+      name: member.userId.name,
+      ...presence.get(member.userId._id.toString()),
+      lastReadMessageId: member.lastReadMessageId || null,
+      lastReadAt: member.lastReadAt || null,
+    })),
+    unreadCount: await unreadCount(team, user._id),
+  };
+};
+
+// Team of a chat request over the WebSocket, if the user is an active member
+const memberTeam = async (teamId, userId) => {
+  const team = mongoose.isValidObjectId(teamId)
+    ? await Team.findById(teamId)
+    : null;
+  if (!team) {
+    throw new AppError("Team not found", 404);
+  }
+
+  const isMember = await TeamMember.exists({
+    teamId: team._id,
+    userId,
+    ...teamService.ACTIVE_MEMBER,
+  });
+  if (!isMember) {
+    throw new AppError("Only team members can use the team chat", 403);
+  }
+
+  return team;
+};
+
+// Members page through history and post messages over the WebSocket too
+const registerRealtimeHandlers = () => {
+  webSocketService.registerHandler(
+    "chat-history",
+    async (userId, request, client) => {
+      const team = await memberTeam(request.teamId, userId);
+      const page = await listMessages(team, request);
+
+      webSocketService.send(client, {
+        type: "chat_history",
+        teamId: team._id,
+        replyTo: request.replyTo || null,
+        ...page,
+      });
+    }
+  );
+
+  webSocketService.registerHandler(
+    "chat-read",
+    async (userId, request, client) => {
+      const team = await memberTeam(request.teamId, userId);
+      const result = await markRead(team, { _id: userId }, request.messageId);
+
+      webSocketService.send(client, {
+        type: "unread_count",
+        teamId: team._id,
+        ...result,
+      });
+    }
+  );
+
+  // Team channels are joined by members while the chat is open
+  webSocketService.registerChannel("team", async (userId, teamId) => {
+    const team = await memberTeam(teamId, userId);
+    return { unreadCount: await unreadCount(team, userId) };
+  });
+
+  // Typing indicators are relayed to the open chats as they come and never
+  // stored
+  webSocketService.registerHandler("typing", async (userId, request) => {
+    const team = await memberTeam(request.teamId, userId);
+
+    webSocketService.broadcastToChannel("team", team._id, {
+      type: "typing",
+      teamId: team._id,
+      userId,
+      isTyping: request.isTyping !== false,
+    });
+  });
+
+  // Checked by the same rules as messages sent through the API
+  webSocketService.registerHandler("chat-message", async (userId, request) => {
+    const team = await memberTeam(request.teamId, userId);
+    const { content, attachmentId, replyTo } = await validatePayload(
+      validateMessage,
+      {
+        content: request.content,
+        attachmentId: request.attachmentId,
+        replyTo: request.replyTo,
+      }
+    );
+
+    await sendMessage(
+      team,
+      { _id: userId },
+      { content, attachmentId, replyTo }
+    );
+  });
+};
+
+module.exports = {
+  listMessages,
+  sendMessage,
+  editMessage,
+  deleteMessage,
+  toggleReaction,
+  unreadCount,
+  markRead,
+  chatStatus,
+  registerRealtimeHandlers,
+};
@@ -0,0 +1,113 @@
+// services/email.service.js
+const path = require("path");
+const ejs = require("ejs");
+const EmailOutbox = require("../models/emailOutbox.model");
+const logger = require("../utils/logger");
+const { getProvider } = require("../utils/messaging");
+
+const TEMPLATE_DIR = path.join(__dirname, "..", "templates");
+const MAX_ATTEMPTS = 5;
+const RETRY_DELAY = 60 * 1000; // doubles after every failed attempt
+// A claimed email whose sender died mid-attempt is picked up again after this
+const STALE_LOCK = 10 * 60 * 1000; // 10 minutes
+
+// Wait before the next attempt once an email failed `attempts` times
+const retryDelay = (attempts) => RETRY_DELAY * 2 ** (attempts - 1);
+
+// Render templates/<template>.ejs; every template gets the app name and URL
+const renderTemplate = (template, data = {}) =>
+  ejs.renderFile(path.join(TEMPLATE_DIR, `${template}.ejs`), {
+    appName: process.env.APP_NAME || "Hack Mate",
+    appUrl: process.env.CLIENT_URL || "",
+    ...data,
+  });
+
+// Send a claimed outbox entry and record the outcome. Failed emails are
+// retried with backoff until they run out of attempts
+const deliver = async (entry) => {
+  try {
+    await getProvider("email").send({
+      channel: "email",
+      to: entry.to,
+      subject: entry.subject,
+      body: entry.html,
+    });
+    entry.set({ status: "sent", sentAt: new Date(), lastError: undefined });
+  } catch (error) {
+    const exhausted = entry.attempts >= MAX_ATTEMPTS;
+    logger.error(
+      `Email to ${entry.to} failed (attempt ${entry.attempts}): ${error.message}`
+    );
+    entry.set({
+      status: exhausted ? "failed" : "pending",
+      lastError: error.message,
+      nextAttemptAt: new Date(Date.now() + retryDelay(entry.attempts)),
+    });
+  }
+
+  entry.lockedAt = undefined;
+  await entry.save();
+  return entry.status === "sent";
+};
+
+// Put an email in the outbox and make the first attempt right away. The
+// body comes from a template, or `html` for callers that build their own.
+// Emails with a `key` already in the outbox are not queued again
+const queueEmail = async ({ to, subject, template, data, html, key }) => {
+  const body = template ? await renderTemplate(template, data) : html;
+
+  let entry;
+  try {
+    entry = await EmailOutbox.create({
+      to,
+      subject,
+      html: body,
+      template,
+      key,
+      status: "sending",
+      attempts: 1,
+      lockedAt: new Date(),
+    });
+  } catch (error) {
+    if (key && error.code === 11000) return null;
+    throw error;
+  }
+
+  await deliver(entry);
+  return entry;
+};
+
+// Retry every email that is due. Entries are claimed one at a time so
+// several instances never send the same email
+const processOutbox = async (now = new Date()) => {
+  let sent = 0;
+
+  for (;;) {
+    const entry = await EmailOutbox.findOneAndUpdate(
+      {
+        $or: [
+          { status: "pending", nextAttemptAt: { $lte: now } },
+          {
+            status: "sending",
+            lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK) },
+          },
+        ],
+      },
+      { status: "sending", lockedAt: now, $inc: { attempts: 1 } },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+    if (!entry) break;
+
+    if (await deliver(entry)) sent++;
+  }
+
+  return sent;
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  retryDelay,
+  renderTemplate,
+  queueEmail,
+  processOutbox,
+};
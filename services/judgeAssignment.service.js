@@ -0,0 +1,274 @@
+// services/judgeAssignment.service.js
+const Team = require("../models/team.model");
+const TeamMember = require("../models/teamMember.model");
+const User = require("../models/user.model");
+const JudgeAssignment = require("../models/judgeAssignment.model");
+const AppError = require("../utils/appError");
+const notificationService = require("./notification.service");
+const scoringService = require("./scoring.service");
+const { ACTIVE_MEMBER } = require("./team.service");
+
+const DEFAULT_REVIEWS_PER_SUBMISSION = 2;
+
+const normalizeOrganization = (organization) =>
+  (organization || "").trim().toLowerCase();
+
+// Pick judges for every submission so each gets `reviewsPerSubmission`
+// reviews from eligible judges. Submissions with the fewest eligible judges
+// go first, and each pick goes to the eligible judge with the lightest load.
+// Existing assignments are kept and count towards both, unless their judge
+// was removed or is no longer eligible, as that judge cannot score
+const planAssignments = (
+  submissions,
+  judges,
+  { reviewsPerSubmission, existing = [], isEligible = () => true }
+) => {
+  const load = new Map(judges.map((judgeId) => [judgeId, 0]));
+  const assigned = new Map(
+    submissions.map(({ submissionId }) => [submissionId, new Set()])
+  );
+  const teamOf = new Map(
+    submissions.map(({ submissionId, teamId }) => [submissionId, teamId])
+  );
+
+  existing
+    .filter(
+      ({ submissionId, judgeId }) =>
+        load.has(judgeId) &&
+        (!teamOf.has(submissionId) ||
+          isEligible(judgeId, teamOf.get(submissionId)))
+    )
+    .forEach(({ submissionId, judgeId }) => {
+      if (assigned.has(submissionId)) assigned.get(submissionId).add(judgeId);
+      load.set(judgeId, load.get(judgeId) + 1);
+    });
+
+  const eligibleFor = (submission) =>
+    judges.filter(
+      (judgeId) =>
+        isEligible(judgeId, submission.teamId) &&
+        !assigned.get(submission.submissionId).has(judgeId)
+    );
+
+  const ordered = submissions
+    .map((submission) => ({ submission, eligible: eligibleFor(submission) }))
+    .sort((a, b) => a.eligible.length - b.eligible.length);
+
+  const assignments = [];
+  const shortfalls = [];
+
+  ordered.forEach(({ submission, eligible }) => {
+    const needed =
+      reviewsPerSubmission - assigned.get(submission.submissionId).size;
+    if (needed <= 0) return;
+
+    const picked = eligible
+      .sort((a, b) => load.get(a) - load.get(b) || a.localeCompare(b))
+      .slice(0, needed);
+
+    picked.forEach((judgeId) => {
+      load.set(judgeId, load.get(judgeId) + 1);
+      assigned.get(submission.submissionId).add(judgeId);
+      assignments.push({ ...submission, judgeId });
+    });
+
+    if (picked.length < needed) {
+      shortfalls.push({ ...submission, missing: needed - picked.length });
+    }
+  });
+
+  return { assignments, shortfalls, load };
+};
+
+// Organizations of the active members of each team
+const teamOrganizations = async (teamIds) => {
+  const members = await TeamMember.find({
+    teamId: { $in: teamIds },
+    ...ACTIVE_MEMBER,
+  }).populate("userId", "organization");
+
+  const organizations = new Map();
+  members.forEach((member) => {
+    const teamId = member.teamId.toString();
+    const organization = normalizeOrganization(
+      member.userId && member.userId.organization
+    );
+    if (!organizations.has(teamId)) organizations.set(teamId, new Set());
+    if (organization) organizations.get(teamId).add(organization);
+  });
+
+  return organizations;
+};
+
+// Assign the hackathon's final submissions to its judges. Judges never get
+// a team they have a conflict with or that has a member from their own
+// organization. Running it again only tops up missing reviews
+const assignJudges = async (
+  hackathon,
+  { reviewsPerSubmission = DEFAULT_REVIEWS_PER_SUBMISSION } = {}
+) => {
+  const judges = hackathon.judges.map((judgeId) => judgeId.toString());
+  if (judges.length === 0) {
+    throw new AppError("This hackathon has no judges", 400);
+  }
+
+  const teams = await Team.find({ hackathonId: hackathon._id }, "submissions");
+  const submissions = teams.flatMap((team) =>
+    team.submissions
+      .filter((submission) => submission.status !== "draft")
+      .map((submission) => ({
+        submissionId: submission._id.toString(),
+        teamId: team._id.toString(),
+      }))
+  );
+
+  const organizations = await teamOrganizations(teams.map((team) => team._id));
+  const judgeUsers = await User.find({ _id: { $in: judges } }, "organization");
+  const judgeOrganization = new Map(
+    judgeUsers.map((user) => [
+      user._id.toString(),
+      normalizeOrganization(user.organization),
+    ])
+  );
+  const conflicts = new Map();
+  for (const judgeId of judges) {
+    conflicts.set(
+      judgeId,
+      await scoringService.conflictedTeams(hackathon, judgeId)
+    );
+  }
+
+  const isEligible = (judgeId, teamId) => {
+    const organization = judgeOrganization.get(judgeId);
+    const teamOrgs = organizations.get(teamId) || new Set();
+    return (
+      !conflicts.get(judgeId).has(teamId) &&
+      !(organization && teamOrgs.has(organization))
+    );
+  };
+
+  const existing = (
+    await JudgeAssignment.find({ hackathonId: hackathon._id })
+  ).map((assignment) => ({
+    submissionId: assignment.submissionId.toString(),
+    judgeId: assignment.judgeId.toString(),
+  }));
+
+  const { assignments, shortfalls, load } = planAssignments(
+    submissions,
+    judges,
+    { reviewsPerSubmission, existing, isEligible }
+  );
+
+  await JudgeAssignment.insertMany(
+    assignments.map((assignment) => ({
+      hackathonId: hackathon._id,
+      ...assignment,
+    }))
+  );
+
+  const newPerJudge = new Map();
+  assignments.forEach(({ judgeId }) =>
+    newPerJudge.set(judgeId, (newPerJudge.get(judgeId) || 0) + 1)
+  );
+  for (const [judgeId, count] of newPerJudge) {
+    await notificationService.notify(judgeId, {
+      type: "judge_assignment",
+      title: "New submissions to review",
+      message: `${count} new submissions are waiting for your review`,
+      data: { hackathonId: hackathon._id },
+    });
+  }
+
+  return {
+    created: assignments.length,
+    shortfalls,
+    load: [...load].map(([judgeId, assigned]) => ({ judgeId, assigned })),
+  };
+};
+
+// Drop the reviews a judge was assigned but has not done, e.g. once they
+// are removed from the hackathon
+const cancelOpenAssignments = (hackathon, judgeId) =>
+  JudgeAssignment.deleteMany({
+    hackathonId: hackathon._id,
+    judgeId,
+    status: "pending",
+  });
+
+// Assignments of a judge with the submission details and progress
+const judgeQueue = async (hackathon, judgeId) => {
+  const assignments = await JudgeAssignment.find({
+    hackathonId: hackathon._id,
+    judgeId,
+  })
+    .populate("teamId", "name submissions")
+    .sort({ status: -1, createdAt: 1 });
+
+  const queue = assignments.map((assignment) => {
+    const submission =
+      assignment.teamId &&
+      assignment.teamId.submissions.id(assignment.submissionId);
+    return {
+      assignmentId: assignment._id,
+      status: assignment.status,
+      completedAt: assignment.completedAt,
+      teamId: assignment.teamId && assignment.teamId._id,
+      teamName: assignment.teamId && assignment.teamId.name,
+      submissionId: assignment.submissionId,
+      task: submission && submission.task,
+      githubUrl: submission && submission.githubUrl,
+      description: submission && submission.description,
+    };
+  });
+
+  const completed = queue.filter((item) => item.status === "completed").length;
+
+  return {
+    queue,
+    progress: {
+      total: queue.length,
+      completed,
+      pending: queue.length - completed,
+    },
+  };
+};
+
+// Assigned and completed reviews per judge
+const workloadSummary = async (hackathon) => {
+  const workload = await JudgeAssignment.aggregate([
+    { $match: { hackathonId: hackathon._id } },
+    {
+      $group: {
+        _id: "$judgeId",
+        assigned: { $sum: 1 },
+        completed: {
+          $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] },
+        },
+      },
+    },
+  ]);
+  const byJudge = new Map(workload.map((row) => [row._id.toString(), row]));
+
+  const judges = await User.find(
+    { _id: { $in: hackathon.judges } },
+    "name email organization"
+  );
+
+  return judges.map((judge) => {
+    const row = byJudge.get(judge._id.toString());
+    return {
+      judge,
+      assigned: row ? row.assigned : 0,
+      completed: row ? row.completed : 0,
+    };
+  });
+};
+
+module.exports = {
+  planAssignments,
+  assignJudges,
+  cancelOpenAssignments,
+  judgeQueue,
+  workloadSummary,
+};
@@ -0,0 +1,130 @@
+// services/leaderboard.service.js
+const LeaderboardSnapshot = require("../models/leaderboardSnapshot.model");
+const logger = require("../utils/logger");
+const webSocketService = require("./websocket.service");
+const scoringService = require("./scoring.service");
+
+const MINUTE = 60 * 1000;
+
+// Moment the public leaderboard freezes, if the hackathon has a freeze
+const freezeTime = (hackathon) =>
+  hackathon.leaderboardFreezeMinutes === undefined ||
+  hackathon.leaderboardFreezeMinutes === null
+    ? null
+    : new Date(
+        new Date(hackathon.endDate).getTime() -
+          hackathon.leaderboardFreezeMinutes * MINUTE
+      );
+
+// Frozen from the freeze time until the results are announced
+const isFrozen = (hackathon, now = new Date()) => {
+  const frozenAt = freezeTime(hackathon);
+  return (
+    Boolean(frozenAt) && frozenAt <= now && hackathon.status !== "completed"
+  );
+};
+
+// Overall standings plus one board per task type, where teams only get
+// credit for their submissions to tasks of that type
+const buildStandings = async (hackathon) => {
+  const overall = await scoringService.computeLeaderboard(hackathon);
+  const taskTypes = [...new Set(hackathon.tasks.map((task) => task.type))];
+
+  const byTaskType = Object.fromEntries(
+    taskTypes.map((taskType) => [
+      taskType,
+      scoringService.rankTeams(
+        overall.map(({ teamId, name, submittedAt, submissions }) => ({
+          teamId,
+          name,
+          submittedAt,
+          submissions: submissions.filter((sub) => sub.taskType === taskType),
+        }))
+      ),
+    ])
+  );
+
+  return { overall, byTaskType };
+};
+
+// Standings as they were when the board froze. The snapshot is taken the
+// first time the frozen board is needed; score changes go through
+// withLeaderboardUpdate, which takes it before changing anything
+const frozenStandings = async (hackathon) => {
+  const frozenAt = freezeTime(hackathon);
+  const snapshot = await LeaderboardSnapshot.findOne({
+    hackathonId: hackathon._id,
+    frozenAt,
+  });
+  if (snapshot) return snapshot;
+
+  // A snapshot for another freeze time is stale: the freeze was moved
+  return LeaderboardSnapshot.findOneAndUpdate(
+    { hackathonId: hackathon._id },
+    { frozenAt, ...(await buildStandings(hackathon)) },
+    { upsert: true, new: true }
+  );
+};
+
+const isStaff = (hackathon, user) =>
+  user.role === "superadmin" ||
+  hackathon.isOrganizer(user._id) ||
+  hackathon.isJudge(user._id);
+
+// Leaderboard as a user may see it. Organizers and judges always see the
+// live standings; everyone else sees the snapshot while the board is frozen
+const getLeaderboard = async (hackathon, user) => {
+  const frozen = isFrozen(hackathon);
+
+  if (frozen && !isStaff(hackathon, user)) {
+    const snapshot = await frozenStandings(hackathon);
+    return {
+      frozen,
+      frozenAt: snapshot.frozenAt,
+      overall: snapshot.overall,
+      byTaskType: snapshot.byTaskType,
+    };
+  }
+
+  return {
+    frozen,
+    frozenAt: frozen ? freezeTime(hackathon) : null,
+    ...(await buildStandings(hackathon)),
+  };
+};
+
+// Push the live standings to the hackathon channel. Nothing is pushed while
+// the board is frozen, since the public view does not change
+const pushLeaderboard = async (hackathon) => {
+  if (isFrozen(hackathon)) return;
+
+  try {
+    webSocketService.broadcastToChannel("hackathon", hackathon._id, {
+      type: "leaderboard_update",
+      hackathonId: hackathon._id,
+      ...(await buildStandings(hackathon)),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (err) {
+    logger.error(`Leaderboard push failed: ${err.message}`);
+  }
+};
+
+// Run a change that affects scores, keeping the frozen board as it was
+// and pushing the new standings afterwards
+const withLeaderboardUpdate = async (hackathon, change) => {
+  if (isFrozen(hackathon)) await frozenStandings(hackathon);
+
+  const result = await change();
+  await pushLeaderboard(hackathon);
+  return result;
+};
+
+module.exports = {
+  freezeTime,
+  isFrozen,
+  buildStandings,
+  getLeaderboard,
+  pushLeaderboard,
+  withLeaderboardUpdate,
+};
@@ -0,0 +1,202 @@
+// services/messageLog.service.js
+const mongoose = require("mongoose");
+const MessageLog = require("../models/messageLog.model");
+const AppError = require("../utils/appError");
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+// Delivery progress of an outbound message; failures end it
+const PROGRESS = ["queued", "sending", "sent", "delivered", "read"];
+const FAILURES = ["failed", "undelivered"];
+// Twilio statuses we keep under another name
+const STATUS_ALIASES = {
+  accepted: "queued",
+  scheduled: "queued",
+  canceled: "failed",
+};
+
+const normalizeStatus = (status) => {
+  const normalized = STATUS_ALIASES[status] || status;
+  return PROGRESS.includes(normalized) || FAILURES.includes(normalized)
+    ? normalized
+    : null;
+};
+
+// Statuses a message may move on from to `status`. Twilio reports can
+// arrive out of order, and a message never goes back, e.g. from read to
+// delivered
+const statusesBefore = (status) =>
+  FAILURES.includes(status)
+    ? PROGRESS.slice(0, PROGRESS.indexOf("delivered"))
+    : PROGRESS.slice(0, PROGRESS.indexOf(status));
+
+// Log a message before it is handed to Twilio
+const recordOutbound = ({ from, to, body, userId, kind, campaignId }) =>
+  MessageLog.create({
+    direction: "outbound",
+    from,
+    to,
+    body,
+    userId,
+    kind,
+    campaignId,
+    status: "queued",
+    statusHistory: [{ status: "queued" }],
+  });
+
+// Move a message on to `status` unless it already got further
+const advanceStatus = (logId, status) =>
+  MessageLog.updateOne(
+    { _id: logId, status: { $in: statusesBefore(status) } },
+    { status }
+  );
+
+// Record Twilio's answer to a send; a status callback may have arrived
+// first, so the status only moves forward
+const recordSent = async (log, result) => {
+  const status = normalizeStatus(result.status) || "queued";
+
+  await MessageLog.updateOne(
+    { _id: log._id },
+    {
+      messageSid: result.sid,
+      $push: { statusHistory: { status, at: new Date() } },
+    }
+  );
+  await advanceStatus(log._id, status);
+};
+
+const recordFailure = (log, error) =>
+  MessageLog.updateOne(
+    { _id: log._id },
+    {
+      status: "failed",
+      errorCode: error.code,
+      errorMessage: error.message,
+      $push: { statusHistory: { status: "failed", at: new Date() } },
+    }
+  );
+
+// Log a message a user sent us, from the parameters of Twilio's webhook,
+// before it is handled. Twilio retries webhooks, so a message is only
+// logged once; resolves to null for one already logged, which must not be
+// handled again
+const recordInbound = async (params) => {
+  try {
+    return await MessageLog.create({
+      direction: "inbound",
+      messageSid: params.MessageSid,
+      from: params.From,
+      to: params.To,
+      body: params.Body,
+      kind: "bot",
+      status: "received",
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// Attach the user an inbound message turned out to come from
+const linkInboundUser = (log, user) =>
+  user ? MessageLog.updateOne({ _id: log._id }, { userId: user._id }) : null;
+
+// Apply a status report from Twilio to the message it is about, found by
+// its id or, for bot replies, by the log id the callback URL carries
+const recordStatus = async ({
+  logId,
+  MessageSid: messageSid,
+  MessageStatus,
+  ErrorCode: errorCode,
+  ErrorMessage: errorMessage,
+}) => {
+  const status = normalizeStatus(MessageStatus);
+  if (!status) return null;
+
+  const log =
+    logId && mongoose.isValidObjectId(logId)
+      ? await MessageLog.findById(logId)
+      : await MessageLog.findOne({ messageSid });
+  if (!log) return null;
+
+  await MessageLog.updateOne(
+    { _id: log._id },
+    {
+      ...(!log.messageSid && messageSid && { messageSid }),
+      ...(errorCode && { errorCode, errorMessage }),
+      $push: { statusHistory: { status, at: new Date() } },
+    }
+  );
+  await advanceStatus(log._id, status);
+
+  return MessageLog.findById(log._id);
+};
+
+// Query values matched against the field of the same name
+const FILTERS = ["direction", "status", "kind", "userId", "campaignId"];
+// Query values that must be document ids
+const ID_FILTERS = ["userId", "campaignId", "before"];
+
+// A page of the log, newest first, narrowed by any of the filters. `before`
+// is the id of the oldest message already loaded. Filters come from the
+// query string, so anything but a plain string is refused
+const listMessages = async (query = {}) => {
+  const { limit = DEFAULT_PAGE_SIZE } = query;
+  const values = {};
+
+  [...FILTERS, ...ID_FILTERS, "phone"].forEach((name) => {
+    const value = query[name];
+    if (value === undefined || value === "") return;
+
+    if (typeof value !== "string") {
+      throw new AppError(`Invalid ${name}`, 400);
+    }
+    if (ID_FILTERS.includes(name) && !mongoose.isValidObjectId(value)) {
+      throw new AppError(
+        name === "before" ? "Invalid cursor" : `Invalid ${name}`,
+        400
+      );
+    }
+    values[name] = value;
+  });
+
+  const pageSize = Math.min(
+    Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  );
+  const filter = {};
+  FILTERS.forEach((name) => {
+    if (values[name]) filter[name] = values[name];
+  });
+  if (values.phone) {
+    const { phone } = values;
+    const address = phone.startsWith("whatsapp:") ? phone : `whatsapp:${phone}`;
+    filter.$or = [{ from: address }, { to: address }];
+  }
+  if (values.before) filter._id = { $lt: values.before };
+
+  const messages = await MessageLog.find(filter)
+    .populate("userId", "name email")
+    .sort({ _id: -1 })
+    .limit(pageSize + 1);
+  const hasMore = messages.length > pageSize;
+  if (hasMore) messages.pop();
+
+  return {
+    messages,
+    nextCursor: hasMore ? messages[messages.length - 1]._id : null,
+  };
+};
+
+module.exports = {
+  normalizeStatus,
+  statusesBefore,
+  recordOutbound,
+  recordSent,
+  recordFailure,
+  recordInbound,
+  linkInboundUser,
+  recordStatus,
+  listMessages,
+};
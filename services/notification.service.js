@@ -0,0 +1,228 @@
+// services/notification.service.js
+const mongoose = require("mongoose");
+const Notification = require("../models/notification.model");
+const User = require("../models/user.model");
+const AppError = require("../utils/appError");
+const logger = require("../utils/logger");
+const emailService = require("./email.service");
+const webSocketService = require("./websocket.service");
+const whatsappService = require("./whatsapp.service");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+// Important notifications still unread after this go out by email/WhatsApp
+const FALLBACK_DELAY = 10 * 60 * 1000; // 10 minutes
+const PREFERENCE_FIELDS = "name email phone notificationPreferences";
+// Notification types with an email template of their own; the rest use
+// the generic notification email
+const EMAIL_TEMPLATES = {
+  team_assignment: "team_assignment",
+  hackathon_results: "hackathon_results",
+};
+
+// Channels besides the app that reach a user, by their preferences
+const fallbackChannels = (user) => {
+  const preferences = user.notificationPreferences || {};
+  const channels = [];
+
+  if (preferences.email && user.email) channels.push("email");
+  if (preferences.whatsapp && user.phone) channels.push("whatsapp");
+
+  return channels;
+};
+
+// Send a notification out of the app on every channel the user allows
+const sendFallback = async (notification, user) => {
+  const delivered = [];
+
+  for (const channel of fallbackChannels(user)) {
+    try {
+      if (channel === "email") {
+        await emailService.queueEmail({
+          to: user.email,
+          subject: notification.title,
+          template: EMAIL_TEMPLATES[notification.type] || "notification_mail",
+          data: {
+            user,
+            title: notification.title,
+            message: notification.message,
+            ...notification.data,
+          },
+          key: `notification:${notification._id}`,
+        });
+      } else {
+        await whatsappService.sendWhatsAppMessage(
+          user.phone,
+          `${notification.title}\n\n${notification.message}`,
+          { userId: user._id, kind: "notification" }
+        );
+      }
+      delivered.push(channel);
+    } catch (error) {
+      logger.error(`Notification ${channel} delivery failed: ${error.message}`);
+    }
+  }
+
+  await Notification.updateOne(
+    { _id: notification._id },
+    {
+      fallbackAt: notification.fallbackAt || new Date(),
+      $addToSet: { deliveredVia: { $each: delivered } },
+    }
+  );
+};
+
+// Store a notification in the user's inbox and push it to their open
+// connections. Important notifications go out by email or WhatsApp once
+// left unread, or right away for users who turned in-app notifications off
+const notify = async (
+  userId,
+  { type, title, message, data = {}, important = false }
+) => {
+  const user = await User.findById(userId, PREFERENCE_FIELDS);
+  if (!user) return null;
+
+  const inApp = user.notificationPreferences.inApp;
+  const notification = await Notification.create({
+    userId: user._id,
+    type,
+    title,
+    message,
+    data,
+    important,
+    deliveredVia: inApp ? ["in_app"] : [],
+  });
+
+  if (inApp) {
+    webSocketService.sendToUser(user._id, {
+      type: "notification",
+      notification,
+    });
+  } else if (important) {
+    await sendFallback(notification, user);
+  }
+
+  return notification;
+};
+
+const unreadCount = (user) =>
+  Notification.countDocuments({ userId: user._id, readAt: null });
+
+// A page of the inbox, newest first. `before` is the id of the oldest
+// notification already loaded and the returned cursor continues after it
+const listNotifications = async (
+  user,
+  { before, limit = DEFAULT_PAGE_SIZE, unread = false } = {}
+) => {
+  if (before && !mongoose.isValidObjectId(before)) {
+    throw new AppError("Invalid cursor", 400);
+  }
+
+  const pageSize = Math.min(
+    Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  );
+  const filter = { userId: user._id };
+  if (before) filter._id = { $lt: before };
+  if (unread) filter.readAt = null;
+
+  const notifications = await Notification.find(filter)
+    .sort({ _id: -1 })
+    .limit(pageSize + 1);
+  const hasMore = notifications.length > pageSize;
+  if (hasMore) notifications.pop();
+
+  return {
+    notifications,
+    nextCursor: hasMore ? notifications[notifications.length - 1]._id : null,
+    unreadCount: await unreadCount(user),
+  };
+};
+
+// Mark one notification of the user as read
+const markRead = async (user, notificationId) => {
+  const notification = await Notification.findOne({
+    _id: notificationId,
+    userId: user._id,
+  });
+  if (!notification) {
+    throw new AppError("Notification not found", 404);
+  }
+
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+
+  return { notification, unreadCount: await unreadCount(user) };
+};
+
+// Mark the whole inbox as read
+const markAllRead = async (user) => {
+  const result = await Notification.updateMany(
+    { userId: user._id, readAt: null },
+    { readAt: new Date() }
+  );
+
+  return result.modifiedCount;
+};
+
+// Turn channels on or off; only the given channels change
+const updatePreferences = async (user, changes) => {
+  if (changes.whatsapp && !user.phone) {
+    throw new AppError(
+      "Add a phone number to your profile to get WhatsApp notifications",
+      400
+    );
+  }
+
+  const update = {};
+  Object.entries(changes).forEach(([channel, enabled]) => {
+    update[`notificationPreferences.${channel}`] = enabled;
+  });
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $set: update },
+    { new: true }
+  );
+
+  return updated.notificationPreferences;
+};
+
+// Send important notifications nobody read in time by email or WhatsApp.
+// Each one is claimed first so several instances never send it twice
+const deliverFallbacks = async (now = new Date()) => {
+  let sent = 0;
+
+  for (;;) {
+    const notification = await Notification.findOneAndUpdate(
+      {
+        important: true,
+        readAt: null,
+        fallbackAt: null,
+        createdAt: { $lte: new Date(now.getTime() - FALLBACK_DELAY) },
+      },
+      { fallbackAt: now },
+      { new: true }
+    );
+    if (!notification) break;
+
+    const user = await User.findById(notification.userId, PREFERENCE_FIELDS);
+    if (user) {
+      await sendFallback(notification, user);
+      sent++;
+    }
+  }
+
+  return sent;
+};
+
+module.exports = {
+  fallbackChannels,
+  notify,
+  listNotifications,
+  markRead,
+  markAllRead,
+  updatePreferences,
+  deliverFallbacks,
+};
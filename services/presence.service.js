@@ -0,0 +1,153 @@
+// services/presence.service.js
+const Presence = require("../models/presence.model");
+const TeamMember = require("../models/teamMember.model");
+const User = require("../models/user.model");
+const logger = require("../utils/logger");
+const webSocketService = require("./websocket.service");
+const teamService = require("./team.service");
+
+// Connections missing this many heartbeats count as gone
+const PRESENCE_TTL = 3 * webSocketService.heartbeatInterval;
+
+const expiry = () => new Date(Date.now() + PRESENCE_TTL);
+
+// Presence of each user across their connections on every instance: online
+// while any connection is, away while all of them are, otherwise offline
+// since their last connection closed
+const statusesOf = async (userIds) => {
+  const ids = userIds.map(String);
+  const [connections, users] = await Promise.all([
+    Presence.find({ userId: { $in: ids }, expiresAt: { $gt: new Date() } }),
+    User.find({ _id: { $in: ids } }, "lastSeenAt"),
+  ]);
+
+  const statuses = new Map(
+    users.map((user) => [
+      user._id.toString(),
+      { status: "offline", lastSeenAt: user.lastSeenAt || null },
+    ])
+  );
+
+  connections.forEach(({ userId, status, lastSeenAt }) => {
+    const current = statuses.get(userId.toString());
+    if (!current) return;
+
+    const connected = current.status !== "offline";
+    current.status = current.status === "online" ? "online" : status;
+    current.lastSeenAt =
+      connected && current.lastSeenAt > lastSeenAt
+        ? current.lastSeenAt
+        : lastSeenAt;
+  });
+
+  return statuses;
+};
+
+const statusOf = async (userId) =>
+  (await statusesOf([userId])).get(userId.toString()) || {
+    status: "offline",
+    lastSeenAt: null,
+  };
+
+// Tell every team the user is active in about their presence
+const announce = async (userId, current) => {
+  const memberships = await TeamMember.find(
+    { userId, ...teamService.ACTIVE_MEMBER },
+    "teamId"
+  );
+  await Promise.all(
+    memberships.map(({ teamId }) =>
+      teamService.notifyTeam(teamId, {
+        type: "presence",
+        teamId,
+        userId,
+        ...current,
+      })
+    )
+  );
+};
+
+// Apply a change to the user's connections and announce their presence if
+// it changed. Offline is only announced once no instance holds a
+// connection of the user any more
+const updateConnections = async (userId, change) => {
+  const previous = await statusOf(userId);
+  await change();
+  const current = await statusOf(userId);
+
+  if (current.status !== previous.status) {
+    await announce(userId, current);
+  }
+};
+
+// A status the client reported before this ran is kept
+const connect = (userId, connectionId) =>
+  updateConnections(userId, () =>
+    Presence.updateOne(
+      { connectionId },
+      {
+        lastSeenAt: new Date(),
+        expiresAt: expiry(),
+        $setOnInsert: { userId, status: "online" },
+      },
+      { upsert: true }
+    )
+  );
+
+// Record the status a connection reports, "online" or "away"
+const setStatus = (userId, connectionId, status) =>
+  updateConnections(userId, () =>
+    Presence.updateOne(
+      { connectionId },
+      {
+        status,
+        lastSeenAt: new Date(),
+        expiresAt: expiry(),
+        $setOnInsert: { userId },
+      },
+      { upsert: true }
+    )
+  );
+
+const disconnect = (userId, connectionId) =>
+  updateConnections(userId, async () => {
+    await Presence.deleteOne({ connectionId });
+    await User.updateOne({ _id: userId }, { lastSeenAt: new Date() });
+  });
+
+// Keep a connection that answered a heartbeat from expiring
+const refresh = (connectionId) =>
+  Presence.updateOne(
+    { connectionId },
+    { lastSeenAt: new Date(), expiresAt: expiry() }
+  );
+
+// Opening a connection makes a user online and closing their last one
+// offline; clients report "away" and "online" themselves per connection,
+// e.g. when their tab is hidden or shown
+const registerRealtimeHandlers = () => {
+  const track = (update) => (userId, connectionId) =>
+    update(userId, connectionId).catch((err) =>
+      logger.error(`Presence update failed: ${err.message}`)
+    );
+
+  webSocketService.on("connection-opened", track(connect));
+  webSocketService.on("connection-closed", track(disconnect));
+  webSocketService.on(
+    "connection-alive",
+    track((userId, connectionId) => refresh(connectionId))
+  );
+
+  webSocketService.registerHandler("presence", (userId, { status }, ws) =>
+    setStatus(userId, ws.connectionId, status === "away" ? "away" : "online")
+  );
+};
+
+module.exports = {
+  statusOf,
+  statusesOf,
+  connect,
+  setStatus,
+  disconnect,
+  registerRealtimeHandlers,
+};
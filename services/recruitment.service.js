@@ -0,0 +1,211 @@
+// services/recruitment.service.js
+const Hackathon = require("../models/hackthon.model");
+const Team = require("../models/team.model");
+const TeamMember = require("../models/teamMember.model");
+const TeamApplication = require("../models/teamApplication.model");
+const Registration = require("../models/registration.model");
+const User = require("../models/user.model");
+const AppError = require("../utils/appError");
+const notificationService = require("./notification.service");
+const teamService = require("./team.service");
+
+const normalizeSkills = (skills = []) =>
+  new Set(skills.map((skill) => skill.trim().toLowerCase()));
+
+// Skills two lists have in common, compared case-insensitively
+const skillOverlap = (requiredSkills, skills) => {
+  const offered = normalizeSkills(skills);
+  return [...normalizeSkills(requiredSkills)].filter((skill) =>
+    offered.has(skill)
+  );
+};
+
+// Active member counts keyed by team id
+const memberCounts = async (teamIds) => {
+  const counts = await TeamMember.aggregate([
+    { $match: { teamId: { $in: teamIds }, ...teamService.ACTIVE_MEMBER } },
+    { $group: { _id: "$teamId", count: { $sum: 1 } } },
+  ]);
+
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+// Recruiting teams of a hackathon with open slots, best skill match first
+const listRecruitingTeams = async (hackathonId, user) => {
+  const hackathon = await Hackathon.findById(hackathonId);
+  if (!hackathon) {
+    throw new AppError("Hackathon not found", 404);
+  }
+
+  const teams = await Team.find({ hackathonId, isRecruiting: true })
+    .populate("leaderId", "name")
+    .sort({ createdAt: 1 });
+  const counts = await memberCounts(teams.map((team) => team._id));
+
+  return teams
+    .map((team) => {
+      const matchingSkills = skillOverlap(team.requiredSkills, user.skills);
+      return {
+        teamId: team._id,
+        name: team.name,
+        description: team.description,
+        leader: team.leaderId,
+        requiredSkills: team.requiredSkills,
+        openSlots:
+          hackathon.maxTeamSize - (counts.get(team._id.toString()) || 0),
+        matchingSkills,
+        matchScore: team.requiredSkills.length
+          ? matchingSkills.length / team.requiredSkills.length
+          : 0,
+      };
+    })
+    .filter((listing) => listing.openSlots > 0)
+    .sort(
+      (a, b) =>
+        b.matchingSkills.length - a.matchingSkills.length ||
+        b.matchScore - a.matchScore ||
+        b.openSlots - a.openSlots
+    );
+};
+
+// Update how the team advertises itself on the board
+const updateListing = async (team, { isRecruiting, requiredSkills }) => {
+  if (isRecruiting !== undefined) team.isRecruiting = isRecruiting;
+  if (requiredSkills !== undefined) team.requiredSkills = requiredSkills;
+  return team.save();
+};
+
+// A solo registrant applies to join a recruiting team
+const applyToTeam = async (team, user, message) => {
+  if (!team.isRecruiting) {
+    throw new AppError("This team is not recruiting", 400);
+  }
+
+  const registration = await Registration.findOne({
+    userId: user._id,
+    hackathonId: team.hackathonId,
+  });
+  if (!registration) {
+    throw new AppError("Not registered for this hackathon", 400);
+  }
+  if (registration.teamId) {
+    throw new AppError("Already part of a team", 400);
+  }
+
+  const pending = await TeamApplication.exists({
+    teamId: team._id,
+    userId: user._id,
+    status: "pending",
+  });
+  if (pending) {
+    throw new AppError("You have already applied to this team", 400);
+  }
+
+  const application = await TeamApplication.create({
+    teamId: team._id,
+    userId: user._id,
+    hackathonId: team.hackathonId,
+    message,
+  });
+
+  await notificationService.notify(team.leaderId, {
+    type: "team_application",
+    title: "New team application",
+    message: `${user.name} applied to join ${team.name}`,
+    data: { applicationId: application._id, teamId: team._id },
+  });
+
+  return application;
+};
+
+// Pending applications to a team, best skill match first
+const listApplications = async (team) => {
+  const applications = await TeamApplication.find({
+    teamId: team._id,
+    status: "pending",
+  })
+    .populate("userId", "name email skills experience")
+    .sort({ createdAt: 1 });
+
+  return applications
+    .map((application) => {
+      const matchingSkills = skillOverlap(
+        team.requiredSkills,
+        application.userId.skills
+      );
+      return { ...application.toObject(), matchingSkills };
+    })
+    .sort((a, b) => b.matchingSkills.length - a.matchingSkills.length);
+};
+
+// Applications the current user has sent
+const listMyApplications = (user) =>
+  TeamApplication.find({ userId: user._id })
+    .populate("teamId", "name hackathonId")
+    .sort({ createdAt: -1 });
+
+// Accept or reject a pending application to the team
+const reviewApplication = async (team, reviewer, applicationId, accept) => {
+  const application = await TeamApplication.findOne({
+    _id: applicationId,
+    teamId: team._id,
+    status: "pending",
+  });
+  if (!application) {
+    throw new AppError("Application not found", 404);
+  }
+
+  if (accept) {
+    await teamService.addMember(team, application.userId);
+
+    // The applicant has a team now, so their other applications are moot
+    await TeamApplication.updateMany(
+      {
+        userId: application.userId,
+        hackathonId: team.hackathonId,
+        status: "pending",
+        _id: { $ne: application._id },
+      },
+      { status: "withdrawn" }
+    );
+  }
+
+  application.set({
+    status: accept ? "accepted" : "rejected",
+    reviewedBy: reviewer._id,
+    reviewedAt: new Date(),
+  });
+  await application.save();
+
+  await notificationService.notify(application.userId, {
+    type: "team_application_response",
+    title: `Application ${application.status}`,
+    message: `Your application to ${team.name} was ${application.status}`,
+    data: {
+      applicationId: application._id,
+      teamId: team._id,
+      status: application.status,
+    },
+  });
+
+  if (accept) {
+    const applicant = await User.findById(application.userId, "name");
+    await teamService.notifyTeam(team._id, {
+      type: "team_update",
+      message: `${applicant.name} joined the team`,
+      teamId: team._id,
+    });
+  }
+
+  return application;
+};
+
+module.exports = {
+  skillOverlap,
+  listRecruitingTeams,
+  updateListing,
+  applyToTeam,
+  listApplications,
+  listMyApplications,
+  reviewApplication,
+};
@@ -0,0 +1,355 @@
+// services/scoring.service.js
+const Team = require("../models/team.model");
+const TeamMember = require("../models/teamMember.model");
+const Score = require("../models/score.model");
+const JudgeAssignment = require("../models/judgeAssignment.model");
+const AppError = require("../utils/appError");
+const teamService = require("./team.service");
+const submissionService = require("./submission.service");
+
+// Judges with fewer scores than this are not shifted, since their
+// average says little about how strict they are
+const MIN_SCORES_TO_NORMALIZE = 3;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const mean = (values) =>
+  values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Weighted rubric total on a 0-100 scale. Every criterion has to be scored
+// and stay within its max points
+const weightedTotal = (rubric, criteria) => {
+  const pointsById = new Map(
+    criteria.map(({ criterionId, points }) => [String(criterionId), points])
+  );
+
+  if (pointsById.size !== criteria.length) {
+    throw new AppError("Each criterion can only be scored once", 400);
+  }
+
+  let weighted = 0;
+  let weights = 0;
+  rubric.forEach((criterion) => {
+    const points = pointsById.get(criterion._id.toString());
+    if (points === undefined) {
+      throw new AppError(`Missing score for ${criterion.name}`, 400);
+    }
+    if (points < 0 || points > criterion.maxPoints) {
+      throw new AppError(
+        `${criterion.name} must be scored between 0 and ${criterion.maxPoints}`,
+        400
+      );
+    }
+    pointsById.delete(criterion._id.toString());
+
+    weighted += (points / criterion.maxPoints) * criterion.weight;
+    weights += criterion.weight;
+  });
+
+  if (pointsById.size > 0) {
+    throw new AppError("Scores must only cover rubric criteria", 400);
+  }
+
+  return weights > 0 ? round((weighted / weights) * 100) : 0;
+};
+
+// Judges conflict with teams they declared a conflict for and with teams
+// they have ever been a member of
+const conflictedTeams = async (hackathon, judgeId) => {
+  const declared = hackathon.judgeConflicts
+    .filter((conflict) => conflict.judge.equals(judgeId))
+    .map((conflict) => conflict.team.toString());
+
+  const memberships = await TeamMember.find(
+    { userId: judgeId, invitationStatus: "accepted" },
+    "teamId"
+  );
+
+  return new Set([
+    ...declared,
+    ...memberships.map((member) => member.teamId.toString()),
+  ]);
+};
+
+const hasConflict = async (hackathon, judgeId, teamId) =>
+  (await conflictedTeams(hackathon, judgeId)).has(teamId.toString());
+
+// Scores of a hackathon without those from conflicted judges, which may
+// have been given before the conflict was declared
+const validScores = async (hackathon, filter = {}) => {
+  const scores = await Score.find({ hackathonId: hackathon._id, ...filter });
+  const conflicts = new Map();
+
+  const valid = [];
+  for (const score of scores) {
+    const judgeId = score.judgeId.toString();
+    if (!conflicts.has(judgeId)) {
+      conflicts.set(judgeId, await conflictedTeams(hackathon, score.judgeId));
+    }
+    if (!conflicts.get(judgeId).has(score.teamId.toString())) {
+      valid.push(score);
+    }
+  }
+
+  return valid;
+};
+
+// Normalized value of every score. Judges differ in how strict they are,
+// so each judge's scores are shifted by the gap between their own average
+// and the average over all judges before submissions are compared
+const normalizeScores = (scores) => {
+  if (scores.length === 0) return new Map();
+
+  const overall = mean(scores.map((score) => score.total));
+  const byJudge = new Map();
+  scores.forEach((score) => {
+    const judgeId = score.judgeId.toString();
+    byJudge.set(judgeId, [...(byJudge.get(judgeId) || []), score.total]);
+  });
+
+  const offsets = new Map(
+    [...byJudge].map(([judgeId, totals]) => [
+      judgeId,
+      totals.length >= MIN_SCORES_TO_NORMALIZE ? overall - mean(totals) : 0,
+    ])
+  );
+
+  return new Map(
+    scores.map((score) => [
+      score._id.toString(),
+      Math.min(
+        100,
+        Math.max(0, score.total + offsets.get(score.judgeId.toString()))
+      ),
+    ])
+  );
+};
+
+// Keep the stored per-submission scores and team total in line with the
+// raw judge averages
+const refreshTeamScores = async (hackathon, team) => {
+  const scores = await validScores(hackathon, { teamId: team._id });
+
+  team.submissions.forEach((submission) => {
+    const totals = scores
+      .filter((score) => score.submissionId.equals(submission._id))
+      .map((score) => score.total);
+    submission.score = totals.length ? round(mean(totals)) : undefined;
+  });
+  team.totalScore = round(
+    team.submissions.reduce((sum, sub) => sum + (sub.score || 0), 0)
+  );
+
+  await team.save();
+};
+
+// Record or update a judge's rubric score for a team submission. Scoring
+// waits for judging to start, when final versions can no longer change
+const scoreSubmission = async (
+  hackathon,
+  team,
+  judge,
+  submissionId,
+  { criteria, comment }
+) => {
+  if (hackathon.rubric.length === 0) {
+    throw new AppError("This hackathon has no scoring rubric", 400);
+  }
+  if (!submissionService.isJudgingStarted(hackathon)) {
+    throw new AppError("Scoring opens once judging has started", 400);
+  }
+
+  const submission = team.submissions.id(submissionId);
+  if (!submission) {
+    throw new AppError("Submission not found", 404);
+  }
+  if (submission.status === "draft") {
+    throw new AppError("Draft submissions cannot be scored", 400);
+  }
+  if (await hasConflict(hackathon, judge._id, team._id)) {
+    throw new AppError("You have a conflict of interest with this team", 403);
+  }
+
+  // Once a submission has been assigned, only its assigned judges score it
+  const assignments = await JudgeAssignment.find({
+    submissionId: submission._id,
+  });
+  if (
+    assignments.length > 0 &&
+    !assignments.some((assignment) => assignment.judgeId.equals(judge._id))
+  ) {
+    throw new AppError("This submission is assigned to other judges", 403);
+  }
+
+  const score = await Score.findOneAndUpdate(
+    { submissionId: submission._id, judgeId: judge._id },
+    {
+      hackathonId: hackathon._id,
+      teamId: team._id,
+      criteria,
+      total: weightedTotal(hackathon.rubric, criteria),
+      comment,
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+
+  await JudgeAssignment.updateOne(
+    { submissionId: submission._id, judgeId: judge._id, status: "pending" },
+    { status: "completed", completedAt: new Date() }
+  );
+
+  await refreshTeamScores(hackathon, team);
+
+  await teamService.notifyTeam(team._id, {
+    type: "team_update",
+    message: `A judge has reviewed your submission for ${submission.task}`,
+    submissionId: submission._id,
+  });
+
+  return score;
+};
+
+// Scores given to a submission; judges only see their own
+const listScores = (hackathon, submissionId, user) => {
+  const filter = { hackathonId: hackathon._id, submissionId };
+  if (user.role !== "superadmin" && !hackathon.isOrganizer(user._id)) {
+    filter.judgeId = user._id;
+  }
+
+  return Score.find(filter).populate("judgeId", "name");
+};
+
+// Declare that a judge must not score a team
+const declareConflict = async (
+  hackathon,
+  declaredBy,
+  { judgeId, teamId, reason }
+) => {
+  if (!hackathon.isJudge(judgeId)) {
+    throw new AppError("User is not a judge of this hackathon", 400);
+  }
+
+  const team = await Team.exists({ _id: teamId, hackathonId: hackathon._id });
+  if (!team) {
+    throw new AppError("Team not found in this hackathon", 404);
+  }
+
+  const exists = hackathon.judgeConflicts.some(
+    (conflict) => conflict.judge.equals(judgeId) && conflict.team.equals(teamId)
+  );
+  if (!exists) {
+    hackathon.judgeConflicts.push({
+      judge: judgeId,
+      team: teamId,
+      reason,
+      declaredBy: declaredBy._id,
+    });
+    await hackathon.save();
+
+    // Reviews the judge has not done yet go to other judges on the next
+    // assignment run, and scores they already gave no longer count
+    await JudgeAssignment.deleteMany({
+      hackathonId: hackathon._id,
+      teamId,
+      judgeId,
+      status: "pending",
+    });
+    const scoredTeam = await Team.findById(teamId);
+    await refreshTeamScores(hackathon, scoredTeam);
+  }
+
+  return hackathon.judgeConflicts;
+};
+
+// Time used to break ties on submission order; teams that never submitted
+// a final version come last
+const submittedTime = (row) =>
+  row.submittedAt
+    ? new Date(row.submittedAt).getTime()
+    : Number.MAX_SAFE_INTEGER;
+
+// Standings order: higher total, then higher best single submission, then
+// earlier final submission
+const compareStandings = (a, b) =>
+  b.totalScore - a.totalScore ||
+  b.bestScore - a.bestScore ||
+  submittedTime(a) - submittedTime(b);
+
+// Rank teams by the sum of their normalized submission scores. Teams still
+// level after every tie-break share a rank and are listed by name
+const rankTeams = (rows) =>
+  rows
+    .map((row) => {
+      const scored = row.submissions
+        .map((sub) => sub.normalizedScore)
+        .filter((score) => score !== null);
+      return {
+        ...row,
+        totalScore: round(scored.reduce((sum, score) => sum + score, 0)),
+        bestScore: scored.length ? Math.max(...scored) : 0,
+      };
+    })
+    .sort((a, b) => compareStandings(a, b) || a.name.localeCompare(b.name))
+    .reduce((ranked, row, index) => {
+      const previous = ranked[index - 1];
+      const rank =
+        previous && compareStandings(previous, row) === 0
+          ? previous.rank
+          : index + 1;
+      return [...ranked, { rank, ...row }];
+    }, []);
+
+// Teams ranked by the sum over their submissions of the average normalized
+// judge score
+const computeLeaderboard = async (hackathon) => {
+  const teams = await Team.find(
+    { hackathonId: hackathon._id },
+    "name submissions submittedAt"
+  );
+  const scores = await validScores(hackathon);
+  const normalized = normalizeScores(scores);
+
+  const rows = teams.map((team) => ({
+    teamId: team._id,
+    name: team.name,
+    submittedAt: team.submittedAt,
+    submissions: team.submissions
+      .filter((submission) => submission.status !== "draft")
+      .map((submission) => {
+        const task = submission.taskId && hackathon.tasks.id(submission.taskId);
+        const judged = scores.filter((score) =>
+          score.submissionId.equals(submission._id)
+        );
+        return {
+          submissionId: submission._id,
+          task: submission.task,
+          taskType: task ? task.type : null,
+          judgeCount: judged.length,
+          rawScore: judged.length
+            ? round(mean(judged.map((score) => score.total)))
+            : null,
+          normalizedScore: judged.length
+            ? round(
+                mean(
+                  judged.map((score) => normalized.get(score._id.toString()))
+                )
+              )
+            : null,
+        };
+      }),
+  }));
+
+  return rankTeams(rows);
+};
+
+module.exports = {
+  weightedTotal,
+  normalizeScores,
+  conflictedTeams,
+  hasConflict,
+  scoreSubmission,
+  listScores,
+  declareConflict,
+  rankTeams,
+  computeLeaderboard,
+};
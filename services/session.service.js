@@ -0,0 +1,172 @@
+// services/session.service.js
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const Session = require("../models/session.model");
+const AppError = require("../utils/appError");
+const logger = require("../utils/logger");
+
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_TTL =
+  parseInt(process.env.REFRESH_TOKEN_DAYS || "30", 10) * 24 * 60 * 60 * 1000;
+// Exchanged refresh tokens remembered per session to recognise reuse
+const MAX_PREVIOUS_TOKENS = 20;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Refresh tokens name their session, so the session is found without
+// searching by hash
+const newRefreshToken = (session) =>
+  `${session._id}.${crypto.randomBytes(32).toString("hex")}`;
+
+const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+
+const activeFilter = (now = new Date()) => ({
+  revokedAt: null,
+  expiresAt: { $gt: now },
+});
+
+// Sign a user in on the device the user agent and IP address describe
+const createSession = async (user, { userAgent, ip } = {}) => {
+  const session = new Session({
+    userId: user._id,
+    userAgent,
+    ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL),
+  });
+  const refreshToken = newRefreshToken(session);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    session,
+    accessToken: signAccessToken(user._id, session._id),
+    refreshToken,
+  };
+};
+
+// Exchange a refresh token for a new access and refresh token. A refresh
+// token that was already exchanged signs the session out, as someone else
+// holds a copy of it
+const refreshSession = async (refreshToken, { userAgent, ip } = {}) => {
+  const [sessionId] = String(refreshToken || "").split(".");
+  if (!mongoose.isValidObjectId(sessionId)) {
+    throw new AppError("Invalid refresh token", 401);
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = newRefreshToken({ _id: sessionId });
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, refreshTokenHash: tokenHash, ...activeFilter() },
+    {
+      refreshTokenHash: hashToken(nextToken),
+      $push: {
+        previousTokenHashes: {
+          $each: [tokenHash],
+          $slice: -MAX_PREVIOUS_TOKENS,
+        },
+      },
+      lastUsedAt: new Date(),
+      ...(userAgent && { userAgent }),
+      ...(ip && { ip }),
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOneAndUpdate(
+      { _id: sessionId, previousTokenHashes: tokenHash, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: "reuse" }
+    );
+    if (reused) {
+      logger.warn(
+        `Refresh token reused for session ${sessionId} of user ${reused.userId}; session revoked`
+      );
+    }
+    throw new AppError("Invalid refresh token", 401);
+  }
+
+  return {
+    session,
+    accessToken: signAccessToken(session.userId, session._id),
+    refreshToken: nextToken,
+  };
+};
+
+// User id and session id of a valid access token, or null. Every token
+// names the session it was issued for and only works while that session
+// is active
+const verifyAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  if (!mongoose.isValidObjectId(decoded.sid)) return null;
+
+  const active = await Session.exists({
+    _id: decoded.sid,
+    userId: decoded.userId,
+    ...activeFilter(),
+  });
+  if (!active) return null;
+
+  return { userId: decoded.userId, sessionId: decoded.sid };
+};
+
+// A user's active sessions, most recently used first
+const listSessions = (userId) =>
+  Session.find({ userId, ...activeFilter() }).sort({ lastUsedAt: -1 });
+
+const revokeSession = async (userId, sessionId, reason = "revoked") => {
+  if (!mongoose.isValidObjectId(sessionId)) {
+    throw new AppError("Session not found", 404);
+  }
+
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, userId, ...activeFilter() },
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  );
+  if (!session) {
+    throw new AppError("Session not found", 404);
+  }
+
+  return session;
+};
+
+// Sign a user out everywhere, or everywhere but the session in `except`.
+// Resolves to the number of sessions revoked
+const revokeAllSessions = async (
+  userId,
+  { except, reason = "revoked" } = {}
+) => {
+  const result = await Session.updateMany(
+    {
+      userId,
+      ...activeFilter(),
+      ...(except && { _id: { $ne: except } }),
+    },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  return result.modifiedCount;
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  hashToken,
+  signAccessToken,
+  createSession,
+  refreshSession,
+  verifyAccessToken,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+};
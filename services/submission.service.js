@@ -0,0 +1,174 @@
+// services/submission.service.js
+const Hackathon = require("../models/hackthon.model");
+const AppError = require("../utils/appError");
+const teamService = require("./team.service");
+
+const MINUTE = 60 * 1000;
+
+// Hackathons without tasks take a single project submission
+const DEFAULT_TASK = "project";
+
+// Judging starts at the configured moment, or when the hackathon completes
+const isJudgingStarted = (hackathon, now = new Date()) =>
+  hackathon.judgingStartsAt
+    ? hackathon.judgingStartsAt <= now
+    : hackathon.status === "completed";
+
+// Submission window of a task. Past the soft deadline final submissions are
+// still accepted but flagged late; past the hard deadline they are refused.
+// A task time limit sets the soft deadline, the end date (plus the late
+// window) the hard one
+const submissionWindow = (hackathon, task) => {
+  const endDate = new Date(hackathon.endDate);
+  const taskDeadline =
+    task && task.timeLimit
+      ? new Date(hackathon.startDate.getTime() + task.timeLimit * MINUTE)
+      : endDate;
+
+  return {
+    opensAt: hackathon.startDate,
+    softDeadline: taskDeadline < endDate ? taskDeadline : endDate,
+    hardDeadline: new Date(
+      endDate.getTime() + (hackathon.lateSubmissionWindow || 0) * MINUTE
+    ),
+  };
+};
+
+// Find the hackathon task a submission is for, by id or title
+const resolveTask = (hackathon, taskRef) => {
+  if (hackathon.tasks.length === 0) {
+    if (taskRef && taskRef !== DEFAULT_TASK) {
+      throw new AppError("This hackathon has no tasks", 400);
+    }
+    return null;
+  }
+
+  const task = hackathon.tasks.find(
+    (t) => t.title === taskRef || String(t._id) === String(taskRef)
+  );
+  if (!task) {
+    throw new AppError("Unknown task for this hackathon", 400);
+  }
+
+  return task;
+};
+
+// Overall team status from its per-task submissions
+const teamSubmissionStatus = (submissions) => {
+  if (submissions.some((s) => s.status === "late_submission")) {
+    return "late_submission";
+  }
+  if (submissions.some((s) => s.status === "submitted")) {
+    return "submitted";
+  }
+  return submissions.length ? "draft" : "not_submitted";
+};
+
+// Save a new version of a team's submission for a task. Drafts can be
+// saved by any member; final versions only by the leader. A task keeps
+// every version, and a final version cannot be turned back into a draft
+const saveSubmission = async (
+  team,
+  user,
+  { task: taskRef, githubUrl, description, final = false }
+) => {
+  const hackathon = await Hackathon.findById(team.hackathonId);
+  const now = new Date();
+
+  if (isJudgingStarted(hackathon, now)) {
+    throw new AppError("Submissions are locked once judging has started", 400);
+  }
+
+  const task = resolveTask(hackathon, taskRef);
+  const { opensAt, softDeadline, hardDeadline } = submissionWindow(
+    hackathon,
+    task
+  );
+
+  if (now < opensAt) {
+    throw new AppError("Submissions open when the hackathon starts", 400);
+  }
+  if (now > hardDeadline) {
+    throw new AppError("The submission deadline has passed", 400);
+  }
+  if (final && !team.leaderId.equals(user._id)) {
+    throw new AppError("Only the team leader can submit a final version", 403);
+  }
+
+  const taskName = task ? task.title : DEFAULT_TASK;
+  let submission = team.submissions.find((s) => s.task === taskName);
+
+  if (submission && submission.status !== "draft" && !final) {
+    throw new AppError("A final version has already been submitted", 400);
+  }
+
+  const isLate = final && now > softDeadline;
+  const version = {
+    version: submission ? submission.version + 1 : 1,
+    githubUrl,
+    description,
+    isFinal: final,
+    isLate,
+    submittedBy: user._id,
+    submittedAt: now,
+  };
+
+  if (!submission) {
+    team.submissions.push({
+      taskId: task ? task._id : undefined,
+      task: taskName,
+    });
+    submission = team.submissions[team.submissions.length - 1];
+  }
+
+  submission.set({
+    status: final ? (isLate ? "late_submission" : "submitted") : "draft",
+    githubUrl,
+    description,
+    version: version.version,
+    submittedAt: now,
+  });
+  submission.versions.push(version);
+
+  team.submissionStatus = teamSubmissionStatus(team.submissions);
+  if (final) team.submittedAt = now;
+  await team.save();
+
+  await teamService.notifyTeam(team._id, {
+    type: "team_update",
+    message: final
+      ? `Submission for ${taskName} has been submitted${isLate ? " late" : ""}`
+      : `A draft for ${taskName} has been saved`,
+    submission: {
+      task: taskName,
+      status: submission.status,
+      version: submission.version,
+    },
+  });
+
+  return submission;
+};
+
+// Submissions of a team with the deadlines that apply to each task
+const listSubmissions = async (team) => {
+  const hackathon = await Hackathon.findById(team.hackathonId);
+  const tasks = hackathon.tasks.length ? hackathon.tasks : [null];
+
+  return tasks.map((task) => {
+    const taskName = task ? task.title : DEFAULT_TASK;
+    return {
+      taskId: task ? task._id : undefined,
+      task: taskName,
+      ...submissionWindow(hackathon, task),
+      locked: isJudgingStarted(hackathon),
+      submission: team.submissions.find((s) => s.task === taskName) || null,
+    };
+  });
+};
+
+module.exports = {
+  isJudgingStarted,
+  submissionWindow,
+  saveSubmission,
+  listSubmissions,
+};
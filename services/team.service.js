@@ -0,0 +1,554 @@
+// services/team.service.js
+const mongoose = require("mongoose");
+const Team = require("../models/team.model");
+const TeamMember = require("../models/teamMember.model");
+const Message = require("../models/message.model");
+const Attachment = require("../models/attachment.model");
+const Registration = require("../models/registration.model");
+const Hackathon = require("../models/hackthon.model");
+const User = require("../models/user.model");
+const AppError = require("../utils/appError");
+const webSocketService = require("./websocket.service");
+const attachmentService = require("./attachment.service");
+const notificationService = require("./notification.service");
+
+const INVITATION_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Invitees keep a TeamMember record while pending, so membership has to
+// check both the member status and the invitation status
+const ACTIVE_MEMBER = { status: "active", invitationStatus: "accepted" };
+
+const activeMembers = (teamId) => TeamMember.find({ teamId, ...ACTIVE_MEMBER });
+
+// Push a realtime message to every active team member
+const notifyTeam = async (teamId, data) => {
+  const members = await activeMembers(teamId);
+  members.forEach((member) => {
+    webSocketService.sendToUser(member.userId.toString(), data);
+  });
+};
+
+const isExpired = (invitation) =>
+  invitation.invitationExpiresAt &&
+  invitation.invitationExpiresAt <= new Date();
+
+// Registration of a user who can still join a team in the hackathon
+const findOpenRegistration = async (userId, hackathonId) => {
+  const registration = await Registration.findOne({ userId, hackathonId });
+
+  if (!registration) {
+    throw new AppError("Not registered for this hackathon", 400);
+  }
+  if (registration.teamId) {
+    throw new AppError("Already part of a team", 400);
+  }
+
+  return registration;
+};
+
+// Rosters are frozen once the hackathon starts, so every change to team
+// membership goes through this check first
+const loadOpenHackathon = async (hackathonId) => {
+  const hackathon = await Hackathon.findById(hackathonId);
+
+  if (!hackathon) {
+    throw new AppError("Hackathon not found", 404);
+  }
+  if (hackathon.startDate <= new Date()) {
+    throw new AppError(
+      "Team rosters are locked once the hackathon has started",
+      400
+    );
+  }
+
+  return hackathon;
+};
+
+const ensureCapacity = async (team) => {
+  const hackathon = await loadOpenHackathon(team.hackathonId);
+  const count = await TeamMember.countDocuments({
+    teamId: team._id,
+    ...ACTIVE_MEMBER,
+  });
+
+  if (count >= hackathon.maxTeamSize) {
+    throw new AppError("Team is full", 400);
+  }
+};
+
+// Take a seat in the team inside a transaction. The roster version bump
+// makes concurrent seat claims on one team conflict, so at most one of them
+// commits on a count that does not include the other
+const claimSeat = async (team, hackathon, session) => {
+  await Team.updateOne(
+    { _id: team._id },
+    { $inc: { rosterVersion: 1 } },
+    { session, timestamps: false }
+  );
+  const count = await TeamMember.countDocuments({
+    teamId: team._id,
+    ...ACTIVE_MEMBER,
+  }).session(session);
+
+  if (count >= hackathon.maxTeamSize) {
+    throw new AppError("Team is full", 400);
+  }
+};
+
+// Active membership of a user, or a 404 when they are not in the team
+const findActiveMember = async (team, userId) => {
+  const member = await TeamMember.findOne({
+    teamId: team._id,
+    userId,
+    ...ACTIVE_MEMBER,
+  });
+
+  if (!member) {
+    throw new AppError("User is not a member of this team", 404);
+  }
+
+  return member;
+};
+
+// Send users back to the pool of registrants without a team
+const releaseRegistrations = (team, userIds, session) =>
+  Registration.updateMany(
+    {
+      hackathonId: team.hackathonId,
+      userId: { $in: userIds },
+      teamId: team._id,
+    },
+    { $unset: { teamId: 1 }, status: "registered" },
+    { session }
+  );
+
+// Create a team with the requesting user as its leader
+const createTeam = async (user, { name, description, hackathonId }) => {
+  await loadOpenHackathon(hackathonId);
+  const registration = await findOpenRegistration(user._id, hackathonId);
+  const session = await mongoose.startSession();
+  let team;
+
+  try {
+    await session.withTransaction(async () => {
+      [team] = await Team.create(
+        [
+          {
+            name,
+            description,
+            hackathonId,
+            leaderId: user._id,
+            inviteCode: Team.generateInviteCode(),
+          },
+        ],
+        { session }
+      );
+
+      await TeamMember.create(
+        [{ teamId: team._id, userId: user._id, role: "leader" }],
+        { session }
+      );
+
+      const result = await Registration.updateOne(
+        { _id: registration._id, teamId: { $exists: false } },
+        { teamId: team._id, status: "team_assigned" },
+        { session }
+      );
+      if (result.modifiedCount !== 1) {
+        throw new AppError("Already part of a team", 409);
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return team;
+};
+
+// Add a user to a team, accepting their pending invitation if there is one.
+// Capacity is checked in the same transaction, and the registration update
+// is conditional so a user who joins two teams at the same time only ends
+// up in one of them
+const addMember = async (team, userId, { role = "developer" } = {}) => {
+  const registration = await findOpenRegistration(userId, team.hackathonId);
+  const hackathon = await loadOpenHackathon(team.hackathonId);
+
+  const session = await mongoose.startSession();
+  let member;
+
+  try {
+    await session.withTransaction(async () => {
+      await claimSeat(team, hackathon, session);
+
+      const result = await Registration.updateOne(
+        { _id: registration._id, teamId: { $exists: false } },
+        { teamId: team._id, status: "team_assigned" },
+        { session }
+      );
+      if (result.modifiedCount !== 1) {
+        throw new AppError("Already part of a team", 409);
+      }
+
+      member = await TeamMember.findOneAndUpdate(
+        { teamId: team._id, userId },
+        {
+          $set: {
+            status: "active",
+            invitationStatus: "accepted",
+            joinedAt: new Date(),
+          },
+          $setOnInsert: { role },
+        },
+        { upsert: true, new: true, session }
+      );
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return member;
+};
+
+// Join a team with its invite code. Members the leader removed only come
+// back through a new invitation
+const joinWithCode = async (user, inviteCode) => {
+  const team = await Team.findOne({ inviteCode });
+  if (!team) {
+    throw new AppError("Invalid invite code", 404);
+  }
+
+  const removed = await TeamMember.exists({
+    teamId: team._id,
+    userId: user._id,
+    status: "removed",
+  });
+  if (removed) {
+    throw new AppError(
+      "You were removed from this team and need a new invitation",
+      403
+    );
+  }
+
+  await addMember(team, user._id);
+
+  await notifyTeam(team._id, {
+    type: "team_update",
+    message: `${user.name} joined the team`,
+    teamId: team._id,
+  });
+
+  return team;
+};
+
+// Invite a registrant of the team's hackathon, found by user id or email
+const inviteUser = async (team, inviter, { userId, email, role }) => {
+  const invitee = userId
+    ? await User.findById(userId)
+    : await User.findOne({ email: String(email).toLowerCase() });
+
+  if (!invitee) {
+    throw new AppError("User not found", 404);
+  }
+
+  await findOpenRegistration(invitee._id, team.hackathonId);
+  await ensureCapacity(team);
+
+  const existing = await TeamMember.findOne({
+    teamId: team._id,
+    userId: invitee._id,
+  });
+
+  if (existing && existing.invitationStatus === "pending") {
+    if (!isExpired(existing)) {
+      throw new AppError("User already has a pending invitation", 400);
+    }
+  } else if (
+    existing &&
+    existing.status === "active" &&
+    existing.invitationStatus === "accepted"
+  ) {
+    throw new AppError("User is already a member of this team", 400);
+  }
+
+  // Former members and declined invitees reuse their record, since a user
+  // can only have one per team
+  const invitation = existing || new TeamMember({ teamId: team._id });
+  invitation.set({
+    userId: invitee._id,
+    role: role || "developer",
+    status: "active",
+    invitedBy: inviter._id,
+    invitationStatus: "pending",
+    invitationExpiresAt: new Date(Date.now() + INVITATION_TTL),
+    respondedAt: undefined,
+  });
+  await invitation.save();
+
+  await notificationService.notify(invitee._id, {
+    type: "team_invitation",
+    title: "Team invitation",
+    message: `${inviter.name} invited you to join ${team.name}`,
+    data: {
+      invitationId: invitation._id,
+      teamId: team._id,
+      expiresAt: invitation.invitationExpiresAt,
+    },
+  });
+
+  return invitation;
+};
+
+// Pending invitations addressed to a user
+const listInvitations = (user) =>
+  TeamMember.find({
+    userId: user._id,
+    invitationStatus: "pending",
+    invitationExpiresAt: { $gt: new Date() },
+  })
+    .populate("teamId", "name description hackathonId")
+    .populate("invitedBy", "name email")
+    .sort({ createdAt: -1 });
+
+// Accept or decline a pending invitation of the requesting user
+const respondToInvitation = async (user, invitationId, accept) => {
+  const invitation = await TeamMember.findOne({
+    _id: invitationId,
+    userId: user._id,
+    invitationStatus: "pending",
+  });
+
+  if (!invitation) {
+    throw new AppError("Invitation not found", 404);
+  }
+
+  if (isExpired(invitation)) {
+    invitation.invitationStatus = "expired";
+    await invitation.save();
+    throw new AppError("Invitation has expired", 400);
+  }
+
+  const team = await Team.findById(invitation.teamId);
+  if (!team) {
+    throw new AppError("Team not found", 404);
+  }
+
+  // Accepting goes through addMember, which updates this same record
+  const answered = accept
+    ? await addMember(team, user._id)
+    : invitation.set({ invitationStatus: "declined" });
+  answered.respondedAt = new Date();
+  await answered.save();
+
+  const answer = accept ? "accepted" : "declined";
+  const response = {
+    type: "team_invitation_response",
+    message: `${user.name} ${answer} the invitation to ${team.name}`,
+    invitationId: answered._id,
+    teamId: team._id,
+    status: answered.invitationStatus,
+  };
+
+  if (accept) {
+    await notifyTeam(team._id, response);
+  } else if (answered.invitedBy) {
+    await notificationService.notify(answered.invitedBy, {
+      type: response.type,
+      title: "Invitation declined",
+      message: response.message,
+      data: {
+        invitationId: answered._id,
+        teamId: team._id,
+        status: answered.invitationStatus,
+      },
+    });
+  }
+
+  return answered;
+};
+
+// Hand leadership to another active member, demoting the current leader
+const transferLeadership = async (team, userId) => {
+  const successor = await findActiveMember(team, userId);
+  if (team.leaderId.equals(successor.userId)) {
+    throw new AppError("User already leads this team", 400);
+  }
+
+  const previousLeaderId = team.leaderId;
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      await TeamMember.updateOne(
+        { teamId: team._id, userId: previousLeaderId },
+        { role: "developer" },
+        { session }
+      );
+      successor.role = "leader";
+      await successor.save({ session });
+
+      team.leaderId = successor.userId;
+      await team.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  await notifyTeam(team._id, {
+    type: "team_update",
+    message: "Team leadership has been transferred",
+    teamId: team._id,
+    leaderId: team.leaderId,
+  });
+
+  return team;
+};
+
+// Disband a team, returning every member to the registrant pool
+const disbandTeam = async (team) => {
+  await loadOpenHackathon(team.hackathonId);
+
+  // Collected before the records go away so members can still be told
+  const members = await activeMembers(team._id);
+  const userIds = members.map((member) => member.userId);
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      await releaseRegistrations(team, userIds, session);
+      await TeamMember.deleteMany({ teamId: team._id }, { session });
+      await Message.deleteMany({ teamId: team._id }, { session });
+      await Attachment.deleteMany({ teamId: team._id }, { session });
+      await Team.deleteOne({ _id: team._id }, { session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  await attachmentService.removeTeamFiles(team._id);
+
+  for (const userId of userIds) {
+    webSocketService.leaveChannel("team", team._id, userId.toString());
+    await notificationService.notify(userId, {
+      type: "team_update",
+      title: "Team disbanded",
+      message: `${team.name} has been disbanded`,
+      data: { teamId: team._id },
+    });
+  }
+};
+
+// Take a member off the roster as "left" or "removed". When the leader goes,
+// the longest-standing remaining member takes over; a team without members
+// is disbanded
+const releaseMember = async (team, userId, status) => {
+  await loadOpenHackathon(team.hackathonId);
+  const member = await findActiveMember(team, userId);
+
+  const [successor] = await TeamMember.find({
+    teamId: team._id,
+    userId: { $ne: member.userId },
+    ...ACTIVE_MEMBER,
+  })
+    .sort({ joinedAt: 1 })
+    .limit(1);
+
+  if (!successor) {
+    await disbandTeam(team);
+    return { disbanded: true };
+  }
+
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      member.status = status;
+      member.role = "developer";
+      await member.save({ session });
+      await releaseRegistrations(team, [member.userId], session);
+
+      if (team.leaderId.equals(member.userId)) {
+        successor.role = "leader";
+        await successor.save({ session });
+        team.leaderId = successor.userId;
+        await team.save({ session });
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  // Former members no longer follow the team chat
+  webSocketService.leaveChannel("team", team._id, member.userId.toString());
+
+  return { disbanded: false, leaderId: team.leaderId };
+};
+
+// The current user leaves their team
+const leaveTeam = async (team, user) => {
+  const result = await releaseMember(team, user._id, "left");
+
+  if (!result.disbanded) {
+    await notifyTeam(team._id, {
+      type: "team_update",
+      message: `${user.name} left the team`,
+      teamId: team._id,
+      leaderId: result.leaderId,
+    });
+  }
+
+  return result;
+};
+
+// The leader removes another member from the team
+const removeMember = async (team, leader, userId) => {
+  if (leader._id.equals(userId)) {
+    throw new AppError(
+      "Leaders leave the team instead of removing themselves",
+      400
+    );
+  }
+
+  await releaseMember(team, userId, "removed");
+
+  await notificationService.notify(userId, {
+    type: "team_update",
+    title: "Removed from team",
+    message: `You have been removed from ${team.name}`,
+    data: { teamId: team._id },
+  });
+  await notifyTeam(team._id, {
+    type: "team_update",
+    message: "A member has been removed from the team",
+    teamId: team._id,
+  });
+};
+
+// Mark invitations nobody answered in time as expired
+const expireInvitations = async () => {
+  const result = await TeamMember.updateMany(
+    {
+      invitationStatus: "pending",
+      invitationExpiresAt: { $lte: new Date() },
+    },
+    { invitationStatus: "expired" }
+  );
+
+  return result.modifiedCount;
+};
+
+module.exports = {
+  ACTIVE_MEMBER,
+  activeMembers,
+  notifyTeam,
+  createTeam,
+  addMember,
+  joinWithCode,
+  inviteUser,
+  listInvitations,
+  respondToInvitation,
+  expireInvitations,
+  transferLeadership,
+  leaveTeam,
+  removeMember,
+  disbandTeam,
+};
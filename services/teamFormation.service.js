@@ -0,0 +1,594 @@
+const mongoose = require("mongoose");
+const Hackathon = require("../models/hackthon.model");
+const Team = require("../models/team.model");
+const TeamMember = require("../models/teamMember.model");
+const Registration = require("../models/registration.model");
+const notificationService = require("./notification.service");
+const AppError = require("../utils/appError");
+const logger = require("../utils/logger");
+
+const EXPERIENCE_LEVELS = { beginner: 1, intermediate: 2, advanced: 3 };
+// Registrants who did not state their experience count as mid-way
+const UNKNOWN_EXPERIENCE = 1.5;
+const MAX_SWAP_PASSES = 5;
+
+// Score weights, summing to 1
+const WEIGHTS = { skills: 0.4, experience: 0.4, preferences: 0.2 };
+
+// Helper to turn a populated registration into a formation candidate
+const toCandidate = (registration) => {
+  const user = registration.userId;
+  const preferences = registration.preferences || {};
+  const skills = new Set(
+    [...(preferences.skills || []), ...(user.skills || [])].map((skill) =>
+      skill.trim().toLowerCase()
+    )
+  );
+  const experience = preferences.experience || user.experience;
+
+  return {
+    registration,
+    userId: user._id.toString(),
+    name: user.name,
+    email: user.email,
+    skills: [...skills],
+    experience,
+    experienceLevel: EXPERIENCE_LEVELS[experience] || UNKNOWN_EXPERIENCE,
+    preferredTeammates: (preferences.preferredTeammates || []).map((id) =>
+      id.toString()
+    ),
+  };
+};
+
+// Team sizes for n candidates: as few teams as maxTeamSize allows, with
+// sizes differing by at most one so nobody ends up in a tiny leftover team
+const planTeamSizes = (count, maxTeamSize) => {
+  if (count === 0) return [];
+  const teamCount = Math.ceil(count / maxTeamSize);
+  const baseSize = Math.floor(count / teamCount);
+  const larger = count % teamCount;
+
+  return Array.from({ length: teamCount }, (_, index) =>
+    index < larger ? baseSize + 1 : baseSize
+  );
+};
+
+// Group candidates who must share a team: organizer locks always, mutual
+// teammate preferences only while the group still fits in one team
+const candidateGroups = (
+  candidates,
+  { maxTeamSize, locks = [], mutualPreferences = true }
+) => {
+  const byId = new Map(candidates.map((c) => [c.userId, c]));
+  const groupOf = new Map(candidates.map((c) => [c.userId, [c]]));
+
+  const merge = (userIdA, userIdB) => {
+    const group = groupOf.get(userIdA);
+    const otherGroup = groupOf.get(userIdB);
+    if (group === otherGroup) return true;
+    if (group.length + otherGroup.length > maxTeamSize) return false;
+
+    group.push(...otherGroup);
+    otherGroup.forEach((member) => groupOf.set(member.userId, group));
+    return true;
+  };
+
+  locks.forEach(([userIdA, userIdB]) => {
+    if (!byId.has(userIdA) || !byId.has(userIdB)) {
+      throw new AppError("Locked users must be unassigned registrants", 400);
+    }
+    if (!merge(userIdA, userIdB)) {
+      throw new AppError("Locked users do not fit in one team", 400);
+    }
+  });
+
+  if (mutualPreferences) {
+    candidates.forEach((candidate) => {
+      candidate.preferredTeammates.forEach((otherId) => {
+        const other = byId.get(otherId);
+        if (other && other.preferredTeammates.includes(candidate.userId)) {
+          merge(candidate.userId, otherId);
+        }
+      });
+    });
+  }
+
+  return [...new Set(groupOf.values())];
+};
+
+// Seat groups into teams of the planned sizes, each where `gainFor` rates
+// it highest. A group holding locked users must fit in one team; other
+// groups only share mutual preferences and are seated member by member
+// when no team has room for all of them
+const placeGroups = (groups, sizes, gainFor, lockedIds = new Set()) => {
+  const teams = sizes.map((capacity) => ({ capacity, members: [] }));
+
+  const seat = (group) => {
+    let best = null;
+
+    teams.forEach((team) => {
+      if (team.members.length + group.length > team.capacity) return;
+
+      const gain = gainFor(team.members, group);
+      if (
+        !best ||
+        gain > best.gain ||
+        (gain === best.gain && team.members.length < best.team.members.length)
+      ) {
+        best = { team, gain };
+      }
+    });
+
+    if (best) {
+      best.team.members.push(...group);
+      return;
+    }
+
+    if (group.length === 1 || group.some((m) => lockedIds.has(m.userId))) {
+      throw new AppError(
+        `Could not place ${group
+          .map((m) => m.name)
+          .join(", ")} together in one team`,
+        400
+      );
+    }
+    group.forEach((member) => seat([member]));
+  };
+
+  groups.forEach(seat);
+
+  return teams;
+};
+
+const averageExperience = (members) =>
+  members.reduce((sum, m) => sum + m.experienceLevel, 0) / members.length;
+
+// Score components for a team, each from 0 to 1
+const scoreComponents = (members, poolExperience) => {
+  const teamExperience = averageExperience(members);
+  const experienceBalance = 1 - Math.abs(teamExperience - poolExperience) / 2;
+
+  const skillCounts = members.reduce(
+    (sum, member) => sum + member.skills.length,
+    0
+  );
+  const coveredSkills = new Set(members.flatMap((m) => m.skills));
+  const skillCoverage =
+    skillCounts === 0 ? 0 : coveredSkills.size / skillCounts;
+
+  const memberIds = new Set(members.map((m) => m.userId));
+  let requested = 0;
+  let honored = 0;
+  members.forEach((member) => {
+    member.preferredTeammates.forEach((otherId) => {
+      requested++;
+      if (memberIds.has(otherId)) honored++;
+    });
+  });
+  const preferenceMatch = requested === 0 ? 1 : honored / requested;
+
+  return {
+    teamExperience,
+    experienceBalance,
+    coveredSkills,
+    skillCoverage,
+    requested,
+    honored,
+    preferenceMatch,
+  };
+};
+
+const weightedScore = ({ skillCoverage, experienceBalance, preferenceMatch }) =>
+  100 *
+  (WEIGHTS.skills * skillCoverage +
+    WEIGHTS.experience * experienceBalance +
+    WEIGHTS.preferences * preferenceMatch);
+
+// Score a team from 0 to 100 and explain how the score was reached;
+// experience balance is measured against the whole candidate pool
+const scoreTeam = (members, poolExperience = averageExperience(members)) => {
+  const components = scoreComponents(members, poolExperience);
+
+  const experienceMix = members.reduce((mix, member) => {
+    const level = member.experience || "unknown";
+    mix[level] = (mix[level] || 0) + 1;
+    return mix;
+  }, {});
+
+  return {
+    score: Math.round(weightedScore(components)),
+    explanation: {
+      experienceMix,
+      averageExperience: Math.round(components.teamExperience * 100) / 100,
+      experienceBalance: Math.round(components.experienceBalance * 100) / 100,
+      skillsCovered: [...components.coveredSkills],
+      skillCoverage: Math.round(components.skillCoverage * 100) / 100,
+      preferencesHonored: components.honored,
+      preferencesRequested: components.requested,
+    },
+  };
+};
+
+const lockedUserIds = (locks = []) => new Set(locks.flat().map(String));
+
+// Locked users must be placed, and in the same team
+const checkLocks = (plan, locks = []) => {
+  const teamIndexOf = (userId) =>
+    plan.findIndex((team) =>
+      team.members.some((member) => member.userId === String(userId))
+    );
+
+  locks.forEach(([userIdA, userIdB]) => {
+    const team = teamIndexOf(userIdA);
+    if (team === -1 || team !== teamIndexOf(userIdB)) {
+      throw new AppError("Locked users must stay in the same team", 400);
+    }
+  });
+};
+
+// Fisher-Yates shuffle of a copy of `items`
+const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// Random strategy: deal into the planned team sizes, keeping only organizer
+// locks together. Locked groups are seated first, largest first, so they
+// always find a team with room; everyone else is dealt in random order
+const randomStrategy = (candidates, { maxTeamSize, locks }) => {
+  const allGroups = candidateGroups(candidates, {
+    maxTeamSize,
+    locks,
+    mutualPreferences: false,
+  });
+  const groups = [
+    ...shuffle(allGroups.filter((g) => g.length > 1)).sort(
+      (a, b) => b.length - a.length
+    ),
+    ...shuffle(allGroups.filter((g) => g.length === 1)),
+  ];
+
+  const teams = placeGroups(
+    groups,
+    planTeamSizes(candidates.length, maxTeamSize),
+    () => Math.random(),
+    lockedUserIds(locks)
+  );
+
+  return teams.map((team) => team.members);
+};
+
+// Balanced strategy: seat locked and mutual-preference groups first, place
+// everyone where they raise the team score the most, then improve with swaps
+const balancedStrategy = (candidates, { maxTeamSize, locks }) => {
+  const poolExperience = averageExperience(candidates);
+  const teamScore = (members) =>
+    members.length === 0
+      ? 0
+      : weightedScore(scoreComponents(members, poolExperience));
+
+  const groups = candidateGroups(candidates, { maxTeamSize, locks }).sort(
+    (a, b) => b.length - a.length || averageExperience(b) - averageExperience(a)
+  );
+
+  const teams = placeGroups(
+    groups,
+    planTeamSizes(candidates.length, maxTeamSize),
+    (members, group) => teamScore([...members, ...group]) - teamScore(members),
+    lockedUserIds(locks)
+  );
+
+  // Members who came in as a locked or mutual group stay together in swaps
+  const locked = new Set(
+    groups.filter((g) => g.length > 1).flatMap((g) => g.map((m) => m.userId))
+  );
+
+  // Each pass applies every improving swap it finds; stop once a pass
+  // finds none
+  const scores = teams.map((team) => teamScore(team.members));
+
+  for (let pass = 0; pass < MAX_SWAP_PASSES; pass++) {
+    let improved = false;
+
+    for (let i = 0; i < teams.length; i++) {
+      for (let j = i + 1; j < teams.length; j++) {
+        const a = teams[i].members;
+        const b = teams[j].members;
+
+        for (let indexA = 0; indexA < a.length; indexA++) {
+          if (locked.has(a[indexA].userId)) continue;
+
+          for (let indexB = 0; indexB < b.length; indexB++) {
+            if (locked.has(b[indexB].userId)) continue;
+
+            const swappedA = [...a];
+            const swappedB = [...b];
+            swappedA[indexA] = b[indexB];
+            swappedB[indexB] = a[indexA];
+
+            const scoreA = teamScore(swappedA);
+            const scoreB = teamScore(swappedB);
+            if (scoreA + scoreB - scores[i] - scores[j] > 1e-9) {
+              const memberA = a[indexA];
+              a[indexA] = b[indexB];
+              b[indexB] = memberA;
+              scores[i] = scoreA;
+              scores[j] = scoreB;
+              improved = true;
+            }
+          }
+        }
+      }
+    }
+
+    if (!improved) break;
+  }
+
+  return teams.map((team) => team.members);
+};
+
+// Registered strategies; add more with registerStrategy
+const strategies = {
+  random: randomStrategy,
+  balanced: balancedStrategy,
+};
+
+const registerStrategy = (name, strategy) => {
+  strategies[name] = strategy;
+};
+
+const hasStrategy = (name) => Object.hasOwn(strategies, name);
+
+// Split candidates into scored teams with the chosen strategy
+const planTeams = (
+  candidates,
+  { maxTeamSize, strategy = "balanced", locks = [] }
+) => {
+  const formTeamsWith = hasStrategy(strategy) && strategies[strategy];
+  if (!formTeamsWith) {
+    throw new AppError(`Unknown team formation strategy: ${strategy}`, 400);
+  }
+
+  const poolExperience = averageExperience(candidates);
+  const plan = formTeamsWith(candidates, { maxTeamSize, locks })
+    .filter((members) => members.length > 0)
+    .map((members) => ({ members, ...scoreTeam(members, poolExperience) }));
+
+  checkLocks(plan, locks);
+  return plan;
+};
+
+// Check and score an arrangement of user ids edited by an organizer, after
+// applying any member swaps; locked users must end up in the same team
+const arrangeTeams = (
+  candidates,
+  arrangement,
+  { maxTeamSize, locks = [], swaps = [] }
+) => {
+  const byId = new Map(candidates.map((c) => [c.userId, c]));
+  const teams = arrangement.map((userIds) => userIds.map(String));
+
+  const teamIndexOf = (userId) =>
+    teams.findIndex((userIds) => userIds.includes(userId));
+
+  swaps
+    .map((pair) => pair.map(String))
+    .forEach(([userIdA, userIdB]) => {
+      const teamA = teamIndexOf(userIdA);
+      const teamB = teamIndexOf(userIdB);
+      if (teamA === -1 || teamB === -1) {
+        throw new AppError("Swapped users must be in the proposed teams", 400);
+      }
+
+      teams[teamA][teams[teamA].indexOf(userIdA)] = userIdB;
+      teams[teamB][teams[teamB].indexOf(userIdB)] = userIdA;
+    });
+
+  const seen = new Set();
+  teams.forEach((userIds) => {
+    if (userIds.length === 0 || userIds.length > maxTeamSize) {
+      throw new AppError(
+        `Teams must have between 1 and ${maxTeamSize} members`,
+        400
+      );
+    }
+
+    userIds.forEach((userId) => {
+      if (!byId.has(userId)) {
+        throw new AppError(
+          `User ${userId} is not an unassigned registrant`,
+          400
+        );
+      }
+      if (seen.has(userId)) {
+        throw new AppError(`User ${userId} is in more than one team`, 400);
+      }
+      seen.add(userId);
+    });
+  });
+
+  const members = teams.map((userIds) => userIds.map((id) => byId.get(id)));
+  const poolExperience = averageExperience(members.flat());
+
+  const plan = members.map((team) => ({
+    members: team,
+    ...scoreTeam(team, poolExperience),
+  }));
+
+  checkLocks(plan, locks);
+  return plan;
+};
+
+// Formation candidates for registrants of a hackathon without a team
+const loadCandidates = async (hackathonId) => {
+  const registrations = await Registration.find({
+    hackathonId,
+    status: "registered",
+    teamId: { $exists: false },
+  }).populate("userId", "name email skills experience");
+
+  return registrations.map(toCandidate);
+};
+
+// Proposed teams for an organizer to review; nothing is persisted. With
+// `teams` the organizer's own arrangement is checked and scored instead
+const previewTeams = async (
+  hackathon,
+  { strategy = "balanced", locks = [], teams, swaps = [] } = {}
+) => {
+  const candidates = await loadCandidates(hackathon._id);
+  const options = { maxTeamSize: hackathon.maxTeamSize, strategy, locks };
+
+  let plan = [];
+  if (teams) {
+    plan = arrangeTeams(candidates, teams, { ...options, swaps });
+  } else if (candidates.length > 0) {
+    plan = planTeams(candidates, options);
+  }
+
+  const placed = new Set(plan.flatMap((t) => t.members.map((m) => m.userId)));
+
+  return {
+    teams: plan,
+    unassigned: candidates.filter((c) => !placed.has(c.userId)),
+  };
+};
+
+// Persist a team plan in one transaction, then notify the members; if any
+// member was assigned elsewhere in the meantime nothing is written
+const commitTeams = async (hackathon, plan) => {
+  const session = await mongoose.startSession();
+  const teamCount = await Team.countDocuments({ hackathonId: hackathon._id });
+  let teams = [];
+
+  try {
+    await session.withTransaction(async () => {
+      teams = [];
+
+      for (const proposal of plan) {
+        const [leader] = proposal.members;
+        const [team] = await Team.create(
+          [
+            {
+              name: `Team ${teamCount + teams.length + 1}`,
+              hackathonId: hackathon._id,
+              leaderId: leader.userId,
+              isRandomlyFormed: true,
+              isRecruiting: false,
+              inviteCode: Team.generateInviteCode(),
+            },
+          ],
+          { session }
+        );
+
+        await TeamMember.insertMany(
+          proposal.members.map((member, index) => ({
+            teamId: team._id,
+            userId: member.userId,
+            role: index === 0 ? "leader" : "developer",
+          })),
+          { session }
+        );
+
+        const userIds = proposal.members.map((member) => member.userId);
+        const result = await Registration.updateMany(
+          {
+            hackathonId: hackathon._id,
+            userId: { $in: userIds },
+            status: "registered",
+            teamId: { $exists: false },
+          },
+          { teamId: team._id, status: "team_assigned" },
+          { session }
+        );
+
+        if (result.modifiedCount !== userIds.length) {
+          throw new AppError(
+            "Some members were assigned to a team meanwhile; preview again",
+            409
+          );
+        }
+
+        teams.push({
+          team,
+          members: proposal.members,
+          score: proposal.score,
+          explanation: proposal.explanation,
+        });
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  // Notify only once the whole arrangement is saved
+  for (const { team, members } of teams) {
+    for (const member of members) {
+      await notificationService.notify(member.userId, {
+        type: "team_assignment",
+        title: "Team Assignment",
+        message: `You have been assigned to ${team.name}. Invite code: ${team.inviteCode}`,
+        data: {
+          teamId: team._id,
+          teamName: team.name,
+          inviteCode: team.inviteCode,
+          hackathonId: hackathon._id,
+          hackathonTitle: hackathon.title,
+        },
+        important: true,
+      });
+    }
+  }
+
+  logger.info(`Formed ${teams.length} teams for ${hackathon.title}`);
+  return teams;
+};
+
+// Commit an organizer-reviewed arrangement of user ids
+const commitArrangement = async (
+  hackathon,
+  arrangement,
+  { locks = [] } = {}
+) => {
+  const candidates = await loadCandidates(hackathon._id);
+  const plan = arrangeTeams(candidates, arrangement, {
+    maxTeamSize: hackathon.maxTeamSize,
+    locks,
+  });
+
+  return commitTeams(hackathon, plan);
+};
+
+// Form and persist teams for registrants without a team
+const formTeams = async (hackathonId, { strategy = "balanced" } = {}) => {
+  const hackathon = await Hackathon.findById(hackathonId);
+  if (!hackathon) return [];
+
+  const candidates = await loadCandidates(hackathonId);
+  if (candidates.length === 0) return [];
+
+  const plan = planTeams(candidates, {
+    maxTeamSize: hackathon.maxTeamSize,
+    strategy,
+  });
+
+  return commitTeams(hackathon, plan);
+};
+
+module.exports = {
+  formTeams,
+  previewTeams,
+  commitArrangement,
+  planTeams,
+  arrangeTeams,
+  candidateGroups,
+  planTeamSizes,
+  scoreTeam,
+  toCandidate,
+  registerStrategy,
+  hasStrategy,
+};
@@ -1,32 +1,54 @@
+// services/websocket.service.js
+const crypto = require("crypto");
+const EventEmitter = require("events");
 const WebSocket = require("ws");
-const jwt = require("jsonwebtoken");
 const logger = require("../utils/logger");
+const AppError = require("../utils/appError");
 const config = require("../config/config");
-const User = require("../models/user.model");
-// Add this model for sensor data storage
-
-class WebSocketService {
+const { createPubSub } = require("../utils/pubsub");
+const { userFromToken } = require("../middlewares/auth");
+
+// Clients connect to ws://<host>/ws with the same JWT used for the API
+const GATEWAY_PATH = "/ws";
+// Pub/sub topic every instance delivers broadcasts from
+const BROADCAST_TOPIC = "realtime";
+// Subprotocol browsers offer ahead of the JWT, e.g. ["bearer", token]
+const TOKEN_PROTOCOL = "bearer";
+
+// Realtime gateway. Users get their own notifications on every connection
+// they have open and can join team and hackathon channels per connection;
+// services add channel kinds and message types. Broadcasts go through the
+// pub/sub adapter so users connected to any instance receive them.
+// Emits "client-connected" and "client-disconnected" with the user id when a
+// user's first connection to this instance opens and their last one closes,
+// and "connection-opened", "connection-alive" and "connection-closed" with
+// the user id and connection id for every connection
+class WebSocketService extends EventEmitter {
   constructor() {
+    super();
     this.wss = null;
-    this.clients = new Map(); // Connected web clients
-    this.esp32Client = null; // Single ESP32 device
-    this.esp32Status = {
-      connected: false,
-      lastSeen: null,
-      deviceInfo: null,
-      sensorTypes: [],
-      isStreaming: false,
-    };
-    // this.audioClipManager = new AudioClipManager(10000, "./audio_clips");
-    // Heartbeat configuration
+    this.pubsub = null;
+    this.clients = new Map(); // userId -> Set of WebSockets
+    this.channels = new Map(); // "<kind>:<id>" -> Set of WebSockets
+    this.handlers = new Map(); // Client message type -> handler from a service
     this.heartbeatInterval = 30000; // 30 seconds
-    this.esp32TimeoutInterval = 60000; // 1 minute timeout for ESP32
     this.pingInterval = null;
-    this.statusCheckInterval = null;
   }
 
-  initialize(server) {
-    this.wss = new WebSocket.Server({ noServer: true });
+  initialize(server, pubsub = createPubSub()) {
+    this.wss = new WebSocket.Server({
+      noServer: true,
+      // Browsers drop the connection unless one offered protocol is echoed;
+      // never echo the token itself
+      handleProtocols: (protocols) =>
+        protocols.has(TOKEN_PROTOCOL) ? TOKEN_PROTOCOL : false,
+    });
+    this.pubsub = pubsub;
+    this.pubsub
+      .subscribe(BROADCAST_TOPIC, (event) => this.deliver(event))
+      .catch((err) =>
+        logger.error(`Broadcast subscription failed: ${err.message}`)
+      );
 
     server.on("upgrade", (request, socket, head) => {
       this.handleUpgrade(request, socket, head).catch((err) => {
@@ -35,82 +57,56 @@ class WebSocketService {
       });
     });
 
-    this.setupEventHandlers();
-    this.startStatusMonitoring();
-    logger.info("WebSocket server initialized");
+    this.wss.on("connection", (ws, request, user) =>
+      this.handleClientConnection(ws, user._id.toString())
+    );
+
+    this.startHeartbeat();
+    logger.info(`WebSocket gateway listening on ${GATEWAY_PATH}`);
   }
 
+  // Only authenticated users from allowed origins are upgraded
   async handleUpgrade(request, socket, head) {
-    try {
-      const url = new URL(request.url, `http://${request.headers.host}`);
-
-      // Handle ESP32 connection (no authentication required)
-      if (url.pathname === "/esp32") {
-        this.wss.handleUpgrade(request, socket, head, (ws) => {
-          this.wss.emit("connection", ws, request);
-        });
-        return;
-      }
-
-      // Handle web client authentication
-      const { user, error } = await this.verifyClient(request);
-      if (error || !user) {
-        logger.warn(`Rejected connection: ${error}`);
-        return socket.end("HTTP/1.1 401 Unauthorized\r\n\r\n");
-      }
-
-      this.wss.handleUpgrade(request, socket, head, (ws) => {
-        this.wss.emit("connection", ws, request);
-      });
-    } catch (err) {
-      logger.error(`Upgrade error: ${err.message}`);
-      throw err;
+    const url = new URL(request.url, `http://${request.headers.host}`);
+    if (url.pathname !== GATEWAY_PATH) {
+      return socket.end("HTTP/1.1 404 Not Found\r\n\r\n");
     }
-  }
 
-  async verifyClient(request) {
-    try {
-      const origin = request.headers.origin;
-      if (!this.isOriginAllowed(origin)) {
-        return { error: "Origin not allowed" };
-      }
-
-      const token = this.extractToken(request);
-      if (!token) {
-        return { error: "No token provided" };
-      }
+    if (!this.isOriginAllowed(request.headers.origin)) {
+      logger.warn(`Rejected connection from ${request.headers.origin}`);
+      return socket.end("HTTP/1.1 403 Forbidden\r\n\r\n");
+    }
 
-      const decoded = await new Promise((resolve, reject) => {
-        jwt.verify(token, config.jwt.secret, (err, decoded) => {
-          if (err) reject(err);
-          else resolve(decoded);
-        });
-      });
+    const token = this.extractToken(request, url);
+    const user = token && (await userFromToken(token));
+    if (!user) {
+      return socket.end("HTTP/1.1 401 Unauthorized\r\n\r\n");
+    }
 
-      if (!decoded?.id) {
-        return { error: "Invalid token payload" };
-      }
+    this.wss.handleUpgrade(request, socket, head, (ws) => {
+      this.wss.emit("connection", ws, request, user);
+    });
+  }
 
-      const user = await User.findById(decoded.id);
-      request.user = user;
-      return { user: user };
-    } catch (err) {
-      logger.warn(`Verification failed: ${err.message}`);
-      return { error: err.message };
-    }
+  // Browsers cannot set headers on a WebSocket, so the token may also come
+  // as a query parameter or the subprotocol
+  extractToken(request, url) {
+    return (
+      url.searchParams.get("token") ||
+      this.protocolToken(request.headers["sec-websocket-protocol"]) ||
+      request.headers["authorization"]?.split(" ")[1]
+    );
   }
 
-  extractToken(request) {
-    try {
-      const url = new URL(request.url, `http://${request.headers.host}`);
-      return (
-        url.searchParams.get("token") ||
-        request.headers["sec-websocket-protocol"] ||
-        request.headers["authorization"]?.split(" ")[1]
-      );
-    } catch (err) {
-      return null;
-    }
+  // The token is the protocol offered after "bearer"; a lone protocol is
+  // taken as the token for clients that send nothing else
+  protocolToken(header) {
+    if (!header) return null;
+
+    const protocols = header.split(",").map((protocol) => protocol.trim());
+    const index = protocols.indexOf(TOKEN_PROTOCOL);
+    if (index !== -1) return protocols[index + 1] || null;
+    return protocols.length === 1 ? protocols[0] : null;
   }
 
   isOriginAllowed(origin) {
@@ -125,484 +121,234 @@ class WebSocketService {
     return allowedOrigins.includes(origin) || allowedOrigins.includes("*");
   }
 
-  setupEventHandlers() {
-    this.wss.on("connection", (ws, request) => {
-      const url = new URL(request.url, `http://${request.headers.host}`);
-
-      // Handle ESP32 connection
-      if (url.pathname === "/esp32") {
-        this.handleESP32Connection(ws);
-        return;
-      }
-
-      // Handle web client connection
-      const userId = request.user?.id;
-      if (!userId) {
-        return ws.close(1008, "Authentication failed");
-      }
-
-      this.handleClientConnection(ws, userId);
-    });
-
-    this.startHeartbeat();
-  }
-
-  handleESP32Connection(ws) {
-    // Only allow one ESP32 connection
-    if (this.esp32Client && this.esp32Client.readyState === WebSocket.OPEN) {
-      logger.warn("ESP32 already connected, closing previous connection");
-      this.esp32Client.close();
-    }
-
-    this.esp32Client = ws;
-    this.esp32Status.connected = true;
-    this.esp32Status.lastSeen = new Date();
-
-    logger.info("ESP32 connected");
-
-    // Send connection confirmation to ESP32
-    this.sendToESP32({
-      type: "connection-established",
-      serverTime: new Date().toISOString(),
-    });
+  handleClientConnection(ws, userId) {
+    this.addClient(userId, ws);
 
-    // Notify all web clients about ESP32 connection
-    this.broadcastToClients({
-      type: "esp32-status",
-      status: "connected",
+    this.send(ws, {
+      type: "connection",
+      status: "authenticated",
+      userId,
       timestamp: new Date().toISOString(),
     });
 
-    // Setup ESP32 message handlers
-    ws.on("message", (data) => {
-      this.handleESP32Message(data);
-    });
-
-    ws.on("close", () => {
-      logger.info("ESP32 disconnected");
-      this.handleESP32Disconnect();
-    });
-
-    ws.on("error", (err) => {
-      logger.error(`ESP32 error: ${err.message}`);
-      this.handleESP32Disconnect();
-    });
-
-    // ESP32 heartbeat
-    ws.on("pong", () => {
-      this.esp32Status.lastSeen = new Date();
-    });
-  }
-
-  handleClientConnection(ws, userId) {
-    logger.info(`Client connected: ${userId}`);
-
-    // Send connection confirmation and current ESP32 status
-    ws.send(
-      JSON.stringify({
-        type: "connection",
-        status: "authenticated",
-        userId,
-        esp32Status: this.esp32Status,
-        timestamp: new Date().toISOString(),
-      })
-    );
-
-    this.addClient(userId, ws);
-
-    // Setup client heartbeat
+    // Heartbeat
     ws.isAlive = true;
     ws.on("pong", () => {
       ws.isAlive = true;
+      this.emit("connection-alive", userId, ws.connectionId);
     });
 
-    // Message handler
     ws.on("message", (data) => {
       this.handleClientMessage(ws, userId, data);
     });
 
     ws.on("close", () => {
-      logger.info(`Client disconnected: ${userId}`);
-      this.removeClient(userId);
+      this.removeClient(userId, ws);
     });
 
     ws.on("error", (err) => {
       logger.error(`Client error ${userId}: ${err.message}`);
-      this.removeClient(userId);
+      this.removeClient(userId, ws);
     });
   }
 
-  handleESP32Message(data) {
-    try {
-      this.esp32Status.lastSeen = new Date();
-      // logger.info(data);
-      // Handle binary data (if ESP32 sends raw sensor data)
-      if (data instanceof Buffer) {
-        // this.audioClipManager.addAudioData(data, new Date());
-        logger.debug("Received binary data from ESP32");
-        // Broadcast binary data to clients if needed
-        // logger.info(data);
-        const base64Audio = data.toString("base64");
-        this.broadcastToClients({
-          type: "audio-data",
-          timestamp: new Date().toISOString(),
-          dataSize: data.length,
-          data: base64Audio,
-        });
-        console.log(base64Audio);
-        return;
-        // return;
-      }
-      // Handle JSON messages
-      logger.info(
-        "HURRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRR"
-      );
-      const message = JSON.parse(data.toString());
-      logger.info(`ESP32 message: ${message.type}`);
-
-      switch (message.type) {
-        case "device-info":
-          this.handleDeviceInfo(message);
-          break;
-        case "sensor-data":
-          this.handleSensorData(message);
-          break;
-        case "status-update":
-          this.handleStatusUpdate(message);
-          break;
-        case "ping":
-          this.sendToESP32({ type: "pong", timestamp: Date.now() });
-          break;
-        default:
-          logger.debug(`Unhandled ESP32 message type: ${message.type}`);
-      }
-    } catch (err) {
-      logger.error(`ESP32 message handling error: ${err.message}`);
-    }
-  }
-
   handleClientMessage(ws, userId, data) {
+    let message;
     try {
-      const message = JSON.parse(data);
-      logger.debug(`Client ${userId} message: ${message.type}`);
-
-      switch (message.type) {
-        case "ping":
-          ws.send(JSON.stringify({ type: "pong", timestamp: Date.now() }));
-          break;
-        case "get-esp32-status":
-          this.sendToUser(userId, {
-            type: "esp32-status-response",
-            status: this.esp32Status,
-          });
-          break;
-        case "get-sensor-data":
-          this.handleGetSensorData(userId, message);
-          break;
-        case "control-esp32":
-          this.handleControlESP32(userId, message);
-          break;
-        default:
-          logger.debug(`Unhandled client message type: ${message.type}`);
-      }
+      message = JSON.parse(data);
     } catch (err) {
-      logger.error(`Client message handling error: ${err.message}`);
-    }
-  }
-
-  handleDeviceInfo(message) {
-    try {
-      this.esp32Status.deviceInfo = {
-        deviceName: message.deviceName || "ESP32-Sensor",
-        firmwareVersion: message.firmwareVersion || "unknown",
-        capabilities: message.capabilities || [],
-        sensorTypes: message.sensorTypes || [],
-        batteryLevel: message.batteryLevel,
-        signalStrength: message.signalStrength,
-      };
-
-      this.esp32Status.sensorTypes = message.sensorTypes || [];
-
-      logger.info("ESP32 device info updated:", this.esp32Status.deviceInfo);
-
-      // Broadcast device info to all clients
-      this.broadcastToClients({
-        type: "esp32-device-info",
-        deviceInfo: this.esp32Status.deviceInfo,
-        timestamp: new Date().toISOString(),
+      return this.send(ws, {
+        type: "error",
+        message: "Messages must be JSON",
       });
-    } catch (error) {
-      logger.error(`Error handling device info: ${error.message}`);
     }
-  }
 
-  async handleSensorData(message) {
-    try {
-      const sensorData = {
-        timestamp: new Date(),
-        sensorType: message.sensorType || "unknown",
-        data: message.data || {},
-        deviceId: "esp32-main", // Fixed device ID for single ESP32
-        ...message,
-      };
-
-      // Save to database
-      await this.saveSensorDataToDatabase(sensorData);
-
-      // Broadcast to all connected clients immediately
-      this.broadcastToClients({
-        type: "sensor-data",
-        ...sensorData,
-      });
+    logger.debug(`Client ${userId} message: ${message.type}`);
 
-      logger.debug(
-        `Sensor data processed and broadcasted: ${sensorData.sensorType}`
-      );
-    } catch (error) {
-      logger.error(`Error handling sensor data: ${error.message}`);
+    if (message.type === "ping") {
+      return this.send(ws, { type: "pong", timestamp: Date.now() });
     }
-  }
-
-  handleStatusUpdate(message) {
-    try {
-      this.esp32Status.isStreaming = message.isStreaming || false;
-      this.esp32Status.deviceInfo = {
-        ...this.esp32Status.deviceInfo,
-        batteryLevel: message.batteryLevel,
-        signalStrength: message.signalStrength,
-        status: message.status || "online",
-      };
-      logger.info(`ESP-32 Status Updated ${message}`);
-
-      // Broadcast status update to all clients
-      this.broadcastToClients({
-        type: "esp32-status-update",
-        status: this.esp32Status,
-        timestamp: new Date().toISOString(),
-      });
 
-      logger.debug("ESP32 status updated");
-    } catch (error) {
-      logger.error(`Error handling status update: ${error.message}`);
+    if (this.handlers.has(message.type)) {
+      return this.runHandler(userId, message, ws);
     }
-  }
-
-  handleESP32Disconnect() {
-    this.esp32Client = null;
-    this.esp32Status.connected = false;
-    this.esp32Status.isStreaming = false;
 
-    // Notify all clients about ESP32 disconnection
-    this.broadcastToClients({
-      type: "esp32-status",
-      status: "disconnected",
-      timestamp: new Date().toISOString(),
+    this.send(ws, {
+      type: "error",
+      requestType: message.type,
+      message: "Unknown message type",
     });
+  }
 
-    logger.info("ESP32 disconnected and status updated");
+  // Clients that missed a ping since the last round are dropped
+  startHeartbeat() {
+    this.pingInterval = setInterval(() => {
+      this.clients.forEach((sockets, userId) => {
+        sockets.forEach((ws) => {
+          if (ws.isAlive === false) {
+            logger.warn(`Terminating unresponsive client: ${userId}`);
+            return ws.terminate();
+          }
+          ws.isAlive = false;
+          ws.ping();
+        });
+      });
+    }, this.heartbeatInterval);
   }
 
-  async handleGetSensorData(userId, message) {
-    try {
-      const { sensorType, limit = 100, startDate, endDate } = message;
+  // Reply on one connection
+  send(ws, data) {
+    if (ws.readyState !== WebSocket.OPEN) return false;
 
-      // Build query
-      const query = { deviceId: "esp32-main" };
+    try {
+      ws.send(JSON.stringify(data));
+      return true;
+    } catch (err) {
+      logger.error(`Send error: ${err.message}`);
+      return false;
+    }
+  }
 
-      if (sensorType && sensorType !== "all") {
-        query.sensorType = sensorType;
-      }
+  // Hand a broadcast to every instance, this one included. Before the
+  // gateway is initialized there is nobody to reach but local state
+  publish(event) {
+    if (!this.pubsub) return this.deliver(event);
 
-      if (startDate || endDate) {
-        query.timestamp = {};
-        if (startDate) query.timestamp.$gte = new Date(startDate);
-        if (endDate) query.timestamp.$lte = new Date(endDate);
-      }
+    this.pubsub
+      .publish(BROADCAST_TOPIC, event)
+      .catch((err) => logger.error(`Broadcast failed: ${err.message}`));
+  }
 
-      // Fetch from database
-      const sensorData = await SensorData.find(query)
-        .sort({ timestamp: -1 })
-        .limit(limit);
+  // Apply a broadcast to the connections of this instance
+  deliver(event) {
+    const sockets =
+      event.userId !== undefined
+        ? this.clients.get(event.userId)
+        : this.channels.get(event.channel);
+    if (!sockets) return;
 
-      this.sendToUser(userId, {
-        type: "sensor-data-history",
-        data: sensorData,
-        query: { sensorType, limit, startDate, endDate },
-      });
-    } catch (error) {
-      logger.error(`Error getting sensor data: ${error.message}`);
-      this.sendToUser(userId, {
-        type: "error",
-        message: "Failed to retrieve sensor data",
-      });
+    if (event.leave) {
+      return sockets.forEach((ws) => this.removeFromChannel(event.leave, ws));
     }
+
+    sockets.forEach((ws) => this.send(ws, event.data));
   }
 
-  handleControlESP32(userId, message) {
-    try {
-      const { command, parameters } = message;
+  // Push a message to every connection of a user, e.g. a notification
+  sendToUser(userId, data) {
+    this.publish({ userId: userId.toString(), data });
+  }
 
-      if (!this.esp32Client || this.esp32Client.readyState !== WebSocket.OPEN) {
-        return this.sendToUser(userId, {
-          type: "error",
-          message: "ESP32 not connected",
-        });
-      }
+  addClient(userId, ws) {
+    ws.userId = userId;
+    ws.connectionId = crypto.randomUUID();
+    ws.channels = new Set();
 
-      // Send command to ESP32
-      this.sendToESP32({
-        type: "command",
-        command: command,
-        parameters: parameters || {},
-        requestId: `cmd_${Date.now()}`,
-        fromUserId: userId,
-      });
+    if (!this.clients.has(userId)) {
+      this.clients.set(userId, new Set());
+    }
+    const sockets = this.clients.get(userId);
+    sockets.add(ws);
 
-      // Send confirmation to user
-      this.sendToUser(userId, {
-        type: "command-sent",
-        command: command,
-        timestamp: new Date().toISOString(),
-      });
+    logger.info(`Client ${userId} connected (${sockets.size} connections)`);
+    this.emit("connection-opened", userId, ws.connectionId);
+    if (sockets.size === 1) this.emit("client-connected", userId);
+  }
 
-      logger.info(`User ${userId} sent command '${command}' to ESP32`);
-    } catch (error) {
-      logger.error(`Error controlling ESP32: ${error.message}`);
-    }
+  // Let a service handle a client message type
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
   }
 
-  async saveSensorDataToDatabase(sensorData) {
+  // Run a registered handler with the connection the message came from.
+  // Failures go back to it as an error message, with the reason when the
+  // service gave one
+  async runHandler(userId, message, ws) {
     try {
-      const newSensorData = new SensorData({
-        deviceId: sensorData.deviceId,
-        sensorType: sensorData.sensorType,
-        data: sensorData.data,
-        timestamp: sensorData.timestamp,
-        metadata: {
-          batteryLevel: this.esp32Status.deviceInfo?.batteryLevel,
-          signalStrength: this.esp32Status.deviceInfo?.signalStrength,
-        },
+      await this.handlers.get(message.type)(userId, message, ws);
+    } catch (err) {
+      const isServiceError = err instanceof AppError;
+      if (!isServiceError) {
+        logger.error(`Error handling ${message.type}: ${err.message}`);
+      }
+      this.send(ws, {
+        type: "error",
+        requestType: message.type,
+        message: isServiceError ? err.message : "Message processing failed",
       });
-
-      await newSensorData.save();
-      logger.debug(`Sensor data saved to database: ${sensorData.sensorType}`);
-    } catch (error) {
-      logger.error(`Failed to save sensor data to database: ${error.message}`);
     }
   }
 
-  // Status monitoring
-  startStatusMonitoring() {
-    this.statusCheckInterval = setInterval(() => {
-      this.checkESP32Status();
-    }, 30000); // Check every 30 seconds
-  }
+  // Open a kind of channel, joined with "join-<kind>" and left with
+  // "leave-<kind>" messages naming the "<kind>Id". `authorize(userId, id)`
+  // throws an AppError to refuse a user and returns extra data for the
+  // "<kind>-joined" reply
+  registerChannel(kind, authorize) {
+    const idField = `${kind}Id`;
 
-  checkESP32Status() {
-    if (this.esp32Status.connected && this.esp32Status.lastSeen) {
-      const timeSinceLastSeen =
-        Date.now() - this.esp32Status.lastSeen.getTime();
-
-      if (timeSinceLastSeen > this.esp32TimeoutInterval) {
-        logger.warn("ESP32 appears to be offline (timeout)");
-        this.esp32Status.connected = false;
-
-        // Notify clients about offline status
-        this.broadcastToClients({
-          type: "esp32-status",
-          status: "offline",
-          lastSeen: this.esp32Status.lastSeen,
-          timestamp: new Date().toISOString(),
-        });
-      }
-    }
-  }
+    this.registerHandler(`join-${kind}`, async (userId, message, ws) => {
+      const id = String(message[idField]);
+      const extra = await authorize(userId, id);
 
-  startHeartbeat() {
-    this.pingInterval = setInterval(() => {
-      // Ping web clients
-      this.clients.forEach((ws, userId) => {
-        if (ws.isAlive === false) {
-          logger.warn(`Terminating unresponsive client: ${userId}`);
-          return ws.terminate();
-        }
-        ws.isAlive = false;
-        ws.ping();
-      });
+      this.addToChannel(`${kind}:${id}`, ws);
+      this.send(ws, { type: `${kind}-joined`, [idField]: id, ...extra });
+    });
 
-      // Ping ESP32
-      if (this.esp32Client && this.esp32Client.readyState === WebSocket.OPEN) {
-        this.esp32Client.ping();
-      }
-    }, this.heartbeatInterval);
+    this.registerHandler(`leave-${kind}`, async (userId, message, ws) => {
+      this.removeFromChannel(`${kind}:${String(message[idField])}`, ws);
+    });
   }
 
-  // Utility methods
-  sendToESP32(message) {
-    if (this.esp32Client && this.esp32Client.readyState === WebSocket.OPEN) {
-      try {
-        this.esp32Client.send(JSON.stringify(message));
-        return true;
-      } catch (error) {
-        logger.error(`Error sending to ESP32: ${error.message}`);
-        return false;
-      }
+  addToChannel(channel, ws) {
+    if (!this.channels.has(channel)) {
+      this.channels.set(channel, new Set());
     }
-    return false;
+    this.channels.get(channel).add(ws);
+    ws.channels.add(channel);
   }
 
-  sendToUser(userId, data) {
-    const client = this.clients.get(userId);
-    if (!client || client.readyState !== WebSocket.OPEN) return false;
+  removeFromChannel(channel, ws) {
+    ws.channels.delete(channel);
 
-    try {
-      client.send(JSON.stringify(data));
-      return true;
-    } catch (err) {
-      logger.error(`Send error to ${userId}: ${err.message}`);
-      this.removeClient(userId);
-      return false;
-    }
-  }
+    const sockets = this.channels.get(channel);
+    if (!sockets) return;
 
-  broadcastToClients(data) {
-    let successCount = 0;
-    this.clients.forEach((client, userId) => {
-      if (this.sendToUser(userId, data)) {
-        successCount++;
-      }
-    });
+    sockets.delete(ws);
+    if (sockets.size === 0) this.channels.delete(channel);
+  }
 
-    if (successCount > 0) {
-      logger.debug(`Broadcasted to ${successCount} clients`);
-    }
+  // Take all of a user's connections out of a channel, on every instance
+  leaveChannel(kind, id, userId) {
+    this.publish({ userId: userId.toString(), leave: `${kind}:${id}` });
+  }
 
-    return successCount;
+  broadcastToChannel(kind, id, data) {
+    this.publish({ channel: `${kind}:${id}`, data });
   }
 
-  addClient(userId, ws) {
-    // Close existing connection if present
-    if (this.clients.has(userId)) {
-      this.clients.get(userId).close(1001, "Duplicate connection");
-    }
+  removeClient(userId, ws) {
+    const sockets = this.clients.get(userId);
+    if (!sockets || !sockets.delete(ws)) return;
 
-    this.clients.set(userId, ws);
-    logger.info(`Client ${userId} connected (${this.clients.size} total)`);
-  }
+    ws.channels.forEach((channel) => this.removeFromChannel(channel, ws));
 
-  removeClient(userId) {
-    if (this.clients.delete(userId)) {
-      logger.info(
-        `Client ${userId} disconnected (${this.clients.size} remaining)`
-      );
+    logger.info(`Client ${userId} disconnected (${sockets.size} remaining)`);
+    this.emit("connection-closed", userId, ws.connectionId);
+    if (sockets.size === 0) {
+      this.clients.delete(userId);
+      this.emit("client-disconnected", userId);
     }
   }
 
   // Stats and monitoring
   getSystemStats() {
     return {
-      connectedClients: this.clients.size,
-      esp32Status: this.esp32Status,
+      connectedUsers: this.clients.size,
+      connections: [...this.clients.values()].reduce(
+        (total, sockets) => total + sockets.size,
+        0
+      ),
+      channels: this.channels.size,
       uptime: process.uptime(),
       memoryUsage: process.memoryUsage(),
     };
@@ -614,17 +360,19 @@ class WebSocketService {
       clearInterval(this.pingInterval);
     }
 
-    if (this.statusCheckInterval) {
-      clearInterval(this.statusCheckInterval);
-    }
+    this.clients.forEach((sockets) => {
+      sockets.forEach((ws) => ws.close(1001, "Server shutting down"));
+    });
 
-    if (this.esp32Client) {
-      this.esp32Client.close();
+    if (this.wss) {
+      this.wss.close();
     }
 
-    this.clients.forEach((client) => {
-      client.close();
-    });
+    if (this.pubsub) {
+      this.pubsub
+        .close()
+        .catch((err) => logger.error(`Pub/sub close failed: ${err.message}`));
+    }
 
     logger.info("WebSocket service shut down");
   }
@@ -1,22 +1,61 @@
 require("dotenv").config();
-const twilio = require("twilio");
+const WhatsAppConversation = require("../models/whatsappConversation.model");
+const AppError = require("../utils/appError");
+const messageLogService = require("./messageLog.service");
+const { getProvider } = require("../utils/messaging");
 
-const accountSid = process.env.TWILIO_ACCOUNT_SID;
-const authToken = process.env.TWILIO_AUTH_TOKEN;
 const whatsappNumber = process.env.TWILIO_WHATSAPP_NUMBER;
-// console.log(accountSid);
-const client = twilio(accountSid, authToken);
 
-const sendWhatsAppMessage = async (to, message) => {
-  try {
-    // Ensure the number is in the correct format
-    const formattedTo = to.startsWith("whatsapp:") ? to : `whatsapp:${to}`;
+const toWhatsAppAddress = (to) =>
+  to.startsWith("whatsapp:") ? to : `whatsapp:${to}`;
 
-    const result = await client.messages.create({
-      body: message,
+// Numbers that replied STOP get nothing until they reply START
+const isOptedOut = async (address) =>
+  Boolean(
+    await WhatsAppConversation.exists({
+      phone: address,
+      optedOutAt: { $ne: null },
+    })
+  );
+
+// Twilio reports delivery to a public URL, so status callbacks need
+// SERVER_URL
+const statusCallbackUrl = () =>
+  process.env.SERVER_URL
+    ? `${process.env.SERVER_URL}/api/whatsapp/status`
+    : undefined;
+
+// Send a message and log it. `kind`, `userId` and `campaignId` tell the
+// log what the message was for
+const sendWhatsAppMessage = async (
+  to,
+  message,
+  { userId, kind, campaignId } = {}
+) => {
+  // Ensure the number is in the correct format
+  const formattedTo = toWhatsAppAddress(to);
+  if (await isOptedOut(formattedTo)) {
+    throw new AppError("The recipient opted out of WhatsApp messages", 400);
+  }
+
+  const log = await messageLogService.recordOutbound({
+    from: whatsappNumber,
+    to: formattedTo,
+    body: message,
+    userId,
+    kind,
+    campaignId,
+  });
+
+  try {
+    const result = await getProvider("whatsapp").send({
+      channel: "whatsapp",
       from: whatsappNumber,
       to: formattedTo,
+      body: message,
+      statusCallback: statusCallbackUrl(),
     });
+    await messageLogService.recordSent(log, result);
 
     return {
       success: true,
@@ -24,11 +63,13 @@ const sendWhatsAppMessage = async (to, message) => {
       status: result.status,
     };
   } catch (error) {
-    console.error("Twilio API error:", error);
+    await messageLogService.recordFailure(log, error);
+    console.error("WhatsApp send error:", error);
     throw error;
   }
 };
 
 module.exports = {
+  isOptedOut,
   sendWhatsAppMessage,
 };
@@ -0,0 +1,426 @@
+// services/whatsappBot.service.js
+const Registration = require("../models/registration.model");
+const Team = require("../models/team.model");
+const User = require("../models/user.model");
+const WhatsAppConversation = require("../models/whatsappConversation.model");
+const AppError = require("../utils/appError");
+const teamService = require("./team.service");
+const submissionService = require("./submission.service");
+const leaderboardService = require("./leaderboard.service");
+
+const DAY = 24 * 60 * 60 * 1000;
+// Conversations without messages for this long are forgotten
+const RETENTION = 90 * DAY;
+// Questions the bot asked expire when not answered within this time
+const PENDING_TTL = 10 * 60 * 1000; // 10 minutes
+// Hackathons stay available to commands this long after they ended
+const RECENT = 7 * DAY;
+const LEADERBOARD_SIZE = 5;
+// Separators the profile phone validation accepts between digits
+const PHONE_SEPARATORS = "[\\s\\-().]*";
+
+const HELP = [
+  "Here is what I can do:",
+  "TEAM - your team and its members",
+  "SCHEDULE - dates and submission deadlines",
+  "SUBMIT <url> [task] - submit your project repository",
+  "LEADERBOARD - the current standings",
+  "SWITCH - pick another of your hackathons",
+  "HELP - this list",
+].join("\n");
+
+// Keywords that stop and restart all WhatsApp messages to the sender
+const OPT_OUT_KEYWORDS = ["stop", "stopall", "unsubscribe"];
+const OPT_IN_KEYWORDS = ["start", "unstop"];
+
+const NOT_LINKED =
+  "I couldn't find an account with this number. Add it as the phone number " +
+  "in your profile, verify it there and write again.";
+
+// Split a message into a lowercase command and its arguments
+const parseCommand = (text) => {
+  const [command = "", ...args] = text.trim().split(/\s+/);
+  return { command: command.toLowerCase(), args };
+};
+
+// Profile phone numbers keep the formatting they were typed with, so the
+// sender matches on its digits with any separators in between
+const phonePattern = (sender) => {
+  const digits = sender.replace(/\D/g, "");
+  if (!digits) return null;
+
+  return new RegExp(
+    `^\\+?${PHONE_SEPARATORS}${digits
+      .split("")
+      .join(PHONE_SEPARATORS)}${PHONE_SEPARATORS}$`
+  );
+};
+
+// Account the sender's number belongs to. Only verified numbers count,
+// since anyone can type any number into their profile. The match is
+// remembered for the conversation and checked again, since users can change
+// their number
+const findUser = async (conversation, sender) => {
+  const pattern = phonePattern(sender);
+  if (!pattern) return null;
+
+  if (conversation.userId) {
+    const user = await User.findById(conversation.userId);
+    if (
+      user &&
+      user.isActive &&
+      user.phoneVerifiedAt &&
+      pattern.test(user.phone || "")
+    ) {
+      return user;
+    }
+  }
+
+  const user = await User.findOne({
+    phone: pattern,
+    phoneVerifiedAt: { $ne: null },
+    isActive: true,
+  });
+  conversation.userId = user ? user._id : undefined;
+  return user;
+};
+
+const formatDate = (date) =>
+  new Date(date).toUTCString().replace(/:\d\d GMT$/, " UTC");
+
+const isValidUrl = (value) => {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Registrations of the user for hackathons that are coming up, running or
+// just ended, most recent first
+const currentRegistrations = async (user) => {
+  const registrations = await Registration.find({ userId: user._id }).populate(
+    "hackathonId"
+  );
+  const since = new Date(Date.now() - RECENT);
+
+  return registrations
+    .filter(
+      ({ hackathonId: hackathon }) =>
+        hackathon &&
+        hackathon.isActive &&
+        hackathon.status !== "cancelled" &&
+        hackathon.endDate > since
+    )
+    .sort((a, b) => b.hackathonId.startDate - a.hackathonId.startDate);
+};
+
+// Ask which hackathon the sender means and run `command` once they answer
+const askForHackathon = (conversation, registrations, command) => {
+  conversation.pending = {
+    action: "choose_hackathon",
+    options: registrations.map(({ hackathonId }) => hackathonId._id),
+    command,
+    expiresAt: new Date(Date.now() + PENDING_TTL),
+  };
+
+  return [
+    "Which hackathon?",
+    ...registrations.map(
+      ({ hackathonId }, index) => `${index + 1}. ${hackathonId.title}`
+    ),
+    "Reply with its number.",
+  ].join("\n");
+};
+
+// Commands about a hackathon run for the one the sender picked, or the only
+// one they registered for
+const withRegistration =
+  (handler) => async (conversation, user, args, text) => {
+    const registrations = await currentRegistrations(user);
+    if (registrations.length === 0) {
+      return "You are not registered for any current hackathon.";
+    }
+
+    const registration =
+      registrations.find(({ hackathonId }) =>
+        hackathonId._id.equals(conversation.hackathonId)
+      ) || (registrations.length === 1 ? registrations[0] : null);
+    if (!registration) {
+      return askForHackathon(conversation, registrations, text);
+    }
+
+    conversation.hackathonId = registration.hackathonId._id;
+    return handler(conversation, user, registration, args);
+  };
+
+const loadTeam = async (registration) => {
+  const team =
+    registration.teamId && (await Team.findById(registration.teamId));
+  if (!team) {
+    throw new AppError(
+      `You don't have a team for ${registration.hackathonId.title} yet.`,
+      404
+    );
+  }
+
+  return team;
+};
+
+const describeTeam = async (conversation, user, registration) => {
+  const team = await loadTeam(registration);
+  const members = await teamService
+    .activeMembers(team._id)
+    .populate("userId", "name");
+
+  return [
+    `Team ${team.name} (${registration.hackathonId.title})`,
+    `Invite code: ${team.inviteCode}`,
+    "Members:",
+    ...members
+      .map(({ userId: member }) => member)
+      .filter(Boolean)
+      .map(
+        (member) =>
+          `- ${member.name}${
+            team.leaderId.equals(member._id) ? " (leader)" : ""
+          }`
+      ),
+  ].join("\n");
+};
+
+const describeSchedule = async (
+  conversation,
+  user,
+  { hackathonId: hackathon }
+) => {
+  const tasks = hackathon.tasks.length ? hackathon.tasks : [null];
+
+  return [
+    hackathon.title,
+    `Registration closes: ${formatDate(hackathon.registrationDeadline)}`,
+    `Starts: ${formatDate(hackathon.startDate)}`,
+    `Ends: ${formatDate(hackathon.endDate)}`,
+    ...tasks.map((task) => {
+      const { softDeadline } = submissionService.submissionWindow(
+        hackathon,
+        task
+      );
+      return `${task ? task.title : "Submission"} due: ${formatDate(
+        softDeadline
+      )}`;
+    }),
+  ].join("\n");
+};
+
+// Save a submission and describe what happened
+const submit = async (registration, user, { githubUrl, task, final }) => {
+  const team = await loadTeam(registration);
+  const submission = await submissionService.saveSubmission(team, user, {
+    task,
+    githubUrl,
+    final,
+  });
+
+  if (submission.status === "draft") {
+    return `Draft saved for ${submission.task} (version ${submission.version}).`;
+  }
+  return `${submission.task} submitted${
+    submission.status === "late_submission" ? " late" : ""
+  } (version ${submission.version}).`;
+};
+
+// Members save drafts; leaders confirm first, as a final version cannot be
+// changed afterwards
+const requestSubmission = async (conversation, user, registration, args) => {
+  if (!user.isEmailVerified) {
+    return "Please verify your email address before submitting. We sent you a link when you signed up.";
+  }
+
+  const [githubUrl, ...taskWords] = args;
+  if (!githubUrl || !isValidUrl(githubUrl)) {
+    return "Send SUBMIT followed by your repository URL, e.g. SUBMIT https://github.com/you/project";
+  }
+
+  const task = taskWords.join(" ") || undefined;
+  const team = await loadTeam(registration);
+  if (!team.leaderId.equals(user._id)) {
+    const reply = await submit(registration, user, {
+      githubUrl,
+      task,
+      final: false,
+    });
+    return `${reply} Only your team leader can submit the final version.`;
+  }
+
+  conversation.pending = {
+    action: "confirm_submission",
+    githubUrl,
+    task,
+    expiresAt: new Date(Date.now() + PENDING_TTL),
+  };
+  return (
+    `Submit ${githubUrl} as your final version? ` +
+    "Reply YES to submit, DRAFT to save it as a draft or NO to cancel."
+  );
+};
+
+const describeLeaderboard = async (
+  conversation,
+  user,
+  { hackathonId: hackathon, teamId }
+) => {
+  const { frozen, overall } = await leaderboardService.getLeaderboard(
+    hackathon,
+    user
+  );
+  if (overall.length === 0) {
+    return `No teams on the ${hackathon.title} leaderboard yet.`;
+  }
+
+  const own =
+    teamId && overall.find((row) => String(row.teamId) === String(teamId));
+  const top = overall.slice(0, LEADERBOARD_SIZE);
+
+  return [
+    `${hackathon.title} leaderboard${frozen ? " (frozen)" : ""}`,
+    ...top.map((row) => `${row.rank}. ${row.name} - ${row.totalScore}`),
+    ...(own && !top.includes(own)
+      ? [`Your team: ${own.rank}. ${own.name} - ${own.totalScore}`]
+      : []),
+  ].join("\n");
+};
+
+const switchHackathon = async (conversation, user) => {
+  const registrations = await currentRegistrations(user);
+  if (registrations.length === 0) {
+    return "You are not registered for any current hackathon.";
+  }
+
+  return askForHackathon(conversation, registrations);
+};
+
+const COMMANDS = {
+  help: async () => HELP,
+  team: withRegistration(describeTeam),
+  schedule: withRegistration(describeSchedule),
+  submit: withRegistration(requestSubmission),
+  leaderboard: withRegistration(describeLeaderboard),
+  switch: switchHackathon,
+};
+
+const runCommand = (conversation, user, text) => {
+  const { command, args } = parseCommand(text);
+  const handler = COMMANDS[command];
+  if (!handler) {
+    return `Sorry, I don't know "${command}". Reply HELP for the list of commands.`;
+  }
+
+  return handler(conversation, user, args, text);
+};
+
+// Answer to the question the bot asked last, or null when the message is
+// not an answer and should run as a command
+const answerPending = async (conversation, user, pending, text) => {
+  const answer = text.trim().toLowerCase();
+
+  if (pending.action === "choose_hackathon") {
+    const hackathonId = pending.options[parseInt(answer, 10) - 1];
+    if (!/^\d+$/.test(answer) || !hackathonId) return null;
+
+    conversation.hackathonId = hackathonId;
+    if (pending.command) return runCommand(conversation, user, pending.command);
+
+    const registration = (await currentRegistrations(user)).find(
+      ({ hackathonId: hackathon }) => hackathon._id.equals(hackathonId)
+    );
+    return registration
+      ? `Your commands are now about ${registration.hackathonId.title}.`
+      : "That hackathon is no longer available.";
+  }
+
+  if (["no", "cancel"].includes(answer)) return "Submission cancelled.";
+  if (!["yes", "draft"].includes(answer)) return null;
+
+  return withRegistration((conv, sender, registration) =>
+    submit(registration, sender, {
+      githubUrl: pending.githubUrl,
+      task: pending.task,
+      final: answer === "yes",
+    })
+  )(conversation, user, [], text);
+};
+
+// Stop or restart messages to the sender, and WhatsApp notifications of
+// the account the number belongs to
+const setOptOut = async (conversation, user, optOut) => {
+  conversation.optedOutAt = optOut ? new Date() : undefined;
+  if (user) {
+    await User.updateOne(
+      { _id: user._id },
+      { "notificationPreferences.whatsapp": !optOut }
+    );
+  }
+
+  return optOut
+    ? "You won't get any more WhatsApp messages from us. Reply START to subscribe again."
+    : "You're subscribed to WhatsApp messages again. Reply HELP for the list of commands.";
+};
+
+const saveConversation = (conversation) => {
+  conversation.expiresAt = conversation.optedOutAt
+    ? undefined
+    : new Date(Date.now() + RETENTION);
+  return conversation.save();
+};
+
+// Reply to a WhatsApp message, with the user the sender's phone number
+// belongs to. A question the bot asked is answered by the next message
+const handleMessage = async (sender, text = "") => {
+  const conversation = await WhatsAppConversation.findOneAndUpdate(
+    { phone: sender },
+    { lastMessageAt: new Date() },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  const user = await findUser(conversation, sender);
+  const keyword = text.trim().toLowerCase();
+  if ([...OPT_OUT_KEYWORDS, ...OPT_IN_KEYWORDS].includes(keyword)) {
+    const reply = await setOptOut(
+      conversation,
+      user,
+      OPT_OUT_KEYWORDS.includes(keyword)
+    );
+    await saveConversation(conversation);
+    return { reply, user };
+  }
+
+  if (!user) {
+    await saveConversation(conversation);
+    return { reply: NOT_LINKED, user };
+  }
+
+  const { pending: asked } = conversation.toObject();
+  const pending =
+    asked && asked.action && asked.expiresAt > new Date() ? asked : null;
+  conversation.pending = undefined;
+
+  let reply;
+  try {
+    reply =
+      (pending && (await answerPending(conversation, user, pending, text))) ||
+      (await runCommand(conversation, user, text.trim() || "help"));
+  } catch (error) {
+    if (!(error instanceof AppError)) throw error;
+    reply = error.message;
+  }
+
+  await saveConversation(conversation);
+  return { reply, user };
+};
+
+module.exports = {
+  parseCommand,
+  phonePattern,
+  handleMessage,
+};
@@ -0,0 +1,195 @@
+// tests/controllers/campaign.controller.test.js
+const request = require("supertest");
+const { app } = require("../../app");
+const Hackathon = require("../../models/hackthon.model");
+const Registration = require("../../models/registration.model");
+const Campaign = require("../../models/campaign.model");
+const MessageLog = require("../../models/messageLog.model");
+const campaignService = require("../../services/campaign.service");
+const { setProvider, TwilioProvider } = require("../../utils/messaging");
+const { createUser, as } = require("../helpers");
+
+const DAY = 24 * 60 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+
+// Stands in for the Twilio REST client
+const twilioClient = { messages: { create: jest.fn() } };
+
+describe("Campaign Controller", () => {
+  let hackathon;
+  let organizer;
+
+  const campaigns = (path = "") =>
+    `/api/hackathons/${hackathon._id}/campaigns${path}`;
+
+  const schedule = (body, user = organizer) =>
+    request(app)
+      .post(campaigns())
+      .set(as(user))
+      .send({
+        name: "Kick-off",
+        message: "Hi {{name}}, {{hackathon}} starts in an hour!",
+        milestone: "start",
+        offsetMinutes: -60,
+        ...body,
+      });
+
+  beforeAll(() => {
+    process.env.WHATSAPP_MESSAGES_PER_SECOND = "1000";
+    setProvider("whatsapp", new TwilioProvider(twilioClient));
+  });
+
+  beforeEach(async () => {
+    organizer = await createUser("organizer@example.com", {
+      role: "organizer",
+    });
+    hackathon = await Hackathon.create({
+      title: "Spring Hack",
+      description: "A hackathon for testing",
+      registrationDeadline: new Date(Date.now() + DAY),
+      startDate: new Date(Date.now() + 2 * DAY),
+      endDate: new Date(Date.now() + 3 * DAY),
+      organizers: [organizer._id],
+    });
+    twilioClient.messages.create.mockReset();
+  });
+
+  it("should schedule a campaign relative to a milestone", async () => {
+    const response = await schedule();
+
+    expect(response.statusCode).toBe(201);
+    expect(new Date(response.body.data.sendAt)).toEqual(
+      new Date(hackathon.startDate.getTime() - HOUR)
+    );
+  });
+
+  it("should only let organizers of the hackathon schedule campaigns", async () => {
+    const other = await createUser("other@example.com", { role: "organizer" });
+
+    const response = await schedule({}, other);
+
+    expect(response.statusCode).toBe(403);
+  });
+
+  it("should refuse unknown placeholders and past send times", async () => {
+    const placeholder = await schedule({ message: "Your score: {{score}}" });
+    const past = await schedule({
+      milestone: null,
+      sendAt: new Date(Date.now() - HOUR).toISOString(),
+    });
+
+    expect(placeholder.statusCode).toBe(400);
+    expect(placeholder.body.message).toContain("score");
+    expect(past.statusCode).toBe(400);
+  });
+
+  it("should move campaigns along with the hackathon dates", async () => {
+    const { body } = await schedule();
+
+    await request(app)
+      .put(`/api/hackathons/${hackathon._id}`)
+      .set(as(organizer))
+      .send({
+        startDate: new Date(hackathon.startDate.getTime() + HOUR),
+      });
+
+    const campaign = await Campaign.findById(body.data._id);
+    expect(campaign.sendAt).toEqual(hackathon.startDate);
+  });
+
+  it("should send to opted-in registrants of the segment and record delivery", async () => {
+    const optedIn = await createUser("ada@example.com", {
+      phone: "+1 555 010 0",
+      notificationPreferences: { whatsapp: true },
+    });
+    const optedOut = await createUser("grace@example.com", {
+      phone: "+15550101",
+    });
+    const unreachable = await createUser("linus@example.com", {
+      notificationPreferences: { whatsapp: true },
+    });
+    for (const user of [optedIn, optedOut, unreachable]) {
+      await Registration.create({
+        userId: user._id,
+        hackathonId: hackathon._id,
+      });
+    }
+    twilioClient.messages.create.mockResolvedValue({
+      sid: "SM123",
+      status: "queued",
+    });
+    const { body } = await schedule();
+
+    const sent = await campaignService.sendDueCampaigns(
+      new Date(hackathon.startDate.getTime() - HOUR)
+    );
+    const recipients = await request(app)
+      .get(campaigns(`/${body.data._id}/recipients`))
+      .set(as(organizer));
+    const campaign = await Campaign.findById(body.data._id);
+
+    expect(sent).toBe(1);
+    expect(twilioClient.messages.create).toHaveBeenCalledTimes(1);
+    expect(twilioClient.messages.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        to: "whatsapp:+15550100",
+        body: "Hi ada, Spring Hack starts in an hour!",
+      })
+    );
+    expect(
+      await MessageLog.findOne({ campaignId: campaign._id })
+    ).toMatchObject({ messageSid: "SM123", kind: "campaign" });
+    expect(
+      Object.fromEntries(
+        recipients.body.data.map((r) => [r.userId.email, r.status])
+      )
+    ).toEqual({
+      "ada@example.com": "sent",
+      "grace@example.com": "skipped",
+      "linus@example.com": "skipped",
+    });
+    expect(campaign.status).toBe("sent");
+    expect(campaign.toObject().stats).toEqual({
+      recipients: 3,
+      sent: 1,
+      failed: 0,
+      skipped: 2,
+    });
+  });
+
+  it("should record failed deliveries", async () => {
+    const user = await createUser("ada@example.com", {
+      phone: "+15550100",
+      notificationPreferences: { whatsapp: true },
+    });
+    await Registration.create({ userId: user._id, hackathonId: hackathon._id });
+    twilioClient.messages.create.mockRejectedValue(
+      new Error("Invalid 'To' number")
+    );
+    const { body } = await schedule();
+
+    await campaignService.sendDueCampaigns(hackathon.startDate);
+
+    const recipients = await request(app)
+      .get(campaigns(`/${body.data._id}/recipients?status=failed`))
+      .set(as(organizer));
+    expect(recipients.body.data[0].error).toBe("Invalid 'To' number");
+  });
+
+  it("should not send cancelled campaigns", async () => {
+    const { body } = await schedule();
+
+    const cancelled = await request(app)
+      .post(campaigns(`/${body.data._id}/cancel`))
+      .set(as(organizer));
+    const changed = await request(app)
+      .patch(campaigns(`/${body.data._id}`))
+      .set(as(organizer))
+      .send({ name: "Renamed" });
+    const sent = await campaignService.sendDueCampaigns(hackathon.endDate);
+
+    expect(cancelled.body.data.status).toBe("cancelled");
+    expect(changed.statusCode).toBe(400);
+    expect(sent).toBe(0);
+  });
+});
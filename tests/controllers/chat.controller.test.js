@@ -0,0 +1,268 @@
+// tests/controllers/chat.controller.test.js
+const request = require("supertest");
+const sharp = require("sharp");
+const { app } = require("../../app");
+const Hackathon = require("../../models/hackthon.model");
+const Registration = require("../../models/registration.model");
+const TeamMember = require("../../models/teamMember.model");
+const Presence = require("../../models/presence.model");
+const { removeTeamFiles } = require("../../services/attachment.service");
+const chatService = require("../../services/chat.service");
+const presenceService = require("../../services/presence.service");
+const webSocketService = require("../../services/websocket.service");
+const { createUser, as } = require("../helpers");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("Chat Controller", () => {
+  let leader;
+  let outsider;
+  let team;
+
+  const send = (body, user = leader) =>
+    request(app)
+      .post(`/api/teams/${team._id}/messages`)
+      .set(as(user))
+      .send(body);
+
+  beforeEach(async () => {
+    const hackathon = await Hackathon.create({
+      title: "Test Hackathon",
+      description: "A hackathon for testing",
+      registrationDeadline: new Date(Date.now() + DAY),
+      startDate: new Date(Date.now() + 2 * DAY),
+      endDate: new Date(Date.now() + 3 * DAY),
+    });
+    leader = await createUser("leader@example.com");
+    outsider = await createUser("outsider@example.com");
+    await Registration.create({
+      userId: leader._id,
+      hackathonId: hackathon._id,
+    });
+
+    const response = await request(app)
+      .post("/api/teams/create")
+      .set(as(leader))
+      .send({ name: "Rockets", hackathonId: hackathon._id });
+    team = response.body.data;
+  });
+
+  it("should page through the history with a cursor", async () => {
+    for (const content of ["one", "two", "three"]) {
+      await send({ content });
+    }
+
+    const first = await request(app)
+      .get(`/api/teams/${team._id}/messages?limit=2`)
+      .set(as(leader));
+    const second = await request(app)
+      .get(
+        `/api/teams/${team._id}/messages?limit=2&before=${first.body.nextCursor}`
+      )
+      .set(as(leader));
+
+    expect(first.body.data.map((m) => m.content)).toEqual(["three", "two"]);
+    expect(second.body.data.map((m) => m.content)).toEqual(["one"]);
+    expect(second.body.nextCursor).toBeNull();
+  });
+
+  it("should keep replies in the thread of their message", async () => {
+    const parent = await send({ content: "Who takes the frontend?" });
+    const reply = await send({
+      content: "Me",
+      replyTo: parent.body.data._id,
+    });
+    await send({ content: "Great", replyTo: reply.body.data._id });
+
+    const history = await request(app)
+      .get(`/api/teams/${team._id}/messages`)
+      .set(as(leader));
+    const thread = await request(app)
+      .get(`/api/teams/${team._id}/messages/${parent.body.data._id}/replies`)
+      .set(as(leader));
+
+    expect(history.body.data).toHaveLength(1);
+    expect(history.body.data[0].replyCount).toBe(2);
+    expect(thread.body.data.map((m) => m.content)).toEqual(["Great", "Me"]);
+  });
+
+  it("should let the sender edit and soft-delete a message", async () => {
+    const sent = await send({ content: "Metting at 5" });
+    const url = `/api/teams/${team._id}/messages/${sent.body.data._id}`;
+
+    const edited = await request(app)
+      .patch(url)
+      .set(as(leader))
+      .send({ content: "Meeting at 5" });
+    await request(app).delete(url).set(as(leader));
+    const history = await request(app)
+      .get(`/api/teams/${team._id}/messages`)
+      .set(as(leader));
+
+    expect(edited.body.data.content).toBe("Meeting at 5");
+    expect(edited.body.data.editedAt).toBeDefined();
+    expect(history.body.data[0].deletedAt).toBeDefined();
+    expect(history.body.data[0].content).toBeNull();
+  });
+
+  it("should toggle emoji reactions", async () => {
+    const sent = await send({ content: "We won!" });
+    const react = () =>
+      request(app)
+        .post(`/api/teams/${team._id}/messages/${sent.body.data._id}/reactions`)
+        .set(as(leader))
+        .send({ emoji: "🎉" });
+
+    const added = await react();
+    const removed = await react();
+
+    expect(added.body.data).toHaveLength(1);
+    expect(removed.body.data).toHaveLength(0);
+  });
+
+  it("should count unread messages until they are read", async () => {
+    const teammate = await createUser("teammate@example.com");
+    await TeamMember.create({ teamId: team._id, userId: teammate._id });
+    await send({ content: "First" });
+    const last = await send({ content: "Second" });
+    const status = () =>
+      request(app).get(`/api/teams/${team._id}/chat/status`).set(as(teammate));
+
+    const before = await status();
+    const read = await request(app)
+      .post(`/api/teams/${team._id}/chat/read`)
+      .set(as(teammate))
+      .send({ messageId: last.body.data._id });
+    const after = await status();
+
+    expect(before.body.data.unreadCount).toBe(2);
+    expect(read.body.data.unreadCount).toBe(0);
+    expect(after.body.data.members).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({
+          name: "teammate",
+          status: "offline",
+          lastReadMessageId: last.body.data._id,
+        }),
+      ])
+    );
+  });
+
+  it("should check realtime messages like messages sent to the API", async () => {
+    chatService.registerRealtimeHandlers();
+    const ws = { readyState: 1, send: jest.fn() };
+    const sendOverSocket = (content) =>
+      webSocketService.runHandler(
+        leader._id.toString(),
+        { type: "chat-message", teamId: team._id, content },
+        ws
+      );
+
+    await sendOverSocket("   ");
+    await sendOverSocket("x".repeat(5001));
+    await sendOverSocket("  Hello  ");
+    const history = await request(app)
+      .get(`/api/teams/${team._id}/messages`)
+      .set(as(leader));
+
+    expect(
+      ws.send.mock.calls.map(([data]) => JSON.parse(data).message)
+    ).toEqual([
+      "Message content is required",
+      "Message cannot exceed 5000 characters",
+    ]);
+    expect(history.body.data.map((m) => m.content)).toEqual(["Hello"]);
+  });
+
+  it("should combine a user's connections into one presence", async () => {
+    const teammate = await createUser("teammate@example.com");
+    await TeamMember.create({ teamId: team._id, userId: teammate._id });
+    const status = async () => {
+      const response = await request(app)
+        .get(`/api/teams/${team._id}/chat/status`)
+        .set(as(leader));
+      return response.body.data.members.find((m) => m.name === "teammate");
+    };
+
+    await presenceService.connect(teammate._id, "tab-1");
+    await presenceService.connect(teammate._id, "tab-2");
+    await presenceService.setStatus(teammate._id, "tab-1", "away");
+    const oneAway = await status();
+    await presenceService.disconnect(teammate._id, "tab-2");
+    const allAway = await status();
+    await presenceService.disconnect(teammate._id, "tab-1");
+    const gone = await status();
+
+    expect(oneAway.status).toBe("online");
+    expect(allAway.status).toBe("away");
+    expect(gone.status).toBe("offline");
+    expect(gone.lastSeenAt).not.toBeNull();
+    expect(await Presence.countDocuments()).toBe(0);
+  });
+
+  describe("attachments", () => {
+    const upload = (buffer, filename, user = leader) =>
+      request(app)
+        .post(`/api/teams/${team._id}/attachments`)
+        .set(as(user))
+        .attach("file", buffer, filename);
+
+    afterEach(() => removeTeamFiles(team._id));
+
+    it("should send an uploaded image with a thumbnail", async () => {
+      const png = await sharp({
+        create: { width: 800, height: 600, channels: 3, background: "#f80" },
+      })
+        .png()
+        .toBuffer();
+
+      const uploaded = await upload(png, "sketch.png");
+      const sent = await send({ attachmentId: uploaded.body.data._id });
+      const thumbnail = await request(app)
+        .get(uploaded.body.data.thumbnailUrl)
+        .set(as(leader));
+
+      expect(uploaded.statusCode).toBe(201);
+      expect(sent.body.data.type).toBe("image");
+      expect(sent.body.data.fileUrl).toBe(uploaded.body.data.url);
+      expect(thumbnail.statusCode).toBe(200);
+      expect(thumbnail.headers["content-type"]).toBe("image/jpeg");
+    });
+
+    it("should not send the same upload twice", async () => {
+      const uploaded = await upload(Buffer.from("%PDF-1.4"), "plan.pdf");
+
+      await send({ attachmentId: uploaded.body.data._id });
+      const again = await send({ attachmentId: uploaded.body.data._id });
+
+      expect(again.statusCode).toBe(404);
+    });
+
+    it("should refuse unsupported file types", async () => {
+      const response = await upload(Buffer.from("MZ"), "tool.exe");
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    it("should only serve files to team members", async () => {
+      const uploaded = await upload(Buffer.from("%PDF-1.4"), "plan.pdf");
+
+      const member = await request(app)
+        .get(uploaded.body.data.url)
+        .set(as(leader));
+      const stranger = await request(app)
+        .get(uploaded.body.data.url)
+        .set(as(outsider));
+
+      expect(member.statusCode).toBe(200);
+      expect(member.headers["content-disposition"]).toContain("plan.pdf");
+      expect(stranger.statusCode).toBe(403);
+    });
+  });
+
+  it("should keep non-members out of the chat", async () => {
+    const response = await send({ content: "Hi" }, outsider);
+
+    expect(response.statusCode).toBe(403);
+  });
+});
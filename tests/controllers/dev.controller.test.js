@@ -0,0 +1,64 @@
+// tests/controllers/dev.controller.test.js
+const request = require("supertest");
+const { app } = require("../../app");
+const whatsappService = require("../../services/whatsapp.service");
+const emailService = require("../../services/email.service");
+const { getSandbox } = require("../../utils/messaging");
+const { createUser, as } = require("../helpers");
+
+describe("Dev Controller", () => {
+  let admin;
+
+  beforeEach(async () => {
+    await getSandbox().clear();
+    admin = await createUser("admin@example.com", { role: "superadmin" });
+  });
+
+  it("should show messages the sandbox kept instead of sending", async () => {
+    await whatsappService.sendWhatsAppMessage("+15550100", "Hello");
+    await emailService.queueEmail({
+      to: "ada@example.com",
+      subject: "Welcome",
+      html: "<p>Hi</p>",
+    });
+
+    const all = await request(app).get("/api/dev/inbox").set(as(admin));
+    const whatsapp = await request(app)
+      .get("/api/dev/inbox?channel=whatsapp")
+      .set(as(admin));
+
+    expect(all.statusCode).toBe(200);
+    expect(all.body.data.map((message) => message.channel)).toEqual([
+      "email",
+      "whatsapp",
+    ]);
+    expect(whatsapp.body.data).toEqual([
+      expect.objectContaining({ to: "whatsapp:+15550100", body: "Hello" }),
+    ]);
+  });
+
+  it("should empty the inbox", async () => {
+    await whatsappService.sendWhatsAppMessage("+15550100", "Hello");
+
+    await request(app).delete("/api/dev/inbox").set(as(admin));
+
+    const response = await request(app).get("/api/dev/inbox").set(as(admin));
+    expect(response.body.count).toBe(0);
+  });
+
+  it("should only let superadmins read the inbox", async () => {
+    const participant = await createUser("ada@example.com");
+
+    const anonymous = await request(app).get("/api/dev/inbox");
+    const forbidden = await request(app)
+      .get("/api/dev/inbox")
+      .set(as(participant));
+    const cleared = await request(app)
+      .delete("/api/dev/inbox")
+      .set(as(participant));
+
+    expect(anonymous.statusCode).toBe(401);
+    expect(forbidden.statusCode).toBe(403);
+    expect(cleared.statusCode).toBe(403);
+  });
+});
@@ -0,0 +1,118 @@
+// tests/controllers/emailVerification.controller.test.js
+const request = require("supertest");
+const mongoose = require("mongoose");
+const { app } = require("../../app");
+const User = require("../../models/user.model");
+const Hackathon = require("../../models/hackthon.model");
+const { getSandbox } = require("../../utils/messaging");
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const register = () =>
+  request(app).post("/api/user/register").send({
+    name: "Ada Lovelace",
+    email: "ada@example.com",
+    password: "Password1!",
+  });
+
+// Token in the link of the latest verification email
+const linkToken = () => {
+  const [email] = getSandbox().list({ channel: "email" });
+  return email.body.match(/verify-email\/([0-9a-f]+)/)[1];
+};
+
+describe("Email Verification", () => {
+  beforeEach(() => getSandbox().clear());
+
+  it("should verify the email once with the emailed link", async () => {
+    await register();
+    const token = linkToken();
+
+    const verified = await request(app).get(`/api/user/verify-email/${token}`);
+    const again = await request(app).get(`/api/user/verify-email/${token}`);
+
+    const user = await User.findOne({ email: "ada@example.com" });
+    expect(verified.statusCode).toBe(200);
+    expect(user.isEmailVerified).toBe(true);
+    expect(again.statusCode).toBe(400);
+  });
+
+  it("should refuse expired links", async () => {
+    await register();
+    await User.updateOne(
+      { email: "ada@example.com" },
+      { emailVerificationExpires: new Date(Date.now() - MINUTE) }
+    );
+
+    const response = await request(app).get(
+      `/api/user/verify-email/${linkToken()}`
+    );
+
+    expect(response.statusCode).toBe(400);
+  });
+
+  it("should throttle resending and only accept the latest link", async () => {
+    const { body } = await register();
+    const first = linkToken();
+    const as = { Authorization: `Bearer ${body.data.token}` };
+
+    const throttled = await request(app)
+      .post("/api/user/send-verification")
+      .set(as);
+    await User.updateOne(
+      { email: "ada@example.com" },
+      { emailVerificationSentAt: new Date(Date.now() - 2 * MINUTE) }
+    );
+    const resent = await request(app)
+      .post("/api/user/send-verification")
+      .set(as);
+    const old = await request(app).get(`/api/user/verify-email/${first}`);
+    const latest = await request(app).get(
+      `/api/user/verify-email/${linkToken()}`
+    );
+
+    expect(throttled.statusCode).toBe(429);
+    expect(throttled.headers["retry-after"]).toBeDefined();
+    expect(resent.statusCode).toBe(200);
+    expect(old.statusCode).toBe(400);
+    expect(latest.statusCode).toBe(200);
+  });
+
+  it("should require a verified email to submit a project", async () => {
+    const { body } = await register();
+
+    const response = await request(app)
+      .post(`/api/teams/${new mongoose.Types.ObjectId()}/submissions`)
+      .set("Authorization", `Bearer ${body.data.token}`)
+      .send({ githubUrl: "https://github.com/ada/engine" });
+
+    expect(response.statusCode).toBe(403);
+    expect(response.body.message).toContain("verify your email");
+  });
+
+  it("should require a verified email to register for a hackathon", async () => {
+    const { body } = await register();
+    const hackathon = await Hackathon.create({
+      title: "Test Hackathon",
+      description: "A hackathon for testing",
+      registrationDeadline: new Date(Date.now() + DAY),
+      startDate: new Date(Date.now() + 2 * DAY),
+      endDate: new Date(Date.now() + 3 * DAY),
+    });
+    const registerFor = () =>
+      request(app)
+        .post(`/api/hackathons/${hackathon._id}/register`)
+        .set("Authorization", `Bearer ${body.data.token}`)
+        .send({ preferences: { experience: "advanced" } });
+
+    const unverified = await registerFor();
+    await request(app).get(`/api/user/verify-email/${linkToken()}`);
+    const verified = await registerFor();
+
+    expect(unverified.statusCode).toBe(403);
+    expect(unverified.body.message).toContain("verify your email");
+    expect(verified.statusCode).toBe(201);
+    expect(verified.body.data.preferences.experience).toBe("advanced");
+  });
+});
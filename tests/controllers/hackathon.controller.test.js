@@ -0,0 +1,352 @@
+// tests/controllers/hackathon.controller.test.js
+const request = require("supertest");
+const mongoose = require("mongoose");
+const { app } = require("../../app");
+const Hackathon = require("../../models/hackthon.model");
+const Registration = require("../../models/registration.model");
+const announcementService = require("../../services/announcement.service");
+const webSocketService = require("../../services/websocket.service");
+const { createUser, tokenFor } = require("../helpers");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const hackathonData = (overrides = {}) => ({
+  title: "Test Hackathon",
+  description: "A hackathon for testing",
+  registrationDeadline: new Date(Date.now() + DAY).toISOString(),
+  startDate: new Date(Date.now() + 2 * DAY).toISOString(),
+  endDate: new Date(Date.now() + 3 * DAY).toISOString(),
+  maxTeamSize: 4,
+  prizes: [{ position: "1st", amount: 1000 }],
+  tags: ["ai", "web"],
+  ...overrides,
+});
+
+describe("Hackathon Controller", () => {
+  let organizer;
+  let participant;
+
+  beforeEach(async () => {
+    organizer = await createUser("organizer@example.com", {
+      role: "organizer",
+    });
+    participant = await createUser("participant@example.com", {
+      role: "participant",
+    });
+  });
+
+  describe("POST /api/hackathons", () => {
+    it("should let an organizer create a hackathon", async () => {
+      const response = await request(app)
+        .post("/api/hackathons")
+        .set("Authorization", `Bearer ${tokenFor(organizer)}`)
+        .send(hackathonData());
+
+      expect(response.statusCode).toBe(201);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.organizers).toEqual([organizer._id.toString()]);
+    });
+
+    it("should reject unauthenticated requests", async () => {
+      const response = await request(app)
+        .post("/api/hackathons")
+        .send(hackathonData());
+
+      expect(response.statusCode).toBe(401);
+    });
+
+    it("should reject participants", async () => {
+      const response = await request(app)
+        .post("/api/hackathons")
+        .set("Authorization", `Bearer ${tokenFor(participant)}`)
+        .send(hackathonData());
+
+      expect(response.statusCode).toBe(403);
+    });
+
+    it("should reject an end date before the start date", async () => {
+      const response = await request(app)
+        .post("/api/hackathons")
+        .set("Authorization", `Bearer ${tokenFor(organizer)}`)
+        .send(
+          hackathonData({
+            endDate: new Date(Date.now() + DAY / 2).toISOString(),
+          })
+        );
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+
+    it("should reject an out of range team size", async () => {
+      const response = await request(app)
+        .post("/api/hackathons")
+        .set("Authorization", `Bearer ${tokenFor(organizer)}`)
+        .send(hackathonData({ maxTeamSize: 11 }));
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.errors[0].field).toBe("maxTeamSize");
+    });
+
+    it("should reject prizes without an amount", async () => {
+      const response = await request(app)
+        .post("/api/hackathons")
+        .set("Authorization", `Bearer ${tokenFor(organizer)}`)
+        .send(hackathonData({ prizes: [{ position: "1st" }] }));
+
+      expect(response.statusCode).toBe(400);
+    });
+  });
+
+  describe("GET /api/hackathons", () => {
+    it("should list hackathons with pagination", async () => {
+      await Hackathon.create(hackathonData({ organizers: [organizer._id] }));
+
+      const response = await request(app).get("/api/hackathons");
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.pagination.totalItems).toBe(1);
+    });
+
+    it("should get a hackathon by id", async () => {
+      const hackathon = await Hackathon.create(hackathonData());
+
+      const response = await request(app).get(
+        `/api/hackathons/${hackathon._id}`
+      );
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.data.title).toBe("Test Hackathon");
+    });
+  });
+
+  describe("PUT /api/hackathons/:id", () => {
+    it("should let an organizer of the hackathon update it", async () => {
+      const hackathon = await Hackathon.create(
+        hackathonData({ organizers: [organizer._id] })
+      );
+
+      const response = await request(app)
+        .put(`/api/hackathons/${hackathon._id}`)
+        .set("Authorization", `Bearer ${tokenFor(organizer)}`)
+        .send({ title: "Renamed Hackathon", organizers: [] });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.data.title).toBe("Renamed Hackathon");
+      expect(response.body.data.organizers).toHaveLength(1);
+    });
+
+    it("should check date order against stored dates", async () => {
+      const hackathon = await Hackathon.create(
+        hackathonData({ organizers: [organizer._id] })
+      );
+
+      const response = await request(app)
+        .put(`/api/hackathons/${hackathon._id}`)
+        .set("Authorization", `Bearer ${tokenFor(organizer)}`)
+        .send({ endDate: new Date(Date.now() + DAY).toISOString() });
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    it("should reject organizers of other hackathons", async () => {
+      const hackathon = await Hackathon.create(hackathonData());
+
+      const response = await request(app)
+        .put(`/api/hackathons/${hackathon._id}`)
+        .set("Authorization", `Bearer ${tokenFor(organizer)}`)
+        .send({ title: "Hijacked" });
+
+      expect(response.statusCode).toBe(403);
+    });
+  });
+
+  describe("malformed requests", () => {
+    let hackathon;
+
+    beforeEach(async () => {
+      hackathon = await Hackathon.create(
+        hackathonData({ organizers: [organizer._id] })
+      );
+    });
+
+    const asOrganizer = (req) =>
+      req.set("Authorization", `Bearer ${tokenFor(organizer)}`);
+
+    it("should reject a malformed hackathon id", async () => {
+      const responses = await Promise.all([
+        request(app).get("/api/hackathons/not-an-id"),
+        asOrganizer(request(app).put("/api/hackathons/not-an-id")),
+        asOrganizer(
+          request(app).post("/api/admin/hackathons/not-an-id/judges")
+        ).send({ userId: participant._id }),
+      ]);
+
+      responses.forEach((response) => {
+        expect(response.statusCode).toBe(400);
+        expect(response.body.message).toBe("Validation failed");
+      });
+    });
+
+    it("should reject a malformed staff user id", async () => {
+      const response = await asOrganizer(
+        request(app).post(`/api/admin/hackathons/${hackathon._id}/judges`)
+      ).send({ userId: "nobody" });
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    it("should reject winners that repeat a team or position", async () => {
+      const teamId = new mongoose.Types.ObjectId();
+      const declare = (winners) =>
+        asOrganizer(
+          request(app).post(`/api/hackathons/${hackathon._id}/declare-winners`)
+        ).send({ winners });
+
+      const sameTeam = await declare([
+        { position: 1, teamId },
+        { position: 2, teamId },
+      ]);
+      const samePosition = await declare([
+        { position: 1, teamId },
+        { position: 1, teamId: new mongoose.Types.ObjectId() },
+      ]);
+      const empty = await declare([]);
+
+      expect(sameTeam.statusCode).toBe(400);
+      expect(samePosition.statusCode).toBe(400);
+      expect(empty.statusCode).toBe(400);
+    });
+  });
+
+  describe("DELETE /api/hackathons/:id", () => {
+    it("should let an organizer delete the hackathon", async () => {
+      const hackathon = await Hackathon.create(
+        hackathonData({ organizers: [organizer._id] })
+      );
+
+      const response = await request(app)
+        .delete(`/api/hackathons/${hackathon._id}`)
+        .set("Authorization", `Bearer ${tokenFor(organizer)}`);
+
+      expect(response.statusCode).toBe(200);
+      expect(await Hackathon.findById(hackathon._id)).toBeNull();
+    });
+  });
+
+  describe("announcements", () => {
+    let hackathon;
+
+    const announce = (body, user = organizer) =>
+      request(app)
+        .post(`/api/hackathons/${hackathon._id}/announcements`)
+        .set("Authorization", `Bearer ${tokenFor(user)}`)
+        .send(body);
+
+    beforeEach(async () => {
+      hackathon = await Hackathon.create(
+        hackathonData({ organizers: [organizer._id] })
+      );
+    });
+
+    it("should let organizers publish announcements", async () => {
+      const response = await announce({
+        title: "Lunch",
+        message: "Lunch is served in hall B",
+        pinned: true,
+      });
+
+      expect(response.statusCode).toBe(201);
+      expect(response.body.data.pinned).toBe(true);
+      expect(response.body.data.pinnedAt).toBeDefined();
+    });
+
+    it("should not let participants publish announcements", async () => {
+      await Registration.create({
+        userId: participant._id,
+        hackathonId: hackathon._id,
+      });
+
+      const response = await announce({ message: "Free pizza" }, participant);
+
+      expect(response.statusCode).toBe(403);
+    });
+
+    it("should show the history to registered participants only", async () => {
+      await announce({ message: "Welcome" });
+      await announce({ message: "Submissions close at noon" });
+      const history = () =>
+        request(app)
+          .get(`/api/hackathons/${hackathon._id}/announcements`)
+          .set("Authorization", `Bearer ${tokenFor(participant)}`);
+
+      const outsider = await history();
+      await Registration.create({
+        userId: participant._id,
+        hackathonId: hackathon._id,
+      });
+      const registered = await history();
+
+      expect(outsider.statusCode).toBe(403);
+      expect(registered.statusCode).toBe(200);
+      expect(registered.body.data.map((a) => a.message)).toEqual([
+        "Submissions close at noon",
+        "Welcome",
+      ]);
+    });
+
+    it("should only let staff and participants follow the live channel", async () => {
+      announcementService.registerRealtimeHandlers();
+      const judge = await createUser("judge@example.com", { role: "judge" });
+      hackathon.judges.push(judge._id);
+      await hackathon.save();
+      const join = async (user) => {
+        const ws = { readyState: 1, send: jest.fn(), channels: new Set() };
+        await webSocketService.runHandler(
+          user._id.toString(),
+          { type: "join-hackathon", hackathonId: hackathon._id },
+          ws
+        );
+        return ws;
+      };
+
+      const outsider = await join(participant);
+      await Registration.create({
+        userId: participant._id,
+        hackathonId: hackathon._id,
+      });
+      const registered = await join(participant);
+      const staff = await join(judge);
+
+      expect(JSON.parse(outsider.send.mock.calls[0][0])).toMatchObject({
+        type: "error",
+        message: "Not registered for this hackathon",
+      });
+      expect(outsider.channels.size).toBe(0);
+      expect(JSON.parse(registered.send.mock.calls[0][0]).type).toBe(
+        "hackathon-joined"
+      );
+      expect(JSON.parse(staff.send.mock.calls[0][0]).type).toBe(
+        "hackathon-joined"
+      );
+    });
+
+    it("should let organizers unpin an announcement", async () => {
+      const created = await announce({
+        message: "Wifi: hack2030",
+        pinned: true,
+      });
+
+      const response = await request(app)
+        .patch(
+          `/api/hackathons/${hackathon._id}/announcements/${created.body.data._id}`
+        )
+        .set("Authorization", `Bearer ${tokenFor(organizer)}`)
+        .send({ pinned: false });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.data.pinned).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+// tests/controllers/notification.controller.test.js
+const request = require("supertest");
+const { app } = require("../../app");
+const notificationService = require("../../services/notification.service");
+const { createUser, as } = require("../helpers");
+
+describe("Notification Controller", () => {
+  let user;
+  let other;
+
+  const notify = (message, recipient = user) =>
+    notificationService.notify(recipient._id, {
+      type: "team_update",
+      title: "Team update",
+      message,
+    });
+
+  beforeEach(async () => {
+    user = await createUser("ada@example.com");
+    other = await createUser("grace@example.com");
+  });
+
+  it("should keep notifications sent while offline in the inbox", async () => {
+    await notify("First");
+    await notify("Second");
+
+    const response = await request(app)
+      .get("/api/notifications?limit=1")
+      .set(as(user));
+
+    expect(response.body.data.map((n) => n.message)).toEqual(["Second"]);
+    expect(response.body.nextCursor).toBeDefined();
+    expect(response.body.unreadCount).toBe(2);
+  });
+
+  it("should mark notifications as read", async () => {
+    const first = await notify("First");
+    await notify("Second");
+
+    const one = await request(app)
+      .patch(`/api/notifications/${first._id}/read`)
+      .set(as(user));
+    await request(app).post("/api/notifications/read-all").set(as(user));
+    const unread = await request(app)
+      .get("/api/notifications?unread=true")
+      .set(as(user));
+
+    expect(one.body.data.readAt).toBeDefined();
+    expect(one.body.unreadCount).toBe(1);
+    expect(unread.body.data).toHaveLength(0);
+  });
+
+  it("should not expose other users' notifications", async () => {
+    const notification = await notify("Private", other);
+
+    const response = await request(app)
+      .patch(`/api/notifications/${notification._id}/read`)
+      .set(as(user));
+
+    expect(response.statusCode).toBe(404);
+  });
+
+  it("should update channel preferences", async () => {
+    const response = await request(app)
+      .patch("/api/notifications/preferences")
+      .set(as(user))
+      .send({ email: false });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body.data).toEqual({
+      inApp: true,
+      email: false,
+      whatsapp: false,
+    });
+  });
+
+  it("should require a phone number for WhatsApp notifications", async () => {
+    const response = await request(app)
+      .patch("/api/notifications/preferences")
+      .set(as(user))
+      .send({ whatsapp: true });
+
+    expect(response.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,81 @@
+// tests/controllers/phoneVerification.controller.test.js
+const request = require("supertest");
+const { app } = require("../../app");
+const User = require("../../models/user.model");
+const { getSandbox } = require("../../utils/messaging");
+const { createUser, as } = require("../helpers");
+
+const MINUTE = 60 * 1000;
+
+// Code in the latest WhatsApp message sent
+const sentCode = () => {
+  const [message] = getSandbox().list({ channel: "whatsapp" });
+  return message.body.match(/\d{6}/)[0];
+};
+
+describe("Phone Verification", () => {
+  let user;
+
+  const sendCode = () =>
+    request(app).post("/api/user/send-phone-verification").set(as(user));
+  const verify = (code) =>
+    request(app).post("/api/user/verify-phone").set(as(user)).send({ code });
+
+  beforeEach(async () => {
+    getSandbox().clear();
+    user = await createUser("ada@example.com", { phone: "+15550100" });
+  });
+
+  it("should verify the phone once with the code sent to it", async () => {
+    const sent = await sendCode();
+    const code = sentCode();
+
+    const verified = await verify(code);
+    const again = await verify(code);
+
+    expect(sent.statusCode).toBe(200);
+    expect(verified.statusCode).toBe(200);
+    expect((await User.findById(user._id)).phoneVerifiedAt).toBeDefined();
+    expect(again.statusCode).toBe(400);
+  });
+
+  it("should stop accepting a code after too many wrong guesses", async () => {
+    await sendCode();
+    const code = sentCode();
+    const wrong = code === "000000" ? "111111" : "000000";
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await verify(wrong);
+    }
+    const response = await verify(code);
+
+    expect(response.statusCode).toBe(400);
+    expect((await User.findById(user._id)).phoneVerifiedAt).toBeUndefined();
+  });
+
+  it("should throttle resending codes", async () => {
+    await sendCode();
+    const throttled = await sendCode();
+    await User.updateOne(
+      { _id: user._id },
+      { phoneVerificationSentAt: new Date(Date.now() - 2 * MINUTE) }
+    );
+    const resent = await sendCode();
+
+    expect(throttled.statusCode).toBe(429);
+    expect(throttled.headers["retry-after"]).toBeDefined();
+    expect(resent.statusCode).toBe(200);
+  });
+
+  it("should ask for verification again when the phone changes", async () => {
+    await sendCode();
+    await verify(sentCode());
+
+    await request(app)
+      .put("/api/user/profile")
+      .set(as(user))
+      .send({ phone: "+15550199" });
+
+    expect((await User.findById(user._id)).phoneVerifiedAt).toBeUndefined();
+  });
+});
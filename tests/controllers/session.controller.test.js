@@ -0,0 +1,138 @@
+// tests/controllers/session.controller.test.js
+const request = require("supertest");
+const { app } = require("../../app");
+const User = require("../../models/user.model");
+
+const PASSWORD = "Password1!";
+
+const login = (userAgent = "jest") =>
+  request(app)
+    .post("/api/user/login")
+    .set("User-Agent", userAgent)
+    .send({ email: "ada@example.com", password: PASSWORD });
+
+const refresh = (refreshToken) =>
+  request(app).post("/api/user/refresh").send({ refreshToken });
+
+const as = (token) => ({ Authorization: `Bearer ${token}` });
+
+describe("Sessions", () => {
+  beforeEach(async () => {
+    await User.create({
+      name: "ada",
+      email: "ada@example.com",
+      password: PASSWORD,
+    });
+  });
+
+  it("should answer a login with an access and a refresh token", async () => {
+    const response = await login();
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body.data).toHaveProperty("token");
+    expect(response.body.data).toHaveProperty("refreshToken");
+    expect(response.body.data.user).not.toHaveProperty("password");
+
+    const me = await request(app)
+      .get("/api/user/me")
+      .set(as(response.body.data.token));
+    expect(me.statusCode).toBe(200);
+  });
+
+  it("should rotate refresh tokens", async () => {
+    const { body } = await login();
+
+    const refreshed = await refresh(body.data.refreshToken);
+    const me = await request(app)
+      .get("/api/user/me")
+      .set(as(refreshed.body.data.token));
+
+    expect(refreshed.statusCode).toBe(200);
+    expect(refreshed.body.data.refreshToken).not.toBe(body.data.refreshToken);
+    expect(refreshed.body.data.sessionId).toBe(body.data.sessionId);
+    expect(me.statusCode).toBe(200);
+  });
+
+  it("should sign the session out when a refresh token is reused", async () => {
+    const { body } = await login();
+    const refreshed = await refresh(body.data.refreshToken);
+
+    const reused = await refresh(body.data.refreshToken);
+    const next = await refresh(refreshed.body.data.refreshToken);
+    const me = await request(app)
+      .get("/api/user/me")
+      .set(as(refreshed.body.data.token));
+
+    expect(reused.statusCode).toBe(401);
+    expect(next.statusCode).toBe(401);
+    expect(me.statusCode).toBe(401);
+  });
+
+  it("should stop accepting the tokens of a session after logout", async () => {
+    const { body } = await login();
+
+    const loggedOut = await request(app)
+      .post("/api/user/logout")
+      .set(as(body.data.token));
+    const me = await request(app).get("/api/user/me").set(as(body.data.token));
+    const refreshed = await refresh(body.data.refreshToken);
+
+    expect(loggedOut.statusCode).toBe(200);
+    expect(me.statusCode).toBe(401);
+    expect(refreshed.statusCode).toBe(401);
+  });
+
+  it("should list the user's devices and revoke them one or all at once", async () => {
+    const laptop = await login("laptop");
+    const phone = await login("phone");
+    const tablet = await login("tablet");
+
+    const listed = await request(app)
+      .get("/api/user/sessions")
+      .set(as(laptop.body.data.token));
+    const revoked = await request(app)
+      .delete(`/api/user/sessions/${phone.body.data.sessionId}`)
+      .set(as(laptop.body.data.token));
+    const phoneMe = await request(app)
+      .get("/api/user/me")
+      .set(as(phone.body.data.token));
+    const revokedAll = await request(app)
+      .delete("/api/user/sessions")
+      .set(as(laptop.body.data.token));
+    const tabletMe = await request(app)
+      .get("/api/user/me")
+      .set(as(tablet.body.data.token));
+    const laptopMe = await request(app)
+      .get("/api/user/me")
+      .set(as(laptop.body.data.token));
+
+    expect(listed.body.count).toBe(3);
+    expect(listed.body.data.find((session) => session.current).userAgent).toBe(
+      "laptop"
+    );
+    expect(listed.body.data[0]).not.toHaveProperty("refreshTokenHash");
+    expect(revoked.statusCode).toBe(200);
+    expect(phoneMe.statusCode).toBe(401);
+    expect(revokedAll.body.data.revoked).toBe(1);
+    expect(tabletMe.statusCode).toBe(401);
+    expect(laptopMe.statusCode).toBe(200);
+  });
+
+  it("should not revoke another user's session", async () => {
+    const { body } = await login();
+    const other = await User.create({
+      name: "grace",
+      email: "grace@example.com",
+      password: PASSWORD,
+    });
+    const otherLogin = await request(app)
+      .post("/api/user/login")
+      .send({ email: other.email, password: PASSWORD });
+
+    const response = await request(app)
+      .delete(`/api/user/sessions/${body.data.sessionId}`)
+      .set(as(otherLogin.body.data.token));
+
+    expect(response.statusCode).toBe(404);
+  });
+});
@@ -0,0 +1,721 @@
+// tests/controllers/team.controller.test.js
+const request = require("supertest");
+const { app } = require("../../app");
+const User = require("../../models/user.model");
+const Hackathon = require("../../models/hackthon.model");
+const Registration = require("../../models/registration.model");
+const Team = require("../../models/team.model");
+const TeamMember = require("../../models/teamMember.model");
+const Score = require("../../models/score.model");
+const { createUser, tokenFor, as } = require("../helpers");
+
+const DAY = 24 * 60 * 60 * 1000;
+// Submissions need a verified email
+const VERIFIED = { isEmailVerified: true };
+
+const register = (user, hackathon) =>
+  Registration.create({ userId: user._id, hackathonId: hackathon._id });
+
+describe("Team Controller", () => {
+  let hackathon;
+  let leader;
+  let invitee;
+  let team;
+
+  beforeEach(async () => {
+    hackathon = await Hackathon.create({
+      title: "Test Hackathon",
+      description: "A hackathon for testing",
+      registrationDeadline: new Date(Date.now() + DAY),
+      startDate: new Date(Date.now() + 2 * DAY),
+      endDate: new Date(Date.now() + 3 * DAY),
+      maxTeamSize: 2,
+    });
+    leader = await createUser("leader@example.com", VERIFIED);
+    invitee = await createUser("invitee@example.com", VERIFIED);
+    await register(leader, hackathon);
+    await register(invitee, hackathon);
+
+    const response = await request(app)
+      .post("/api/teams/create")
+      .set("Authorization", `Bearer ${tokenFor(leader)}`)
+      .send({ name: "Rockets", hackathonId: hackathon._id });
+    team = response.body.data;
+  });
+
+  const invite = (body, user = leader) =>
+    request(app)
+      .post(`/api/teams/${team._id}/invitations`)
+      .set("Authorization", `Bearer ${tokenFor(user)}`)
+      .send(body);
+
+  describe("POST /api/teams/create", () => {
+    it("should make the creator the team leader", async () => {
+      const registration = await Registration.findOne({ userId: leader._id });
+      const member = await TeamMember.findOne({ userId: leader._id });
+
+      expect(team.leaderId).toBe(leader._id.toString());
+      expect(registration.teamId.toString()).toBe(team._id);
+      expect(member.role).toBe("leader");
+    });
+
+    it("should reject users already in a team", async () => {
+      const response = await request(app)
+        .post("/api/teams/create")
+        .set("Authorization", `Bearer ${tokenFor(leader)}`)
+        .send({ name: "Second", hackathonId: hackathon._id });
+
+      expect(response.statusCode).toBe(400);
+    });
+  });
+
+  describe("POST /api/teams/join", () => {
+    it("should add the user with a valid invite code", async () => {
+      const response = await request(app)
+        .post("/api/teams/join")
+        .set("Authorization", `Bearer ${tokenFor(invitee)}`)
+        .send({ inviteCode: team.inviteCode });
+
+      const registration = await Registration.findOne({ userId: invitee._id });
+
+      expect(response.statusCode).toBe(200);
+      expect(registration.status).toBe("team_assigned");
+    });
+
+    it("should not overfill a team when users join at once", async () => {
+      const latecomer = await createUser("latecomer@example.com", VERIFIED);
+      await register(latecomer, hackathon);
+      const join = (user) =>
+        request(app)
+          .post("/api/teams/join")
+          .set("Authorization", `Bearer ${tokenFor(user)}`)
+          .send({ inviteCode: team.inviteCode });
+
+      const responses = await Promise.all([join(invitee), join(latecomer)]);
+
+      expect(responses.map((r) => r.statusCode).sort()).toEqual([200, 400]);
+      expect(
+        await TeamMember.countDocuments({
+          teamId: team._id,
+          invitationStatus: "accepted",
+        })
+      ).toBe(2);
+    });
+  });
+
+  describe("POST /api/teams/:id/invitations", () => {
+    it("should create a pending invitation by email", async () => {
+      const response = await invite({ email: "invitee@example.com" });
+
+      expect(response.statusCode).toBe(201);
+      expect(response.body.data.invitationStatus).toBe("pending");
+      expect(response.body.data.invitedBy).toBe(leader._id.toString());
+    });
+
+    it("should only let the leader invite", async () => {
+      const outsider = await createUser("outsider@example.com", VERIFIED);
+
+      const response = await invite({ userId: invitee._id }, outsider);
+
+      expect(response.statusCode).toBe(403);
+    });
+
+    it("should reject a second pending invitation", async () => {
+      await invite({ userId: invitee._id });
+
+      const response = await invite({ userId: invitee._id });
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    it("should reject users not registered for the hackathon", async () => {
+      await createUser("stranger@example.com", VERIFIED);
+
+      const response = await invite({ email: "stranger@example.com" });
+
+      expect(response.statusCode).toBe(400);
+    });
+  });
+
+  describe("invitation responses", () => {
+    let invitationId;
+
+    beforeEach(async () => {
+      const response = await invite({ userId: invitee._id });
+      invitationId = response.body.data._id;
+    });
+
+    it("should list pending invitations of the current user", async () => {
+      const response = await request(app)
+        .get("/api/teams/invitations")
+        .set("Authorization", `Bearer ${tokenFor(invitee)}`);
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].teamId.name).toBe("Rockets");
+    });
+
+    it("should add the invitee to the team on accept", async () => {
+      const response = await request(app)
+        .post(`/api/teams/invitations/${invitationId}/accept`)
+        .set("Authorization", `Bearer ${tokenFor(invitee)}`);
+
+      const registration = await Registration.findOne({ userId: invitee._id });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.data.invitationStatus).toBe("accepted");
+      expect(registration.teamId.toString()).toBe(team._id);
+    });
+
+    it("should leave the invitee without a team on decline", async () => {
+      const response = await request(app)
+        .post(`/api/teams/invitations/${invitationId}/decline`)
+        .set("Authorization", `Bearer ${tokenFor(invitee)}`);
+
+      const registration = await Registration.findOne({ userId: invitee._id });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.data.invitationStatus).toBe("declined");
+      expect(registration.teamId).toBeUndefined();
+    });
+
+    it("should not let other users answer the invitation", async () => {
+      const response = await request(app)
+        .post(`/api/teams/invitations/${invitationId}/accept`)
+        .set("Authorization", `Bearer ${tokenFor(leader)}`);
+
+      expect(response.statusCode).toBe(404);
+    });
+
+    it("should reject expired invitations", async () => {
+      await TeamMember.findByIdAndUpdate(invitationId, {
+        invitationExpiresAt: new Date(Date.now() - 1000),
+      });
+
+      const response = await request(app)
+        .post(`/api/teams/invitations/${invitationId}/accept`)
+        .set("Authorization", `Bearer ${tokenFor(invitee)}`);
+
+      const invitation = await TeamMember.findById(invitationId);
+
+      expect(response.statusCode).toBe(400);
+      expect(invitation.invitationStatus).toBe("expired");
+    });
+  });
+
+  describe("roster changes", () => {
+    beforeEach(async () => {
+      await request(app)
+        .post("/api/teams/join")
+        .set(as(invitee))
+        .send({ inviteCode: team.inviteCode });
+    });
+
+    it("should return a leaving member to the registrant pool", async () => {
+      const response = await request(app)
+        .post(`/api/teams/${team._id}/leave`)
+        .set(as(invitee));
+
+      const registration = await Registration.findOne({ userId: invitee._id });
+      const member = await TeamMember.findOne({ userId: invitee._id });
+
+      expect(response.statusCode).toBe(200);
+      expect(registration.status).toBe("registered");
+      expect(registration.teamId).toBeUndefined();
+      expect(member.status).toBe("left");
+    });
+
+    it("should promote a member when the leader leaves", async () => {
+      await request(app).post(`/api/teams/${team._id}/leave`).set(as(leader));
+
+      const updated = await Team.findById(team._id);
+      const member = await TeamMember.findOne({ userId: invitee._id });
+
+      expect(updated.leaderId.toString()).toBe(invitee._id.toString());
+      expect(member.role).toBe("leader");
+    });
+
+    it("should disband the team when the last member leaves", async () => {
+      await request(app).post(`/api/teams/${team._id}/leave`).set(as(invitee));
+
+      const response = await request(app)
+        .post(`/api/teams/${team._id}/leave`)
+        .set(as(leader));
+
+      expect(response.statusCode).toBe(200);
+      expect(await Team.findById(team._id)).toBeNull();
+    });
+
+    it("should let the leader remove a member", async () => {
+      const response = await request(app)
+        .delete(`/api/teams/${team._id}/members/${invitee._id}`)
+        .set(as(leader));
+
+      const member = await TeamMember.findOne({ userId: invitee._id });
+
+      expect(response.statusCode).toBe(200);
+      expect(member.status).toBe("removed");
+    });
+
+    it("should only take a removed member back on a new invitation", async () => {
+      const join = () =>
+        request(app)
+          .post("/api/teams/join")
+          .set(as(invitee))
+          .send({ inviteCode: team.inviteCode });
+
+      await request(app)
+        .delete(`/api/teams/${team._id}/members/${invitee._id}`)
+        .set(as(leader));
+      const rejoined = await join();
+      const invitation = await invite({ userId: invitee._id });
+      const accepted = await request(app)
+        .post(`/api/teams/invitations/${invitation.body.data._id}/accept`)
+        .set(as(invitee));
+      const member = await TeamMember.findOne({ userId: invitee._id });
+
+      expect(rejoined.statusCode).toBe(403);
+      expect(accepted.statusCode).toBe(200);
+      expect(member.status).toBe("active");
+    });
+
+    it("should reject a malformed team id", async () => {
+      const response = await request(app)
+        .post("/api/teams/not-an-id/leave")
+        .set(as(invitee));
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.errors[0].field).toBe("id");
+    });
+
+    it("should not let members remove each other", async () => {
+      const response = await request(app)
+        .delete(`/api/teams/${team._id}/members/${leader._id}`)
+        .set(as(invitee));
+
+      expect(response.statusCode).toBe(403);
+    });
+
+    it("should transfer leadership to another member", async () => {
+      const response = await request(app)
+        .post(`/api/teams/${team._id}/transfer-leadership`)
+        .set(as(leader))
+        .send({ userId: invitee._id });
+
+      const previous = await TeamMember.findOne({ userId: leader._id });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.data.leaderId).toBe(invitee._id.toString());
+      expect(previous.role).toBe("developer");
+    });
+
+    it("should release every member when the team is disbanded", async () => {
+      const response = await request(app)
+        .delete(`/api/teams/${team._id}`)
+        .set(as(leader));
+
+      const registrations = await Registration.find({
+        hackathonId: hackathon._id,
+      });
+
+      expect(response.statusCode).toBe(200);
+      registrations.forEach((registration) =>
+        expect(registration.status).toBe("registered")
+      );
+    });
+
+    it("should lock the roster once the hackathon has started", async () => {
+      await Hackathon.collection.updateOne(
+        { _id: hackathon._id },
+        {
+          $set: {
+            registrationDeadline: new Date(Date.now() - 2 * DAY),
+            startDate: new Date(Date.now() - DAY),
+          },
+        }
+      );
+
+      const response = await request(app)
+        .post(`/api/teams/${team._id}/leave`)
+        .set(as(invitee));
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.message).toMatch(/locked/);
+    });
+  });
+
+  describe("recruitment", () => {
+    let comets;
+
+    beforeEach(async () => {
+      const otherLeader = await createUser("other@example.com", VERIFIED);
+      await register(otherLeader, hackathon);
+      const response = await request(app)
+        .post("/api/teams/create")
+        .set(as(otherLeader))
+        .send({ name: "Comets", hackathonId: hackathon._id });
+      comets = response.body.data;
+
+      await Team.findByIdAndUpdate(team._id, { requiredSkills: ["React"] });
+      await Team.findByIdAndUpdate(comets._id, {
+        requiredSkills: ["python", "ml"],
+      });
+      await User.findByIdAndUpdate(invitee._id, { skills: ["Python"] });
+    });
+
+    it("should rank recruiting teams by skill overlap", async () => {
+      const response = await request(app)
+        .get(`/api/teams/recruiting?hackathonId=${hackathon._id}`)
+        .set(as(invitee));
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.data.map((t) => t.name)).toEqual([
+        "Comets",
+        "Rockets",
+      ]);
+      expect(response.body.data[0].matchingSkills).toEqual(["python"]);
+      expect(response.body.data[0].openSlots).toBe(1);
+    });
+
+    it("should hide teams that stopped recruiting", async () => {
+      await request(app)
+        .patch(`/api/teams/${team._id}/recruitment`)
+        .set(as(leader))
+        .send({ isRecruiting: false });
+
+      const response = await request(app)
+        .get(`/api/teams/recruiting?hackathonId=${hackathon._id}`)
+        .set(as(invitee));
+
+      expect(response.body.data.map((t) => t.name)).toEqual(["Comets"]);
+    });
+
+    it("should let the leader accept an application", async () => {
+      const applied = await request(app)
+        .post(`/api/teams/${team._id}/applications`)
+        .set(as(invitee))
+        .send({ message: "I can help with the frontend" });
+
+      const listed = await request(app)
+        .get(`/api/teams/${team._id}/applications`)
+        .set(as(leader));
+
+      const response = await request(app)
+        .post(
+          `/api/teams/${team._id}/applications/${applied.body.data._id}/accept`
+        )
+        .set(as(leader));
+
+      const registration = await Registration.findOne({ userId: invitee._id });
+
+      expect(applied.statusCode).toBe(201);
+      expect(listed.body.data).toHaveLength(1);
+      expect(response.statusCode).toBe(200);
+      expect(response.body.data.status).toBe("accepted");
+      expect(registration.teamId.toString()).toBe(team._id);
+    });
+
+    it("should withdraw other applications once one is accepted", async () => {
+      const first = await request(app)
+        .post(`/api/teams/${team._id}/applications`)
+        .set(as(invitee));
+      await request(app)
+        .post(`/api/teams/${comets._id}/applications`)
+        .set(as(invitee));
+
+      await request(app)
+        .post(
+          `/api/teams/${team._id}/applications/${first.body.data._id}/accept`
+        )
+        .set(as(leader));
+
+      const response = await request(app)
+        .get("/api/teams/applications")
+        .set(as(invitee));
+      const statuses = response.body.data.map((a) => a.status).sort();
+
+      expect(statuses).toEqual(["accepted", "withdrawn"]);
+    });
+
+    it("should reject duplicate applications", async () => {
+      await request(app)
+        .post(`/api/teams/${team._id}/applications`)
+        .set(as(invitee));
+
+      const response = await request(app)
+        .post(`/api/teams/${team._id}/applications`)
+        .set(as(invitee));
+
+      expect(response.statusCode).toBe(400);
+    });
+  });
+
+  describe("submissions", () => {
+    const submit = (body, user = leader) =>
+      request(app)
+        .post(`/api/teams/${team._id}/submissions`)
+        .set(as(user))
+        .send({ githubUrl: "https://github.com/example/repo", ...body });
+
+    // Move the hackathon into its running phase
+    const startHackathon = (overrides = {}) =>
+      Hackathon.collection.updateOne(
+        { _id: hackathon._id },
+        {
+          $set: {
+            registrationDeadline: new Date(Date.now() - 2 * DAY),
+            startDate: new Date(Date.now() - DAY),
+            endDate: new Date(Date.now() + DAY),
+            ...overrides,
+          },
+        }
+      );
+
+    beforeEach(async () => {
+      await request(app)
+        .post("/api/teams/join")
+        .set(as(invitee))
+        .send({ inviteCode: team.inviteCode });
+    });
+
+    it("should keep every version of a task submission", async () => {
+      await startHackathon();
+
+      await submit({}, invitee);
+      const response = await submit({
+        githubUrl: "https://github.com/example/final",
+        final: true,
+      });
+
+      expect(response.statusCode).toBe(201);
+      expect(response.body.data.status).toBe("submitted");
+      expect(response.body.data.version).toBe(2);
+      expect(response.body.data.versions).toHaveLength(2);
+      expect(response.body.data.versions[0].isFinal).toBe(false);
+    });
+
+    it("should only let the leader submit a final version", async () => {
+      await startHackathon();
+
+      const response = await submit({ final: true }, invitee);
+
+      expect(response.statusCode).toBe(403);
+    });
+
+    it("should save drafts from members on the legacy submit route", async () => {
+      await startHackathon();
+      const legacySubmit = (user) =>
+        request(app)
+          .post(`/api/teams/${team._id}/submit`)
+          .set(as(user))
+          .send({ githubUrl: "https://github.com/example/repo" });
+
+      const draft = await legacySubmit(invitee);
+      const final = await legacySubmit(leader);
+
+      expect(draft.statusCode).toBe(201);
+      expect(draft.body.data.status).toBe("draft");
+      expect(final.statusCode).toBe(201);
+      expect(final.body.data.status).toBe("submitted");
+    });
+
+    it("should mark final versions past a task time limit as late", async () => {
+      await startHackathon({ tasks: [{ title: "Build", timeLimit: 60 }] });
+
+      const response = await submit({ task: "Build", final: true });
+      const updated = await Team.findById(team._id);
+
+      expect(response.body.data.status).toBe("late_submission");
+      expect(updated.submissionStatus).toBe("late_submission");
+    });
+
+    it("should refuse submissions before the hackathon starts", async () => {
+      const response = await submit({});
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    it("should lock submissions once judging has started", async () => {
+      await startHackathon({ status: "completed" });
+
+      const response = await submit({ final: true });
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.message).toMatch(/locked/);
+    });
+
+    it("should list tasks with their deadlines", async () => {
+      await startHackathon();
+      await submit({});
+
+      const response = await request(app)
+        .get(`/api/teams/${team._id}/submissions`)
+        .set(as(invitee));
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.data[0].task).toBe("project");
+      expect(response.body.data[0].submission.status).toBe("draft");
+      expect(response.body.data[0]).toHaveProperty("hardDeadline");
+    });
+  });
+
+  describe("scoring", () => {
+    let judge;
+    let rubric;
+    let submissionId;
+
+    const score = (points, user = judge) =>
+      request(app)
+        .put(`/api/teams/${team._id}/submissions/${submissionId}/score`)
+        .set(as(user))
+        .send({
+          criteria: rubric.map((criterion, index) => ({
+            criterionId: criterion._id,
+            points: points[index],
+          })),
+        });
+
+    // Judging starts once final versions can no longer change
+    const startJudging = () =>
+      Hackathon.updateOne(
+        { _id: hackathon._id },
+        { judgingStartsAt: new Date(Date.now() - 1000) }
+      );
+
+    beforeEach(async () => {
+      judge = await createUser("judge@example.com", VERIFIED);
+      await Hackathon.collection.updateOne(
+        { _id: hackathon._id },
+        {
+          $set: {
+            registrationDeadline: new Date(Date.now() - 2 * DAY),
+            startDate: new Date(Date.now() - DAY),
+            endDate: new Date(Date.now() + DAY),
+            judges: [judge._id],
+          },
+        }
+      );
+      const updated = await Hackathon.findById(hackathon._id);
+      updated.rubric = [
+        { name: "Innovation", weight: 3, maxPoints: 10 },
+        { name: "Design", weight: 1, maxPoints: 10 },
+      ];
+      await updated.save();
+      rubric = updated.rubric;
+
+      const response = await request(app)
+        .post(`/api/teams/${team._id}/submissions`)
+        .set(as(leader))
+        .send({ githubUrl: "https://github.com/example/repo", final: true });
+      submissionId = response.body.data._id;
+      await startJudging();
+    });
+
+    it("should compute the total from the rubric", async () => {
+      const response = await score([10, 6]);
+      const updated = await Team.findById(team._id);
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.data.total).toBe(90);
+      expect(updated.totalScore).toBe(90);
+    });
+
+    it("should refuse scores while final versions can still change", async () => {
+      await Hackathon.updateOne(
+        { _id: hackathon._id },
+        { judgingStartsAt: new Date(Date.now() + DAY) }
+      );
+
+      const early = await score([10, 6]);
+      const resubmitted = await request(app)
+        .post(`/api/teams/${team._id}/submissions`)
+        .set(as(leader))
+        .send({ githubUrl: "https://github.com/example/final", final: true });
+      await startJudging();
+      const scored = await score([10, 6]);
+
+      expect(early.statusCode).toBe(400);
+      expect(early.body.message).toBe("Scoring opens once judging has started");
+      expect(resubmitted.statusCode).toBe(201);
+      expect(await Score.countDocuments()).toBe(1);
+      expect(scored.statusCode).toBe(200);
+    });
+
+    it("should only let judges of the hackathon score", async () => {
+      const response = await score([10, 6], leader);
+
+      expect(response.statusCode).toBe(403);
+    });
+
+    it("should exclude judges with a declared conflict", async () => {
+      await request(app)
+        .post(`/api/hackathons/${hackathon._id}/conflicts`)
+        .set(as(judge))
+        .send({ teamId: team._id, reason: "Mentored this team" });
+
+      const response = await score([10, 6]);
+
+      expect(response.statusCode).toBe(403);
+    });
+
+    it("should hand a conflicted judge's reviews to another judge", async () => {
+      const admin = await createUser("admin@example.com", VERIFIED);
+      await User.updateOne({ _id: admin._id }, { role: "superadmin" });
+      const other = await createUser("other-judge@example.com", VERIFIED);
+      const assign = () =>
+        request(app)
+          .post(`/api/admin/hackathons/${hackathon._id}/judge-assignments`)
+          .set(as(admin))
+          .send({ reviewsPerSubmission: 1 });
+
+      await assign();
+      await Hackathon.updateOne(
+        { _id: hackathon._id },
+        { $push: { judges: other._id } }
+      );
+      await request(app)
+        .post(`/api/hackathons/${hackathon._id}/conflicts`)
+        .set(as(judge))
+        .send({ teamId: team._id, reason: "Mentored this team" });
+      const reassigned = await assign();
+
+      expect(reassigned.body.data.created).toBe(1);
+      expect((await score([10, 6], other)).statusCode).toBe(200);
+    });
+
+    it("should rank teams on the leaderboard", async () => {
+      await score([5, 5]);
+
+      const response = await request(app)
+        .get(`/api/hackathons/${hackathon._id}/leaderboard`)
+        .set(as(judge));
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.data.overall[0]).toMatchObject({
+        rank: 1,
+        name: "Rockets",
+        totalScore: 50,
+      });
+      expect(response.body.data.overall[0].submissions[0].judgeCount).toBe(1);
+    });
+
+    it("should keep showing participants the frozen leaderboard", async () => {
+      await Hackathon.findByIdAndUpdate(hackathon._id, {
+        leaderboardFreezeMinutes: 2 * 24 * 60,
+      });
+      const leaderboard = (user) =>
+        request(app)
+          .get(`/api/hackathons/${hackathon._id}/leaderboard`)
+          .set(as(user));
+
+      await leaderboard(leader);
+      await score([5, 5]);
+      const frozen = await leaderboard(leader);
+      const live = await leaderboard(judge);
+
+      expect(frozen.body.data.frozen).toBe(true);
+      expect(frozen.body.data.overall[0].totalScore).toBe(0);
+      expect(live.body.data.overall[0].totalScore).toBe(50);
+    });
+  });
+});
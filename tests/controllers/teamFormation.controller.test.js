@@ -0,0 +1,182 @@
+// tests/controllers/teamFormation.controller.test.js
+const request = require("supertest");
+const { app } = require("../../app");
+const Hackathon = require("../../models/hackthon.model");
+const Registration = require("../../models/registration.model");
+const Team = require("../../models/team.model");
+const TeamMember = require("../../models/teamMember.model");
+const Notification = require("../../models/notification.model");
+const notificationService = require("../../services/notification.service");
+const { createUser, as } = require("../helpers");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("Team Formation", () => {
+  let hackathon;
+  let organizer;
+  let participants;
+
+  beforeEach(async () => {
+    organizer = await createUser("organizer@example.com");
+    hackathon = await Hackathon.create({
+      title: "Test Hackathon",
+      description: "A hackathon for testing",
+      registrationDeadline: new Date(Date.now() + DAY),
+      startDate: new Date(Date.now() + 2 * DAY),
+      endDate: new Date(Date.now() + 3 * DAY),
+      maxTeamSize: 2,
+      organizers: [organizer._id],
+    });
+
+    participants = [];
+    for (const name of ["ada", "grace", "linus", "barbara"]) {
+      const user = await createUser(`${name}@example.com`);
+      await Registration.create({
+        userId: user._id,
+        hackathonId: hackathon._id,
+      });
+      participants.push(user);
+    }
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const ids = (...users) => users.map((user) => user._id.toString());
+  const arrangement = () => [
+    ids(participants[0], participants[1]),
+    ids(participants[2], participants[3]),
+  ];
+
+  const preview = (body, user = organizer) =>
+    request(app)
+      .post(`/api/admin/hackathons/${hackathon._id}/form-teams/preview`)
+      .set(as(user))
+      .send(body);
+
+  const commit = (body, user = organizer) =>
+    request(app)
+      .post(`/api/admin/hackathons/${hackathon._id}/form-teams/commit`)
+      .set(as(user))
+      .send(body);
+
+  describe("POST /api/admin/hackathons/:id/form-teams/preview", () => {
+    it("should propose teams without saving anything", async () => {
+      const notify = jest.spyOn(notificationService, "notify");
+
+      const response = await preview({
+        locks: [ids(...participants.slice(0, 2))],
+      });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.data.teams).toHaveLength(2);
+      expect(response.body.data.unassigned).toEqual([]);
+      expect(await Team.countDocuments()).toBe(0);
+      expect(await TeamMember.countDocuments()).toBe(0);
+      expect(await Registration.countDocuments({ status: "registered" })).toBe(
+        4
+      );
+      expect(notify).not.toHaveBeenCalled();
+    });
+
+    it("should score an organizer's arrangement after swaps", async () => {
+      const response = await preview({
+        teams: arrangement(),
+        swaps: [ids(participants[1], participants[2])],
+      });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.data.teams[0].members.map((m) => m.userId)).toEqual(
+        ids(participants[0], participants[2])
+      );
+    });
+
+    it("should reject malformed locks", async () => {
+      const response = await preview({ locks: [["not-an-id"]] });
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    it("should only let organizers of the hackathon preview", async () => {
+      const response = await preview({}, participants[0]);
+
+      expect(response.statusCode).toBe(403);
+    });
+  });
+
+  describe("POST /api/admin/hackathons/:id/form-teams/commit", () => {
+    it("should save the arrangement and notify members once saved", async () => {
+      const savedTeams = [];
+      jest.spyOn(notificationService, "notify").mockImplementation(async () => {
+        savedTeams.push(await Team.countDocuments());
+      });
+
+      const response = await commit({ teams: arrangement() });
+
+      expect(response.statusCode).toBe(201);
+      expect(response.body.data).toHaveLength(2);
+      expect(await TeamMember.countDocuments()).toBe(4);
+      expect(
+        await Registration.countDocuments({ status: "team_assigned" })
+      ).toBe(4);
+      expect(savedTeams).toEqual([2, 2, 2, 2]);
+    });
+
+    it("should save nothing and notify nobody when a write fails", async () => {
+      const insertMany = TeamMember.insertMany.bind(TeamMember);
+      jest
+        .spyOn(TeamMember, "insertMany")
+        .mockImplementationOnce(insertMany)
+        .mockRejectedValueOnce(new Error("write failed"));
+
+      const response = await commit({ teams: arrangement() });
+
+      expect(response.statusCode).toBe(500);
+      expect(await Team.countDocuments()).toBe(0);
+      expect(await TeamMember.countDocuments()).toBe(0);
+      expect(await Registration.countDocuments({ status: "registered" })).toBe(
+        4
+      );
+      expect(await Notification.countDocuments()).toBe(0);
+    });
+
+    it("should refuse members assigned to a team meanwhile", async () => {
+      const updateMany = Registration.updateMany.bind(Registration);
+      jest
+        .spyOn(Registration, "updateMany")
+        .mockImplementationOnce(async (...args) => {
+          await Registration.collection.updateOne(
+            { userId: participants[0]._id },
+            { $set: { status: "team_assigned" } }
+          );
+          return updateMany(...args);
+        });
+
+      const response = await commit({ teams: arrangement() });
+
+      expect(response.statusCode).toBe(409);
+      expect(await Team.countDocuments()).toBe(0);
+      expect(await Notification.countDocuments()).toBe(0);
+    });
+
+    it("should refuse an arrangement that splits a locked pair", async () => {
+      const response = await commit({
+        teams: arrangement(),
+        locks: [ids(participants[0], participants[2])],
+      });
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.message).toBe(
+        "Locked users must stay in the same team"
+      );
+      expect(await Team.countDocuments()).toBe(0);
+    });
+
+    it("should require teams", async () => {
+      const response = await commit({});
+
+      expect(response.statusCode).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,323 @@
+// tests/controllers/whatsapp.controller.test.js
+const request = require("supertest");
+const twilio = require("twilio");
+const { app } = require("../../app");
+const User = require("../../models/user.model");
+const Hackathon = require("../../models/hackthon.model");
+const Registration = require("../../models/registration.model");
+const Team = require("../../models/team.model");
+const TeamMember = require("../../models/teamMember.model");
+const MessageLog = require("../../models/messageLog.model");
+const whatsappService = require("../../services/whatsapp.service");
+const { setProvider, TwilioProvider } = require("../../utils/messaging");
+const { createUser, as } = require("../helpers");
+
+const DAY = 24 * 60 * 60 * 1000;
+const AUTH_TOKEN = "test-twilio-token";
+const SERVER_URL = "https://api.example.com";
+const WEBHOOK = "/api/whatsapp/webhook";
+const STATUS = "/api/whatsapp/status";
+
+const createHackathon = (title, startOffset) =>
+  Hackathon.create({
+    title,
+    description: "A hackathon for testing",
+    registrationDeadline: new Date(Date.now() + startOffset - DAY),
+    startDate: new Date(Date.now() + startOffset),
+    endDate: new Date(Date.now() + startOffset + 2 * DAY),
+  });
+
+// Signed the way Twilio signs webhook requests
+const postAsTwilio = (path, params, { signed = true } = {}) => {
+  const req = request(app).post(path).type("form");
+  if (signed) {
+    req.set(
+      "X-Twilio-Signature",
+      twilio.getExpectedTwilioSignature(
+        AUTH_TOKEN,
+        `${SERVER_URL}${path}`,
+        params
+      )
+    );
+  }
+  return req.send(params);
+};
+
+const sendWhatsApp = (
+  from,
+  body,
+  { messageSid = `SM${Math.random().toString(16).slice(2)}`, ...options } = {}
+) =>
+  postAsTwilio(
+    WEBHOOK,
+    {
+      MessageSid: messageSid,
+      From: `whatsapp:${from}`,
+      To: "whatsapp:+14155238886",
+      Body: body,
+    },
+    options
+  );
+
+const reportStatus = (path, MessageSid, MessageStatus) =>
+  postAsTwilio(path, { MessageSid, MessageStatus });
+
+// Stands in for the Twilio REST client
+const twilioClient = { messages: { create: jest.fn() } };
+
+describe("WhatsApp Controller", () => {
+  let hackathon;
+  let leader;
+  let member;
+  let team;
+
+  beforeAll(() => {
+    process.env.TWILIO_AUTH_TOKEN = AUTH_TOKEN;
+    process.env.SERVER_URL = SERVER_URL;
+    setProvider("whatsapp", new TwilioProvider(twilioClient));
+  });
+
+  beforeEach(async () => {
+    twilioClient.messages.create.mockReset();
+    // Started yesterday, so submissions are open
+    hackathon = await createHackathon("Spring Hack", -DAY);
+    leader = await createUser("leader@example.com", {
+      isEmailVerified: true,
+      phone: "+1 (555) 010-0",
+      phoneVerifiedAt: new Date(),
+    });
+    member = await createUser("member@example.com", {
+      isEmailVerified: true,
+      phone: "+15550101",
+      phoneVerifiedAt: new Date(),
+    });
+
+    team = await Team.create({
+      name: "Rockets",
+      hackathonId: hackathon._id,
+      leaderId: leader._id,
+      inviteCode: "ROCKET",
+    });
+    for (const [user, role] of [
+      [leader, "leader"],
+      [member, "developer"],
+    ]) {
+      await TeamMember.create({ teamId: team._id, userId: user._id, role });
+      await Registration.create({
+        userId: user._id,
+        hackathonId: hackathon._id,
+        teamId: team._id,
+        status: "team_assigned",
+      });
+    }
+  });
+
+  it("should refuse webhooks not signed by Twilio", async () => {
+    const response = await sendWhatsApp("+15550100", "team", {
+      signed: false,
+    });
+
+    expect(response.statusCode).toBe(403);
+  });
+
+  it("should ask unknown numbers to link their profile", async () => {
+    const response = await sendWhatsApp("+15559999", "team");
+
+    expect(response.statusCode).toBe(200);
+    expect(response.type).toBe("text/xml");
+    expect(response.text).toContain("couldn't find an account");
+  });
+
+  it("should not match numbers their owner has not verified", async () => {
+    await createUser("claimer@example.com", { phone: "+15550102" });
+
+    const response = await sendWhatsApp("+15550102", "team");
+
+    expect(response.text).toContain("couldn't find an account");
+  });
+
+  it("should describe the sender's team", async () => {
+    const response = await sendWhatsApp("+15550100", "TEAM");
+
+    expect(response.text).toContain("Team Rockets (Spring Hack)");
+    expect(response.text).toContain("leader (leader)");
+    expect(response.text).toContain("- member");
+  });
+
+  it("should submit for the leader once confirmed", async () => {
+    const asked = await sendWhatsApp(
+      "+15550100",
+      "submit https://github.com/rockets/app"
+    );
+    const confirmed = await sendWhatsApp("+15550100", "yes");
+
+    const saved = await Team.findById(team._id);
+    expect(asked.text).toContain("Reply YES to submit");
+    expect(confirmed.text).toContain("project submitted (version 1)");
+    expect(saved.submissionStatus).toBe("submitted");
+  });
+
+  it("should only save drafts for other members", async () => {
+    const response = await sendWhatsApp(
+      "+15550101",
+      "submit https://github.com/rockets/app"
+    );
+
+    const saved = await Team.findById(team._id);
+    expect(response.text).toContain("Draft saved for project");
+    expect(saved.submissionStatus).toBe("draft");
+  });
+
+  it("should ask for a verified email before submitting", async () => {
+    await User.updateOne({ _id: member._id }, { isEmailVerified: false });
+
+    const response = await sendWhatsApp(
+      "+15550101",
+      "submit https://github.com/rockets/app"
+    );
+
+    expect(response.text).toContain("verify your email address");
+    expect((await Team.findById(team._id)).submissionStatus).not.toBe("draft");
+  });
+
+  it("should ask which hackathon a command is about and remember it", async () => {
+    const autumn = await createHackathon("Autumn Hack", 30 * DAY);
+    await Registration.create({
+      userId: member._id,
+      hackathonId: autumn._id,
+    });
+
+    const asked = await sendWhatsApp("+15550101", "schedule");
+    const answered = await sendWhatsApp("+15550101", "1");
+    const again = await sendWhatsApp("+15550101", "schedule");
+
+    expect(asked.text).toContain("1. Autumn Hack");
+    expect(asked.text).toContain("2. Spring Hack");
+    expect(answered.text).toContain("Autumn Hack");
+    expect(again.text).toContain("Autumn Hack");
+  });
+
+  it("should list the commands for unknown messages", async () => {
+    const unknown = await sendWhatsApp("+15550100", "dance");
+    const help = await sendWhatsApp("+15550100", "help");
+
+    expect(unknown.text).toContain("Reply HELP");
+    expect(help.text).toContain("LEADERBOARD");
+  });
+
+  it("should log messages and track the delivery of replies", async () => {
+    const response = await sendWhatsApp("+15550100", "team");
+    const action = response.text.match(/action="([^"]+)"/)[1];
+
+    await reportStatus(action, "SMreply", "read");
+    const late = await reportStatus(action, "SMreply", "delivered");
+
+    const inbound = await MessageLog.findOne({ direction: "inbound" });
+    const reply = await MessageLog.findOne({ direction: "outbound" });
+    expect(late.statusCode).toBe(204);
+    expect(inbound).toMatchObject({ body: "team", status: "received" });
+    expect(inbound.userId).toEqual(leader._id);
+    expect(reply).toMatchObject({ messageSid: "SMreply", status: "read" });
+    expect(reply.statusHistory.map((entry) => entry.status)).toEqual([
+      "queued",
+      "read",
+      "delivered",
+    ]);
+  });
+
+  it("should handle a message Twilio retries only once", async () => {
+    const submitDraft = () =>
+      sendWhatsApp("+15550101", "submit https://github.com/rockets/app", {
+        messageSid: "SMretried",
+      });
+
+    const first = await submitDraft();
+    const retry = await submitDraft();
+
+    const saved = await Team.findById(team._id);
+    expect(first.text).toContain("Draft saved for project");
+    expect(retry.statusCode).toBe(200);
+    expect(retry.text).not.toContain("<Message");
+    expect(saved.submissions[0].versions).toHaveLength(1);
+    expect(await MessageLog.countDocuments({ direction: "outbound" })).toBe(1);
+  });
+
+  it("should update sent messages from status callbacks", async () => {
+    twilioClient.messages.create.mockResolvedValue({
+      sid: "SM123",
+      status: "queued",
+    });
+
+    await whatsappService.sendWhatsAppMessage("+15550100", "Hello", {
+      userId: leader._id,
+    });
+    await reportStatus(STATUS, "SM123", "undelivered");
+
+    expect(twilioClient.messages.create).toHaveBeenCalledWith(
+      expect.objectContaining({ statusCallback: `${SERVER_URL}${STATUS}` })
+    );
+    expect(await MessageLog.findOne({ messageSid: "SM123" })).toMatchObject({
+      status: "undelivered",
+      kind: "direct",
+    });
+  });
+
+  it("should record the status Twilio answers a send with", async () => {
+    twilioClient.messages.create.mockResolvedValue({
+      sid: "SM456",
+      status: "sending",
+    });
+
+    await whatsappService.sendWhatsAppMessage("+15550100", "Hello");
+
+    expect(await MessageLog.findOne({ messageSid: "SM456" })).toMatchObject({
+      status: "sending",
+    });
+  });
+
+  it("should stop messaging numbers that reply STOP until they reply START", async () => {
+    const stopped = await sendWhatsApp("+15550100", "STOP");
+    await expect(
+      whatsappService.sendWhatsAppMessage("+15550100", "Hello")
+    ).rejects.toThrow("opted out");
+    const optedOut = await User.findById(leader._id);
+
+    const started = await sendWhatsApp("+15550100", "start");
+    const optedIn = await User.findById(leader._id);
+
+    expect(stopped.statusCode).toBe(200);
+    expect(twilioClient.messages.create).not.toHaveBeenCalled();
+    expect(optedOut.notificationPreferences.whatsapp).toBe(false);
+    expect(started.statusCode).toBe(200);
+    expect(optedIn.notificationPreferences.whatsapp).toBe(true);
+    expect(await whatsappService.isOptedOut("whatsapp:+15550100")).toBe(false);
+  });
+
+  it("should let only superadmins page through the message log", async () => {
+    const admin = await createUser("admin@example.com", {
+      role: "superadmin",
+    });
+    await sendWhatsApp("+15550100", "team");
+    await sendWhatsApp("+15550101", "team");
+
+    const page = await request(app)
+      .get("/api/admin/messages?direction=inbound&limit=1")
+      .set(as(admin));
+    const next = await request(app)
+      .get(
+        `/api/admin/messages?direction=inbound&before=${page.body.nextCursor}`
+      )
+      .set(as(admin));
+    const forbidden = await request(app)
+      .get("/api/admin/messages")
+      .set(as(leader));
+
+    expect(page.statusCode).toBe(200);
+    expect(page.body.data[0].from).toBe("whatsapp:+15550101");
+    expect(next.body.data.map((message) => message.from)).toEqual([
+      "whatsapp:+15550100",
+    ]);
+    expect(next.body.nextCursor).toBeNull();
+    expect(forbidden.statusCode).toBe(403);
+  });
+});
@@ -0,0 +1,34 @@
+// tests/helpers.js
+const User = require("../models/user.model");
+const sessionService = require("../services/session.service");
+
+// Access token of each fixture user, for a session of their own
+const tokens = new Map();
+
+// Fixture user named after the local part of the email and signed in;
+// `overrides` sets other fields, e.g. role or isEmailVerified
+const createUser = async (email, overrides = {}) => {
+  const user = await User.create({
+    name: email.split("@")[0],
+    email,
+    password: "Password1!",
+    ...overrides,
+  });
+
+  const { accessToken } = await sessionService.createSession(user);
+  tokens.set(user._id.toString(), accessToken);
+
+  return user;
+};
+
+// Access token of a user made with createUser
+const tokenFor = (user) => tokens.get(user._id.toString());
+
+// Authorization header of a user, for supertest's set()
+const as = (user) => ({ Authorization: `Bearer ${tokenFor(user)}` });
+
+module.exports = {
+  createUser,
+  tokenFor,
+  as,
+};
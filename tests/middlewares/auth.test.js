@@ -0,0 +1,142 @@
+// tests/middlewares/auth.test.js
+const mongoose = require("mongoose");
+const Hackathon = require("../../models/hackthon.model");
+const { authorize, authorizeHackathon } = require("../../middlewares/auth");
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const createHackathon = (overrides = {}) =>
+  Hackathon.create({
+    title: "Test Hackathon",
+    description: "A hackathon for testing",
+    registrationDeadline: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    startDate: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000),
+    endDate: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000),
+    ...overrides,
+  });
+
+describe("Auth Middleware", () => {
+  describe("authorize", () => {
+    it("should allow users with a listed role", () => {
+      const req = { user: { role: "organizer" } };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      authorize("organizer", "superadmin")(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it("should reject users without a listed role", () => {
+      const req = { user: { role: "participant" } };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      authorize("organizer", "superadmin")(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+  });
+
+  describe("authorizeHackathon", () => {
+    const organizerId = new mongoose.Types.ObjectId();
+    const judgeId = new mongoose.Types.ObjectId();
+
+    it("should allow an organizer of the hackathon", async () => {
+      const hackathon = await createHackathon({ organizers: [organizerId] });
+      const req = {
+        user: { _id: organizerId, role: "organizer" },
+        params: { id: hackathon._id.toString() },
+      };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authorizeHackathon("organizer")(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.hackathon._id.toString()).toBe(hackathon._id.toString());
+    });
+
+    it("should reject an organizer of another hackathon", async () => {
+      await createHackathon({ organizers: [organizerId] });
+      const other = await createHackathon({
+        organizers: [new mongoose.Types.ObjectId()],
+      });
+      const req = {
+        user: { _id: organizerId, role: "organizer" },
+        params: { id: other._id.toString() },
+      };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authorizeHackathon("organizer")(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it("should allow a judge only where judges are accepted", async () => {
+      const hackathon = await createHackathon({ judges: [judgeId] });
+      const req = {
+        user: { _id: judgeId, role: "judge" },
+        params: { id: hackathon._id.toString() },
+      };
+
+      const next = jest.fn();
+      await authorizeHackathon("judge", "organizer")(req, mockResponse(), next);
+      expect(next).toHaveBeenCalled();
+
+      const res = mockResponse();
+      const denied = jest.fn();
+      await authorizeHackathon("organizer")(req, res, denied);
+      expect(denied).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it("should resolve the hackathon from req.hackathonId", async () => {
+      const hackathon = await createHackathon({ judges: [judgeId] });
+      const req = {
+        user: { _id: judgeId, role: "judge" },
+        params: { id: new mongoose.Types.ObjectId().toString() },
+        hackathonId: hackathon._id,
+      };
+      const next = jest.fn();
+
+      await authorizeHackathon("judge")(req, mockResponse(), next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it("should always allow a superadmin", async () => {
+      const hackathon = await createHackathon();
+      const req = {
+        user: { _id: new mongoose.Types.ObjectId(), role: "superadmin" },
+        params: { id: hackathon._id.toString() },
+      };
+      const next = jest.fn();
+
+      await authorizeHackathon("organizer")(req, mockResponse(), next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it("should return 404 for an unknown hackathon", async () => {
+      const req = {
+        user: { _id: organizerId, role: "organizer" },
+        params: { id: new mongoose.Types.ObjectId().toString() },
+      };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authorizeHackathon("organizer")(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
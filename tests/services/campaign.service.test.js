@@ -0,0 +1,84 @@
+// tests/services/campaign.service.test.js
+const {
+  unknownPlaceholders,
+  renderMessage,
+  resolveSendAt,
+} = require("../../services/campaign.service");
+const AppError = require("../../utils/appError");
+
+const HOUR = 60 * 60 * 1000;
+
+const hackathon = {
+  registrationDeadline: new Date("2026-11-01T09:00:00Z"),
+  startDate: new Date("2026-11-02T09:00:00Z"),
+  endDate: new Date("2026-11-03T09:00:00Z"),
+  lateSubmissionWindow: 0,
+  tasks: [{ title: "Warm-up", timeLimit: 120 }],
+};
+
+describe("Campaign Service", () => {
+  describe("renderMessage", () => {
+    it("should fill in every placeholder", () => {
+      expect(
+        renderMessage("Hi {{name}}, {{ hackathon }} starts soon!", {
+          name: "Ada",
+          hackathon: "Spring Hack",
+        })
+      ).toBe("Hi Ada, Spring Hack starts soon!");
+    });
+
+    it("should leave placeholders without a value empty", () => {
+      expect(renderMessage("Team: {{team}}.", { team: "" })).toBe("Team: .");
+    });
+  });
+
+  describe("unknownPlaceholders", () => {
+    it("should list placeholders campaigns cannot fill, once", () => {
+      expect(
+        unknownPlaceholders("{{name}} {{score}} {{ score }} {{rank}}")
+      ).toEqual(["score", "rank"]);
+    });
+  });
+
+  describe("resolveSendAt", () => {
+    it("should offset the send time from a milestone", () => {
+      expect(
+        resolveSendAt(hackathon, { milestone: "start", offsetMinutes: -60 })
+      ).toEqual(new Date(hackathon.startDate.getTime() - HOUR));
+    });
+
+    it("should schedule against the submission close of a task", () => {
+      expect(
+        resolveSendAt(hackathon, {
+          milestone: "submission_close",
+          offsetMinutes: -30,
+          task: "Warm-up",
+        })
+      ).toEqual(new Date(hackathon.startDate.getTime() + 1.5 * HOUR));
+    });
+
+    it("should use the project deadline without a task", () => {
+      expect(
+        resolveSendAt(hackathon, { milestone: "submission_close" })
+      ).toEqual(hackathon.endDate);
+    });
+
+    it("should use a fixed time without a milestone", () => {
+      expect(
+        resolveSendAt(hackathon, { sendAt: "2026-11-02T12:00:00Z" })
+      ).toEqual(new Date("2026-11-02T12:00:00Z"));
+    });
+
+    it("should refuse unknown tasks and missing send times", () => {
+      expect(() =>
+        resolveSendAt(hackathon, {
+          milestone: "submission_close",
+          task: "Finals",
+        })
+      ).toThrow(AppError);
+      expect(() => resolveSendAt(hackathon, {})).toThrow(
+        "Give a milestone or a send time"
+      );
+    });
+  });
+});
@@ -0,0 +1,89 @@
+// tests/services/email.service.test.js
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const {
+  MAX_ATTEMPTS,
+  retryDelay,
+  renderTemplate,
+} = require("../../services/email.service");
+const { createFileTransport } = require("../../utils/mailTransport");
+
+describe("Email Service", () => {
+  describe("retryDelay", () => {
+    it("should double the wait after every failed attempt", () => {
+      expect(retryDelay(2)).toBe(2 * retryDelay(1));
+      expect(retryDelay(MAX_ATTEMPTS)).toBe(
+        2 ** (MAX_ATTEMPTS - 1) * retryDelay(1)
+      );
+    });
+  });
+
+  describe("renderTemplate", () => {
+    it("should wrap the body in the shared layout", async () => {
+      const html = await renderTemplate("notification_mail", {
+        user: { name: "Ada" },
+        title: "Team formed",
+        message: "You are on a team",
+      });
+
+      expect(html).toContain("Hello Ada");
+      expect(html).toContain("You are on a team");
+      expect(html).toContain("your account on Hack Mate");
+    });
+
+    it("should escape user content", async () => {
+      const html = await renderTemplate("forgot_mail", {
+        user: { name: "<script>alert(1)</script>" },
+        resetURL: "https://example.com/reset/abc",
+      });
+
+      expect(html).not.toContain("<script>");
+      expect(html).toContain("&lt;script&gt;");
+      expect(html).toContain("https://example.com/reset/abc");
+    });
+
+    it("should still render the activation code for code-based callers", async () => {
+      const html = await renderTemplate("activation_mail", {
+        user: { name: "Ada" },
+        activationCode: "4821",
+      });
+
+      expect(html).toContain("<h2>4821</h2>");
+      expect(html).not.toContain("Verify Email");
+    });
+
+    it("should fail for a template that does not exist", async () => {
+      await expect(renderTemplate("missing")).rejects.toThrow();
+    });
+  });
+
+  describe("file transport", () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), "mail-"));
+    });
+
+    afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+    it("should write every message to the sink", async () => {
+      const transport = createFileTransport(dir);
+
+      await transport.sendMail({
+        from: "noreply@example.com",
+        to: "ada@example.com",
+        subject: "Welcome",
+        html: "<p>Hi</p>",
+      });
+
+      const [file] = await fs.readdir(dir);
+      const mail = JSON.parse(await fs.readFile(path.join(dir, file), "utf8"));
+      expect(mail).toMatchObject({
+        subject: "Welcome",
+        html: "<p>Hi</p>",
+        to: [{ address: "ada@example.com" }],
+      });
+    });
+  });
+});
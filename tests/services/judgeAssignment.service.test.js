@@ -0,0 +1,76 @@
+// tests/services/judgeAssignment.service.test.js
+const { planAssignments } = require("../../services/judgeAssignment.service");
+
+const submissions = ["s1", "s2", "s3", "s4"].map((submissionId, index) => ({
+  submissionId,
+  teamId: `t${index + 1}`,
+}));
+const judges = ["j1", "j2", "j3"];
+
+const judgesOf = (assignments, submissionId) =>
+  assignments
+    .filter((assignment) => assignment.submissionId === submissionId)
+    .map((assignment) => assignment.judgeId);
+
+describe("Judge Assignment Service", () => {
+  describe("planAssignments", () => {
+    it("should give every submission the requested number of reviews", () => {
+      const { assignments, shortfalls } = planAssignments(submissions, judges, {
+        reviewsPerSubmission: 2,
+      });
+
+      submissions.forEach(({ submissionId }) => {
+        const assigned = judgesOf(assignments, submissionId);
+        expect(assigned).toHaveLength(2);
+        expect(new Set(assigned).size).toBe(2);
+      });
+      expect(shortfalls).toHaveLength(0);
+    });
+
+    it("should balance the load across judges", () => {
+      const { load } = planAssignments(submissions, judges, {
+        reviewsPerSubmission: 2,
+      });
+      const loads = [...load.values()];
+
+      expect(Math.max(...loads) - Math.min(...loads)).toBeLessThanOrEqual(1);
+    });
+
+    it("should skip ineligible judges and report shortfalls", () => {
+      const { assignments, shortfalls } = planAssignments(submissions, judges, {
+        reviewsPerSubmission: 2,
+        isEligible: (judgeId, teamId) => !(teamId === "t1" && judgeId !== "j3"),
+      });
+
+      expect(judgesOf(assignments, "s1")).toEqual(["j3"]);
+      expect(shortfalls).toEqual([
+        { submissionId: "s1", teamId: "t1", missing: 1 },
+      ]);
+    });
+
+    it("should only top up existing assignments", () => {
+      const { assignments, load } = planAssignments(submissions, judges, {
+        reviewsPerSubmission: 1,
+        existing: [{ submissionId: "s1", judgeId: "j1" }],
+      });
+
+      expect(judgesOf(assignments, "s1")).toEqual([]);
+      expect(assignments).toHaveLength(3);
+      expect([...load.values()].sort()).toEqual([1, 1, 2]);
+    });
+
+    it("should not count assignments judges can no longer do", () => {
+      const { assignments } = planAssignments(submissions, ["j1", "j2"], {
+        reviewsPerSubmission: 1,
+        existing: [
+          { submissionId: "s1", judgeId: "j3" },
+          { submissionId: "s2", judgeId: "j1" },
+        ],
+        isEligible: (judgeId, teamId) => !(teamId === "t2" && judgeId === "j1"),
+      });
+
+      expect(judgesOf(assignments, "s1")).toHaveLength(1);
+      expect(judgesOf(assignments, "s2")).toEqual(["j2"]);
+    });
+  });
+});
@@ -0,0 +1,47 @@
+// tests/services/leaderboard.service.test.js
+const { freezeTime, isFrozen } = require("../../services/leaderboard.service");
+
+const HOUR = 60 * 60 * 1000;
+const end = new Date("2030-01-02T09:00:00Z");
+
+const hackathon = (overrides = {}) => ({
+  endDate: end,
+  status: "ongoing",
+  ...overrides,
+});
+
+describe("Leaderboard Service", () => {
+  describe("freezeTime", () => {
+    it("should not freeze hackathons without a freeze window", () => {
+      expect(freezeTime(hackathon())).toBeNull();
+    });
+
+    it("should freeze the given minutes before the end date", () => {
+      expect(freezeTime(hackathon({ leaderboardFreezeMinutes: 60 }))).toEqual(
+        new Date(end.getTime() - HOUR)
+      );
+    });
+  });
+
+  describe("isFrozen", () => {
+    const frozen = hackathon({ leaderboardFreezeMinutes: 60 });
+
+    it("should stay live before the freeze", () => {
+      expect(isFrozen(frozen, new Date(end.getTime() - 2 * HOUR))).toBe(false);
+    });
+
+    it("should freeze from the freeze time on", () => {
+      expect(isFrozen(frozen, new Date(end.getTime() - HOUR))).toBe(true);
+      expect(isFrozen(frozen, new Date(end.getTime() + HOUR))).toBe(true);
+    });
+
+    it("should open up once results are announced", () => {
+      expect(
+        isFrozen(
+          { ...frozen, status: "completed" },
+          new Date(end.getTime() + HOUR)
+        )
+      ).toBe(false);
+    });
+  });
+});
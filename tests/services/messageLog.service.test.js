@@ -0,0 +1,69 @@
+// tests/services/messageLog.service.test.js
+const {
+  normalizeStatus,
+  statusesBefore,
+  listMessages,
+} = require("../../services/messageLog.service");
+
+describe("Message Log Service", () => {
+  describe("normalizeStatus", () => {
+    it("should keep the statuses the log knows", () => {
+      expect(normalizeStatus("delivered")).toBe("delivered");
+      expect(normalizeStatus("undelivered")).toBe("undelivered");
+    });
+
+    it("should map Twilio's other statuses onto them", () => {
+      expect(normalizeStatus("accepted")).toBe("queued");
+      expect(normalizeStatus("scheduled")).toBe("queued");
+      expect(normalizeStatus("canceled")).toBe("failed");
+    });
+
+    it("should ignore statuses it does not know", () => {
+      expect(normalizeStatus("receiving")).toBeNull();
+      expect(normalizeStatus(undefined)).toBeNull();
+    });
+  });
+
+  describe("statusesBefore", () => {
+    it("should only move a message forward", () => {
+      expect(statusesBefore("delivered")).toEqual([
+        "queued",
+        "sending",
+        "sent",
+      ]);
+      expect(statusesBefore("read")).toEqual([
+        "queued",
+        "sending",
+        "sent",
+        "delivered",
+      ]);
+      expect(statusesBefore("queued")).toEqual([]);
+    });
+
+    it("should not fail a message that already arrived", () => {
+      expect(statusesBefore("failed")).toEqual(["queued", "sending", "sent"]);
+      expect(statusesBefore("undelivered")).not.toContain("delivered");
+    });
+  });
+
+  describe("listMessages", () => {
+    it("should refuse filters that are not plain strings", async () => {
+      await expect(
+        listMessages({ status: { $ne: "failed" } })
+      ).rejects.toMatchObject({ statusCode: 400, message: "Invalid status" });
+      await expect(
+        listMessages({ phone: ["+15550100"] })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it("should refuse ids that are not document ids", async () => {
+      await expect(listMessages({ userId: "nobody" })).rejects.toMatchObject({
+        statusCode: 400,
+        message: "Invalid userId",
+      });
+      await expect(listMessages({ before: "nope" })).rejects.toMatchObject({
+        message: "Invalid cursor",
+      });
+    });
+  });
+});
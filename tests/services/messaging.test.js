@@ -0,0 +1,81 @@
+// tests/services/messaging.test.js
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const {
+  TwilioProvider,
+  SandboxProvider,
+  getProvider,
+  getSandbox,
+} = require("../../utils/messaging");
+
+describe("Messaging Providers", () => {
+  describe("Twilio provider", () => {
+    it("should send from the number of the channel", async () => {
+      process.env.TWILIO_SMS_NUMBER = "+15550999";
+      const client = {
+        messages: {
+          create: jest.fn().mockResolvedValue({ sid: "SM1", status: "queued" }),
+        },
+      };
+      const provider = new TwilioProvider(client);
+
+      const result = await provider.send({
+        channel: "sms",
+        to: "+15550100",
+        body: "Hi",
+      });
+
+      expect(result).toEqual({ sid: "SM1", status: "queued" });
+      expect(client.messages.create).toHaveBeenCalledWith(
+        expect.objectContaining({ from: "+15550999", to: "+15550100" })
+      );
+    });
+  });
+
+  describe("sandbox provider", () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), "sandbox-"));
+    });
+
+    afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+    it("should keep messages instead of sending them", async () => {
+      const sandbox = new SandboxProvider();
+
+      const { sid } = await sandbox.send({
+        channel: "whatsapp",
+        to: "whatsapp:+15550100",
+        body: "Hi",
+      });
+      await sandbox.send({ channel: "email", to: "ada@example.com" });
+
+      expect(sid).toMatch(/^SB/);
+      expect(sandbox.list({ channel: "whatsapp" })).toEqual([
+        expect.objectContaining({ sid, to: "whatsapp:+15550100", body: "Hi" }),
+      ]);
+      expect(sandbox.list().map((message) => message.channel)).toEqual([
+        "email",
+        "whatsapp",
+      ]);
+    });
+
+    it("should keep messages across restarts with a file", async () => {
+      const file = path.join(dir, "inbox.jsonl");
+      await new SandboxProvider(file).send({ channel: "sms", to: "+15550100" });
+
+      const restarted = new SandboxProvider(file);
+      expect(restarted.list()).toHaveLength(1);
+
+      await restarted.clear();
+      expect(new SandboxProvider(file).list()).toEqual([]);
+    });
+
+    it("should stand in for every channel in tests", () => {
+      expect(getProvider("whatsapp")).toBe(getSandbox());
+      expect(getProvider("email")).toBe(getSandbox());
+    });
+  });
+});
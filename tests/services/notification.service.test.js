@@ -0,0 +1,33 @@
+// tests/services/notification.service.test.js
+const { fallbackChannels } = require("../../services/notification.service");
+
+const user = (notificationPreferences, overrides = {}) => ({
+  email: "ada@example.com",
+  phone: "+15550100",
+  notificationPreferences,
+  ...overrides,
+});
+
+describe("Notification Service", () => {
+  describe("fallbackChannels", () => {
+    it("should use every channel the user turned on", () => {
+      expect(
+        fallbackChannels(user({ inApp: true, email: true, whatsapp: true }))
+      ).toEqual(["email", "whatsapp"]);
+    });
+
+    it("should skip channels the user turned off", () => {
+      expect(
+        fallbackChannels(user({ inApp: true, email: false, whatsapp: true }))
+      ).toEqual(["whatsapp"]);
+    });
+
+    it("should skip WhatsApp without a phone number", () => {
+      expect(
+        fallbackChannels(
+          user({ inApp: true, email: true, whatsapp: true }, { phone: "" })
+        )
+      ).toEqual(["email"]);
+    });
+  });
+});
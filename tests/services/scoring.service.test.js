@@ -0,0 +1,142 @@
+// tests/services/scoring.service.test.js
+const mongoose = require("mongoose");
+const {
+  weightedTotal,
+  normalizeScores,
+  rankTeams,
+} = require("../../services/scoring.service");
+
+const criterion = (name, weight, maxPoints) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name,
+  weight,
+  maxPoints,
+});
+
+const team = (name, scores, submittedAt) => ({
+  teamId: new mongoose.Types.ObjectId(),
+  name,
+  submittedAt,
+  submissions: scores.map((normalizedScore) => ({ normalizedScore })),
+});
+
+const scoreBy = (judgeId, total) => ({
+  _id: new mongoose.Types.ObjectId(),
+  judgeId,
+  total,
+});
+
+describe("Scoring Service", () => {
+  describe("weightedTotal", () => {
+    const rubric = [criterion("Innovation", 2, 10), criterion("Design", 1, 5)];
+
+    it("should weight each criterion on a 0-100 scale", () => {
+      const total = weightedTotal(rubric, [
+        { criterionId: rubric[0]._id, points: 10 },
+        { criterionId: rubric[1]._id, points: 0 },
+      ]);
+
+      expect(total).toBeCloseTo(66.67);
+    });
+
+    it("should require every criterion", () => {
+      expect(() =>
+        weightedTotal(rubric, [{ criterionId: rubric[0]._id, points: 5 }])
+      ).toThrow("Missing score for Design");
+    });
+
+    it("should reject points above the criterion maximum", () => {
+      expect(() =>
+        weightedTotal(rubric, [
+          { criterionId: rubric[0]._id, points: 5 },
+          { criterionId: rubric[1]._id, points: 6 },
+        ])
+      ).toThrow("Design must be scored between 0 and 5");
+    });
+
+    it("should reject criteria outside the rubric", () => {
+      expect(() =>
+        weightedTotal(rubric, [
+          { criterionId: rubric[0]._id, points: 5 },
+          { criterionId: rubric[1]._id, points: 5 },
+          { criterionId: new mongoose.Types.ObjectId(), points: 5 },
+        ])
+      ).toThrow("Scores must only cover rubric criteria");
+    });
+  });
+
+  describe("normalizeScores", () => {
+    const strict = new mongoose.Types.ObjectId();
+    const lenient = new mongoose.Types.ObjectId();
+
+    it("should remove the gap between strict and lenient judges", () => {
+      const scores = [
+        scoreBy(strict, 40),
+        scoreBy(strict, 50),
+        scoreBy(strict, 60),
+        scoreBy(lenient, 70),
+        scoreBy(lenient, 80),
+        scoreBy(lenient, 90),
+      ];
+
+      const normalized = normalizeScores(scores);
+
+      expect(normalized.get(scores[1]._id.toString())).toBe(65);
+      expect(normalized.get(scores[4]._id.toString())).toBe(65);
+    });
+
+    it("should leave judges with few scores unshifted", () => {
+      const scores = [scoreBy(strict, 40), scoreBy(lenient, 90)];
+
+      const normalized = normalizeScores(scores);
+
+      expect(normalized.get(scores[0]._id.toString())).toBe(40);
+    });
+  });
+
+  describe("rankTeams", () => {
+    it("should rank teams by their total score", () => {
+      const ranked = rankTeams([team("A", [50]), team("B", [40, 30])]);
+
+      expect(ranked.map((row) => [row.name, row.rank])).toEqual([
+        ["B", 1],
+        ["A", 2],
+      ]);
+      expect(ranked[0].totalScore).toBe(70);
+    });
+
+    it("should break ties on the best single submission", () => {
+      const ranked = rankTeams([team("A", [35, 35]), team("B", [60, 10])]);
+
+      expect(ranked.map((row) => row.name)).toEqual(["B", "A"]);
+    });
+
+    it("should then prefer the earlier final submission", () => {
+      const ranked = rankTeams([
+        team("A", [60], new Date("2030-01-02T10:00:00Z")),
+        team("B", [60], new Date("2030-01-02T09:00:00Z")),
+        team("C", [60]),
+      ]);
+
+      expect(ranked.map((row) => [row.name, row.rank])).toEqual([
+        ["B", 1],
+        ["A", 2],
+        ["C", 3],
+      ]);
+    });
+
+    it("should share the rank of teams level on every tie-break", () => {
+      const ranked = rankTeams([
+        team("Beta", [null]),
+        team("Alpha", []),
+        team("Gamma", [10]),
+      ]);
+
+      expect(ranked.map((row) => [row.name, row.rank])).toEqual([
+        ["Gamma", 1],
+        ["Alpha", 2],
+        ["Beta", 2],
+      ]);
+    });
+  });
+});
@@ -0,0 +1,46 @@
+// tests/services/session.service.test.js
+const jwt = require("jsonwebtoken");
+const {
+  hashToken,
+  refreshSession,
+  verifyAccessToken,
+} = require("../../services/session.service");
+
+describe("Session Service", () => {
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "test-jwt-secret";
+  });
+
+  describe("hashToken", () => {
+    it("should hash the same token the same way", () => {
+      expect(hashToken("abc")).toBe(hashToken("abc"));
+      expect(hashToken("abc")).not.toBe(hashToken("abd"));
+      expect(hashToken("abc")).not.toContain("abc");
+    });
+  });
+
+  describe("verifyAccessToken", () => {
+    it("should refuse tokens signed with another secret", async () => {
+      const token = jwt.sign({ userId: "u1" }, "another-secret");
+
+      expect(await verifyAccessToken(token)).toBeNull();
+    });
+
+    it("should refuse tokens that do not name a session", async () => {
+      const token = jwt.sign({ userId: "u1" }, process.env.JWT_SECRET);
+
+      expect(await verifyAccessToken(token)).toBeNull();
+    });
+  });
+
+  describe("refreshSession", () => {
+    it("should refuse tokens that do not name a session", async () => {
+      await expect(refreshSession("not-a-token")).rejects.toMatchObject({
+        statusCode: 401,
+      });
+      await expect(refreshSession(undefined)).rejects.toMatchObject({
+        statusCode: 401,
+      });
+    });
+  });
+});
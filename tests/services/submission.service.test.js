@@ -0,0 +1,72 @@
+// tests/services/submission.service.test.js
+const {
+  isJudgingStarted,
+  submissionWindow,
+} = require("../../services/submission.service");
+
+const HOUR = 60 * 60 * 1000;
+const start = new Date("2030-01-01T09:00:00Z");
+
+const hackathon = (overrides = {}) => ({
+  startDate: start,
+  endDate: new Date(start.getTime() + 24 * HOUR),
+  lateSubmissionWindow: 0,
+  status: "ongoing",
+  ...overrides,
+});
+
+describe("Submission Service", () => {
+  describe("submissionWindow", () => {
+    it("should use the end date when the task has no time limit", () => {
+      const window = submissionWindow(hackathon(), null);
+
+      expect(window.opensAt).toEqual(start);
+      expect(window.softDeadline).toEqual(hackathon().endDate);
+      expect(window.hardDeadline).toEqual(hackathon().endDate);
+    });
+
+    it("should take the soft deadline from the task time limit", () => {
+      const window = submissionWindow(hackathon(), { timeLimit: 90 });
+
+      expect(window.softDeadline).toEqual(
+        new Date(start.getTime() + 1.5 * HOUR)
+      );
+      expect(window.hardDeadline).toEqual(hackathon().endDate);
+    });
+
+    it("should never put the soft deadline past the end date", () => {
+      const window = submissionWindow(hackathon(), { timeLimit: 48 * 60 });
+
+      expect(window.softDeadline).toEqual(hackathon().endDate);
+    });
+
+    it("should extend the hard deadline by the late window", () => {
+      const window = submissionWindow(
+        hackathon({ lateSubmissionWindow: 30 }),
+        null
+      );
+
+      expect(
+        window.hardDeadline.getTime() - window.softDeadline.getTime()
+      ).toBe(HOUR / 2);
+    });
+  });
+
+  describe("isJudgingStarted", () => {
+    it("should follow the configured judging start", () => {
+      const judgingStartsAt = new Date(start.getTime() + 25 * HOUR);
+
+      expect(isJudgingStarted(hackathon({ judgingStartsAt }), start)).toBe(
+        false
+      );
+      expect(
+        isJudgingStarted(hackathon({ judgingStartsAt }), judgingStartsAt)
+      ).toBe(true);
+    });
+
+    it("should fall back to the hackathon being completed", () => {
+      expect(isJudgingStarted(hackathon())).toBe(false);
+      expect(isJudgingStarted(hackathon({ status: "completed" }))).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,264 @@
+// tests/services/teamFormation.service.test.js
+const {
+  planTeams,
+  arrangeTeams,
+  candidateGroups,
+  planTeamSizes,
+  scoreTeam,
+  registerStrategy,
+  hasStrategy,
+} = require("../../services/teamFormation.service");
+
+const LEVELS = { beginner: 1, intermediate: 2, advanced: 3 };
+
+const candidate = (userId, experience, skills = [], preferred = []) => ({
+  userId,
+  name: userId,
+  skills,
+  experience,
+  experienceLevel: LEVELS[experience],
+  preferredTeammates: preferred,
+});
+
+const teamOf = (plan, userId) =>
+  plan.findIndex((team) => team.members.some((m) => m.userId === userId));
+
+describe("Team Formation Service", () => {
+  describe("planTeamSizes", () => {
+    it("should spread a remainder instead of leaving a tiny team", () => {
+      expect(planTeamSizes(9, 4)).toEqual([3, 3, 3]);
+      expect(planTeamSizes(5, 4)).toEqual([3, 2]);
+    });
+
+    it("should never exceed the max team size", () => {
+      planTeamSizes(23, 4).forEach((size) => expect(size).toBeLessThan(5));
+      expect(planTeamSizes(8, 4)).toEqual([4, 4]);
+    });
+  });
+
+  describe("planTeams", () => {
+    const pool = [
+      candidate("a1", "advanced", ["node"]),
+      candidate("a2", "advanced", ["react"]),
+      candidate("i1", "intermediate", ["python"]),
+      candidate("i2", "intermediate", ["design"]),
+      candidate("b1", "beginner", ["node"]),
+      candidate("b2", "beginner", ["react"]),
+    ];
+
+    it("should place every candidate exactly once", () => {
+      const plan = planTeams(pool, { maxTeamSize: 3 });
+      const placed = plan.flatMap((team) => team.members.map((m) => m.userId));
+
+      expect(placed.sort()).toEqual(pool.map((c) => c.userId).sort());
+      plan.forEach((team) => expect(team.members.length).toBeLessThan(4));
+    });
+
+    it("should split experienced candidates across teams", () => {
+      const plan = planTeams(pool, { maxTeamSize: 3 });
+
+      expect(teamOf(plan, "a1")).not.toBe(teamOf(plan, "a2"));
+      expect(teamOf(plan, "b1")).not.toBe(teamOf(plan, "b2"));
+    });
+
+    it("should keep mutual teammate preferences together", () => {
+      const withPair = [
+        ...pool.slice(0, 4),
+        candidate("b1", "beginner", ["node"], ["b2"]),
+        candidate("b2", "beginner", ["react"], ["b1"]),
+      ];
+
+      const plan = planTeams(withPair, { maxTeamSize: 3 });
+
+      expect(teamOf(plan, "b1")).toBe(teamOf(plan, "b2"));
+    });
+
+    it("should ignore one-sided teammate preferences", () => {
+      const oneSided = [
+        ...pool.slice(0, 4),
+        candidate("b1", "beginner", ["node"], ["b2"]),
+        candidate("b2", "beginner", ["react"]),
+      ];
+
+      const groups = candidateGroups(oneSided, { maxTeamSize: 3 });
+
+      expect(groups).toHaveLength(oneSided.length);
+      groups.forEach((group) => expect(group).toHaveLength(1));
+    });
+
+    it("should refuse a locked group that fits no team", () => {
+      expect(() =>
+        planTeams(pool.slice(0, 4), {
+          maxTeamSize: 3,
+          locks: [
+            ["a1", "a2"],
+            ["a2", "i1"],
+          ],
+        })
+      ).toThrow("Could not place a1, a2, i1 together in one team");
+    });
+
+    it("should seat a mutual group that fits no team member by member", () => {
+      const mutual = [
+        candidate("a1", "advanced", [], ["a2", "i1"]),
+        candidate("a2", "advanced", [], ["a1", "i1"]),
+        candidate("i1", "intermediate", [], ["a1", "a2"]),
+        candidate("b1", "beginner"),
+      ];
+
+      const plan = planTeams(mutual, { maxTeamSize: 3 });
+      const placed = plan.flatMap((team) => team.members.map((m) => m.userId));
+
+      expect(placed.sort()).toEqual(["a1", "a2", "b1", "i1"]);
+      plan.forEach((team) => expect(team.members).toHaveLength(2));
+    });
+
+    it("should return a score and explanation for each team", () => {
+      const plan = planTeams(pool, { maxTeamSize: 3 });
+
+      plan.forEach((team) => {
+        expect(team.score).toBeGreaterThanOrEqual(0);
+        expect(team.score).toBeLessThanOrEqual(100);
+        expect(team.explanation).toHaveProperty("experienceMix");
+        expect(team.explanation).toHaveProperty("skillsCovered");
+      });
+    });
+
+    it("should keep locked pairs together", () => {
+      const plan = planTeams(pool, {
+        maxTeamSize: 3,
+        locks: [["a1", "a2"]],
+      });
+
+      expect(teamOf(plan, "a1")).toBe(teamOf(plan, "a2"));
+    });
+
+    it("should always seat locked pairs with the random strategy", () => {
+      const eight = [
+        ...pool,
+        candidate("i3", "intermediate", ["go"]),
+        candidate("b3", "beginner", ["sql"]),
+      ];
+
+      for (let run = 0; run < 200; run++) {
+        const plan = planTeams(eight, {
+          maxTeamSize: 4,
+          strategy: "random",
+          locks: [["b1", "b2"]],
+        });
+
+        expect(plan.map((team) => team.members.length)).toEqual([4, 4]);
+        expect(teamOf(plan, "b1")).toBe(teamOf(plan, "b2"));
+      }
+    });
+
+    it("should reject locks on users outside the pool", () => {
+      expect(() =>
+        planTeams(pool, { maxTeamSize: 3, locks: [["a1", "zz"]] })
+      ).toThrow("Locked users must be unassigned registrants");
+    });
+
+    it("should reject unknown strategies", () => {
+      expect(() =>
+        planTeams(pool, { maxTeamSize: 3, strategy: "nope" })
+      ).toThrow("Unknown team formation strategy");
+    });
+
+    it("should use registered strategies", () => {
+      registerStrategy("solo", (candidates) => candidates.map((c) => [c]));
+
+      const plan = planTeams(pool, { maxTeamSize: 3, strategy: "solo" });
+
+      expect(hasStrategy("solo")).toBe(true);
+      expect(plan).toHaveLength(pool.length);
+    });
+  });
+
+  describe("arrangeTeams", () => {
+    const pool = [
+      candidate("a1", "advanced", ["node"]),
+      candidate("a2", "advanced", ["react"]),
+      candidate("b1", "beginner", ["node"]),
+      candidate("b2", "beginner", ["react"]),
+    ];
+
+    it("should apply swaps and score the arrangement", () => {
+      const plan = arrangeTeams(
+        pool,
+        [
+          ["a1", "a2"],
+          ["b1", "b2"],
+        ],
+        { maxTeamSize: 2, swaps: [["a2", "b1"]] }
+      );
+
+      expect(plan[0].members.map((m) => m.userId)).toEqual(["a1", "b1"]);
+      expect(plan[1].members.map((m) => m.userId)).toEqual(["a2", "b2"]);
+      expect(plan[0].explanation).toHaveProperty("experienceMix");
+    });
+
+    it("should reject a swap that splits a locked pair", () => {
+      expect(() =>
+        arrangeTeams(
+          pool,
+          [
+            ["a1", "b1"],
+            ["a2", "b2"],
+          ],
+          { maxTeamSize: 2, locks: [["a1", "b1"]], swaps: [["b1", "b2"]] }
+        )
+      ).toThrow("Locked users must stay in the same team");
+    });
+
+    it("should reject a locked user left out of the teams", () => {
+      expect(() =>
+        arrangeTeams(pool, [["a1", "b1"]], {
+          maxTeamSize: 2,
+          locks: [["a2", "b2"]],
+        })
+      ).toThrow("Locked users must stay in the same team");
+    });
+
+    it("should reject oversized teams", () => {
+      expect(() =>
+        arrangeTeams(pool, [["a1", "a2", "b1"], ["b2"]], { maxTeamSize: 2 })
+      ).toThrow("Teams must have between 1 and 2 members");
+    });
+
+    it("should reject users who are not unassigned registrants", () => {
+      expect(() =>
+        arrangeTeams(pool, [["a1", "zz"]], { maxTeamSize: 2 })
+      ).toThrow("User zz is not an unassigned registrant");
+    });
+
+    it("should reject a user placed twice", () => {
+      expect(() =>
+        arrangeTeams(
+          pool,
+          [
+            ["a1", "b1"],
+            ["a1", "b2"],
+          ],
+          { maxTeamSize: 2 }
+        )
+      ).toThrow("User a1 is in more than one team");
+    });
+  });
+
+  describe("scoreTeam", () => {
+    it("should score diverse skills above duplicated skills", () => {
+      const diverse = [
+        candidate("x", "intermediate", ["node"]),
+        candidate("y", "intermediate", ["react"]),
+      ];
+      const duplicated = [
+        candidate("x", "intermediate", ["node"]),
+        candidate("y", "intermediate", ["node"]),
+      ];
+
+      expect(scoreTeam(diverse, 2).score).toBeGreaterThan(
+        scoreTeam(duplicated, 2).score
+      );
+    });
+  });
+});
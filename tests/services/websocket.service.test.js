@@ -0,0 +1,289 @@
+// tests/services/websocket.service.test.js
+const http = require("http");
+const EventEmitter = require("events");
+const WebSocket = require("ws");
+const { BrokerPubSub } = require("../../utils/pubsub");
+
+jest.mock("../../middlewares/auth", () => ({
+  userFromToken: async (token) =>
+    token.startsWith("valid-") ? { _id: token.slice(6) } : null,
+}));
+
+// Local stand-in for a Redis server, shared by node-redis style clients
+const createBroker = () => {
+  const bus = new EventEmitter();
+  const client = () => ({
+    publish: async (topic, raw) => bus.emit(topic, raw),
+    subscribe: async (topic, listener) => bus.on(topic, listener),
+    quit: async () => {},
+  });
+
+  return () => new BrokerPubSub(client(), client());
+};
+
+// A server instance with its own gateway
+const startNode = async (pubsub) => {
+  let gateway;
+  let AppError;
+  jest.isolateModules(() => {
+    gateway = require("../../services/websocket.service");
+    // The instance only recognizes service errors of its own module copy
+    AppError = require("../../utils/appError");
+  });
+
+  const server = http.createServer();
+  gateway.initialize(server, pubsub);
+  gateway.registerChannel("team", async (userId, teamId) => {
+    if (teamId !== "t1") {
+      throw new AppError("Only team members can use the team chat", 403);
+    }
+    return { unreadCount: 0 };
+  });
+
+  await new Promise((resolve) => server.listen(0, resolve));
+  return { gateway, server, url: `ws://localhost:${server.address().port}` };
+};
+
+const stopNode = async ({ gateway, server }) => {
+  gateway.shutdown();
+  await new Promise((resolve) => server.close(resolve));
+};
+
+describe("WebSocket Service", () => {
+  const sockets = [];
+
+  // Connect and collect everything the gateway sends
+  const connect = (node, token, path = "/ws", protocols) =>
+    new Promise((resolve, reject) => {
+      const ws = protocols
+        ? new WebSocket(`${node.url}${path}`, protocols)
+        : new WebSocket(`${node.url}${path}?token=${token}`);
+      const received = [];
+      const waiting = [];
+
+      ws.on("message", (data) => {
+        const message = JSON.parse(data);
+        const index = waiting.findIndex(({ type }) => type === message.type);
+        if (index === -1) return received.push(message);
+        waiting.splice(index, 1)[0].resolve(message);
+      });
+
+      // Resolves with the next message of a type, including earlier ones
+      ws.next = (type) => {
+        const index = received.findIndex((message) => message.type === type);
+        if (index !== -1) return Promise.resolve(received.splice(index, 1)[0]);
+        return new Promise((resolveNext) =>
+          waiting.push({ type, resolve: resolveNext })
+        );
+      };
+      // Whether a message of a type arrived so far
+      ws.got = (type) => received.some((message) => message.type === type);
+      ws.sendJson = (message) => ws.send(JSON.stringify(message));
+
+      ws.on("open", () => {
+        sockets.push(ws);
+        resolve(ws);
+      });
+      ws.on("error", reject);
+    });
+
+  // Messages sent before a ping round trip have been handled
+  const settle = async (ws) => {
+    ws.sendJson({ type: "ping" });
+    await ws.next("pong");
+  };
+
+  const join = async (ws, teamId) => {
+    ws.sendJson({ type: "join-team", teamId });
+    return ws.next("team-joined");
+  };
+
+  afterEach(async () => {
+    await Promise.all(
+      sockets.splice(0).map(
+        (ws) =>
+          new Promise((resolve) => {
+            if (ws.readyState === WebSocket.CLOSED) return resolve();
+            ws.on("close", resolve);
+            ws.close();
+          })
+      )
+    );
+  });
+
+  describe("single instance", () => {
+    let node;
+
+    beforeAll(async () => {
+      node = await startNode();
+    });
+
+    afterAll(() => stopNode(node));
+
+    it("should refuse connections without a valid token", async () => {
+      await expect(connect(node, "expired")).rejects.toThrow("401");
+    });
+
+    it("should only accept connections on the gateway path", async () => {
+      await expect(connect(node, "valid-u1", "/esp32")).rejects.toThrow("404");
+    });
+
+    it("should take the token from the subprotocols and echo bearer", async () => {
+      const ws = await connect(node, null, "/ws", ["bearer", "valid-u1"]);
+
+      const connection = await ws.next("connection");
+
+      expect(ws.protocol).toBe("bearer");
+      expect(connection).toMatchObject({ userId: "u1" });
+    });
+
+    it("should refuse subprotocols without a token after bearer", async () => {
+      await expect(
+        connect(node, null, "/ws", ["chat", "valid-u1"])
+      ).rejects.toThrow("401");
+    });
+
+    it("should confirm the user and answer pings", async () => {
+      const ws = await connect(node, "valid-u1");
+
+      const connection = await ws.next("connection");
+      ws.sendJson({ type: "ping" });
+
+      expect(connection).toMatchObject({
+        status: "authenticated",
+        userId: "u1",
+      });
+      expect(await ws.next("pong")).toBeDefined();
+    });
+
+    it("should reject unknown message types", async () => {
+      const ws = await connect(node, "valid-u1");
+
+      ws.sendJson({ type: "get-sensor-data" });
+
+      expect(await ws.next("error")).toMatchObject({
+        requestType: "get-sensor-data",
+        message: "Unknown message type",
+      });
+    });
+
+    it("should reach every connection of a user", async () => {
+      const firstTab = await connect(node, "valid-u1");
+      const secondTab = await connect(node, "valid-u1");
+
+      node.gateway.sendToUser("u1", { type: "notification" });
+
+      expect(await firstTab.next("notification")).toBeDefined();
+      expect(await secondTab.next("notification")).toBeDefined();
+    });
+
+    it("should broadcast to the connections that joined a channel", async () => {
+      const chatTab = await connect(node, "valid-u1");
+      const otherTab = await connect(node, "valid-u1");
+
+      const joined = await join(chatTab, "t1");
+      node.gateway.broadcastToChannel("team", "t1", { type: "typing" });
+
+      expect(joined).toMatchObject({ teamId: "t1", unreadCount: 0 });
+      expect(await chatTab.next("typing")).toBeDefined();
+      await settle(otherTab);
+      expect(otherTab.got("typing")).toBe(false);
+    });
+
+    it("should send the reason a channel was refused", async () => {
+      const ws = await connect(node, "valid-u1");
+
+      ws.sendJson({ type: "join-team", teamId: "t2" });
+
+      expect(await ws.next("error")).toMatchObject({
+        requestType: "join-team",
+        message: "Only team members can use the team chat",
+      });
+    });
+
+    it("should take a user out of a channel", async () => {
+      const ws = await connect(node, "valid-u1");
+      await join(ws, "t1");
+
+      node.gateway.leaveChannel("team", "t1", "u1");
+      node.gateway.broadcastToChannel("team", "t1", { type: "typing" });
+
+      await settle(ws);
+      expect(ws.got("typing")).toBe(false);
+    });
+
+    it("should report a user offline once their last connection closes", async () => {
+      const disconnected = jest.fn();
+      node.gateway.on("client-disconnected", disconnected);
+      const firstTab = await connect(node, "valid-u3");
+      const secondTab = await connect(node, "valid-u3");
+
+      firstTab.close();
+      await settle(secondTab);
+      expect(disconnected).not.toHaveBeenCalled();
+
+      const closed = new Promise((resolve) =>
+        node.gateway.once("client-disconnected", resolve)
+      );
+      secondTab.close();
+
+      expect(await closed).toBe("u3");
+      node.gateway.off("client-disconnected", disconnected);
+    });
+
+    it("should report each connection with its own id", async () => {
+      const opened = [];
+      const onOpened = (userId, connectionId) => opened.push(connectionId);
+      node.gateway.on("connection-opened", onOpened);
+      const firstTab = await connect(node, "valid-u4");
+      await connect(node, "valid-u4");
+
+      const closed = new Promise((resolve) =>
+        node.gateway.once("connection-closed", (userId, connectionId) =>
+          resolve(connectionId)
+        )
+      );
+      firstTab.close();
+
+      expect(opened).toHaveLength(2);
+      expect(opened[0]).not.toBe(opened[1]);
+      expect(await closed).toBe(opened[0]);
+      node.gateway.off("connection-opened", onOpened);
+    });
+  });
+
+  describe("several instances", () => {
+    let nodeA;
+    let nodeB;
+
+    beforeAll(async () => {
+      const connectToBroker = createBroker();
+      nodeA = await startNode(connectToBroker());
+      nodeB = await startNode(connectToBroker());
+    });
+
+    afterAll(() => Promise.all([stopNode(nodeA), stopNode(nodeB)]));
+
+    it("should reach users connected to another instance", async () => {
+      const onA = await connect(nodeA, "valid-u1");
+      const onB = await connect(nodeB, "valid-u1");
+
+      nodeA.gateway.sendToUser("u1", { type: "notification" });
+
+      expect(await onA.next("notification")).toBeDefined();
+      expect(await onB.next("notification")).toBeDefined();
+    });
+
+    it("should broadcast channels across instances", async () => {
+      const onB = await connect(nodeB, "valid-u2");
+      await join(onB, "t1");
+
+      nodeA.gateway.broadcastToChannel("team", "t1", {
+        type: "typing",
+        userId: "u1",
+      });
+
+      expect(await onB.next("typing")).toMatchObject({ userId: "u1" });
+    });
+  });
+});
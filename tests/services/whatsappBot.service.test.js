@@ -0,0 +1,40 @@
+// tests/services/whatsappBot.service.test.js
+const {
+  parseCommand,
+  phonePattern,
+} = require("../../services/whatsappBot.service");
+
+describe("WhatsApp Bot Service", () => {
+  describe("parseCommand", () => {
+    it("should take the first word as the command, in any case", () => {
+      expect(parseCommand("  SUBMIT https://github.com/a/b  Web App")).toEqual({
+        command: "submit",
+        args: ["https://github.com/a/b", "Web", "App"],
+      });
+    });
+
+    it("should give an empty command for a blank message", () => {
+      expect(parseCommand("   ")).toEqual({ command: "", args: [] });
+    });
+  });
+
+  describe("phonePattern", () => {
+    const pattern = phonePattern("whatsapp:+15550100");
+
+    it("should match the number however the profile formats it", () => {
+      expect(pattern.test("+15550100")).toBe(true);
+      expect(pattern.test("15550100")).toBe(true);
+      expect(pattern.test("+1 (555) 01-00")).toBe(true);
+    });
+
+    it("should not match other numbers", () => {
+      expect(pattern.test("+15550101")).toBe(false);
+      expect(pattern.test("+115550100")).toBe(false);
+      expect(pattern.test("5550100")).toBe(false);
+    });
+
+    it("should not match senders without a number", () => {
+      expect(phonePattern("whatsapp:")).toBeNull();
+    });
+  });
+});
@@ -1,13 +1,17 @@
 // tests/setup.js
 const mongoose = require("mongoose");
-const { MongoMemoryServer } = require("mongodb-memory-server");
+const { MongoMemoryReplSet } = require("mongodb-memory-server");
 const logger = require("../utils/logger");
 
 let mongoServer;
 
+// Tokens in tests are signed with this secret unless the env provides one
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-jwt-secret";
+
 // Setup before tests
 beforeAll(async () => {
-  mongoServer = await MongoMemoryServer.create();
+  // Team formation commits in a transaction, which needs a replica set
+  mongoServer = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
   const mongoUri = mongoServer.getUri();
 
   await mongoose.connect(mongoUri, {
@@ -0,0 +1,50 @@
+// utils/mailTransport.js
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+// Where the file transport writes mail; tests read it back from here
+const SINK_DIR =
+  process.env.EMAIL_SINK_DIR || path.join(os.tmpdir(), "hack-mate-mail");
+
+const createSmtpTransport = () =>
+  nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || "587", 10),
+    service: process.env.SMTP_SERVICE,
+    auth: {
+      user: process.env.SMTP_MAIL,
+      pass: process.env.SMTP_PASSWORD,
+    },
+  });
+
+// Writes every message as a JSON file instead of sending it
+const createFileTransport = (dir = SINK_DIR) => {
+  const json = nodemailer.createTransport({ jsonTransport: true });
+
+  return {
+    async sendMail(mail) {
+      const info = await json.sendMail(mail);
+      const name = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, `${name}.json`), info.message);
+      return info;
+    },
+  };
+};
+
+// EMAIL_TRANSPORT picks "smtp" or "file"; tests use the file sink unless
+// told otherwise so no mail leaves the machine
+const createTransport = (
+  kind = process.env.EMAIL_TRANSPORT ||
+    (process.env.NODE_ENV === "test" ? "file" : "smtp")
+) => (kind === "file" ? createFileTransport() : createSmtpTransport());
+
+module.exports = {
+  SINK_DIR,
+  createFileTransport,
+  createTransport,
+};
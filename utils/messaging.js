@@ -0,0 +1,159 @@
+// utils/messaging.js
+const crypto = require("crypto");
+const fs = require("fs");
+const twilio = require("twilio");
+const { createTransport } = require("./mailTransport");
+
+// Messaging providers deliver a message on a channel: "whatsapp", "sms" or
+// "email". Every provider offers send({ channel, from, to, subject, body,
+// statusCallback }) and resolves to { sid, status }; email bodies are HTML
+
+// Sends WhatsApp and SMS messages through Twilio. Takes a client with the
+// Twilio REST interface, created from the account credentials by default
+class TwilioProvider {
+  constructor(client) {
+    this.client = client;
+  }
+
+  getClient() {
+    return (
+      this.client ||
+      (this.client = twilio(
+        process.env.TWILIO_ACCOUNT_SID,
+        process.env.TWILIO_AUTH_TOKEN
+      ))
+    );
+  }
+
+  async send({ channel, from, to, body, statusCallback }) {
+    const result = await this.getClient().messages.create({
+      body,
+      from:
+        from ||
+        (channel === "sms"
+          ? process.env.TWILIO_SMS_NUMBER
+          : process.env.TWILIO_WHATSAPP_NUMBER),
+      to,
+      statusCallback,
+    });
+
+    return { sid: result.sid, status: result.status };
+  }
+}
+
+// Sends email through a nodemailer transport, the one EMAIL_TRANSPORT
+// picks by default
+class MailProvider {
+  constructor(transport) {
+    this.transport = transport;
+  }
+
+  getTransport() {
+    return this.transport || (this.transport = createTransport());
+  }
+
+  async send({ from, to, subject, body }) {
+    const info = await this.getTransport().sendMail({
+      from: from || process.env.EMAIL_FROM || process.env.SMTP_MAIL,
+      to,
+      subject,
+      html: body,
+    });
+
+    return { sid: info.messageId, status: "sent" };
+  }
+}
+
+// Keeps every message instead of sending it, on any channel, for
+// development and tests. With a file, messages are also appended to it as
+// JSON lines and survive restarts
+class SandboxProvider {
+  constructor(file) {
+    this.file = file;
+    this.messages = [];
+
+    if (file && fs.existsSync(file)) {
+      this.messages = fs
+        .readFileSync(file, "utf8")
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => JSON.parse(line));
+    }
+  }
+
+  async send({ channel, from, to, subject, body, statusCallback }) {
+    const message = {
+      sid: `SB${crypto.randomBytes(16).toString("hex")}`,
+      channel,
+      from,
+      to,
+      subject,
+      body,
+      statusCallback,
+      status: "sent",
+      sentAt: new Date(),
+    };
+
+    this.messages.push(message);
+    if (this.file) {
+      await fs.promises.appendFile(this.file, `${JSON.stringify(message)}\n`);
+    }
+    return { sid: message.sid, status: message.status };
+  }
+
+  // Messages sent so far, newest first, narrowed by channel or recipient
+  list({ channel, to } = {}) {
+    return this.messages
+      .filter(
+        (message) =>
+          (!channel || message.channel === channel) &&
+          (!to || message.to === to)
+      )
+      .reverse();
+  }
+
+  async clear() {
+    this.messages = [];
+    if (this.file) await fs.promises.writeFile(this.file, "");
+  }
+}
+
+// MESSAGING_PROVIDER is "live" (Twilio for WhatsApp and SMS, the mail
+// transport for email) or "sandbox" for every channel. Tests use the
+// sandbox unless told otherwise so nothing leaves the machine
+const providerKind = () =>
+  process.env.MESSAGING_PROVIDER ||
+  (process.env.NODE_ENV === "test" ? "sandbox" : "live");
+
+let sandbox;
+const providers = {};
+
+const getSandbox = () =>
+  sandbox ||
+  (sandbox = new SandboxProvider(process.env.MESSAGING_SANDBOX_FILE));
+
+const createProvider = (channel, kind = providerKind()) => {
+  if (kind === "sandbox") return getSandbox();
+  return channel === "email" ? new MailProvider() : new TwilioProvider();
+};
+
+// Provider for a channel, created on first use
+const getProvider = (channel) =>
+  providers[channel] || (providers[channel] = createProvider(channel));
+
+// Swap the provider of a channel, e.g. for a fake in tests
+const setProvider = (channel, provider) => {
+  providers[channel] = provider;
+};
+
+const sandboxEnabled = () => providerKind() === "sandbox";
+
+module.exports = {
+  TwilioProvider,
+  MailProvider,
+  SandboxProvider,
+  getSandbox,
+  getProvider,
+  setProvider,
+  sandboxEnabled,
+};
@@ -0,0 +1,79 @@
+// utils/pubsub.js
+const EventEmitter = require("events");
+const logger = require("./logger");
+
+// Pub/sub adapters carry realtime broadcasts between server instances.
+// Every adapter offers publish(topic, message), subscribe(topic, handler)
+// and close(); messages are plain JSON-serializable objects
+
+// Delivers within this process only, for a single server
+class MemoryPubSub {
+  constructor() {
+    this.emitter = new EventEmitter();
+  }
+
+  async publish(topic, message) {
+    this.emitter.emit(topic, message);
+  }
+
+  async subscribe(topic, handler) {
+    this.emitter.on(topic, handler);
+  }
+
+  async close() {
+    this.emitter.removeAllListeners();
+  }
+}
+
+// Delivers through a message broker shared by all instances. Takes a
+// publishing and a subscribing client with the node-redis interface, as a
+// subscribed connection cannot publish
+class BrokerPubSub {
+  constructor(publisher, subscriber) {
+    this.publisher = publisher;
+    this.subscriber = subscriber;
+  }
+
+  async publish(topic, message) {
+    await this.publisher.publish(topic, JSON.stringify(message));
+  }
+
+  async subscribe(topic, handler) {
+    await this.subscriber.subscribe(topic, (raw) => {
+      try {
+        handler(JSON.parse(raw));
+      } catch (err) {
+        logger.error(`Dropped message on ${topic}: ${err.message}`);
+      }
+    });
+  }
+
+  async close() {
+    await Promise.all([this.subscriber.quit(), this.publisher.quit()]);
+  }
+}
+
+// Redis when REDIS_URL is set, shared by all instances; otherwise in-memory
+// for a single server
+const createPubSub = (url = process.env.REDIS_URL) => {
+  if (!url) return new MemoryPubSub();
+
+  const { createClient } = require("redis");
+  const publisher = createClient({ url });
+  const subscriber = publisher.duplicate();
+
+  [publisher, subscriber].forEach((client) => {
+    client.on("error", (err) => logger.error(`Redis error: ${err.message}`));
+    // Connection failures are reported through the error event
+    client.connect().catch(() => {});
+  });
+  logger.info("Realtime broadcasts go through Redis");
+
+  return new BrokerPubSub(publisher, subscriber);
+};
+
+module.exports = {
+  MemoryPubSub,
+  BrokerPubSub,
+  createPubSub,
+};
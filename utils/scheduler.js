@@ -0,0 +1,220 @@
+// utils/scheduler.js
+const schedule = require("node-schedule");
+const Hackathon = require("../models/hackthon.model");
+const Registration = require("../models/registration.model");
+const teamFormationService = require("../services/teamFormation.service");
+const teamService = require("../services/team.service");
+const attachmentService = require("../services/attachment.service");
+const notificationService = require("../services/notification.service");
+const emailService = require("../services/email.service");
+const campaignService = require("../services/campaign.service");
+const logger = require("./logger");
+
+// Form teams for hackathons whose registration has closed but which have
+// not started, as long as registrants are still waiting for a team. Only
+// hackathons that opted in; the others wait for their organizers to preview
+// and commit teams
+const formTeamsAfterRegistration = async () => {
+  const now = new Date();
+  const hackathons = await Hackathon.find({
+    isActive: true,
+    autoFormTeams: true,
+    registrationDeadline: { $lte: now },
+    startDate: { $gt: now },
+  });
+
+  for (const hackathon of hackathons) {
+    const waiting = await Registration.exists({
+      hackathonId: hackathon._id,
+      status: "registered",
+      teamId: { $exists: false },
+    });
+    if (!waiting) continue;
+
+    try {
+      await teamFormationService.formTeams(hackathon._id);
+    } catch (error) {
+      logger.error(
+        `Auto team formation failed for ${hackathon.title}: ${error.message}`
+      );
+    }
+  }
+};
+
+// Expire team invitations nobody answered in time
+const expireTeamInvitations = async () => {
+  const expired = await teamService.expireInvitations();
+  if (expired > 0) {
+    logger.info(`Expired ${expired} team invitations`);
+  }
+};
+
+// Clean up chat uploads that were never sent in a message
+const removeUnsentAttachments = async () => {
+  const removed = await attachmentService.removeUnsentAttachments();
+  if (removed > 0) {
+    logger.info(`Removed ${removed} unsent chat attachments`);
+  }
+};
+
+// Email or WhatsApp important notifications left unread in the app
+const deliverNotificationFallbacks = async () => {
+  const sent = await notificationService.deliverFallbacks();
+  if (sent > 0) {
+    logger.info(`Sent ${sent} unread notifications by email or WhatsApp`);
+  }
+};
+
+// Retry queued emails that are due
+const processEmailOutbox = async () => {
+  const sent = await emailService.processOutbox();
+  if (sent > 0) {
+    logger.info(`Sent ${sent} queued emails`);
+  }
+};
+
+// Send WhatsApp campaigns that are due. Sending is throttled, so a run can
+// outlast the minute; overlapping runs would exceed the provider's rate
+let sendingCampaigns = false;
+const sendDueCampaigns = async () => {
+  if (sendingCampaigns) return;
+
+  sendingCampaigns = true;
+  try {
+    const sent = await campaignService.sendDueCampaigns();
+    if (sent > 0) {
+      logger.info(`Sent ${sent} WhatsApp campaigns`);
+    }
+  } finally {
+    sendingCampaigns = false;
+  }
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Email everyone registered for a hackathon, once per hackathon and user
+const emailRegistrants = async (hackathon, { kind, subject, template }) => {
+  const registrations = await Registration.find({
+    hackathonId: hackathon._id,
+  }).populate("userId", "name email");
+
+  for (const { userId: user } of registrations) {
+    if (!user) continue;
+
+    await emailService.queueEmail({
+      to: user.email,
+      subject,
+      template,
+      data: { user, hackathon },
+      key: `${kind}:${hackathon._id}:${user._id}`,
+    });
+  }
+};
+
+// Remind registrants of hackathons starting within the next day
+const sendStartReminders = async (now = new Date()) => {
+  const hackathons = await Hackathon.find({
+    isActive: true,
+    startDate: { $gt: now, $lte: new Date(now.getTime() + DAY) },
+  });
+
+  for (const hackathon of hackathons) {
+    await emailRegistrants(hackathon, {
+      kind: "reminder",
+      subject: `Reminder: ${hackathon.title} starts soon`,
+      template: "hackathon_reminder",
+    });
+  }
+
+  return hackathons.length;
+};
+
+// Ask participants of hackathons that ended within the last day for
+// feedback
+const sendFeedbackRequests = async (now = new Date()) => {
+  const hackathons = await Hackathon.find({
+    endDate: { $gt: new Date(now.getTime() - DAY), $lte: now },
+  });
+
+  for (const hackathon of hackathons) {
+    await emailRegistrants(hackathon, {
+      kind: "feedback",
+      subject: `Feedback Request: ${hackathon.title}`,
+      template: "feedback_request",
+    });
+  }
+
+  return hackathons.length;
+};
+
+const startScheduler = () => {
+  // Every minute
+  schedule.scheduleJob("* * * * *", () =>
+    processEmailOutbox().catch((error) =>
+      logger.error(`Email outbox job error: ${error.message}`)
+    )
+  );
+
+  // Every minute
+  schedule.scheduleJob("* * * * *", () =>
+    sendDueCampaigns().catch((error) =>
+      logger.error(`Campaign job error: ${error.message}`)
+    )
+  );
+
+  // Every minute
+  schedule.scheduleJob("* * * * *", () =>
+    deliverNotificationFallbacks().catch((error) =>
+      logger.error(`Notification fallback job error: ${error.message}`)
+    )
+  );
+
+  // Every 5 minutes
+  schedule.scheduleJob("*/5 * * * *", () =>
+    formTeamsAfterRegistration().catch((error) =>
+      logger.error(`Team formation job error: ${error.message}`)
+    )
+  );
+
+  // Every hour
+  schedule.scheduleJob("0 * * * *", () =>
+    expireTeamInvitations().catch((error) =>
+      logger.error(`Invitation expiry job error: ${error.message}`)
+    )
+  );
+
+  // Every day at 09:00
+  schedule.scheduleJob("0 9 * * *", () =>
+    sendStartReminders().catch((error) =>
+      logger.error(`Reminder email job error: ${error.message}`)
+    )
+  );
+
+  // Every day at 12:00
+  schedule.scheduleJob("0 12 * * *", () =>
+    sendFeedbackRequests().catch((error) =>
+      logger.error(`Feedback request job error: ${error.message}`)
+    )
+  );
+
+  // Every day at 03:00
+  schedule.scheduleJob("0 3 * * *", () =>
+    removeUnsentAttachments().catch((error) =>
+      logger.error(`Attachment cleanup job error: ${error.message}`)
+    )
+  );
+
+  logger.info("Scheduler started");
+};
+
+module.exports = {
+  startScheduler,
+  formTeamsAfterRegistration,
+  expireTeamInvitations,
+  removeUnsentAttachments,
+  deliverNotificationFallbacks,
+  processEmailOutbox,
+  sendDueCampaigns,
+  sendStartReminders,
+  sendFeedbackRequests,
+};
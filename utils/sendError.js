@@ -0,0 +1,28 @@
+// utils/sendError.js
+const AppError = require("./appError");
+
+// Answer a failed request: an AppError from a service with its own status
+// and message, anything unexpected as a 500 with the fallback message.
+// `includeError` adds the error's own message to a 500, as the hackathon
+// and campaign routes answer
+const sendError = (
+  res,
+  error,
+  fallbackMessage,
+  { includeError = false } = {}
+) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    ...(includeError && { error: error.message }),
+  });
+};
+
+module.exports = sendError;
@@ -1,4 +1,5 @@
-const { body, validationResult } = require("express-validator");
+const { body, param, query, validationResult } = require("express-validator");
+const AppError = require("./appError");
 
 // Handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -17,6 +18,27 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Run body validation rules on a payload that did not come over HTTP, e.g.
+// a WebSocket message. Resolves to the sanitized payload or throws a 400
+// with the first failure
+exports.validatePayload = async (rules, payload) => {
+  const req = { body: { ...payload } };
+
+  for (const rule of rules) {
+    if (typeof rule.run === "function") await rule.run(req);
+  }
+
+  const errors = validationResult(req).array();
+  if (errors.length > 0) {
+    throw new AppError(
+      errors[0].msg,
+      400,
+      errors.map((error) => ({ field: error.path, message: error.msg }))
+    );
+  }
+  return req.body;
+};
+
 // Registration validation
 exports.validateRegistration = [
   body("name")
@@ -86,6 +108,16 @@ exports.validateLogin = [
   handleValidationErrors,
 ];
 
+// Refresh token validation
+exports.validateRefreshToken = [
+  body("refreshToken")
+    .isString()
+    .notEmpty()
+    .withMessage("Refresh token is required"),
+
+  handleValidationErrors,
+];
+
 // Profile update validation
 exports.validateProfileUpdate = [
   body("name")
@@ -126,6 +158,12 @@ exports.validateProfileUpdate = [
     .matches(/^[\+]?[1-9][\d]{0,15}$/)
     .withMessage("Please provide a valid phone number"),
 
+  body("organization")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Organization cannot exceed 100 characters"),
+
   body("profilePicture")
     .optional()
     .matches(
@@ -176,9 +214,730 @@ exports.validatePasswordReset = [
   handleValidationErrors,
 ];
 
+// Phone verification code validation
+exports.validatePhoneCode = [
+  body("code")
+    .isString()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage("Verification code must be 6 digits"),
+
+  handleValidationErrors,
+];
+
 // Google auth validation
 exports.validateGoogleAuth = [
   body("credential").notEmpty().withMessage("Google credential is required"),
 
   handleValidationErrors,
 ];
+
+// Hackathon field rules; `optional` relaxes presence checks for updates
+const hackathonRules = (optional = false) => {
+  const field = (chain) => (optional ? chain.optional() : chain);
+
+  return [
+    field(body("title"))
+      .trim()
+      .notEmpty()
+      .withMessage("Title is required")
+      .isLength({ max: 200 })
+      .withMessage("Title cannot exceed 200 characters"),
+
+    field(body("description"))
+      .trim()
+      .notEmpty()
+      .withMessage("Description is required"),
+
+    field(body("registrationDeadline"))
+      .isISO8601()
+      .withMessage("Registration deadline must be a valid date"),
+
+    field(body("startDate"))
+      .isISO8601()
+      .withMessage("Start date must be a valid date")
+      .custom((startDate, { req }) => {
+        if (
+          req.body.registrationDeadline &&
+          new Date(req.body.registrationDeadline) > new Date(startDate)
+        ) {
+          throw new Error(
+            "Registration deadline must be on or before the start date"
+          );
+        }
+        return true;
+      }),
+
+    field(body("endDate"))
+      .isISO8601()
+      .withMessage("End date must be a valid date")
+      .custom((endDate, { req }) => {
+        if (
+          req.body.startDate &&
+          new Date(endDate) <= new Date(req.body.startDate)
+        ) {
+          throw new Error("End date must be after the start date");
+        }
+        return true;
+      }),
+
+    body("problemStatements")
+      .optional()
+      .isArray()
+      .withMessage("Problem statements must be an array"),
+
+    body("maxTeamSize")
+      .optional()
+      .isInt({ min: 1, max: 10 })
+      .withMessage("Max team size must be between 1 and 10"),
+
+    body("mode")
+      .optional()
+      .isIn(["online", "offline", "hybrid"])
+      .withMessage("Mode must be online, offline, or hybrid"),
+
+    body("registrationFee")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Registration fee cannot be negative"),
+
+    body("maxRegistrations")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Max registrations must be at least 1"),
+
+    body("prizes").optional().isArray().withMessage("Prizes must be an array"),
+
+    body("prizes.*.position")
+      .trim()
+      .notEmpty()
+      .withMessage("Prize position is required"),
+
+    body("prizes.*.amount")
+      .isFloat({ min: 0 })
+      .withMessage("Prize amount must be a non-negative number"),
+
+    body("tags").optional().isArray().withMessage("Tags must be an array"),
+
+    body("tasks").optional().isArray().withMessage("Tasks must be an array"),
+
+    body("tasks.*.title")
+      .trim()
+      .notEmpty()
+      .withMessage("Task title is required"),
+
+    body("tasks.*.type")
+      .optional()
+      .isIn(["team", "DSA", "confidence", "debate"])
+      .withMessage("Task type must be team, DSA, confidence, or debate"),
+
+    body("tasks.*.timeLimit")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Task time limit must be a positive number of minutes"),
+
+    body("tasks.*.maxScore")
+      .optional()
+      .isFloat({ min: 1 })
+      .withMessage("Task max score must be positive"),
+
+    body("rubric").optional().isArray().withMessage("Rubric must be an array"),
+
+    body("rubric.*.name")
+      .trim()
+      .notEmpty()
+      .withMessage("Rubric criterion name is required"),
+
+    body("rubric.*.weight")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Rubric weight cannot be negative"),
+
+    body("rubric.*.maxPoints")
+      .optional()
+      .isFloat({ min: 1 })
+      .withMessage("Rubric max points must be at least 1"),
+
+    body("lateSubmissionWindow")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("Late submission window must be a non-negative number"),
+
+    body("judgingStartsAt")
+      .optional()
+      .isISO8601()
+      .withMessage("Judging start must be a valid date"),
+
+    body("leaderboardFreezeMinutes")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage(
+        "Leaderboard freeze must be a non-negative number of minutes"
+      ),
+
+    body("autoFormTeams")
+      .optional()
+      .isBoolean()
+      .withMessage("Auto team formation must be true or false"),
+
+    handleValidationErrors,
+  ];
+};
+
+// Hackathon creation validation
+exports.validateHackathon = hackathonRules();
+
+// Hackathon update validation
+exports.validateHackathonUpdate = hackathonRules(true);
+
+// Pairs of user ids, used for team locks and swaps
+const userPairRules = (field) => [
+  body(field)
+    .optional()
+    .isArray()
+    .withMessage(`${field} must be an array of user id pairs`),
+
+  body(`${field}.*`)
+    .isArray({ min: 2, max: 2 })
+    .withMessage(`Each entry in ${field} must be a pair of user ids`),
+
+  body(`${field}.*.*`)
+    .isMongoId()
+    .withMessage(`${field} must contain valid user ids`),
+];
+
+// Teams as arrays of user ids
+const teamArrangementRules = (optional = false) => [
+  (optional ? body("teams").optional() : body("teams"))
+    .isArray({ min: 1 })
+    .withMessage("Teams must be a non-empty array"),
+
+  body("teams.*")
+    .isArray({ min: 1 })
+    .withMessage("Each team must be a non-empty array of user ids"),
+
+  body("teams.*.*")
+    .isMongoId()
+    .withMessage("Teams must contain valid user ids"),
+];
+
+// Hackathon registration validation
+exports.validateHackathonRegistration = [
+  param("id").isMongoId().withMessage("Invalid hackathon id"),
+
+  body("preferences.skills")
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage("Skills must be an array with maximum 20 items"),
+
+  body("preferences.skills.*").isString().withMessage("Skills must be strings"),
+
+  body("preferences.experience")
+    .optional()
+    .isIn(["beginner", "intermediate", "advanced"])
+    .withMessage("Experience must be beginner, intermediate, or advanced"),
+
+  body("preferences.preferredTeammates")
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage("Preferred teammates must be an array of user ids"),
+
+  body("preferences.preferredTeammates.*")
+    .isMongoId()
+    .withMessage("Preferred teammates must be valid user ids"),
+
+  handleValidationErrors,
+];
+
+// Team formation preview validation
+exports.validateTeamPreview = [
+  body("strategy")
+    .optional()
+    .isString()
+    .withMessage("Strategy must be a string"),
+
+  ...teamArrangementRules(true),
+  ...userPairRules("locks"),
+  ...userPairRules("swaps"),
+
+  handleValidationErrors,
+];
+
+// Team formation commit validation
+exports.validateTeamCommit = [
+  ...teamArrangementRules(),
+  ...userPairRules("locks"),
+
+  handleValidationErrors,
+];
+
+// Route parameter holding a document id
+exports.validateObjectId = (name) => [
+  param(name).isMongoId().withMessage(`Invalid ${name}`),
+
+  handleValidationErrors,
+];
+
+// Team creation validation
+exports.validateTeamCreate = [
+  body("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Team name is required")
+    .isLength({ max: 100 })
+    .withMessage("Team name cannot exceed 100 characters"),
+
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Description cannot exceed 500 characters"),
+
+  body("hackathonId").isMongoId().withMessage("Valid hackathon id is required"),
+
+  handleValidationErrors,
+];
+
+// Join by invite code validation
+exports.validateTeamJoin = [
+  body("inviteCode").trim().notEmpty().withMessage("Invite code is required"),
+
+  handleValidationErrors,
+];
+
+// Team invitation validation
+exports.validateTeamInvitation = [
+  body("userId").optional().isMongoId().withMessage("Invalid user id"),
+
+  body("email")
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage("Please provide a valid email"),
+
+  body().custom((value) => {
+    if (!value.userId === !value.email) {
+      throw new Error("Provide either a user id or an email");
+    }
+    return true;
+  }),
+
+  body("role")
+    .optional()
+    .isIn([
+      "developer",
+      "designer",
+      "data_scientist",
+      "business_analyst",
+      "other",
+    ])
+    .withMessage("Invalid team role"),
+
+  handleValidationErrors,
+];
+
+// Leadership transfer validation
+exports.validateLeadershipTransfer = [
+  body("userId").isMongoId().withMessage("Valid user id is required"),
+
+  handleValidationErrors,
+];
+
+// Recruitment board query validation
+exports.validateRecruitingQuery = [
+  query("hackathonId")
+    .isMongoId()
+    .withMessage("Valid hackathon id is required"),
+
+  handleValidationErrors,
+];
+
+// Recruitment listing validation
+exports.validateRecruitmentUpdate = [
+  body("isRecruiting")
+    .optional()
+    .isBoolean()
+    .withMessage("isRecruiting must be a boolean"),
+
+  body("requiredSkills")
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage("Required skills must be an array of at most 20 skills"),
+
+  body("requiredSkills.*")
+    .trim()
+    .notEmpty()
+    .withMessage("Skills cannot be empty")
+    .isLength({ max: 50 })
+    .withMessage("Skills cannot exceed 50 characters"),
+
+  handleValidationErrors,
+];
+
+// Team application validation
+exports.validateTeamApplication = [
+  body("message")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Message cannot exceed 500 characters"),
+
+  handleValidationErrors,
+];
+
+// Task submission validation
+exports.validateSubmission = [
+  body("task").optional().trim().notEmpty().withMessage("Task cannot be empty"),
+
+  body("githubUrl")
+    .trim()
+    .isURL({ protocols: ["http", "https"], require_protocol: true })
+    .withMessage("Please provide a valid repository URL"),
+
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage("Description cannot exceed 2000 characters"),
+
+  body("final").optional().isBoolean().withMessage("final must be a boolean"),
+
+  handleValidationErrors,
+];
+
+// Rubric score validation
+exports.validateScore = [
+  body("criteria")
+    .isArray({ min: 1 })
+    .withMessage("Criteria scores are required"),
+
+  body("criteria.*.criterionId")
+    .isMongoId()
+    .withMessage("Valid criterion id is required"),
+
+  body("criteria.*.points")
+    .isFloat({ min: 0 })
+    .withMessage("Points must be a non-negative number"),
+
+  body("comment")
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage("Comment cannot exceed 2000 characters"),
+
+  handleValidationErrors,
+];
+
+// Hackathon staff assignment validation
+exports.validateStaffAssignment = [
+  body("userId").isMongoId().withMessage("Valid user id is required"),
+
+  handleValidationErrors,
+];
+
+// Winner declaration validation; each team and position is declared once
+exports.validateWinners = [
+  body("winners")
+    .isArray({ min: 1 })
+    .withMessage("Winners are required")
+    .bail()
+    .custom((winners) => {
+      const teamIds = winners.map((winner) => String(winner && winner.teamId));
+      const positions = winners.map((winner) =>
+        Number(winner && winner.position)
+      );
+      if (new Set(teamIds).size !== teamIds.length) {
+        throw new Error("A team can only win one position");
+      }
+      if (new Set(positions).size !== positions.length) {
+        throw new Error("Each position can only be won by one team");
+      }
+      return true;
+    }),
+
+  body("winners.*.teamId").isMongoId().withMessage("Valid team id is required"),
+
+  body("winners.*.position")
+    .isInt({ min: 1 })
+    .withMessage("Position must be a positive integer")
+    .toInt(),
+
+  handleValidationErrors,
+];
+
+// Judge conflict validation
+exports.validateJudgeConflict = [
+  body("teamId").isMongoId().withMessage("Valid team id is required"),
+
+  body("judgeId").optional().isMongoId().withMessage("Invalid judge id"),
+
+  body("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Reason cannot exceed 500 characters"),
+
+  handleValidationErrors,
+];
+
+// Chat history validation
+exports.validateMessageQuery = [
+  query("before").optional().isMongoId().withMessage("Invalid cursor"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100")
+    .toInt(),
+
+  handleValidationErrors,
+];
+
+// Chat message validation
+exports.validateMessage = [
+  body("attachmentId").optional().isMongoId().withMessage("Invalid attachment"),
+
+  body("content")
+    .if((value, { req }) => !req.body.attachmentId)
+    .trim()
+    .notEmpty()
+    .withMessage("Message content is required"),
+
+  body("content")
+    .optional()
+    .isLength({ max: 5000 })
+    .withMessage("Message cannot exceed 5000 characters"),
+
+  body("replyTo").optional().isMongoId().withMessage("Invalid message id"),
+
+  handleValidationErrors,
+];
+
+// Chat message edit validation
+exports.validateMessageEdit = [
+  body("content")
+    .trim()
+    .notEmpty()
+    .withMessage("Message content is required")
+    .isLength({ max: 5000 })
+    .withMessage("Message cannot exceed 5000 characters"),
+
+  handleValidationErrors,
+];
+
+// Read receipt validation
+exports.validateReadReceipt = [
+  body("messageId").isMongoId().withMessage("Valid message id is required"),
+
+  handleValidationErrors,
+];
+
+// Emoji reaction validation
+exports.validateReaction = [
+  body("emoji")
+    .trim()
+    .notEmpty()
+    .withMessage("Emoji is required")
+    .isLength({ max: 16 })
+    .withMessage("Emoji is too long"),
+
+  handleValidationErrors,
+];
+
+// Announcement validation
+exports.validateAnnouncement = [
+  body("title")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Title cannot exceed 200 characters"),
+
+  body("message")
+    .trim()
+    .notEmpty()
+    .withMessage("Announcement message is required")
+    .isLength({ max: 5000 })
+    .withMessage("Announcement cannot exceed 5000 characters"),
+
+  body("pinned").optional().isBoolean().withMessage("Pinned must be a boolean"),
+
+  handleValidationErrors,
+];
+
+// Announcement pinning validation
+exports.validateAnnouncementPin = [
+  param("announcementId").isMongoId().withMessage("Invalid announcement id"),
+
+  body("pinned").isBoolean().withMessage("Pinned must be a boolean"),
+
+  handleValidationErrors,
+];
+
+// Announcement history validation
+exports.validateAnnouncementQuery = [
+  query("before").optional().isISO8601().withMessage("Invalid before date"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100")
+    .toInt(),
+
+  handleValidationErrors,
+];
+
+// Judge assignment validation
+exports.validateJudgeAssignment = [
+  body("reviewsPerSubmission")
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage("Reviews per submission must be between 1 and 10")
+    .toInt(),
+
+  handleValidationErrors,
+];
+
+// Notification inbox query validation
+exports.validateNotificationQuery = [
+  query("before").optional().isMongoId().withMessage("Invalid cursor"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100")
+    .toInt(),
+
+  query("unread")
+    .optional()
+    .isBoolean()
+    .withMessage("Unread must be true or false")
+    .toBoolean(),
+
+  handleValidationErrors,
+];
+
+// Notification channel preferences validation
+exports.validateNotificationPreferences = [
+  body(["inApp", "email", "whatsapp"])
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage(
+      "Notification channels are turned on or off with true or false"
+    ),
+
+  handleValidationErrors,
+];
+
+// WhatsApp campaign field rules; `optional` relaxes presence checks for
+// updates
+const campaignRules = (optional = false) => {
+  const field = (chain) => (optional ? chain.optional() : chain);
+
+  return [
+    field(body("name"))
+      .trim()
+      .notEmpty()
+      .withMessage("Campaign name is required")
+      .isLength({ max: 100 })
+      .withMessage("Campaign name cannot exceed 100 characters"),
+
+    field(body("message"))
+      .trim()
+      .notEmpty()
+      .withMessage("Campaign message is required")
+      .isLength({ max: 1600 })
+      .withMessage("Campaign message cannot exceed 1600 characters"),
+
+    body("milestone")
+      .optional({ values: "null" })
+      .isIn(["registration_deadline", "start", "submission_close", "end"])
+      .withMessage(
+        "Milestone must be registration_deadline, start, submission_close or end"
+      ),
+
+    body("offsetMinutes")
+      .optional()
+      .isInt({ min: -10080, max: 10080 })
+      .withMessage("Offset must be within a week of the milestone"),
+
+    body("task")
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage("Task cannot be empty"),
+
+    body("sendAt")
+      .optional()
+      .isISO8601()
+      .withMessage("Send time must be a valid date"),
+
+    body("segment.registrationStatuses")
+      .optional()
+      .isArray()
+      .withMessage("Registration statuses must be an array"),
+
+    body("segment.registrationStatuses.*")
+      .isIn(["registered", "team_assigned", "participating", "completed"])
+      .withMessage("Invalid registration status"),
+
+    body("segment.hasTeam")
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage("hasTeam must be true or false"),
+
+    handleValidationErrors,
+  ];
+};
+
+// Campaign creation validation
+exports.validateCampaign = campaignRules();
+
+// Campaign update validation
+exports.validateCampaignUpdate = campaignRules(true);
+
+// Campaign recipient listing validation
+exports.validateCampaignRecipientQuery = [
+  query("status")
+    .optional()
+    .isIn(["pending", "sent", "failed", "skipped"])
+    .withMessage("Status must be pending, sent, failed or skipped"),
+
+  handleValidationErrors,
+];
+
+// WhatsApp message log query validation
+exports.validateMessageLogQuery = [
+  query("direction")
+    .optional()
+    .isIn(["outbound", "inbound"])
+    .withMessage("Direction must be outbound or inbound"),
+
+  query("status")
+    .optional()
+    .isIn([
+      "queued",
+      "sending",
+      "sent",
+      "delivered",
+      "read",
+      "failed",
+      "undelivered",
+      "received",
+    ])
+    .withMessage("Invalid message status"),
+
+  query(["userId", "campaignId"])
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid id"),
+
+  query("before").optional().isMongoId().withMessage("Invalid cursor"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage("Limit must be between 1 and 200")
+    .toInt(),
+
+  handleValidationErrors,
+];